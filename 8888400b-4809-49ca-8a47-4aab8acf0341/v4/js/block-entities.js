@@ -0,0 +1,263 @@
+// ==================== BLOCK ENTITIES ====================
+// Extra state for blocks that need more than a block id (furnaces, chests...).
+// Entries are keyed by "x,y,z" like modifiedBlocks and saved next to them.
+// Each type below defines how a fresh entity looks, which items its slots
+// accept and, optionally, a tick that runs every frame whether or not its UI
+// is open.
+const FURNACE_SLOT = { INPUT: 0, FUEL: 1, OUTPUT: 2 };
+
+const BLOCK_ENTITY_TYPES = {
+  furnace: {
+    title: 'Furnace',
+    slotCount: 3,  // input, fuel, output
+    create() {
+      return { burnTime: 0, burnTimeTotal: 0, cookTime: 0 };
+    },
+    canPlace(index, itemId) {
+      if (index === FURNACE_SLOT.FUEL) return FUEL_BURN_TIME[itemId] !== undefined;
+      return index === FURNACE_SLOT.INPUT;
+    },
+    tick(entity, dt, manager) {
+      return manager.tickFurnace(entity, dt);
+    }
+  },
+  chest: {
+    title: 'Chest',
+    slotCount: 27,
+    create() {
+      return {};
+    },
+    canPlace() {
+      return true;
+    }
+  }
+};
+
+const HORIZONTAL_NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// { id, count } stacks picked from a LOOT_TABLES entry
+function rollLoot(table, rand) {
+  const totalWeight = table.entries.reduce((sum, entry) => sum + entry.weight, 0);
+  const [minRolls, maxRolls] = table.rolls;
+  const rolls = minRolls + Math.floor(rand() * (maxRolls - minRolls + 1));
+
+  const items = [];
+  for (let i = 0; i < rolls; i++) {
+    let pick = rand() * totalWeight;
+    const entry = table.entries.find(e => (pick -= e.weight) < 0) || table.entries[0];
+    items.push({ id: entry.item, count: entry.min + Math.floor(rand() * (entry.max - entry.min + 1)) });
+  }
+  return items;
+}
+
+class BlockEntityManager {
+  constructor(game) {
+    this.game = game;
+    this.entities = new Map();
+    // "x,y,z" -> LOOT_TABLES name, for generated chests nobody has opened.
+    // Not saved: their chunks bring them again whenever they are generated.
+    this.loot = new Map();
+  }
+
+  clear() {
+    this.entities.clear();
+    this.loot.clear();
+  }
+
+  get(x, y, z) {
+    return this.entities.get(`${x},${y},${z}`) || null;
+  }
+
+  create(x, y, z, type) {
+    const def = BLOCK_ENTITY_TYPES[type];
+    const entity = {
+      type,
+      x, y, z,
+      slots: new Array(def.slotCount).fill(null),
+      ...def.create()
+    };
+    this.entities.set(`${x},${y},${z}`, entity);
+    return entity;
+  }
+
+  // The entity of a block being used, made on first use (with its loot, for
+  // a generated chest). Blocks placed before they had entities get one too.
+  getOrCreate(x, y, z, type) {
+    return this.get(x, y, z) || this.takeLoot(x, y, z) || this.create(x, y, z, type);
+  }
+
+  // Drops whatever the entity was holding; an unopened loot chest spills its loot
+  remove(x, y, z) {
+    const key = `${x},${y},${z}`;
+    const entity = this.entities.get(key) || this.takeLoot(x, y, z);
+    this.loot.delete(key);
+    if (!entity) return;
+
+    for (const slot of entity.slots) {
+      if (slot) {
+        this.game.spawnDroppedItem(x + 0.5, y + 0.5, z + 0.5, slot.id, slot.count);
+      }
+    }
+    this.entities.delete(key);
+
+    const open = this.game.openContainer;
+    if (open && (open.entity === entity || open.partner === entity)) {
+      this.game.closeContainer();
+    }
+  }
+
+  // ==================== CHESTS ====================
+
+  getAdjacentChests(x, y, z) {
+    const chests = [];
+    for (const [dx, dz] of HORIZONTAL_NEIGHBORS) {
+      if (this.game.getBlock(x + dx, y, z + dz) === BLOCK.CHEST) {
+        chests.push({ x: x + dx, y, z: z + dz });
+      }
+    }
+    return chests;
+  }
+
+  // Two side-by-side chests form a double chest. canPlaceChest keeps groups
+  // to two, so a chest has at most one neighbour to pair with.
+  getChestPartner(entity) {
+    const [pos] = this.getAdjacentChests(entity.x, entity.y, entity.z);
+    if (!pos) return null;
+    return this.getOrCreate(pos.x, pos.y, pos.z, 'chest');
+  }
+
+  canPlaceChest(x, y, z) {
+    const neighbors = this.getAdjacentChests(x, y, z);
+    if (neighbors.length > 1) return false;
+    return neighbors.every(n => this.getAdjacentChests(n.x, n.y, n.z).length === 0);
+  }
+
+  // Loot chests arrive with every freshly generated chunk as
+  // { x, y, z, type, loot }. An existing entity or an edited block means the
+  // chest has been opened or broken already.
+  addGenerated(list) {
+    for (const { x, y, z, loot } of list) {
+      const key = `${x},${y},${z}`;
+      if (this.entities.has(key) || this.game.modifiedBlocks.has(key)) continue;
+      this.loot.set(key, loot);
+    }
+  }
+
+  // Rolls the loot of a generated chest into a new entity, from the seed and
+  // the chest's position. Only the host or a single player does: chest
+  // contents aren't shared over LAN, so guests would each get their own copy.
+  takeLoot(x, y, z) {
+    const key = `${x},${y},${z}`;
+    const table = LOOT_TABLES[this.loot.get(key)];
+    if (!table || this.game.multiplayer.isGuest) return null;
+    this.loot.delete(key);
+
+    const entity = this.create(x, y, z, 'chest');
+    const rand = createRandom(x * 31 + y, z, this.game.worldSeed + 8000);
+    const free = entity.slots.map((_, i) => i);
+    for (const { id, count } of rollLoot(table, rand)) {
+      if (free.length === 0) break;
+      const [index] = free.splice(Math.floor(rand() * free.length), 1);
+      const durability = ITEM_DATA[id]?.durability;
+      entity.slots[index] = durability ? { id, count, durability } : { id, count };
+    }
+    return entity;
+  }
+
+  // Called by setBlock so entities follow their blocks. Swapping between
+  // variants of the same block (furnace <-> lit furnace) keeps the entity.
+  onBlockChanged(x, y, z, oldType, newType) {
+    const oldEntity = BLOCK_DATA[oldType]?.blockEntity;
+    const newEntity = BLOCK_DATA[newType]?.blockEntity;
+    if (oldEntity === newEntity) return;
+
+    if (oldEntity) this.remove(x, y, z);
+    if (newEntity) this.create(x, y, z, newEntity);
+  }
+
+  canPlace(entity, index, itemId) {
+    return BLOCK_ENTITY_TYPES[entity.type].canPlace(index, itemId);
+  }
+
+  update(dt) {
+    this.entities.forEach(entity => {
+      const tick = BLOCK_ENTITY_TYPES[entity.type].tick;
+      if (tick && tick(entity, dt, this) && this.game.openContainer?.entity === entity) {
+        this.game.updateInventoryUI();
+      }
+    });
+    if (this.game.openContainer) {
+      this.game.updateContainerProgress();
+    }
+  }
+
+  // Returns true when slot contents changed
+  tickFurnace(entity, dt) {
+    const [input, fuel, output] = entity.slots;
+    const recipe = input ? SMELTING_RECIPES[input.id] : null;
+    const canSmelt = !!recipe && (!output ||
+      (output.id === recipe.result && output.count + recipe.count <= MAX_STACK_SIZE));
+    let changed = false;
+
+    if (entity.burnTime > 0) {
+      entity.burnTime = Math.max(0, entity.burnTime - dt);
+    }
+
+    // Light the next piece of fuel only when there is something to smelt
+    if (entity.burnTime <= 0 && canSmelt && fuel) {
+      entity.burnTime = entity.burnTimeTotal = FUEL_BURN_TIME[fuel.id];
+      fuel.count--;
+      if (fuel.count <= 0) entity.slots[FURNACE_SLOT.FUEL] = null;
+      changed = true;
+    }
+
+    if (entity.burnTime > 0 && canSmelt) {
+      entity.cookTime += dt;
+      if (entity.cookTime >= SMELT_TIME) {
+        entity.cookTime = 0;
+        input.count--;
+        if (input.count <= 0) entity.slots[FURNACE_SLOT.INPUT] = null;
+        if (output) {
+          output.count += recipe.count;
+        } else {
+          entity.slots[FURNACE_SLOT.OUTPUT] = { id: recipe.result, count: recipe.count };
+        }
+        changed = true;
+      }
+    } else if (entity.cookTime > 0) {
+      // Progress cools off when the fire goes out or the input is removed
+      entity.cookTime = canSmelt ? Math.max(0, entity.cookTime - dt * 2) : 0;
+    }
+
+    this.setFurnaceLit(entity, entity.burnTime > 0);
+    return changed;
+  }
+
+  setFurnaceLit(entity, lit) {
+    const { x, y, z } = entity;
+    const block = this.game.getBlock(x, y, z);
+    const target = lit ? BLOCK.FURNACE_LIT : BLOCK.FURNACE;
+    if (block !== target && (block === BLOCK.FURNACE || block === BLOCK.FURNACE_LIT)) {
+      this.game.setBlock(x, y, z, target);
+    }
+  }
+
+  serialize() {
+    return Array.from(this.entities.values()).map(entity => ({
+      ...entity,
+      slots: entity.slots.map(slot => slot ? { ...slot } : null)
+    }));
+  }
+
+  load(data) {
+    this.entities.clear();
+    for (const saved of data) {
+      const def = BLOCK_ENTITY_TYPES[saved.type];
+      if (!def) continue;
+      const entity = { ...def.create(), ...saved };
+      entity.slots = (saved.slots || []).map(slot => slot ? { ...slot } : null);
+      while (entity.slots.length < def.slotCount) entity.slots.push(null);
+      this.entities.set(`${entity.x},${entity.y},${entity.z}`, entity);
+    }
+  }
+}
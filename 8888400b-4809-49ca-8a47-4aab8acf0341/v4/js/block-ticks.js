@@ -0,0 +1,404 @@
+// ==================== BLOCK TICKS ====================
+// Block updates and random ticks, both run every BLOCK_TICK seconds.
+//
+// Block updates are scheduled by setBlock for the blocks around each change:
+// sand and gravel with nothing under them start to fall, and leaves next to a
+// removed log or leaf check that a log is still in reach.
+//
+// Random ticks pick RANDOM_TICKS_PER_CHUNK blocks in each loaded chunk near
+// the player, which is how saplings grow and grass spreads or dies back.
+//
+// Both only run for the host or a single player, who shares the blocks they
+// change: the rolls and timings would differ from player to player, and
+// only shared changes reach the server for players who join later. Guests
+// see a falling block leave and then land, without the fall in between.
+//
+// Pending updates and blocks still in the air are saved with the world.
+
+const BLOCK_TICK_NEIGHBORS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+// Updates in chunks that aren't loaded wait this many ticks and try again
+const BLOCK_TICK_RETRY = 20;
+
+class BlockTickManager {
+  constructor(game) {
+    this.game = game;
+    this.updates = new Map();   // "x,y,z" -> { x, y, z, due } with `due` in ticks
+    this.fallingBlocks = [];    // { block, x, y, z, velocity, mesh }, `y` at the bottom face
+    this.tick = 0;
+    this.time = 0;              // Seconds into the current tick
+  }
+
+  clear() {
+    this.updates.clear();
+    for (const falling of this.fallingBlocks) this.removeMesh(falling);
+    this.fallingBlocks = [];
+    this.tick = 0;
+    this.time = 0;
+  }
+
+  schedule(x, y, z, delay = 1) {
+    const key = `${x},${y},${z}`;
+    const due = this.tick + delay;
+    const pending = this.updates.get(key);
+    if (pending && pending.due <= due) return;
+    this.updates.set(key, { x, y, z, due });
+  }
+
+  // Called by setBlock for every change
+  onBlockChanged(x, y, z, oldType, newType) {
+    const game = this.game;
+    if (game.multiplayer.isGuest) return;
+    const oldData = BLOCK_DATA[oldType];
+    const newData = BLOCK_DATA[newType];
+
+    if (newData?.gravity) this.schedule(x, y, z, FALL_DELAY_TICKS);
+    const above = BLOCK_DATA[game.getBlock(x, y + 1, z)];
+    if (above?.gravity) this.schedule(x, y + 1, z, FALL_DELAY_TICKS);
+
+    // Leaves only notice a log or leaf going away; what is left of the tree
+    // decays from the outside in as each leaf removal wakes its neighbours
+    const wasTree = oldData?.log || oldData?.decays;
+    if (wasTree && !(newData?.log || newData?.decays)) {
+      for (const [dx, dy, dz] of BLOCK_TICK_NEIGHBORS) {
+        if (BLOCK_DATA[game.getBlock(x + dx, y + dy, z + dz)]?.decays) {
+          this.schedule(x + dx, y + dy, z + dz, 1 + Math.floor(Math.random() * LEAF_DECAY_TICKS));
+        }
+      }
+    }
+  }
+
+  update(dt) {
+    this.time += dt;
+    while (this.time >= BLOCK_TICK) {
+      this.time -= BLOCK_TICK;
+      this.tick++;
+      if (this.game.multiplayer.isGuest) continue;
+      this.runUpdates();
+      this.runRandomTicks();
+    }
+    this.updateFallingBlocks(dt);
+  }
+
+  runUpdates() {
+    if (this.updates.size === 0) return;
+
+    const due = [];
+    for (const [key, update] of this.updates) {
+      if (due.length >= MAX_BLOCK_UPDATES_PER_TICK) break;
+      if (update.due <= this.tick) {
+        due.push(update);
+        this.updates.delete(key);
+      }
+    }
+
+    for (const { x, y, z } of due) {
+      if (!this.game.isChunkLoadedAt(x, z)) {
+        this.schedule(x, y, z, BLOCK_TICK_RETRY);
+        continue;
+      }
+      this.updateBlock(x, y, z);
+    }
+  }
+
+  updateBlock(x, y, z) {
+    const game = this.game;
+    const block = game.getBlock(x, y, z);
+    const data = BLOCK_DATA[block];
+
+    if (data?.gravity) {
+      if (y > 0 && this.canFallInto(game.getBlock(x, y - 1, z))) this.startFalling(x, y, z, block);
+    } else if (data?.decays) {
+      if (!this.isNearLog(x, y, z)) this.breakBlock(x, y, z, block);
+    }
+  }
+
+  // Removes a block for the whole LAN game, dropping what it drops
+  breakBlock(x, y, z, block) {
+    this.setSharedBlock(x, y, z, BLOCK.AIR);
+    const dropItem = this.game.getBlockDrop(block);
+    if (dropItem !== null) this.game.spawnDroppedItem(x + 0.5, y + 0.5, z + 0.5, dropItem, 1);
+    this.game.spawnExtraDrops(x, y, z, BLOCK_DATA[block]);
+  }
+
+  setSharedBlock(x, y, z, block) {
+    this.game.setBlock(x, y, z, block);
+    this.game.multiplayer.sendBlock(x, y, z, block);
+  }
+
+  // ==================== FALLING BLOCKS ====================
+
+  canFallInto(block) {
+    return block === BLOCK.AIR || !!getFluid(block);
+  }
+
+  startFalling(x, y, z, block) {
+    this.setSharedBlock(x, y, z, BLOCK.AIR);
+    this.addFallingBlock(x, y, z, block, 0);
+  }
+
+  addFallingBlock(x, y, z, block, velocity) {
+    const mesh = this.createMesh(block);
+    mesh.position.set(x + 0.5, y + 0.5, z + 0.5);
+    this.game.scene.add(mesh);
+    this.fallingBlocks.push({ block, x, y, z, velocity, mesh });
+  }
+
+  updateFallingBlocks(dt) {
+    const game = this.game;
+    for (let i = this.fallingBlocks.length - 1; i >= 0; i--) {
+      const falling = this.fallingBlocks[i];
+      // Held in the air until the ground under it is loaded again
+      if (!game.isChunkLoadedAt(falling.x, falling.z)) continue;
+
+      falling.velocity = Math.max(falling.velocity - GRAVITY * dt, -MAX_FALL_SPEED);
+      const nextY = falling.y + falling.velocity * dt;
+
+      // Every block passed this frame, so a fast fall can't skip the ground
+      let landY = null;
+      for (let cy = Math.ceil(falling.y) - 1; cy >= Math.floor(nextY); cy--) {
+        if (cy < 0 || !this.canFallInto(game.getBlock(falling.x, cy, falling.z))) {
+          landY = cy + 1;
+          break;
+        }
+      }
+
+      if (landY === null) {
+        falling.y = nextY;
+        falling.mesh.position.y = nextY + 0.5;
+        continue;
+      }
+
+      this.removeMesh(falling);
+      this.fallingBlocks.splice(i, 1);
+      this.land(falling.x, landY, falling.z, falling.block);
+    }
+  }
+
+  // Settles where it stopped, or drops as an item if something was built there meanwhile
+  land(x, y, z, block) {
+    const game = this.game;
+    if (y < WORLD_HEIGHT && this.canFallInto(game.getBlock(x, y, z))) {
+      this.setSharedBlock(x, y, z, block);
+    } else {
+      const dropItem = game.getBlockDrop(block);
+      if (dropItem !== null) game.spawnDroppedItem(x + 0.5, y + 0.5, z + 0.5, dropItem, 1);
+    }
+  }
+
+  createMesh(block) {
+    const game = this.game;
+    const data = BLOCK_DATA[block];
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    let material;
+
+    if (game.textureLoaded && data.tex) {
+      // BoxGeometry lays its faces out as +x, -x, +y, -y, +z, -z, four corners each
+      const { top, side, bottom } = data.tex;
+      const faces = [side, side, top || side, bottom || side, side, side];
+      const uv = geometry.attributes.uv;
+      for (let i = 0; i < uv.count; i++) {
+        const { u, v, s } = getTexUV(faces[Math.floor(i / 4)]);
+        uv.setXY(i, u + uv.getX(i) * s, v + uv.getY(i) * s);
+      }
+      material = new THREE.MeshStandardMaterial({ map: game.textureAtlas, roughness: 0.9, metalness: 0.0 });
+    } else {
+      material = new THREE.MeshStandardMaterial({ color: data.side || 0xffffff, roughness: 0.9 });
+    }
+    return new THREE.Mesh(geometry, material);
+  }
+
+  removeMesh(falling) {
+    this.game.scene.remove(falling.mesh);
+    falling.mesh.geometry.dispose();
+    falling.mesh.material.dispose();
+  }
+
+  // ==================== RANDOM TICKS ====================
+
+  runRandomTicks() {
+    const game = this.game;
+    const pcx = Math.floor(game.player.position.x / CHUNK_SIZE);
+    const pcz = Math.floor(game.player.position.z / CHUNK_SIZE);
+
+    for (let cx = pcx - RANDOM_TICK_RADIUS; cx <= pcx + RANDOM_TICK_RADIUS; cx++) {
+      for (let cz = pcz - RANDOM_TICK_RADIUS; cz <= pcz + RANDOM_TICK_RADIUS; cz++) {
+        const chunk = game.chunks.get(`${cx},${cz}`);
+        if (!chunk) continue;
+
+        for (let i = 0; i < RANDOM_TICKS_PER_CHUNK; i++) {
+          const index = Math.floor(Math.random() * chunk.length);
+          // Most picks are stone or air, so the chunk array is checked first
+          if (!BLOCK_DATA[chunk[index]]?.randomTick) continue;
+
+          const x = cx * CHUNK_SIZE + index % CHUNK_SIZE;
+          const y = Math.floor(index / CHUNK_SIZE) % WORLD_HEIGHT;
+          const z = cz * CHUNK_SIZE + Math.floor(index / (CHUNK_SIZE * WORLD_HEIGHT));
+          this.randomTick(x, y, z, game.getBlock(x, y, z));
+        }
+      }
+    }
+  }
+
+  randomTick(x, y, z, block) {
+    switch (BLOCK_DATA[block]?.randomTick) {
+      case 'sapling':
+        if (Math.random() < SAPLING_GROWTH_CHANCE && this.isLit(x, y, z)) this.growTree(x, y, z);
+        break;
+      case 'grass':
+        this.spreadGrass(x, y, z);
+        break;
+      case 'farmland':
+        this.updateFarmland(x, y, z, block);
+        break;
+      case 'crop':
+        this.growCrop(x, y, z, block);
+        break;
+    }
+    this.game.registry.emit('tick', this.game, x, y, z, block);
+  }
+
+  // Sky light counts at any time of day, like the full moon is bright enough
+  // for plants; underground it takes torches or other lights
+  isLit(x, y, z) {
+    return this.game.isSkyVisible(x, y, z) || this.game.getLightLevel(x, y, z) >= MIN_GROWTH_LIGHT;
+  }
+
+  spreadGrass(x, y, z) {
+    const game = this.game;
+    if (isLightOpaque(game.getBlock(x, y + 1, z))) {
+      this.setSharedBlock(x, y, z, BLOCK.DIRT);
+      return;
+    }
+    if (!this.isLit(x, y + 1, z)) return;
+
+    // One try per tick, at most a block up or three down
+    const tx = x + Math.floor(Math.random() * 3) - 1;
+    const ty = y + Math.floor(Math.random() * 5) - 3;
+    const tz = z + Math.floor(Math.random() * 3) - 1;
+    if (game.getBlock(tx, ty, tz) !== BLOCK.DIRT || isLightOpaque(game.getBlock(tx, ty + 1, tz))) return;
+    if (this.isLit(tx, ty + 1, tz)) this.setSharedBlock(tx, ty, tz, BLOCK.GRASS);
+  }
+
+  // ==================== FARMING ====================
+
+  // Water wets farmland, which dries out again without it; dry farmland
+  // with nothing planted, or covered over, goes back to dirt
+  updateFarmland(x, y, z, block) {
+    const game = this.game;
+    const above = game.getBlock(x, y + 1, z);
+    if (isLightOpaque(above)) {
+      this.setSharedBlock(x, y, z, BLOCK.DIRT);
+      return;
+    }
+
+    const wet = block === BLOCK.FARMLAND_WET;
+    if (this.hasWaterNear(x, y, z)) {
+      if (!wet) this.setSharedBlock(x, y, z, BLOCK.FARMLAND_WET);
+    } else if (wet) {
+      this.setSharedBlock(x, y, z, BLOCK.FARMLAND);
+    } else if (!BLOCK_DATA[above]?.placedOn?.includes(BLOCK.FARMLAND)) {
+      this.setSharedBlock(x, y, z, BLOCK.DIRT);
+    }
+  }
+
+  // Water at the farmland's height or a block above, within
+  // FARMLAND_WATER_RANGE sideways
+  hasWaterNear(x, y, z) {
+    const game = this.game;
+    for (let dy = 0; dy <= 1; dy++) {
+      for (let dx = -FARMLAND_WATER_RANGE; dx <= FARMLAND_WATER_RANGE; dx++) {
+        for (let dz = -FARMLAND_WATER_RANGE; dz <= FARMLAND_WATER_RANGE; dz++) {
+          if (BLOCK_DATA[game.getBlock(x + dx, y + dy, z + dz)]?.fluid === 'water') return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // One stage at a time, twice as fast on wet farmland
+  growCrop(x, y, z, block) {
+    const chance = this.game.getBlock(x, y - 1, z) === BLOCK.FARMLAND_WET ? CROP_GROWTH_CHANCE : CROP_GROWTH_CHANCE / 2;
+    if (Math.random() < chance && this.isLit(x, y, z)) {
+      this.setSharedBlock(x, y, z, BLOCK_DATA[block].growsInto);
+    }
+  }
+
+  // ==================== TREES ====================
+
+  // A species the biome grows, picked by how common each is there
+  pickTreeSpecies(x, z) {
+    const trees = BIOMES[this.game.terrain.getColumn(x, z).biome]?.trees || [];
+    const total = trees.reduce((sum, tree) => sum + tree.chance, 0);
+    let pick = Math.random() * total;
+    const tree = trees.find(entry => (pick -= entry.chance) < 0);
+    return tree ? tree.species : 'oak';
+  }
+
+  // Grows only if the whole trunk fits; leaves fill whatever air is around it
+  growTree(x, y, z) {
+    const game = this.game;
+    const blocks = [];
+    const writer = {
+      set: (bx, by, bz, block) => blocks.push({ x: bx, y: by, z: bz, block, trunk: true }),
+      place: (bx, by, bz, block) => blocks.push({ x: bx, y: by, z: bz, block, trunk: false })
+    };
+    TREE_SPECIES[this.pickTreeSpecies(x, z)](writer, x, y, z, Math.floor(Math.random() * 100000));
+
+    const fits = blocks.every(({ x: bx, y: by, z: bz, trunk }) => {
+      if (!trunk) return true;
+      const current = game.getBlock(bx, by, bz);
+      return by < WORLD_HEIGHT && (current === BLOCK.AIR || current === BLOCK.SAPLING || BLOCK_DATA[current]?.decays);
+    });
+    if (!fits) return false;
+
+    for (const { x: bx, y: by, z: bz, block, trunk } of blocks) {
+      if (by >= WORLD_HEIGHT || (!trunk && game.getBlock(bx, by, bz) !== BLOCK.AIR)) continue;
+      this.setSharedBlock(bx, by, bz, block);
+    }
+    return true;
+  }
+
+  // Whether a log is within LEAF_DECAY_DISTANCE steps through leaves
+  isNearLog(x, y, z) {
+    const game = this.game;
+    const visited = new Set([`${x},${y},${z}`]);
+    let frontier = [[x, y, z]];
+
+    for (let distance = 1; distance <= LEAF_DECAY_DISTANCE && frontier.length; distance++) {
+      const next = [];
+      for (const [fx, fy, fz] of frontier) {
+        for (const [dx, dy, dz] of BLOCK_TICK_NEIGHBORS) {
+          const nx = fx + dx, ny = fy + dy, nz = fz + dz;
+          const key = `${nx},${ny},${nz}`;
+          if (visited.has(key)) continue;
+          visited.add(key);
+
+          const data = BLOCK_DATA[game.getBlock(nx, ny, nz)];
+          if (data?.log) return true;
+          if (data?.decays) next.push([nx, ny, nz]);
+        }
+      }
+      frontier = next;
+    }
+    return false;
+  }
+
+  // ==================== SAVING ====================
+
+  serialize() {
+    return {
+      updates: Array.from(this.updates.values(), ({ x, y, z, due }) => ({ x, y, z, ticks: due - this.tick })),
+      falling: this.fallingBlocks.map(({ block, x, y, z, velocity }) => ({ block, x, y, z, velocity }))
+    };
+  }
+
+  load(data) {
+    this.clear();
+    for (const { x, y, z, ticks } of data.updates || []) {
+      this.schedule(x, y, z, Math.max(1, ticks));
+    }
+    for (const { block, x, y, z, velocity } of data.falling || []) {
+      this.addFallingBlock(x, y, z, block, velocity);
+    }
+  }
+}
@@ -0,0 +1,528 @@
+// ==================== BUILD TOOL ====================
+// Creative building. The Building Wand picks the corners of a box (left click
+// the first, right click the second) and slash commands work on it, see
+// commands.js. /copy takes the box into the clipboard along with where it
+// sat relative to the player, and /paste puts it down at that same offset
+// from wherever the player stands now. /rotate and /mirror turn the
+// clipboard in place; /fill and /replace change the box itself.
+//
+// Edits wait in a queue and change at most BUILD_BATCH_SIZE blocks a frame
+// through setBlock, which keeps light, block entities and redstone in step.
+// A frame's blocks go in one block batch (see beginBlockBatch in game.js),
+// so meshes and the map are redone once per chunk and column. An edit
+// waits while part of its box is unloaded, since what is there can't be
+// read. The id each block had is noted as it changes, so /undo and /redo can
+// play an edit back. Only block ids are copied: chests and furnaces paste
+// empty.
+//
+// Schematics are the clipboard as a JSON file:
+//
+//   { "format": "voxel-schematic", "version": 1, "size": [x, y, z],
+//     "offset": [x, y, z], "palette": ["air", "stone", ...],
+//     "blocks": [count, paletteIndex, count, paletteIndex, ...] }
+//
+// Blocks run x fastest, then z, then y, in runs of one palette entry. The
+// palette holds block names as /give takes them rather than ids, so a
+// schematic still loads in a world with other mods installed.
+
+const SCHEMATIC_FORMAT = 'voxel-schematic';
+const SCHEMATIC_VERSION = 1;
+
+class SchematicError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchematicError';
+  }
+}
+
+// Min and max corners of the box two corners span, both included
+function makeBox(a, b) {
+  const box = {
+    x1: Math.min(a.x, b.x), y1: Math.min(a.y, b.y), z1: Math.min(a.z, b.z),
+    x2: Math.max(a.x, b.x), y2: Math.max(a.y, b.y), z2: Math.max(a.z, b.z)
+  };
+  box.sx = box.x2 - box.x1 + 1;
+  box.sy = box.y2 - box.y1 + 1;
+  box.sz = box.z2 - box.z1 + 1;
+  box.volume = box.sx * box.sy * box.sz;
+  return box;
+}
+
+function isDoor(block) {
+  return block >= DOOR_START && block < DOOR_START + 8;
+}
+
+// The piston range a block id is in, if any
+function getPistonStart(block) {
+  return [PISTON_START, PISTON_EXTENDED_START, PISTON_HEAD_START]
+    .find(start => block >= start && block < start + FACING_OFFSETS.length);
+}
+
+// The id a block has after `turns` quarter turns clockwise seen from above.
+// Pistons keep their facing in the id and doors their axis.
+function rotateBlockId(block, turns) {
+  const start = getPistonStart(block);
+  if (start !== undefined) {
+    // Clockwise runs backwards through FACING_OFFSETS
+    return start + (block - start + 3 * turns) % FACING_OFFSETS.length;
+  }
+  if (isDoor(block) && turns % 2) return block ^ DOOR_AXIS;
+  return block;
+}
+
+function mirrorBlockId(block, axis) {
+  const start = getPistonStart(block);
+  if (start !== undefined && axis !== 'y') {
+    const facing = block - start;
+    const [dx, dz] = FACING_OFFSETS[facing];
+    if ((axis === 'x' ? dx : dz) !== 0) return start + (facing + 2) % FACING_OFFSETS.length;
+  }
+  if (isDoor(block) && axis === 'y') return block ^ DOOR_UPPER;
+  return block;
+}
+
+// Clipboard -> schematic object, ready for JSON.stringify
+function encodeSchematic(clipboard) {
+  const names = new Map();
+  for (const [name, id] of getItemNames(true)) {
+    if (!names.has(id)) names.set(id, name);
+  }
+
+  const palette = [];
+  const paletteIndex = new Map();
+  const blocks = [];
+  for (const block of clipboard.blocks) {
+    if (!paletteIndex.has(block)) {
+      paletteIndex.set(block, palette.length);
+      palette.push(names.get(block) || String(block));
+    }
+    const index = paletteIndex.get(block);
+    if (blocks.length && blocks[blocks.length - 1] === index) {
+      blocks[blocks.length - 2]++;
+    } else {
+      blocks.push(1, index);
+    }
+  }
+
+  const { size, offset } = clipboard;
+  return {
+    format: SCHEMATIC_FORMAT,
+    version: SCHEMATIC_VERSION,
+    size: [size.x, size.y, size.z],
+    offset: [offset.x, offset.y, offset.z],
+    palette,
+    blocks
+  };
+}
+
+// Schematic object -> clipboard. Throws SchematicError saying what is wrong.
+function decodeSchematic(schematic) {
+  if (!schematic || schematic.format !== SCHEMATIC_FORMAT) throw new SchematicError('This is not a schematic file');
+  if (!Number.isInteger(schematic.version) || schematic.version > SCHEMATIC_VERSION) {
+    throw new SchematicError(`Schematic version ${schematic.version} is newer than this game supports (${SCHEMATIC_VERSION})`);
+  }
+
+  const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isInteger);
+  if (!isVector(schematic.size) || schematic.size.some(n => n < 1)) throw new SchematicError('Schematic has an invalid size');
+  const [sx, sy, sz] = schematic.size;
+  const volume = sx * sy * sz;
+  if (sy > WORLD_HEIGHT || volume > BUILD_MAX_BLOCKS) {
+    throw new SchematicError(`Schematic is ${sx}x${sy}x${sz}; at most ${BUILD_MAX_BLOCKS} blocks and ${WORLD_HEIGHT} high fit`);
+  }
+  if (schematic.offset !== undefined && !isVector(schematic.offset)) throw new SchematicError('Schematic has an invalid offset');
+
+  if (!Array.isArray(schematic.palette)) throw new SchematicError('Schematic has no palette');
+  const names = getItemNames(true);
+  const unknown = [];
+  const ids = schematic.palette.map(name => {
+    const key = String(name).toLowerCase();
+    if (names.has(key)) return names.get(key);
+    if (/^\d+$/.test(key) && BLOCK_DATA[key]) return Number(key);
+    unknown.push(name);
+    return BLOCK.AIR;
+  });
+  if (unknown.length) throw new SchematicError(`Schematic uses blocks this game doesn't have: ${unknown.join(', ')}`);
+
+  const runs = schematic.blocks;
+  if (!Array.isArray(runs) || runs.length % 2) throw new SchematicError('Schematic block list is corrupt');
+  const blocks = new Uint16Array(volume);
+  let filled = 0;
+  for (let i = 0; i < runs.length; i += 2) {
+    const count = runs[i];
+    const index = runs[i + 1];
+    if (!Number.isInteger(count) || count < 1 || filled + count > volume || ids[index] === undefined) {
+      throw new SchematicError('Schematic block list is corrupt');
+    }
+    blocks.fill(ids[index], filled, filled + count);
+    filled += count;
+  }
+  if (filled !== volume) throw new SchematicError('Schematic block list is shorter than its size');
+
+  // Files without an offset go down next to the player
+  const [ox, oy, oz] = schematic.offset || [1, 0, 1];
+  return { size: { x: sx, y: sy, z: sz }, offset: { x: ox, y: oy, z: oz }, blocks };
+}
+
+class BuildTool {
+  constructor(game) {
+    this.game = game;
+    this.clipboard = null;   // { size, offset, blocks }; kept across worlds so builds can move between them
+
+    this.selectionBox = new THREE.LineSegments(
+      new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+      new THREE.LineBasicMaterial({ color: 0xffaa00 })
+    );
+    this.selectionBox.visible = false;
+    game.scene.add(this.selectionBox);
+
+    this.clear();
+  }
+
+  // The selection and history belong to one world
+  clear() {
+    this.corners = [null, null];
+    this.jobs = [];             // Queued edits, first one being applied
+    this.undoStack = [];        // Per edit, what it changed as [x, y, z, before, after, ...]
+    this.redoStack = [];
+    this.historySize = 0;       // Changed blocks held by undoStack
+    this.updateSelectionBox();
+  }
+
+  setupUI() {
+    const input = document.getElementById('schematic-import');
+    input.onchange = async () => {
+      const file = input.files[0];
+      input.value = '';
+      if (!file) return;
+
+      const chat = this.game.chat;
+      try {
+        let schematic;
+        try {
+          schematic = JSON.parse(await file.text());
+        } catch (e) {
+          throw new SchematicError('This is not a schematic file');
+        }
+        this.clipboard = decodeSchematic(schematic);
+        const { x, y, z } = this.clipboard.size;
+        chat.addLine(null, `Loaded ${file.name} (${x}x${y}x${z}) into the clipboard, /paste to place it`);
+      } catch (e) {
+        if (!(e instanceof SchematicError)) console.error('Schematic import failed:', e);
+        chat.addLine(null, e instanceof SchematicError ? e.message : 'The schematic could not be loaded', 'error');
+      }
+    };
+  }
+
+  // ==================== SELECTION ====================
+
+  // Left or right click with the wand in creative; false when it isn't held
+  useWand(button) {
+    const game = this.game;
+    const held = game.getHeldItem();
+    if (game.gameMode !== 'creative' || !held || !ITEM_DATA[held.id]?.wand) return false;
+
+    const target = game.targetBlock;
+    if (target) {
+      game.chat.addLine(null, this.setCorner(button === 0 ? 0 : 1, target.x, target.y, target.z));
+    } else {
+      game.chat.addLine(null, 'Point the wand at a block', 'error');
+    }
+    return true;
+  }
+
+  setCorner(index, x, y, z) {
+    this.corners[index] = { x, y, z };
+    this.updateSelectionBox();
+    const box = this.getBox(false);
+    return `${index === 0 ? 'First' : 'Second'} corner set to ${x}, ${y}, ${z}` +
+      (box ? ` (${box.sx}x${box.sy}x${box.sz}, ${box.volume} blocks)` : '');
+  }
+
+  getBox(required = true) {
+    const [a, b] = this.corners;
+    if (a && b) return makeBox(a, b);
+    if (required) throw new CommandError('Select a box first: click two corners with the Building Wand, or use /pos1 and /pos2');
+    return null;
+  }
+
+  // Outlines the selection, or the one corner picked so far
+  updateSelectionBox() {
+    const [a, b] = this.corners;
+    this.selectionBox.visible = !!(a || b);
+    if (!a && !b) return;
+
+    const box = makeBox(a || b, b || a);
+    this.selectionBox.scale.set(box.sx + 0.02, box.sy + 0.02, box.sz + 0.02);
+    this.selectionBox.position.set(box.x1 + box.sx / 2, box.y1 + box.sy / 2, box.z1 + box.sz / 2);
+  }
+
+  // Edits read what they replace, which unloaded chunks can't tell
+  checkBox(box) {
+    if (box.volume > BUILD_MAX_BLOCKS) {
+      throw new CommandError(`That is ${box.volume} blocks; at most ${BUILD_MAX_BLOCKS} can change at once`);
+    }
+    for (let cx = Math.floor(box.x1 / CHUNK_SIZE); cx <= Math.floor(box.x2 / CHUNK_SIZE); cx++) {
+      for (let cz = Math.floor(box.z1 / CHUNK_SIZE); cz <= Math.floor(box.z2 / CHUNK_SIZE); cz++) {
+        if (!this.game.chunks.has(`${cx},${cz}`)) throw new CommandError('Part of that box is not loaded, move closer to it');
+      }
+    }
+  }
+
+  // The block the player's feet are in
+  getFeet() {
+    const pos = this.game.player.position;
+    return { x: Math.floor(pos.x), y: Math.floor(pos.y - PLAYER_HEIGHT), z: Math.floor(pos.z) };
+  }
+
+  // ==================== CLIPBOARD ====================
+
+  getClipboard() {
+    if (!this.clipboard) throw new CommandError('The clipboard is empty, /copy a selection or /schematic import a file');
+    return this.clipboard;
+  }
+
+  copy() {
+    const box = this.getBox();
+    this.checkBox(box);
+
+    const game = this.game;
+    const blocks = new Uint16Array(box.volume);
+    let i = 0;
+    for (let y = box.y1; y <= box.y2; y++) {
+      for (let z = box.z1; z <= box.z2; z++) {
+        for (let x = box.x1; x <= box.x2; x++) {
+          blocks[i++] = game.getBlock(x, y, z);
+        }
+      }
+    }
+
+    const feet = this.getFeet();
+    this.clipboard = {
+      size: { x: box.sx, y: box.sy, z: box.sz },
+      offset: { x: box.x1 - feet.x, y: box.y1 - feet.y, z: box.z1 - feet.z },
+      blocks
+    };
+    return `Copied ${box.volume} blocks`;
+  }
+
+  // At the offset from the player the clipboard was copied at
+  paste(skipAir = false) {
+    const { size, offset, blocks } = this.getClipboard();
+    const feet = this.getFeet();
+    const from = { x: feet.x + offset.x, y: feet.y + offset.y, z: feet.z + offset.z };
+    this.checkBox(makeBox(from, { x: from.x + size.x - 1, y: from.y + size.y - 1, z: from.z + size.z - 1 }));
+
+    // Column by column, see getBoxEdits
+    const edits = [];
+    for (let z = 0; z < size.z; z++) {
+      for (let x = 0; x < size.x; x++) {
+        for (let y = 0; y < size.y; y++) {
+          const block = blocks[x + z * size.x + y * size.x * size.z];
+          if ((skipAir && block === BLOCK.AIR) || from.y + y < 0 || from.y + y >= WORLD_HEIGHT) continue;
+          edits.push(from.x + x, from.y + y, from.z + z, block);
+        }
+      }
+    }
+    return this.queueEdit('Paste', edits);
+  }
+
+  // Quarter turns clockwise seen from above, about the clipboard's own corner
+  rotate(turns) {
+    const clipboard = this.getClipboard();
+    for (let turn = 0; turn < turns; turn++) {
+      const { x: sx, y: sy, z: sz } = clipboard.size;
+      const blocks = new Uint16Array(clipboard.blocks.length);
+      let i = 0;
+      for (let y = 0; y < sy; y++) {
+        for (let z = 0; z < sz; z++) {
+          for (let x = 0; x < sx; x++) {
+            // +x turns to +z and +z to -x
+            blocks[(sz - 1 - z) + x * sz + y * sz * sx] = rotateBlockId(clipboard.blocks[i++], 1);
+          }
+        }
+      }
+      clipboard.blocks = blocks;
+      clipboard.size = { x: sz, y: sy, z: sx };
+    }
+    return `Turned the clipboard ${turns * 90} degrees clockwise`;
+  }
+
+  // Flips the clipboard along `axis` ('x', 'y' or 'z') within its own box
+  mirror(axis) {
+    const clipboard = this.getClipboard();
+    const { x: sx, y: sy, z: sz } = clipboard.size;
+    const blocks = new Uint16Array(clipboard.blocks.length);
+    let i = 0;
+    for (let y = 0; y < sy; y++) {
+      for (let z = 0; z < sz; z++) {
+        for (let x = 0; x < sx; x++) {
+          const tx = axis === 'x' ? sx - 1 - x : x;
+          const ty = axis === 'y' ? sy - 1 - y : y;
+          const tz = axis === 'z' ? sz - 1 - z : z;
+          blocks[tx + tz * sx + ty * sx * sz] = mirrorBlockId(clipboard.blocks[i++], axis);
+        }
+      }
+    }
+    clipboard.blocks = blocks;
+    return `Mirrored the clipboard along ${axis}`;
+  }
+
+  // ==================== EDITS ====================
+
+  fill(box, block) {
+    this.checkBox(box);
+    return this.queueEdit('Fill', this.getBoxEdits(box, block));
+  }
+
+  // Only blocks that are `from` when the edit reaches them change
+  replace(box, from, to) {
+    this.checkBox(box);
+    return this.queueEdit('Replace', this.getBoxEdits(box, to), from);
+  }
+
+  // Bottom to top a column at a time, so a frame's batch covers few columns
+  // and the map and lighting go over each of them once
+  getBoxEdits(box, block) {
+    const edits = [];
+    for (let z = box.z1; z <= box.z2; z++) {
+      for (let x = box.x1; x <= box.x2; x++) {
+        for (let y = box.y1; y <= box.y2; y++) {
+          edits.push(x, y, z, block);
+        }
+      }
+    }
+    return edits;
+  }
+
+  undo() {
+    return this.playBack(this.undoStack, 'Undo', changes => this.pushHistory(this.redoStack, changes));
+  }
+
+  redo() {
+    return this.playBack(this.redoStack, 'Redo', changes => this.pushHistory(this.undoStack, changes));
+  }
+
+  // Puts back what the last entry of `stack` changed, newest change first so
+  // a block changed twice ends up as it started. What that changes goes on
+  // the other stack, which is how an undo is redone.
+  playBack(stack, name, done) {
+    if (this.jobs.length) throw new CommandError('Wait for the edit in progress to finish');
+    const changes = stack.pop();
+    if (!changes) throw new CommandError(`Nothing to ${name.toLowerCase()}`);
+    if (stack === this.undoStack) this.historySize -= changes.length / 5;
+
+    const edits = [];
+    for (let i = changes.length - 5; i >= 0; i -= 5) {
+      edits.push(changes[i], changes[i + 1], changes[i + 2], changes[i + 3]);
+    }
+    return this.queueEdit(name, edits, null, done);
+  }
+
+  pushHistory(stack, changes) {
+    if (!changes.length) return;
+    stack.push(changes);
+    if (stack !== this.undoStack) return;
+
+    this.historySize += changes.length / 5;
+    while (this.historySize > BUILD_HISTORY_BLOCKS) {
+      this.historySize -= this.undoStack.shift().length / 5;
+    }
+  }
+
+  // Queues [x, y, z, block, ...] edits. `done` gets what changed, as
+  // [x, y, z, before, after, ...]; by default that becomes a new undo step.
+  // Small edits finish at once and return their result; larger ones say
+  // so in the chat when they are through.
+  queueEdit(name, edits, only = null, done = null) {
+    const job = {
+      name,
+      edits,
+      only,
+      index: 0,
+      changes: [],
+      done: done || (changes => {
+        this.redoStack = [];
+        this.pushHistory(this.undoStack, changes);
+      }),
+      message: null,
+      waiting: false      // Held up by an unloaded chunk
+    };
+    this.jobs.push(job);
+    if (this.jobs.length === 1) this.update();
+    if (job.message) return job.message;
+
+    job.announce = true;
+    return `${name}: ${edits.length / 4} blocks queued`;
+  }
+
+  // Called every frame
+  update() {
+    if (!this.jobs.length) return;
+    const game = this.game;
+    game.beginBlockBatch();
+    try {
+      this.applyEdits(BUILD_BATCH_SIZE);
+    } finally {
+      game.endBlockBatch();
+    }
+  }
+
+  applyEdits(budget) {
+    const game = this.game;
+    while (budget > 0 && this.jobs.length) {
+      const job = this.jobs[0];
+      const { edits } = job;
+      for (; budget > 0 && job.index < edits.length; job.index += 4, budget--) {
+        const x = edits[job.index];
+        const y = edits[job.index + 1];
+        const z = edits[job.index + 2];
+        const block = edits[job.index + 3];
+        // An unloaded block reads as air: wait for it rather than note that
+        if (!game.isChunkLoadedAt(x, z)) {
+          if (!job.waiting) {
+            job.waiting = true;
+            job.announce = true;
+            game.chat.addLine(null, `${job.name} paused: part of the area is not loaded, go back to it to finish`);
+          }
+          return;
+        }
+        job.waiting = false;
+        const before = game.getBlock(x, y, z);
+        if (before === block || (job.only !== null && before !== job.only)) continue;
+        game.setBlock(x, y, z, block);
+        job.changes.push(x, y, z, before, block);
+      }
+      if (job.index < edits.length) return;
+
+      this.jobs.shift();
+      job.done(job.changes);
+      job.message = `${job.name}: ${job.changes.length / 5} blocks changed`;
+      if (job.announce) game.chat.addLine(null, job.message);
+    }
+  }
+
+  // ==================== SCHEMATICS ====================
+
+  exportSchematic(name) {
+    const clipboard = this.getClipboard();
+    const json = JSON.stringify(encodeSchematic(clipboard));
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const fileName = `${name}.schematic.json`;
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return `Saved the clipboard as ${fileName}`;
+  }
+
+  // Picking the file has to start from the key press that ran the command
+  importSchematic() {
+    document.getElementById('schematic-import').click();
+    return 'Choose a schematic file to load into the clipboard';
+  }
+}
@@ -0,0 +1,140 @@
+// ==================== CHAT ====================
+// The chat overlay: T opens it, / opens it with a command started. Lines
+// starting with "/" run as commands (see commands.js), anything else goes to
+// the other LAN players, or just to the log when playing alone.
+class ChatConsole {
+  constructor(game) {
+    this.game = game;
+    this.isOpen = false;
+    this.history = [];        // Sent lines, oldest first
+    this.historyIndex = 0;    // history.length while editing a new line
+    this.draft = '';          // The new line, kept while browsing history
+  }
+
+  setupUI() {
+    document.addEventListener('keydown', e => {
+      if (this.isOpen || !this.canOpen()) return;
+      if (e.code === 'KeyT' || e.key === '/') {
+        e.preventDefault();
+        this.open(e.key === '/' ? '/' : '');
+      }
+    });
+
+    const input = document.getElementById('chat-input');
+    input.maxLength = CHAT_MAX_LENGTH;
+    input.addEventListener('keydown', e => {
+      // The game's own key handling must not see keys typed into the chat
+      e.stopPropagation();
+      switch (e.code) {
+        case 'Enter':
+          this.submit(input.value.trim());
+          this.close();
+          break;
+        case 'Escape':
+          this.close();
+          break;
+        case 'Tab':
+          e.preventDefault();
+          this.complete();
+          break;
+        case 'ArrowUp':
+        case 'ArrowDown':
+          e.preventDefault();
+          this.browseHistory(e.code === 'ArrowUp' ? -1 : 1);
+          break;
+      }
+    });
+  }
+
+  canOpen() {
+    const game = this.game;
+    return game.isPlaying && !game.isPaused && !game.inventoryOpen &&
+           !game.player.isDead && !!document.pointerLockElement;
+  }
+
+  open(text = '') {
+    this.isOpen = true;
+    this.game.keys = {};
+    this.historyIndex = this.history.length;
+    document.getElementById('chat').classList.add('open');
+    const input = document.getElementById('chat-input');
+    input.value = text;
+    input.focus();
+    document.exitPointerLock();
+  }
+
+  close() {
+    this.isOpen = false;
+    document.getElementById('chat').classList.remove('open');
+    document.getElementById('chat-input').blur();
+    if (this.game.isPlaying) this.game.renderer.domElement.requestPointerLock();
+  }
+
+  submit(text) {
+    if (!text) return;
+    if (this.history[this.history.length - 1] !== text) {
+      this.history.push(text);
+      if (this.history.length > CHAT_HISTORY_SIZE) this.history.shift();
+    }
+
+    if (!text.startsWith('/')) {
+      const multiplayer = this.game.multiplayer;
+      if (multiplayer.connected) {
+        multiplayer.sendChat(text);
+      } else {
+        this.addLine(multiplayer.getPlayerName(), text);
+      }
+      return;
+    }
+
+    try {
+      const result = runCommand(this.game, text);
+      if (result) this.addLine(null, result);
+    } catch (err) {
+      if (!(err instanceof CommandError)) console.error(`Command "${text}" failed:`, err);
+      this.addLine(null, err.message, 'error');
+    }
+  }
+
+  // Completes the word at the end of the line as far as every candidate
+  // agrees, and lists the candidates when there is more than one
+  complete() {
+    const input = document.getElementById('chat-input');
+    if (!input.value.startsWith('/')) return;
+
+    const candidates = getCommandCompletions(this.game, input.value);
+    if (candidates.length === 0) return;
+
+    let common = candidates[0];
+    for (const candidate of candidates) {
+      while (!candidate.startsWith(common)) common = common.slice(0, -1);
+    }
+    const start = input.value.lastIndexOf(' ') + 1 || 1;
+    input.value = input.value.slice(0, start) + common + (candidates.length === 1 ? ' ' : '');
+
+    if (candidates.length > 1) this.addLine(null, candidates.slice(0, 30).join(', ') + (candidates.length > 30 ? ', ...' : ''));
+  }
+
+  browseHistory(step) {
+    const input = document.getElementById('chat-input');
+    if (this.historyIndex === this.history.length) this.draft = input.value;
+
+    this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step));
+    input.value = this.historyIndex === this.history.length ? this.draft : this.history[this.historyIndex];
+  }
+
+  // `name` is null for messages from the game or the server, which are shown
+  // in yellow, or in red with kind 'error'
+  addLine(name, text, kind = null) {
+    const log = document.getElementById('chat-log');
+    for (const part of text.split('\n')) {
+      const line = document.createElement('div');
+      line.className = 'chat-line' + (name === null ? ` ${kind || 'system'}` : '');
+      line.textContent = name === null ? part : `<${name}> ${part}`;
+      log.appendChild(line);
+      setTimeout(() => line.classList.add('faded'), CHAT_FADE_TIME * 1000);
+    }
+    while (log.children.length > 100) log.firstChild.remove();
+    log.scrollTop = log.scrollHeight;
+  }
+}
@@ -0,0 +1,172 @@
+// ==================== CHUNK WORKER POOL ====================
+// Runs chunk generation and meshing on several copies of chunk-worker.js.
+// Requests wait in a queue keyed by kind and chunk, so asking twice is
+// free. Payloads are only built (and chunk buffers copied) when a worker
+// picks the job up, which keeps the data fresh and the queue cheap. Jobs
+// near the player and in front of the camera go first.
+class ChunkWorkerPool {
+  constructor(game, size = Math.max(1, Math.min(MAX_CHUNK_WORKERS, (navigator.hardwareConcurrency || 4) - 1))) {
+    this.game = game;
+    this.workers = [];
+    this.queue = new Map();      // "kind:cx,cz" -> job
+    this.inflight = new Map();   // request id -> job
+    this.inflightKeys = new Set();
+    this.requestId = 0;
+
+    for (let i = 0; i < size; i++) {
+      try {
+        this.spawnWorker();
+      } catch (e) {
+        console.warn('Failed to start chunk worker:', e);
+      }
+    }
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  get pendingCount() {
+    return this.queue.size + this.inflight.size;
+  }
+
+  spawnWorker() {
+    const entry = { worker: new Worker('js/workers/chunk-worker.js'), job: null };
+
+    entry.worker.onmessage = (e) => {
+      const { type, id } = e.data;
+      if (type === 'ready') return;
+
+      const job = this.inflight.get(id);
+      this.inflight.delete(id);
+      if (entry.job === job) entry.job = null;
+      if (job) this.inflightKeys.delete(job.key);
+
+      // Chunks unloaded or rebuilt while the worker was busy are dropped
+      if (job && !job.cancelled) this.game.handleChunkWorkerMessage(e.data);
+      this.pump();
+    };
+
+    entry.worker.onerror = (e) => {
+      console.error('Chunk worker error:', e);
+      const job = entry.job;
+      entry.job = null;
+      if (job) {
+        this.inflight.delete(job.id);
+        this.inflightKeys.delete(job.key);
+        this.game.handleChunkWorkerError(job);
+      }
+      this.pump();
+    };
+
+    this.workers.push(entry);
+  }
+
+  init(seed) {
+    for (const { worker } of this.workers) {
+      worker.postMessage({ type: 'init', seed });
+    }
+  }
+
+  // Mod blocks and items, as resolved by Registry.register
+  setRegistry(definitions) {
+    for (const { worker } of this.workers) {
+      worker.postMessage({ type: 'registry', definitions });
+    }
+  }
+
+  // Block id -> `tex` for blocks a resource pack re-textured (or restored)
+  setBlockTextures(textures) {
+    for (const { worker } of this.workers) {
+      worker.postMessage({ type: 'blockTextures', textures });
+    }
+  }
+
+  // kind is 'generate' or 'mesh'; urgent jobs (edits next to the player)
+  // skip ahead of everything else. Mesh jobs rebuild the sections in the
+  // `sections` mask, gathering more while they wait.
+  request(kind, cx, cz, urgent = false, sections = ALL_SECTIONS) {
+    const key = `${kind}:${cx},${cz}`;
+    const queued = this.queue.get(key);
+    if (queued) {
+      queued.urgent = queued.urgent || urgent;
+      queued.sections |= sections;
+    } else {
+      this.queue.set(key, { key, kind, cx, cz, urgent, sections });
+    }
+    this.pump();
+  }
+
+  isQueued(kind, cx, cz) {
+    return this.queue.has(`${kind}:${cx},${cz}`);
+  }
+
+  // Forgets queued work for a chunk and ignores results still on their way
+  cancel(cx, cz) {
+    for (const kind of ['generate', 'mesh']) {
+      this.queue.delete(`${kind}:${cx},${cz}`);
+    }
+    this.inflight.forEach(job => {
+      if (job.cx === cx && job.cz === cz) job.cancelled = true;
+    });
+  }
+
+  clear() {
+    this.queue.clear();
+    this.inflight.forEach(job => { job.cancelled = true; });
+  }
+
+  // Lower is sooner: distance in chunks, counted up to twice as far for
+  // chunks behind the camera
+  getPriority(job, pcx, pcz, forwardX, forwardZ) {
+    if (job.urgent) return -Infinity;
+    const dx = job.cx + 0.5 - pcx;
+    const dz = job.cz + 0.5 - pcz;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    const facing = dist > 0 ? (dx * forwardX + dz * forwardZ) / dist : 1;
+    return dist * (1.5 - 0.5 * facing);
+  }
+
+  nextJob() {
+    const { position, yaw } = this.game.player;
+    const pcx = position.x / CHUNK_SIZE;
+    const pcz = position.z / CHUNK_SIZE;
+    const forwardX = -Math.sin(yaw);
+    const forwardZ = -Math.cos(yaw);
+
+    let best = null;
+    let bestPriority = Infinity;
+    this.queue.forEach(job => {
+      // One build per chunk at a time, so an older mesh can't land last
+      if (this.inflightKeys.has(job.key)) return;
+      const priority = this.getPriority(job, pcx, pcz, forwardX, forwardZ);
+      if (priority < bestPriority) {
+        best = job;
+        bestPriority = priority;
+      }
+    });
+    return best;
+  }
+
+  pump() {
+    for (const entry of this.workers) {
+      if (entry.job) continue;
+
+      let job = this.nextJob();
+      let message = null;
+      while (job) {
+        this.queue.delete(job.key);
+        message = this.game.buildChunkWorkerMessage(job);
+        if (message) break;
+        job = this.nextJob();
+      }
+      if (!job) return;
+
+      job.id = this.requestId++;
+      entry.job = job;
+      this.inflight.set(job.id, job);
+      this.inflightKeys.add(job.key);
+      entry.worker.postMessage({ ...message.data, id: job.id }, message.transfer);
+    }
+  }
+}
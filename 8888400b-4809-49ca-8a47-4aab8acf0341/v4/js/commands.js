@@ -0,0 +1,385 @@
+// ==================== COMMANDS ====================
+// Slash commands typed into the chat, see ChatConsole. Each command gets the
+// game and its arguments split on whitespace. Whatever text it returns is
+// printed in the chat, and a CommandError is printed in red instead.
+//
+// Coordinates may be written relative to the player with "~", as in
+// "/tp ~ ~10 ~". Blocks and items are named after BLOCK_DATA/ITEM_DATA names
+// in lowercase with underscores ("diamond_pickaxe"), or by numeric id.
+
+class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+// Named times for /time set, as fractions of the day from sunrise
+const NAMED_TIMES = { sunrise: 0, day: 1 / 24, noon: 0.25, sunset: 0.5, night: 13 / 24, midnight: 0.75 };
+
+// Built on each call so blocks registered after startup are included.
+// The first id wins when names repeat (the flowing fluid levels share one).
+function getItemNames(blocksOnly = false) {
+  const names = new Map([['air', BLOCK.AIR]]);
+  const add = (id, data) => {
+    const name = data.name.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+    if (!names.has(name)) names.set(name, Number(id));
+  };
+  for (const [id, data] of Object.entries(BLOCK_DATA)) add(id, data);
+  if (!blocksOnly) {
+    for (const [id, data] of Object.entries(ITEM_DATA)) add(id, data);
+  }
+  return names;
+}
+
+function getItemName(id) {
+  for (const [name, other] of getItemNames()) {
+    if (other === id) return name;
+  }
+  return String(id);
+}
+
+function parseItem(arg, blocksOnly = false) {
+  const kind = blocksOnly ? 'block' : 'item';
+  if (arg === undefined) throw new CommandError(`Missing ${kind}`);
+
+  const names = getItemNames(blocksOnly);
+  if (/^\d+$/.test(arg)) {
+    const id = Number(arg);
+    if (id === BLOCK.AIR || BLOCK_DATA[id] || (!blocksOnly && ITEM_DATA[id])) return id;
+  } else if (names.has(arg.toLowerCase())) {
+    return names.get(arg.toLowerCase());
+  }
+  throw new CommandError(`Unknown ${kind} "${arg}"`);
+}
+
+function parseNumber(arg, what, integer = false) {
+  const value = Number(arg);
+  if (arg === undefined || arg === '' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+    throw new CommandError(`Expected ${integer ? 'a whole number' : 'a number'} for ${what}, got "${arg ?? ''}"`);
+  }
+  return value;
+}
+
+// "12", "~" or "~-3" against the player's own coordinate
+function parseCoordinate(arg, base, what, integer) {
+  if (arg !== undefined && arg.startsWith('~')) {
+    const offset = arg.length > 1 ? parseNumber(arg.slice(1), what, integer) : 0;
+    return integer ? Math.floor(base) + offset : base + offset;
+  }
+  return parseNumber(arg, what, integer);
+}
+
+// Three coordinates starting at args[index]. Relative ones are taken from
+// the player's feet; `integer` asks for block coordinates.
+function parsePosition(game, args, index, integer = true) {
+  const pos = game.player.position;
+  return {
+    x: parseCoordinate(args[index], pos.x, 'x', integer),
+    y: parseCoordinate(args[index + 1], pos.y - PLAYER_HEIGHT, 'y', integer),
+    z: parseCoordinate(args[index + 2], pos.z, 'z', integer)
+  };
+}
+
+function checkHeight(y) {
+  if (y < 0 || y >= WORLD_HEIGHT) throw new CommandError(`y must be between 0 and ${WORLD_HEIGHT - 1}`);
+}
+
+function formatTime(game) {
+  const hours = (game.getTimeOfDay() * 24 + 6) % 24;
+  const hh = String(Math.floor(hours)).padStart(2, '0');
+  const mm = String(Math.floor((hours % 1) * 60)).padStart(2, '0');
+  return `${hh}:${mm} on day ${Math.floor(game.worldTime / DAY_LENGTH) + 1}`;
+}
+
+function setSelectionCorner(game, args, index) {
+  const { x, y, z } = parsePosition(game, args.length ? args : ['~', '~', '~'], 0);
+  checkHeight(y);
+  return game.buildTool.setCorner(index, x, y, z);
+}
+
+function formatUsage(name, command) {
+  return command.usage ? `/${name} ${command.usage}` : `/${name}`;
+}
+
+// `shared` commands change the world every LAN player sees, which only the
+// server may do, so they are refused while connected
+const COMMANDS = {
+  help: {
+    usage: '[command]',
+    description: 'Lists the commands, or shows how to use one',
+    complete: (game, args) => args.length === 1 ? Object.keys(COMMANDS) : [],
+    run(game, args) {
+      if (args[0]) {
+        const command = findCommand(args[0].replace(/^\//, ''));
+        if (!command) throw new CommandError(`Unknown command "${args[0]}"`);
+        return `${formatUsage(args[0].replace(/^\//, ''), command)} - ${command.description}`;
+      }
+      return Object.entries(COMMANDS).map(([name, command]) => formatUsage(name, command)).join('\n');
+    }
+  },
+
+  tp: {
+    usage: '<x> <y> <z>',
+    description: 'Teleports you, feet first, to a position',
+    run(game, args) {
+      const target = parsePosition(game, args, 0, false);
+      // Whole block coordinates mean the middle of the block
+      if (Number.isInteger(target.x) && !args[0].startsWith('~')) target.x += 0.5;
+      if (Number.isInteger(target.z) && !args[2].startsWith('~')) target.z += 0.5;
+
+      const player = game.player;
+      player.position.set(target.x, target.y + PLAYER_HEIGHT, target.z);
+      player.velocity.set(0, 0, 0);
+      player.fallStartY = null;
+      return `Teleported to ${target.x.toFixed(1)}, ${target.y.toFixed(1)}, ${target.z.toFixed(1)}`;
+    }
+  },
+
+  give: {
+    usage: '<item> [count]',
+    description: 'Puts items in your inventory',
+    complete: (game, args) => args.length === 1 ? Array.from(getItemNames().keys()).filter(name => name !== 'air') : [],
+    run(game, args) {
+      const id = parseItem(args[0]);
+      if (id === BLOCK.AIR) throw new CommandError('Air cannot be given');
+      const count = args[1] === undefined ? 1 : parseNumber(args[1], 'count', true);
+      const maxCount = MAX_STACK_SIZE * (game.hotbarSlots.length + game.inventorySlots.length);
+      if (count < 1 || count > maxCount) throw new CommandError(`Count must be between 1 and ${maxCount}`);
+
+      if (!game.giveItem(id, count)) return `Gave what fitted of ${count} ${getItemName(id)}; the inventory is full`;
+      return `Gave ${count} ${getItemName(id)}`;
+    }
+  },
+
+  gamemode: {
+    usage: '<survival|creative>',
+    description: 'Switches between survival and creative',
+    complete: (game, args) => args.length === 1 ? ['survival', 'creative'] : [],
+    run(game, args) {
+      const modes = { survival: 'survival', s: 'survival', 0: 'survival', creative: 'creative', c: 'creative', 1: 'creative' };
+      const mode = modes[(args[0] || '').toLowerCase()];
+      if (!mode) throw new CommandError('Game mode must be survival or creative');
+      if (game.gameMode !== mode) game.toggleGameMode();
+      return `Game mode set to ${mode}`;
+    }
+  },
+
+  seed: {
+    usage: '',
+    description: 'Shows the world seed',
+    run(game) {
+      return `Seed: ${game.worldSeed}`;
+    }
+  },
+
+  setblock: {
+    usage: '<x> <y> <z> <block>',
+    description: 'Replaces one block',
+    shared: true,
+    complete: (game, args) => args.length === 4 ? Array.from(getItemNames(true).keys()) : [],
+    run(game, args) {
+      const { x, y, z } = parsePosition(game, args, 0);
+      const block = parseItem(args[3], true);
+      checkHeight(y);
+      game.setBlock(x, y, z, block);
+      return `Placed ${getItemName(block)} at ${x}, ${y}, ${z}`;
+    }
+  },
+
+  fill: {
+    usage: '[<x1> <y1> <z1> <x2> <y2> <z2>] <block>',
+    description: `Replaces every block in a box, or in the wand selection, up to ${BUILD_MAX_BLOCKS} at once`,
+    shared: true,
+    complete: (game, args) => args.length === 7 || args.length === 1 ? Array.from(getItemNames(true).keys()) : [],
+    run(game, args) {
+      if (args.length <= 1) {
+        const block = parseItem(args[0], true);
+        return game.buildTool.fill(game.buildTool.getBox(), block);
+      }
+      const from = parsePosition(game, args, 0);
+      const to = parsePosition(game, args, 3);
+      const block = parseItem(args[6], true);
+      checkHeight(from.y);
+      checkHeight(to.y);
+      return game.buildTool.fill(makeBox(from, to), block);
+    }
+  },
+
+  replace: {
+    usage: '<from> <to>',
+    description: 'Changes one kind of block into another in the wand selection',
+    shared: true,
+    complete: (game, args) => args.length <= 2 ? Array.from(getItemNames(true).keys()) : [],
+    run(game, args) {
+      const from = parseItem(args[0], true);
+      const to = parseItem(args[1], true);
+      return game.buildTool.replace(game.buildTool.getBox(), from, to);
+    }
+  },
+
+  pos1: {
+    usage: '[x y z]',
+    description: 'Sets the first corner of the wand selection, by default where you stand',
+    run: (game, args) => setSelectionCorner(game, args, 0)
+  },
+
+  pos2: {
+    usage: '[x y z]',
+    description: 'Sets the second corner of the wand selection, by default where you stand',
+    run: (game, args) => setSelectionCorner(game, args, 1)
+  },
+
+  copy: {
+    usage: '',
+    description: 'Copies the wand selection, remembering where it is from you',
+    run: (game) => game.buildTool.copy()
+  },
+
+  paste: {
+    usage: '[noair]',
+    description: 'Places the clipboard where it was copied from you; noair leaves what is there in place of air',
+    shared: true,
+    complete: (game, args) => args.length === 1 ? ['noair'] : [],
+    run(game, args) {
+      if (args[0] !== undefined && args[0] !== 'noair') throw new CommandError('Use /paste or /paste noair');
+      return game.buildTool.paste(args[0] === 'noair');
+    }
+  },
+
+  rotate: {
+    usage: '[90|180|270]',
+    description: 'Turns the clipboard clockwise, seen from above',
+    complete: (game, args) => args.length === 1 ? ['90', '180', '270'] : [],
+    run(game, args) {
+      const degrees = args[0] === undefined ? 90 : parseNumber(args[0], 'degrees', true);
+      if (degrees % 90 !== 0) throw new CommandError('Turns go in steps of 90 degrees');
+      return game.buildTool.rotate((degrees / 90 % 4 + 4) % 4);
+    }
+  },
+
+  mirror: {
+    usage: '<x|y|z>',
+    description: 'Flips the clipboard along an axis',
+    complete: (game, args) => args.length === 1 ? ['x', 'y', 'z'] : [],
+    run(game, args) {
+      const axis = (args[0] || '').toLowerCase();
+      if (!['x', 'y', 'z'].includes(axis)) throw new CommandError('Axis must be x, y or z');
+      return game.buildTool.mirror(axis);
+    }
+  },
+
+  undo: {
+    usage: '',
+    description: 'Takes back the last /fill, /replace, /paste or /redo',
+    shared: true,
+    run: (game) => game.buildTool.undo()
+  },
+
+  redo: {
+    usage: '',
+    description: 'Does again what /undo took back',
+    shared: true,
+    run: (game) => game.buildTool.redo()
+  },
+
+  schematic: {
+    usage: '<export|import> [name]',
+    description: 'Saves the clipboard to a schematic file, or loads one into it',
+    complete: (game, args) => args.length === 1 ? ['export', 'import'] : [],
+    run(game, args) {
+      if (args[0] === 'import') return game.buildTool.importSchematic();
+      if (args[0] !== 'export') throw new CommandError('Use /schematic export [name] or /schematic import');
+      const name = args[1] || 'build';
+      if (!/^[\w-]+$/.test(name)) throw new CommandError('Names may only use letters, digits, _ and -');
+      return game.buildTool.exportSchematic(name);
+    }
+  },
+
+  time: {
+    usage: '<set|add|query> [value]',
+    description: `Sets the time (${Object.keys(NAMED_TIMES).join(', ')} or hh:mm), skips ahead by seconds, or shows it`,
+    complete: (game, args) => args.length === 1 ? ['set', 'add', 'query']
+      : args.length === 2 && args[0] === 'set' ? Object.keys(NAMED_TIMES) : [],
+    run(game, args) {
+      const [action, value] = args;
+      if (action === 'query') return `It is ${formatTime(game)}`;
+      if (action !== 'set' && action !== 'add') throw new CommandError('Use /time set, /time add or /time query');
+      if (game.multiplayer.connected) throw new CommandError('The LAN server keeps the time');
+
+      if (action === 'add') {
+        game.worldTime += parseNumber(value, 'seconds');
+        game.worldTime = Math.max(0, game.worldTime);
+        return `It is now ${formatTime(game)}`;
+      }
+
+      let fraction = NAMED_TIMES[value];
+      if (fraction === undefined) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+          throw new CommandError(`Time must be hh:mm or one of ${Object.keys(NAMED_TIMES).join(', ')}`);
+        }
+        // The day starts at 06:00
+        fraction = ((Number(match[1]) + Number(match[2]) / 60 - 6 + 24) % 24) / 24;
+      }
+      // Always forwards, to the next time the clock shows that
+      let delta = fraction - game.getTimeOfDay();
+      if (delta < 0) delta += 1;
+      game.worldTime += delta * DAY_LENGTH;
+      return `It is now ${formatTime(game)}`;
+    }
+  },
+
+  kill: {
+    usage: '',
+    description: 'Kills you, even in creative',
+    run(game) {
+      if (game.player.isDead) throw new CommandError('You are already dead');
+      game.playerDie('Killed by a command');
+      return null;
+    }
+  },
+
+  spawnpoint: {
+    usage: '[x y z]',
+    description: 'Sets where you respawn, by default where you stand',
+    run(game, args) {
+      const { x, y, z } = parsePosition(game, args.length ? args : ['~', '~', '~'], 0);
+      checkHeight(y);
+      game.spawnPoint = { x, y, z };
+      return `Spawn point set to ${x}, ${y}, ${z}`;
+    }
+  }
+};
+
+// Own keys only, so names like "constructor" aren't taken for commands
+function findCommand(name) {
+  const key = name.toLowerCase();
+  return Object.hasOwn(COMMANDS, key) ? COMMANDS[key] : null;
+}
+
+// Runs one line typed after "/", returning the text to show for it
+function runCommand(game, line) {
+  const [name, ...args] = line.trim().replace(/^\//, '').split(/\s+/);
+  const command = findCommand(name);
+  if (!command) throw new CommandError(`Unknown command "/${name}", try /help`);
+  if (command.shared && game.multiplayer.connected) {
+    throw new CommandError(`/${name} is not available in LAN games, the server owns the world`);
+  }
+  return command.run(game, args);
+}
+
+// Candidates for the word being typed at the end of `line`
+function getCommandCompletions(game, line) {
+  const words = line.replace(/^\//, '').split(' ');
+  const partial = words[words.length - 1].toLowerCase();
+
+  let candidates;
+  if (words.length === 1) {
+    candidates = Object.keys(COMMANDS);
+  } else {
+    const command = findCommand(words[0]);
+    candidates = command?.complete ? command.complete(game, words.slice(1)) : [];
+  }
+  return candidates.filter(candidate => candidate.startsWith(partial));
+}
@@ -8,45 +8,214 @@ const PLAYER_WIDTH = 0.6;
 const WALK_SPEED = 4.3;
 const SPRINT_SPEED = 5.6;
 const FLY_SPEED = 10;
-const WATER_LEVEL = 0;
+const WATER_LEVEL = 14;
+const LAVA_LEVEL = 10;
 const PLACE_COOLDOWN = 0.1;
 const BREAK_COOLDOWN = 0;
 const CREATIVE_PLACE_COOLDOWN = 0.1;
 const CREATIVE_BREAK_COOLDOWN = 0.1;
 const MAX_HEALTH = 20;
+const MAX_HUNGER = 20;
 const MAX_STACK_SIZE = 64;
-const SAVE_VERSION = 1;
-const MAX_SAVE_SLOTS = 3;
+const DROPPED_ITEM_LIFETIME = 300; // Seconds before a dropped item despawns
+const SAVE_VERSION = 2;            // Bump together with a SAVE_MIGRATIONS entry
+const MAX_SAVE_SLOTS = Infinity;
+const REGION_SIZE = 8;             // Chunks per side of a stored region
+const REGION_RETRY_DELAY = 1000;   // ms before a failed region read is tried again, doubling each time
+const REGION_RETRY_MAX = 60000;
+const MAX_CHUNK_WORKERS = 8;        // Upper bound for the chunk worker pool
+
+// Chunk meshes are split into sections stacked up the column, each rebuilt on
+// its own. Sets of sections travel as bit masks, one bit per section.
+const SECTION_HEIGHT = 16;
+const SECTION_COUNT = WORLD_HEIGHT / SECTION_HEIGHT;
+const ALL_SECTIONS = (1 << SECTION_COUNT) - 1;
 const AUTOSAVE_INTERVAL = 30000;
 
+// Fluids
+const FLUID_MAX_LEVEL = 8;         // Level of a source block (and of falling fluid)
+const WATER_TICK_RATE = 0.25;      // Seconds between water spread steps
+const LAVA_TICK_RATE = 1.5;        // Seconds between lava spread steps
+const MAX_FLUID_UPDATES_PER_FRAME = 256;
+const SWIM_FORCE = 4;
+const LAVA_DAMAGE_INTERVAL = 0.5;
+const LAVA_DAMAGE = 2;
+
+// Hunger, see the HUNGER section of game.js. Actions add exhaustion, and
+// every EXHAUSTION_PER_POINT of it costs a point of saturation, or of hunger
+// once saturation is gone.
+const START_SATURATION = 5;
+const EXHAUSTION_PER_POINT = 4;
+const SPRINT_EXHAUSTION = 0.1;       // Per block sprinted
+const JUMP_EXHAUSTION = 0.05;
+const SPRINT_JUMP_EXHAUSTION = 0.2;
+const ATTACK_EXHAUSTION = 0.1;
+const DAMAGE_EXHAUSTION = 0.1;
+const MINE_EXHAUSTION = 0.005;
+const REGEN_HUNGER = 18;             // Health comes back at or above this hunger
+const REGEN_INTERVAL = 4;            // Seconds per health point healed, or lost while starving
+const REGEN_EXHAUSTION = 6;          // Exhaustion per health point healed
+const STARVE_MIN_HEALTH = 1;         // Starving stops hurting at this health
+const SPRINT_MIN_HUNGER = 6;         // Too hungry to sprint at or below this
+const EAT_DURATION = 1.6;            // Seconds right-click is held to eat
+
+// Lighting and time of day
+const MAX_LIGHT = 15;
+const DAY_LENGTH = 1200;           // Seconds per full day/night cycle
+const NEW_WORLD_TIME = 0.05;       // Fraction of a day new worlds start at (just after sunrise)
+const MIN_DAYLIGHT = 0.15;         // Sky light multiplier at midnight (moonlight)
+
+// Mobs
+const MOB_SPAWN_INTERVAL = 1;      // Seconds between spawn attempts
+const MOB_SPAWN_ATTEMPTS = 4;      // Random positions tried per attempt
+const MOB_SPAWN_MIN_DIST = 20;
+const MOB_SPAWN_MAX_DIST = 44;
+const MOB_DESPAWN_DIST = 80;
+const MAX_PASSIVE_MOBS = 12;
+const MAX_HOSTILE_MOBS = 10;
+const MOB_HOSTILE_MAX_LIGHT = 7;   // Hostile mobs only spawn at or below this light level
+const MOB_PATH_MAX_NODES = 300;
+const MOB_JUMP_FORCE = 8;
+const MOB_HURT_COOLDOWN = 0.5;
+const PLAYER_REACH = 4.5;
+const PLAYER_ATTACK_DAMAGE = 1;    // Bare-handed damage
+const PLAYER_ATTACK_SPEED = 4;     // Bare-handed attacks per second at full strength
+const KNOCKBACK_FORCE = 6;
+const SPRINT_KNOCKBACK_BONUS = 4;
+const THIRD_PERSON_DISTANCE = 4;   // Blocks from the eyes to the third-person camera
+const CAMERA_WALL_MARGIN = 0.2;    // Gap the camera keeps to a block it backs into
+const ARM_SWING_TIME = 0.3;        // Seconds per arm swing when mining, attacking or placing
+
+// LAN multiplayer, see server/server.js
+const LAN_PORT = 25565;
+const NETWORK_VERSION = 1;         // Bump when the message format changes
+const PLAYER_SYNC_RATE = 20;       // Position updates sent per second
+const REMOTE_PLAYER_DELAY = 0.1;   // Seconds remote players are drawn behind, to interpolate
+
+// Chat and slash commands, see chat.js and commands.js
+const CHAT_MAX_LENGTH = 256;
+const CHAT_FADE_TIME = 10;         // Seconds chat lines stay up while the chat is closed
+const CHAT_HISTORY_SIZE = 50;      // Sent lines that ArrowUp can bring back
+
+// World map and minimap, see world-map.js
+const MINIMAP_SIZE = 128;          // Pixels across the corner minimap
+const MINIMAP_SCALE = 1;           // Minimap pixels per block
+const MAP_DEFAULT_ZOOM = 2;        // Full map pixels per block when it opens
+const MAP_MIN_ZOOM = 0.25;
+const MAP_MAX_ZOOM = 8;
+const WAYPOINT_NAME_LENGTH = 24;
+const WAYPOINT_COLORS = ['#3b82f6', '#22c55e', '#eab308', '#a855f7', '#f97316', '#06b6d4'];
+
+// Creative building tools, see build-tool.js
+const BUILD_MAX_BLOCKS = 262144;     // Largest box copied, filled or pasted at once
+const BUILD_BATCH_SIZE = 2048;       // Blocks a large edit changes per frame
+const BUILD_HISTORY_BLOCKS = 1048576; // Changed blocks kept for /undo, oldest edits dropped first
+
+// Redstone, see redstone.js
+const REDSTONE_TICK = 0.1;         // Seconds per redstone tick
+const MAX_REDSTONE_POWER = 15;     // Power next to a source; wire loses 1 per block
+const BUTTON_PRESS_TICKS = 10;     // How long a pressed button stays on
+const PRESSURE_PLATE_TICKS = 10;   // How often a pressed plate checks it is still stood on
+const PISTON_PUSH_LIMIT = 12;      // Most blocks one piston moves
+const MAX_REDSTONE_UPDATES_PER_TICK = 512;
+const MAX_WIRE_NETWORK = 4096;     // Most wire blocks recomputed in one go
+
+// Block updates and random ticks, see block-ticks.js
+const BLOCK_TICK = 0.05;           // Seconds per block tick
+const MAX_BLOCK_UPDATES_PER_TICK = 256;
+const RANDOM_TICKS_PER_CHUNK = 24; // Random blocks picked in each nearby chunk per tick
+const RANDOM_TICK_RADIUS = 4;      // Chunks around the player that get random ticks
+const FALL_DELAY_TICKS = 2;        // Ticks before unsupported sand or gravel starts falling
+const MAX_FALL_SPEED = 40;
+const LEAF_DECAY_DISTANCE = 4;     // Leaves further than this from a log decay
+const LEAF_DECAY_TICKS = 40;       // Leaves cut off from their log decay within this many ticks
+const MIN_GROWTH_LIGHT = 9;        // Light saplings and spreading grass need
+const SAPLING_GROWTH_CHANCE = 0.2; // Chance a random tick grows a sapling
+const CROP_GROWTH_CHANCE = 0.5;    // Chance a random tick grows a crop on wet farmland, half on dry
+const FARMLAND_WATER_RANGE = 4;    // Blocks sideways farmland finds water from
+
 const BLOCK_TYPE = {
   CUBE: 0,
-  CROSS: 1
+  CROSS: 1,
+  BOX: 2     // Made of the `boxes` listed in BLOCK_DATA
 };
 
 // Block types
 const BLOCK = {
   AIR: 0, GRASS: 1, DIRT: 2, STONE: 3, WOOD: 4, LEAVES: 5,
-  SAND: 6, /*WATER: 7,*/ COBBLE: 8, PLANKS: 9, BEDROCK: 10,
+  SAND: 6, WATER: 7, COBBLE: 8, PLANKS: 9, BEDROCK: 10,
   GRAVEL: 11, COAL_ORE: 12, IRON_ORE: 13, SNOW: 14, GLASS: 15,
-  DIAMOND_ORE: 16, GOLD_ORE: 17, CRAFTING_TABLE: 18,
+  DIAMOND_ORE: 16, GOLD_ORE: 17, CRAFTING_TABLE: 18, LAVA: 19,
+  TORCH: 20, FURNACE: 21, FURNACE_LIT: 22, CHEST: 23,
+  BIRCH_LOG: 24, SPRUCE_LOG: 25, CACTUS: 26,
+  FARMLAND: 27, FARMLAND_WET: 28, WHEAT: 29,
   TALL_GRASS: 30,
   FLOWER_RED: 31,
   FLOWER_YELLOW: 32,
   FLOWER_BLUE: 33,
   DEAD_BUSH: 34,
-  SAPLING: 35
+  SAPLING: 35,
+  LEVER: 36, LEVER_ON: 37, BUTTON: 38, BUTTON_ON: 39,
+  PRESSURE_PLATE: 40, PRESSURE_PLATE_ON: 41, LAMP: 42, LAMP_ON: 43,
+  REDSTONE_ORE: 44,
+  REDSTONE_WIRE: 64, DOOR: 80, PISTON: 88
 };
 
-// Item types (tools, materials, etc.)
+// Flowing fluid block ids: one id per level, 1-7 spreading and 8 falling.
+// Keeping the level in the block id means modifiedBlocks, saves and the
+// chunk worker all carry fluid state without any extra data.
+const WATER_FLOW_START = 48;
+const LAVA_FLOW_START = 56;
+
+// Redstone parts keep their state in the block id the same way. Block ids
+// have to stay below 100, where items start, so each range is kept tight.
+// (Mod blocks get their own range, see MOD_BLOCK_FIRST_ID below.)
+const REDSTONE_WIRE_START = 64;    // + power, 0-15
+const DOOR_START = 80;             // + DOOR_* bits
+const DOOR_AXIS = 1;               // Panel along the z axis instead of the x axis
+const DOOR_OPEN = 2;
+const DOOR_UPPER = 4;
+const PISTON_START = 88;           // + facing, retracted
+const PISTON_EXTENDED_START = 92;  // + facing
+const PISTON_HEAD_START = 96;      // + facing
+
+// Wheat growth stages, from planted seeds to ripe. Crops came after the
+// ranges above were handed out, so the stages take the spare ids between them.
+const WHEAT_STAGES = [BLOCK.WHEAT, 45, 46, 47];
+
+// Horizontal facings as [dx, dz]. Each is a quarter turn on from the one
+// before, which is how rotateBoxes() and rotateTex() turn block shapes.
+const FACING_OFFSETS = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+
+// Item types (tools, materials, etc.). Materials and food count up from 100
+// and must stay below MOD_BLOCK_FIRST_ID; tools and armor go in tens from 200.
 const ITEM = {
   COAL: 100, IRON_INGOT: 101, GOLD_INGOT: 102, DIAMOND: 103, STICK: 104,
+  RAW_PORKCHOP: 105, RAW_BEEF: 106, RAW_CHICKEN: 107, LEATHER: 108, FEATHER: 109, ROTTEN_FLESH: 110,
+  APPLE: 111, COOKED_PORKCHOP: 112, STEAK: 113, COOKED_CHICKEN: 114, BREAD: 115, WHEAT: 116,
   WOODEN_PICKAXE: 200, STONE_PICKAXE: 201, IRON_PICKAXE: 202, DIAMOND_PICKAXE: 203, GOLD_PICKAXE: 204,
   WOODEN_AXE: 210, STONE_AXE: 211, IRON_AXE: 212, DIAMOND_AXE: 213, GOLD_AXE: 214,
   WOODEN_SHOVEL: 220, STONE_SHOVEL: 221, IRON_SHOVEL: 222, DIAMOND_SHOVEL: 223, GOLD_SHOVEL: 224,
-  //WOODEN_SWORD: 230, STONE_SWORD: 231, IRON_SWORD: 232, DIAMOND_SWORD: 233
+  WOODEN_SWORD: 230, STONE_SWORD: 231, IRON_SWORD: 232, DIAMOND_SWORD: 233, GOLD_SWORD: 234,
+  WOODEN_HOE: 240, STONE_HOE: 241, IRON_HOE: 242, DIAMOND_HOE: 243, GOLD_HOE: 244,
+  LEATHER_HELMET: 300, LEATHER_CHESTPLATE: 301, LEATHER_LEGGINGS: 302, LEATHER_BOOTS: 303,
+  IRON_HELMET: 310, IRON_CHESTPLATE: 311, IRON_LEGGINGS: 312, IRON_BOOTS: 313,
+  GOLD_HELMET: 320, GOLD_CHESTPLATE: 321, GOLD_LEGGINGS: 322, GOLD_BOOTS: 323,
+  DIAMOND_HELMET: 330, DIAMOND_CHESTPLATE: 331, DIAMOND_LEGGINGS: 332, DIAMOND_BOOTS: 333,
+  WAND: 400
 };
 
+// Ids the registry hands to mod blocks and items (registry.js). Mods' ids are
+// written into saves, so no built-in block or item may ever take one. Blocks
+// need ids that fit in a chunk's bytes, which leaves 160-199 for them.
+const MOD_BLOCK_FIRST_ID = 160;
+const MOD_BLOCK_LAST_ID = 199;
+const MOD_ITEM_FIRST_ID = 1000;
+
+// Equipment slots, in the order they are stored in game.armorSlots
+const ARMOR_SLOTS = ['helmet', 'chestplate', 'leggings', 'boots'];
+const MAX_ARMOR_POINTS = 20;
+
 // ==================== TEXTURE ATLAS CONFIG ====================
 
 const ATLAS_SIZE = 16;  // 16x16 grid of textures
@@ -71,18 +240,33 @@ const TEX = {
   WOOD_TOP:       [1, 14],
   LEAVES:         [2, 14],
   PLANKS:         [3, 14],
+  BIRCH_LOG_SIDE: [4, 14],
+  BIRCH_LOG_TOP:  [5, 14],
+  SPRUCE_LOG_SIDE: [6, 14],
+  SPRUCE_LOG_TOP: [7, 14],
+  CACTUS_SIDE:    [8, 14],
+  CACTUS_TOP:     [9, 14],
   
   // Ores
   COAL_ORE:       [0, 13],
   IRON_ORE:       [1, 13],
   GOLD_ORE:       [2, 13],
   DIAMOND_ORE:    [3, 13],
+  REDSTONE_ORE:   [4, 13],
   
   // Other blocks
   WATER:          [0, 12],
+  LAVA:           [4, 12],
   GLASS:          [1, 12],
   BRICK:          [2, 12],
   BOOKSHELF:      [3, 12],
+  CRAFTING_TABLE_TOP:  [5, 12],
+  CRAFTING_TABLE_SIDE: [6, 12],
+  FURNACE_FRONT:     [7, 12],
+  FURNACE_FRONT_LIT: [8, 12],
+  FURNACE_TOP:       [9, 12],
+  CHEST_TOP:         [10, 12],
+  CHEST_FRONT:       [11, 12],
   
   // Cross-type (flowers, grass)
   TALL_GRASS:     [0, 11],
@@ -91,6 +275,24 @@ const TEX = {
   FLOWER_BLUE:    [3, 11],
   DEAD_BUSH:      [4, 11],
   SAPLING:        [5, 11],
+  TORCH:          [6, 11],
+
+  // Redstone
+  REDSTONE_DUST:  [1, 10],
+  LAMP:           [2, 10],
+  LAMP_ON:        [3, 10],
+  DOOR_BOTTOM:    [4, 10],
+  DOOR_TOP:       [5, 10],
+  PISTON_FRONT:   [6, 10],
+  PISTON_SIDE:    [7, 10],
+  PISTON_BACK:    [8, 10],
+  PISTON_INNER:   [9, 10],
+  FARMLAND:       [10, 10],
+  FARMLAND_WET:   [11, 10],
+  WHEAT_0:        [12, 10],
+  WHEAT_1:        [13, 10],
+  WHEAT_2:        [14, 10],
+  WHEAT_3:        [15, 10],
   
   // Fallback/debug
   MISSING:        [15, 0]
@@ -126,7 +328,9 @@ BLOCK_DATA[BLOCK.GRASS] = {
     side: TEX.GRASS_SIDE,
     bottom: TEX.DIRT
   },
-  drops: BLOCK.DIRT
+  tint: { top: 'grass' },
+  drops: BLOCK.DIRT,
+  randomTick: 'grass'
 };
 
 BLOCK_DATA[BLOCK.DIRT] = {
@@ -213,7 +417,26 @@ BLOCK_DATA[BLOCK.SAND] = {
     top: TEX.SAND,
     side: TEX.SAND,
     bottom: TEX.SAND
-  }
+  },
+  gravity: true
+};
+
+BLOCK_DATA[BLOCK.GRAVEL] = {
+  name: 'Gravel',
+  type: BLOCK_TYPE.CUBE,
+  solid: true,
+  transparent: false,
+  hardness: 0.6,
+  toolType: 'shovel',
+  top: 0x857f7c,
+  side: 0x857f7c,
+  bottom: 0x857f7c,
+  tex: {
+    top: TEX.GRAVEL,
+    side: TEX.GRAVEL,
+    bottom: TEX.GRAVEL
+  },
+  gravity: true
 };
 
 BLOCK_DATA[BLOCK.WOOD] = {
@@ -230,6 +453,33 @@ BLOCK_DATA[BLOCK.WOOD] = {
     top: TEX.WOOD_TOP,
     side: TEX.WOOD_SIDE,
     bottom: TEX.WOOD_TOP
+  },
+  log: true
+};
+
+BLOCK_DATA[BLOCK.BIRCH_LOG] = {
+  ...BLOCK_DATA[BLOCK.WOOD],
+  name: 'Birch Log',
+  top: 0xc8b48c,
+  side: 0xdcdcd2,
+  bottom: 0xc8b48c,
+  tex: {
+    top: TEX.BIRCH_LOG_TOP,
+    side: TEX.BIRCH_LOG_SIDE,
+    bottom: TEX.BIRCH_LOG_TOP
+  }
+};
+
+BLOCK_DATA[BLOCK.SPRUCE_LOG] = {
+  ...BLOCK_DATA[BLOCK.WOOD],
+  name: 'Spruce Log',
+  top: 0x8c6440,
+  side: 0x4b341e,
+  bottom: 0x8c6440,
+  tex: {
+    top: TEX.SPRUCE_LOG_TOP,
+    side: TEX.SPRUCE_LOG_SIDE,
+    bottom: TEX.SPRUCE_LOG_TOP
   }
 };
 
@@ -247,8 +497,11 @@ BLOCK_DATA[BLOCK.LEAVES] = {
     side: TEX.LEAVES,
     bottom: TEX.LEAVES
   },
+  tint: { top: 'foliage', side: 'foliage', bottom: 'foliage' },
   drops: null,
-  rareDrops: { item: BLOCK.SAPLING, chance: 0.05 }
+  rareDrops: [{ item: BLOCK.SAPLING, chance: 0.05 }, { item: ITEM.APPLE, chance: 0.005 }],
+  lightFilter: 1,
+  decays: true
 };
 
 BLOCK_DATA[BLOCK.PLANKS] = {
@@ -268,6 +521,24 @@ BLOCK_DATA[BLOCK.PLANKS] = {
   }
 };
 
+BLOCK_DATA[BLOCK.CRAFTING_TABLE] = {
+  name: 'Crafting Table',
+  type: BLOCK_TYPE.CUBE,
+  solid: true,
+  transparent: false,
+  hardness: 2.5,
+  toolType: 'axe',
+  top: 0x9c7448,
+  side: 0x8b6438,
+  bottom: 0xbc9862,
+  tex: {
+    top: TEX.CRAFTING_TABLE_TOP,
+    side: TEX.CRAFTING_TABLE_SIDE,
+    bottom: TEX.PLANKS
+  },
+  interactive: true
+};
+
 BLOCK_DATA[BLOCK.GLASS] = {
   name: 'Glass',
   type: BLOCK_TYPE.CUBE,
@@ -298,9 +569,67 @@ BLOCK_DATA[BLOCK.WATER] = {
     top: TEX.WATER,
     side: TEX.WATER,
     bottom: TEX.WATER
-  }
+  },
+  fluid: 'water',
+  fluidLevel: FLUID_MAX_LEVEL,
+  isSource: true,
+  lightFilter: 2,
+  drops: null
 };
 
+BLOCK_DATA[BLOCK.LAVA] = {
+  name: 'Lava',
+  type: BLOCK_TYPE.CUBE,
+  solid: false,
+  transparent: true,
+  hardness: -1,
+  top: 0xd4600e,
+  side: 0xd4600e,
+  bottom: 0xd4600e,
+  tex: {
+    top: TEX.LAVA,
+    side: TEX.LAVA,
+    bottom: TEX.LAVA
+  },
+  fluid: 'lava',
+  fluidLevel: FLUID_MAX_LEVEL,
+  isSource: true,
+  lightEmission: 15,
+  drops: null
+};
+
+// Flowing water and lava, generated from the source definitions above
+for (let level = 1; level <= FLUID_MAX_LEVEL; level++) {
+  BLOCK_DATA[WATER_FLOW_START + level - 1] = {
+    ...BLOCK_DATA[BLOCK.WATER],
+    name: 'Flowing Water',
+    fluidLevel: level,
+    isSource: false,
+    hidden: true
+  };
+  BLOCK_DATA[LAVA_FLOW_START + level - 1] = {
+    ...BLOCK_DATA[BLOCK.LAVA],
+    name: 'Flowing Lava',
+    fluidLevel: level,
+    isSource: false,
+    hidden: true
+  };
+}
+
+// Fluid helpers
+const FLUID_SOURCE = { water: BLOCK.WATER, lava: BLOCK.LAVA };
+const FLUID_FLOW_START = { water: WATER_FLOW_START, lava: LAVA_FLOW_START };
+// How much the level drops per block of horizontal spread
+const FLUID_SPREAD_DROP = { water: 1, lava: 2 };
+
+function getFlowingFluidBlock(fluid, level) {
+  return FLUID_FLOW_START[fluid] + level - 1;
+}
+
+function getFluid(block) {
+  return BLOCK_DATA[block]?.fluid || null;
+}
+
 BLOCK_DATA[BLOCK.COAL_ORE] = {
   name: 'Coal Ore',
   type: BLOCK_TYPE.CUBE,
@@ -375,6 +704,26 @@ BLOCK_DATA[BLOCK.DIAMOND_ORE] = {
   drops: ITEM.DIAMOND
 };
 
+BLOCK_DATA[BLOCK.REDSTONE_ORE] = {
+  name: 'Redstone Ore',
+  type: BLOCK_TYPE.CUBE,
+  solid: true,
+  transparent: false,
+  hardness: 3.0,
+  toolType: 'pickaxe',
+  minTool: 'iron',
+  top: 0x8a5a5a,
+  side: 0x8a5a5a,
+  bottom: 0x8a5a5a,
+  tex: {
+    top: TEX.REDSTONE_ORE,
+    side: TEX.REDSTONE_ORE,
+    bottom: TEX.REDSTONE_ORE
+  },
+  drops: BLOCK.REDSTONE_WIRE,
+  dropCount: 4
+};
+
 BLOCK_DATA[BLOCK.SNOW] = {
   name: 'Snow',
   type: BLOCK_TYPE.CUBE,
@@ -404,8 +753,9 @@ BLOCK_DATA[BLOCK.TALL_GRASS] = {
   side: 0x5d8c3a,
   bottom: 0x5d8c3a,
   tex: { side: TEX.TALL_GRASS },
+  tint: { side: 'grass' },
   drops: null,
-  rareDrops: { item: BLOCK.SAPLING, chance: 0.05 },
+  rareDrops: [{ item: BLOCK.WHEAT, chance: 0.125 }, { item: BLOCK.SAPLING, chance: 0.05 }],
   placedOn: [BLOCK.GRASS, BLOCK.DIRT]
 };
 
@@ -477,9 +827,433 @@ BLOCK_DATA[BLOCK.SAPLING] = {
   side: 0x2d5a1d,
   bottom: 0x2d5a1d,
   tex: { side: TEX.SAPLING },
-  placedOn: [BLOCK.GRASS, BLOCK.DIRT]
+  placedOn: [BLOCK.GRASS, BLOCK.DIRT],
+  randomTick: 'sapling'
+};
+
+BLOCK_DATA[BLOCK.TORCH] = {
+  name: 'Torch',
+  type: BLOCK_TYPE.CROSS,
+  solid: false,
+  transparent: true,
+  hardness: 0.01,
+  color: 0xffd35c,
+  top: 0xffd35c,
+  side: 0xffd35c,
+  bottom: 0xffd35c,
+  tex: { side: TEX.TORCH },
+  lightEmission: 14,
+  placedOnSolid: true
+};
+
+// `blockEntity` names the BLOCK_ENTITY_TYPES entry that holds the block's state
+BLOCK_DATA[BLOCK.FURNACE] = {
+  name: 'Furnace',
+  type: BLOCK_TYPE.CUBE,
+  solid: true,
+  transparent: false,
+  hardness: 3.5,
+  toolType: 'pickaxe',
+  minTool: 'wood',
+  top: 0x6e6e6e,
+  side: 0x5a5a5a,
+  bottom: 0x6e6e6e,
+  tex: {
+    top: TEX.FURNACE_TOP,
+    side: TEX.FURNACE_FRONT,
+    bottom: TEX.FURNACE_TOP
+  },
+  interactive: true,
+  blockEntity: 'furnace'
+};
+
+BLOCK_DATA[BLOCK.FURNACE_LIT] = {
+  ...BLOCK_DATA[BLOCK.FURNACE],
+  name: 'Lit Furnace',
+  tex: {
+    top: TEX.FURNACE_TOP,
+    side: TEX.FURNACE_FRONT_LIT,
+    bottom: TEX.FURNACE_TOP
+  },
+  lightEmission: 13,
+  drops: BLOCK.FURNACE,
+  hidden: true
+};
+
+BLOCK_DATA[BLOCK.CHEST] = {
+  name: 'Chest',
+  type: BLOCK_TYPE.CUBE,
+  solid: true,
+  transparent: false,
+  hardness: 2.5,
+  toolType: 'axe',
+  top: 0xa06e32,
+  side: 0x8c5f2a,
+  bottom: 0xa06e32,
+  tex: {
+    top: TEX.CHEST_TOP,
+    side: TEX.CHEST_FRONT,
+    bottom: TEX.CHEST_TOP
+  },
+  interactive: true,
+  blockEntity: 'chest'
+};
+
+BLOCK_DATA[BLOCK.CACTUS] = {
+  name: 'Cactus',
+  type: BLOCK_TYPE.CUBE,
+  solid: true,
+  transparent: false,
+  hardness: 0.4,
+  top: 0x46a03c,
+  side: 0x3c8c32,
+  bottom: 0x46a03c,
+  tex: {
+    top: TEX.CACTUS_TOP,
+    side: TEX.CACTUS_SIDE,
+    bottom: TEX.CACTUS_TOP
+  },
+  placedOn: [BLOCK.SAND, BLOCK.CACTUS]
+};
+
+// ==================== REDSTONE BLOCKS ====================
+// Parts of the circuits run by RedstoneManager. `redstone` is the part's
+// role: a 'source' gives full power while `powered`, 'wire' carries it with
+// its `power`, and 'lamp', 'door' and 'piston' switch when powered.
+// BOX `boxes` are in sixteenths of a block, drawn for facing 0 (+z) and
+// turned for the others.
+
+const SIDE_FACES = ['front', 'right', 'back', 'left'];
+
+// Moves per-side textures (`front`, `back`...) along with a rotateBoxes() turn
+function rotateTex(tex, turns) {
+  const rotated = { ...tex };
+  SIDE_FACES.forEach(face => delete rotated[face]);
+  SIDE_FACES.forEach((face, i) => {
+    if (tex[face]) rotated[SIDE_FACES[(i + turns) % 4]] = tex[face];
+  });
+  return rotated;
+}
+
+// Turns boxes by quarter turns around the middle of the block
+function rotateBoxes(boxes, turns) {
+  return boxes.map(box => {
+    let { from, to } = box;
+    for (let i = 0; i < turns; i++) {
+      from = [from[2], from[1], 16 - from[0]];
+      to = [to[2], to[1], 16 - to[0]];
+    }
+    return {
+      ...box,
+      from: [Math.min(from[0], to[0]), from[1], Math.min(from[2], to[2])],
+      to: [Math.max(from[0], to[0]), to[1], Math.max(from[2], to[2])],
+      tex: box.tex && rotateTex(box.tex, turns)
+    };
+  });
+}
+
+BLOCK_DATA[BLOCK.LEVER] = {
+  name: 'Lever',
+  type: BLOCK_TYPE.BOX,
+  solid: false,
+  transparent: true,
+  hardness: 0.5,
+  top: 0x7a7a7a,
+  side: 0x7a7a7a,
+  bottom: 0x7a7a7a,
+  tex: {
+    top: TEX.COBBLESTONE,
+    side: TEX.COBBLESTONE,
+    bottom: TEX.COBBLESTONE
+  },
+  boxes: [
+    { from: [5, 0, 4], to: [11, 2, 12] },
+    { from: [7, 2, 5], to: [9, 10, 7], tex: { top: TEX.PLANKS, side: TEX.WOOD_SIDE, bottom: TEX.PLANKS } }
+  ],
+  placedOnSolid: true,
+  interactive: true,
+  redstone: 'source',
+  powered: false
+};
+
+BLOCK_DATA[BLOCK.LEVER_ON] = {
+  ...BLOCK_DATA[BLOCK.LEVER],
+  boxes: [
+    { from: [5, 0, 4], to: [11, 2, 12] },
+    { from: [7, 2, 9], to: [9, 10, 11], tex: { top: TEX.PLANKS, side: TEX.WOOD_SIDE, bottom: TEX.PLANKS } }
+  ],
+  powered: true,
+  drops: BLOCK.LEVER,
+  hidden: true
+};
+
+BLOCK_DATA[BLOCK.BUTTON] = {
+  name: 'Button',
+  type: BLOCK_TYPE.BOX,
+  solid: false,
+  transparent: true,
+  hardness: 0.5,
+  top: 0x8a8a8a,
+  side: 0x8a8a8a,
+  bottom: 0x8a8a8a,
+  tex: {
+    top: TEX.STONE,
+    side: TEX.STONE,
+    bottom: TEX.STONE
+  },
+  boxes: [{ from: [5, 0, 6], to: [11, 2, 10] }],
+  placedOnSolid: true,
+  interactive: true,
+  redstone: 'source',
+  powered: false
+};
+
+BLOCK_DATA[BLOCK.BUTTON_ON] = {
+  ...BLOCK_DATA[BLOCK.BUTTON],
+  boxes: [{ from: [5, 0, 6], to: [11, 1, 10] }],
+  powered: true,
+  drops: BLOCK.BUTTON,
+  hidden: true
+};
+
+BLOCK_DATA[BLOCK.PRESSURE_PLATE] = {
+  name: 'Pressure Plate',
+  type: BLOCK_TYPE.BOX,
+  solid: false,
+  transparent: true,
+  hardness: 0.5,
+  top: 0x8a8a8a,
+  side: 0x8a8a8a,
+  bottom: 0x8a8a8a,
+  tex: {
+    top: TEX.STONE,
+    side: TEX.STONE,
+    bottom: TEX.STONE
+  },
+  boxes: [{ from: [1, 0, 1], to: [15, 1, 15] }],
+  placedOnSolid: true,
+  redstone: 'source',
+  powered: false
+};
+
+BLOCK_DATA[BLOCK.PRESSURE_PLATE_ON] = {
+  ...BLOCK_DATA[BLOCK.PRESSURE_PLATE],
+  boxes: [{ from: [1, 0, 1], to: [15, 0.5, 15] }],
+  powered: true,
+  drops: BLOCK.PRESSURE_PLATE,
+  hidden: true
+};
+
+BLOCK_DATA[BLOCK.LAMP] = {
+  name: 'Redstone Lamp',
+  type: BLOCK_TYPE.CUBE,
+  solid: true,
+  transparent: false,
+  hardness: 0.3,
+  top: 0x5f3723,
+  side: 0x5f3723,
+  bottom: 0x5f3723,
+  tex: {
+    top: TEX.LAMP,
+    side: TEX.LAMP,
+    bottom: TEX.LAMP
+  },
+  redstone: 'lamp'
 };
 
+BLOCK_DATA[BLOCK.LAMP_ON] = {
+  ...BLOCK_DATA[BLOCK.LAMP],
+  tex: {
+    top: TEX.LAMP_ON,
+    side: TEX.LAMP_ON,
+    bottom: TEX.LAMP_ON
+  },
+  lightEmission: 15,
+  drops: BLOCK.LAMP,
+  hidden: true
+};
+
+// Dust is the item; placed, it is the wire. Brighter red means more power.
+for (let power = 0; power <= MAX_REDSTONE_POWER; power++) {
+  const shade = 0.35 + 0.65 * power / MAX_REDSTONE_POWER;
+  const color = [shade, shade, shade];
+  BLOCK_DATA[REDSTONE_WIRE_START + power] = {
+    name: power === 0 ? 'Redstone Dust' : 'Powered Redstone Dust',
+    type: BLOCK_TYPE.BOX,
+    solid: false,
+    transparent: true,
+    hardness: 0.01,
+    top: 0xa01010,
+    side: 0xa01010,
+    bottom: 0xa01010,
+    tex: {
+      top: TEX.REDSTONE_DUST,
+      side: TEX.REDSTONE_DUST,
+      bottom: TEX.REDSTONE_DUST
+    },
+    tint: { top: color, side: color, bottom: color },
+    boxes: [{ from: [0, 0, 0], to: [16, 0.25, 16] }],
+    placedOnSolid: true,
+    redstone: 'wire',
+    power,
+    drops: BLOCK.REDSTONE_WIRE,
+    hidden: power > 0
+  };
+}
+
+// Doors are two blocks tall. The panel turns a quarter when it opens, and an
+// open door can be walked through.
+const DOOR_LOWER_BLOCKS = [0, DOOR_AXIS, DOOR_OPEN, DOOR_AXIS | DOOR_OPEN].map(state => DOOR_START + state);
+
+for (let state = 0; state < 8; state++) {
+  const upper = (state & DOOR_UPPER) !== 0;
+  const open = (state & DOOR_OPEN) !== 0;
+  const texture = upper ? TEX.DOOR_TOP : TEX.DOOR_BOTTOM;
+  BLOCK_DATA[DOOR_START + state] = {
+    name: 'Door',
+    type: BLOCK_TYPE.BOX,
+    solid: !open,
+    transparent: true,
+    hardness: 3.0,
+    toolType: 'axe',
+    top: 0xa57d4b,
+    side: 0xa57d4b,
+    bottom: 0xa57d4b,
+    tex: {
+      top: texture,
+      side: texture,
+      bottom: texture
+    },
+    boxes: rotateBoxes([{ from: [0, 0, 0], to: [16, 16, 3] }], (state & DOOR_AXIS ? 1 : 0) + (open ? 1 : 0)),
+    interactive: true,
+    redstone: 'door',
+    // The lower half drops the door, the upper one breaks along with it
+    ...(upper ? { placedOn: DOOR_LOWER_BLOCKS, drops: null } : { placedOnSolid: true, drops: BLOCK.DOOR }),
+    hidden: state !== 0
+  };
+}
+
+// Pistons push up to PISTON_PUSH_LIMIT blocks out of their front face and
+// pull back only their own head
+const PISTON_TEX = {
+  top: TEX.PISTON_SIDE,
+  side: TEX.PISTON_SIDE,
+  bottom: TEX.PISTON_SIDE,
+  front: TEX.PISTON_FRONT,
+  back: TEX.PISTON_BACK
+};
+const PISTON_ROD_TEX = { top: TEX.WOOD_SIDE, side: TEX.WOOD_SIDE, bottom: TEX.WOOD_SIDE };
+
+for (let facing = 0; facing < FACING_OFFSETS.length; facing++) {
+  BLOCK_DATA[PISTON_START + facing] = {
+    name: 'Piston',
+    type: BLOCK_TYPE.CUBE,
+    solid: true,
+    transparent: false,
+    hardness: 1.5,
+    toolType: 'pickaxe',
+    top: 0x7a7a7a,
+    side: 0x7a7a7a,
+    bottom: 0x7a7a7a,
+    tex: rotateTex(PISTON_TEX, facing),
+    redstone: 'piston',
+    facing,
+    drops: BLOCK.PISTON,
+    hidden: facing !== 0
+  };
+  BLOCK_DATA[PISTON_EXTENDED_START + facing] = {
+    ...BLOCK_DATA[PISTON_START + facing],
+    name: 'Extended Piston',
+    tex: rotateTex({ ...PISTON_TEX, front: TEX.PISTON_INNER }, facing),
+    extended: true,
+    hidden: true
+  };
+  BLOCK_DATA[PISTON_HEAD_START + facing] = {
+    name: 'Piston Head',
+    type: BLOCK_TYPE.BOX,
+    solid: true,
+    transparent: true,
+    hardness: 1.5,
+    toolType: 'pickaxe',
+    top: 0xbc9862,
+    side: 0xbc9862,
+    bottom: 0xbc9862,
+    tex: rotateTex({ ...PISTON_TEX, back: TEX.PISTON_FRONT }, facing),
+    boxes: rotateBoxes([
+      { from: [0, 0, 12], to: [16, 16, 16] },
+      { from: [6, 6, 0], to: [10, 10, 12], tex: PISTON_ROD_TEX }
+    ], facing),
+    redstone: 'pistonHead',
+    facing,
+    drops: null,
+    hidden: true
+  };
+}
+
+// ==================== FARMING ====================
+
+// Hoes till grass and dirt into farmland. Farmland with water within
+// FARMLAND_WATER_RANGE turns wet on random ticks, dries out again without it,
+// and dry farmland with nothing planted goes back to dirt.
+BLOCK_DATA[BLOCK.FARMLAND] = {
+  name: 'Farmland',
+  type: BLOCK_TYPE.CUBE,
+  solid: true,
+  transparent: false,
+  hardness: 0.6,
+  toolType: 'shovel',
+  top: 0x805c3a,
+  side: 0x8b6d4a,
+  bottom: 0x8b6d4a,
+  tex: {
+    top: TEX.FARMLAND,
+    side: TEX.DIRT,
+    bottom: TEX.DIRT
+  },
+  drops: BLOCK.DIRT,
+  randomTick: 'farmland'
+};
+
+BLOCK_DATA[BLOCK.FARMLAND_WET] = {
+  ...BLOCK_DATA[BLOCK.FARMLAND],
+  name: 'Wet Farmland',
+  top: 0x523822,
+  tex: {
+    top: TEX.FARMLAND_WET,
+    side: TEX.DIRT,
+    bottom: TEX.DIRT
+  },
+  wet: true,
+  hidden: true
+};
+
+// Each stage grows into the next on random ticks. The seeds are the first
+// stage itself, so planting them is placing that block; a ripe crop gives
+// wheat plus seeds to plant again (`extraDrops`, rolled like mob drops).
+const WHEAT_TEX = [TEX.WHEAT_0, TEX.WHEAT_1, TEX.WHEAT_2, TEX.WHEAT_3];
+
+WHEAT_STAGES.forEach((id, stage) => {
+  const ripe = stage === WHEAT_STAGES.length - 1;
+  BLOCK_DATA[id] = {
+    name: stage === 0 ? 'Wheat Seeds' : 'Wheat Crop',
+    type: BLOCK_TYPE.CROSS,
+    solid: false,
+    transparent: true,
+    hardness: 0.01,
+    color: ripe ? 0xc8a040 : 0x4f8f2a,
+    top: ripe ? 0xc8a040 : 0x4f8f2a,
+    side: ripe ? 0xc8a040 : 0x4f8f2a,
+    bottom: ripe ? 0xc8a040 : 0x4f8f2a,
+    tex: { side: WHEAT_TEX[stage] },
+    placedOn: [BLOCK.FARMLAND, BLOCK.FARMLAND_WET],
+    drops: ripe ? ITEM.WHEAT : BLOCK.WHEAT,
+    extraDrops: ripe ? [{ item: BLOCK.WHEAT, min: 0, max: 3 }] : undefined,
+    randomTick: ripe ? undefined : 'crop',
+    growsInto: ripe ? undefined : WHEAT_STAGES[stage + 1],
+    hidden: stage > 0
+  };
+});
+
 const FACE_DATA = {
   top:    { dir: [0,1,0],  shade: 1.0, corners: [{pos:[0,1,0],neighbors:[[-1,1,0],[0,1,-1],[-1,1,-1]]},{pos:[0,1,1],neighbors:[[-1,1,0],[0,1,1],[-1,1,1]]},{pos:[1,1,1],neighbors:[[1,1,0],[0,1,1],[1,1,1]]},{pos:[1,1,0],neighbors:[[1,1,0],[0,1,-1],[1,1,-1]]}]},
   bottom: { dir: [0,-1,0], shade: 0.5, corners: [{pos:[0,0,1],neighbors:[[-1,-1,0],[0,-1,1],[-1,-1,1]]},{pos:[0,0,0],neighbors:[[-1,-1,0],[0,-1,-1],[-1,-1,-1]]},{pos:[1,0,0],neighbors:[[1,-1,0],[0,-1,-1],[1,-1,-1]]},{pos:[1,0,1],neighbors:[[1,-1,0],[0,-1,1],[1,-1,1]]}]},
@@ -489,42 +1263,298 @@ const FACE_DATA = {
   left:   { dir: [-1,0,0], shade: 0.65,corners: [{pos:[0,0,1],neighbors:[[-1,0,1],[-1,-1,0],[-1,-1,1]]},{pos:[0,1,1],neighbors:[[-1,0,1],[-1,1,0],[-1,1,1]]},{pos:[0,1,0],neighbors:[[-1,0,-1],[-1,1,0],[-1,1,-1]]},{pos:[0,0,0],neighbors:[[-1,0,-1],[-1,-1,0],[-1,-1,-1]]}]}
 };
 
+// Shaped recipes use `pattern` rows (space = empty cell) and a `key` mapping
+// pattern characters to items; a pattern also matches its left-right mirror
+// and may sit anywhere in the grid. Shapeless recipes list one item per cell.
+// Patterns wider or taller than 2 need the 3x3 crafting table.
+const PICKAXE_PATTERN = ['MMM', ' S ', ' S '];
+const AXE_PATTERN = ['MM', 'MS', ' S'];
+const SHOVEL_PATTERN = ['M', 'S', 'S'];
+const SWORD_PATTERN = ['M', 'M', 'S'];
+const HOE_PATTERN = ['MM', ' S', ' S'];
+const HELMET_PATTERN = ['MMM', 'M M'];
+const CHESTPLATE_PATTERN = ['M M', 'MMM', 'MMM'];
+const LEGGINGS_PATTERN = ['MMM', 'M M', 'M M'];
+const BOOTS_PATTERN = ['M M', 'M M'];
+
 const RECIPES = [
-  { result: BLOCK.PLANKS, resultCount: 4, ingredients: [{ item: BLOCK.WOOD, count: 1 }], name: 'Oak Planks' },
-  { result: ITEM.STICK, resultCount: 4, ingredients: [{ item: BLOCK.PLANKS, count: 2 }], name: 'Sticks' },
-  //{ result: BLOCK.CRAFTING_TABLE, resultCount: 1, ingredients: [{ item: BLOCK.PLANKS, count: 4 }], name: 'Crafting Table' },
-  { result: ITEM.WOODEN_PICKAXE, resultCount: 1, ingredients: [{ item: BLOCK.PLANKS, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Wooden Pickaxe' },
-  { result: ITEM.WOODEN_AXE, resultCount: 1, ingredients: [{ item: BLOCK.PLANKS, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Wooden Axe' },
-  { result: ITEM.WOODEN_SHOVEL, resultCount: 1, ingredients: [{ item: BLOCK.PLANKS, count: 1 }, { item: ITEM.STICK, count: 2 }], name: 'Wooden Shovel' },
-  //{ result: ITEM.WOODEN_SWORD, resultCount: 1, ingredients: [{ item: BLOCK.PLANKS, count: 2 }, { item: ITEM.STICK, count: 1 }], name: 'Wooden Sword' },
-  
-  { result: ITEM.STONE_PICKAXE, resultCount: 1, ingredients: [{ item: BLOCK.COBBLE, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Stone Pickaxe' },
-  { result: ITEM.STONE_AXE, resultCount: 1, ingredients: [{ item: BLOCK.COBBLE, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Stone Axe' },
-  { result: ITEM.STONE_SHOVEL, resultCount: 1, ingredients: [{ item: BLOCK.COBBLE, count: 1 }, { item: ITEM.STICK, count: 2 }], name: 'Stone Shovel' },
-  //{ result: ITEM.STONE_SWORD, resultCount: 1, ingredients: [{ item: BLOCK.COBBLE, count: 2 }, { item: ITEM.STICK, count: 1 }], name: 'Stone Sword' },
-  
-  { result: ITEM.IRON_PICKAXE, resultCount: 1, ingredients: [{ item: ITEM.IRON_INGOT, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Iron Pickaxe' },
-  { result: ITEM.IRON_AXE, resultCount: 1, ingredients: [{ item: ITEM.IRON_INGOT, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Iron Axe' },
-  { result: ITEM.IRON_SHOVEL, resultCount: 1, ingredients: [{ item: ITEM.IRON_INGOT, count: 1 }, { item: ITEM.STICK, count: 2 }], name: 'Iron Shovel' },
-  //{ result: ITEM.IRON_SWORD, resultCount: 1, ingredients: [{ item: ITEM.IRON_INGOT, count: 2 }, { item: ITEM.STICK, count: 1 }], name: 'Iron Sword' },
-  
-  { result: ITEM.DIAMOND_PICKAXE, resultCount: 1, ingredients: [{ item: ITEM.DIAMOND, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Diamond Pickaxe' },
-  { result: ITEM.DIAMOND_AXE, resultCount: 1, ingredients: [{ item: ITEM.DIAMOND, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Diamond Axe' },
-  { result: ITEM.DIAMOND_SHOVEL, resultCount: 1, ingredients: [{ item: ITEM.DIAMOND, count: 1 }, { item: ITEM.STICK, count: 2 }], name: 'Diamond Shovel' },
-  //{ result: ITEM.DIAMOND_SWORD, resultCount: 1, ingredients: [{ item: ITEM.DIAMOND, count: 2 }, { item: ITEM.STICK, count: 1 }], name: 'Diamond Sword' },
-
-  { result: ITEM.GOLD_PICKAXE, resultCount: 1, ingredients: [{ item: ITEM.GOLD_INGOT, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Gold Pickaxe' },
-  { result: ITEM.GOLD_AXE, resultCount: 1, ingredients: [{ item: ITEM.GOLD_INGOT, count: 3 }, { item: ITEM.STICK, count: 2 }], name: 'Gold Axe' },
-  { result: ITEM.GOLD_SHOVEL, resultCount: 1, ingredients: [{ item: ITEM.GOLD_INGOT, count: 1 }, { item: ITEM.STICK, count: 2 }], name: 'Gold Shovel' },
-  //{ result: ITEM.GOLD_SWORD, resultCount: 1, ingredients: [{ item: ITEM.DIAMOND, count: 2 }, { item: ITEM.STICK, count: 1 }], name: 'Diamond Sword' },
-  
-  
-  { result: ITEM.IRON_INGOT, resultCount: 1, ingredients: [{ item: BLOCK.IRON_ORE, count: 1 }, { item: ITEM.COAL, count: 1 }], name: 'Smelt Iron' },
-  { result: ITEM.GOLD_INGOT, resultCount: 1, ingredients: [{ item: BLOCK.GOLD_ORE, count: 1 }, { item: ITEM.COAL, count: 1 }], name: 'Smelt Gold' },
-  { result: BLOCK.GLASS, resultCount: 1, ingredients: [{ item: BLOCK.SAND, count: 1 }, { item: ITEM.COAL, count: 1 }], name: 'Smelt Glass' },
-  { result: BLOCK.STONE, resultCount: 1, ingredients: [{ item: BLOCK.COBBLE, count: 1 }, { item: ITEM.COAL, count: 1 }], name: 'Smelt Stone' }
+  { result: BLOCK.PLANKS, resultCount: 4, ingredients: [BLOCK.WOOD], name: 'Oak Planks' },
+  { result: BLOCK.PLANKS, resultCount: 4, ingredients: [BLOCK.BIRCH_LOG], name: 'Birch Planks' },
+  { result: BLOCK.PLANKS, resultCount: 4, ingredients: [BLOCK.SPRUCE_LOG], name: 'Spruce Planks' },
+  { result: ITEM.STICK, resultCount: 4, pattern: ['P', 'P'], key: { P: BLOCK.PLANKS }, name: 'Sticks' },
+  { result: BLOCK.CRAFTING_TABLE, resultCount: 1, pattern: ['PP', 'PP'], key: { P: BLOCK.PLANKS }, name: 'Crafting Table' },
+  { result: BLOCK.TORCH, resultCount: 4, pattern: ['C', 'S'], key: { C: ITEM.COAL, S: ITEM.STICK }, name: 'Torch' },
+  { result: BLOCK.FURNACE, resultCount: 1, pattern: ['CCC', 'C C', 'CCC'], key: { C: BLOCK.COBBLE }, name: 'Furnace' },
+  { result: BLOCK.CHEST, resultCount: 1, pattern: ['PPP', 'P P', 'PPP'], key: { P: BLOCK.PLANKS }, name: 'Chest' },
+  { result: ITEM.BREAD, resultCount: 1, pattern: ['WWW'], key: { W: ITEM.WHEAT }, name: 'Bread' },
+
+  { result: BLOCK.LEVER, resultCount: 1, pattern: ['S', 'C'], key: { S: ITEM.STICK, C: BLOCK.COBBLE }, name: 'Lever' },
+  { result: BLOCK.BUTTON, resultCount: 1, ingredients: [BLOCK.STONE], name: 'Button' },
+  { result: BLOCK.PRESSURE_PLATE, resultCount: 1, pattern: ['SS'], key: { S: BLOCK.STONE }, name: 'Pressure Plate' },
+  { result: BLOCK.LAMP, resultCount: 1, pattern: [' R ', 'RGR', ' R '], key: { R: BLOCK.REDSTONE_WIRE, G: BLOCK.GLASS }, name: 'Redstone Lamp' },
+  { result: BLOCK.DOOR, resultCount: 3, pattern: ['PP', 'PP', 'PP'], key: { P: BLOCK.PLANKS }, name: 'Door' },
+  { result: BLOCK.PISTON, resultCount: 1, pattern: ['PPP', 'CIC', 'CRC'], key: { P: BLOCK.PLANKS, C: BLOCK.COBBLE, I: ITEM.IRON_INGOT, R: BLOCK.REDSTONE_WIRE }, name: 'Piston' },
+
+  { result: ITEM.WOODEN_PICKAXE, resultCount: 1, pattern: PICKAXE_PATTERN, key: { M: BLOCK.PLANKS, S: ITEM.STICK }, name: 'Wooden Pickaxe' },
+  { result: ITEM.WOODEN_AXE, resultCount: 1, pattern: AXE_PATTERN, key: { M: BLOCK.PLANKS, S: ITEM.STICK }, name: 'Wooden Axe' },
+  { result: ITEM.WOODEN_SHOVEL, resultCount: 1, pattern: SHOVEL_PATTERN, key: { M: BLOCK.PLANKS, S: ITEM.STICK }, name: 'Wooden Shovel' },
+  { result: ITEM.WOODEN_SWORD, resultCount: 1, pattern: SWORD_PATTERN, key: { M: BLOCK.PLANKS, S: ITEM.STICK }, name: 'Wooden Sword' },
+  { result: ITEM.WOODEN_HOE, resultCount: 1, pattern: HOE_PATTERN, key: { M: BLOCK.PLANKS, S: ITEM.STICK }, name: 'Wooden Hoe' },
+
+  { result: ITEM.STONE_PICKAXE, resultCount: 1, pattern: PICKAXE_PATTERN, key: { M: BLOCK.COBBLE, S: ITEM.STICK }, name: 'Stone Pickaxe' },
+  { result: ITEM.STONE_AXE, resultCount: 1, pattern: AXE_PATTERN, key: { M: BLOCK.COBBLE, S: ITEM.STICK }, name: 'Stone Axe' },
+  { result: ITEM.STONE_SHOVEL, resultCount: 1, pattern: SHOVEL_PATTERN, key: { M: BLOCK.COBBLE, S: ITEM.STICK }, name: 'Stone Shovel' },
+  { result: ITEM.STONE_SWORD, resultCount: 1, pattern: SWORD_PATTERN, key: { M: BLOCK.COBBLE, S: ITEM.STICK }, name: 'Stone Sword' },
+  { result: ITEM.STONE_HOE, resultCount: 1, pattern: HOE_PATTERN, key: { M: BLOCK.COBBLE, S: ITEM.STICK }, name: 'Stone Hoe' },
+
+  { result: ITEM.IRON_PICKAXE, resultCount: 1, pattern: PICKAXE_PATTERN, key: { M: ITEM.IRON_INGOT, S: ITEM.STICK }, name: 'Iron Pickaxe' },
+  { result: ITEM.IRON_AXE, resultCount: 1, pattern: AXE_PATTERN, key: { M: ITEM.IRON_INGOT, S: ITEM.STICK }, name: 'Iron Axe' },
+  { result: ITEM.IRON_SHOVEL, resultCount: 1, pattern: SHOVEL_PATTERN, key: { M: ITEM.IRON_INGOT, S: ITEM.STICK }, name: 'Iron Shovel' },
+  { result: ITEM.IRON_SWORD, resultCount: 1, pattern: SWORD_PATTERN, key: { M: ITEM.IRON_INGOT, S: ITEM.STICK }, name: 'Iron Sword' },
+  { result: ITEM.IRON_HOE, resultCount: 1, pattern: HOE_PATTERN, key: { M: ITEM.IRON_INGOT, S: ITEM.STICK }, name: 'Iron Hoe' },
+
+  { result: ITEM.DIAMOND_PICKAXE, resultCount: 1, pattern: PICKAXE_PATTERN, key: { M: ITEM.DIAMOND, S: ITEM.STICK }, name: 'Diamond Pickaxe' },
+  { result: ITEM.DIAMOND_AXE, resultCount: 1, pattern: AXE_PATTERN, key: { M: ITEM.DIAMOND, S: ITEM.STICK }, name: 'Diamond Axe' },
+  { result: ITEM.DIAMOND_SHOVEL, resultCount: 1, pattern: SHOVEL_PATTERN, key: { M: ITEM.DIAMOND, S: ITEM.STICK }, name: 'Diamond Shovel' },
+  { result: ITEM.DIAMOND_SWORD, resultCount: 1, pattern: SWORD_PATTERN, key: { M: ITEM.DIAMOND, S: ITEM.STICK }, name: 'Diamond Sword' },
+  { result: ITEM.DIAMOND_HOE, resultCount: 1, pattern: HOE_PATTERN, key: { M: ITEM.DIAMOND, S: ITEM.STICK }, name: 'Diamond Hoe' },
+
+  { result: ITEM.GOLD_PICKAXE, resultCount: 1, pattern: PICKAXE_PATTERN, key: { M: ITEM.GOLD_INGOT, S: ITEM.STICK }, name: 'Gold Pickaxe' },
+  { result: ITEM.GOLD_AXE, resultCount: 1, pattern: AXE_PATTERN, key: { M: ITEM.GOLD_INGOT, S: ITEM.STICK }, name: 'Gold Axe' },
+  { result: ITEM.GOLD_SHOVEL, resultCount: 1, pattern: SHOVEL_PATTERN, key: { M: ITEM.GOLD_INGOT, S: ITEM.STICK }, name: 'Gold Shovel' },
+  { result: ITEM.GOLD_SWORD, resultCount: 1, pattern: SWORD_PATTERN, key: { M: ITEM.GOLD_INGOT, S: ITEM.STICK }, name: 'Gold Sword' },
+  { result: ITEM.GOLD_HOE, resultCount: 1, pattern: HOE_PATTERN, key: { M: ITEM.GOLD_INGOT, S: ITEM.STICK }, name: 'Gold Hoe' },
+
+  { result: ITEM.LEATHER_HELMET, resultCount: 1, pattern: HELMET_PATTERN, key: { M: ITEM.LEATHER }, name: 'Leather Helmet' },
+  { result: ITEM.LEATHER_CHESTPLATE, resultCount: 1, pattern: CHESTPLATE_PATTERN, key: { M: ITEM.LEATHER }, name: 'Leather Chestplate' },
+  { result: ITEM.LEATHER_LEGGINGS, resultCount: 1, pattern: LEGGINGS_PATTERN, key: { M: ITEM.LEATHER }, name: 'Leather Leggings' },
+  { result: ITEM.LEATHER_BOOTS, resultCount: 1, pattern: BOOTS_PATTERN, key: { M: ITEM.LEATHER }, name: 'Leather Boots' },
+
+  { result: ITEM.IRON_HELMET, resultCount: 1, pattern: HELMET_PATTERN, key: { M: ITEM.IRON_INGOT }, name: 'Iron Helmet' },
+  { result: ITEM.IRON_CHESTPLATE, resultCount: 1, pattern: CHESTPLATE_PATTERN, key: { M: ITEM.IRON_INGOT }, name: 'Iron Chestplate' },
+  { result: ITEM.IRON_LEGGINGS, resultCount: 1, pattern: LEGGINGS_PATTERN, key: { M: ITEM.IRON_INGOT }, name: 'Iron Leggings' },
+  { result: ITEM.IRON_BOOTS, resultCount: 1, pattern: BOOTS_PATTERN, key: { M: ITEM.IRON_INGOT }, name: 'Iron Boots' },
+
+  { result: ITEM.GOLD_HELMET, resultCount: 1, pattern: HELMET_PATTERN, key: { M: ITEM.GOLD_INGOT }, name: 'Gold Helmet' },
+  { result: ITEM.GOLD_CHESTPLATE, resultCount: 1, pattern: CHESTPLATE_PATTERN, key: { M: ITEM.GOLD_INGOT }, name: 'Gold Chestplate' },
+  { result: ITEM.GOLD_LEGGINGS, resultCount: 1, pattern: LEGGINGS_PATTERN, key: { M: ITEM.GOLD_INGOT }, name: 'Gold Leggings' },
+  { result: ITEM.GOLD_BOOTS, resultCount: 1, pattern: BOOTS_PATTERN, key: { M: ITEM.GOLD_INGOT }, name: 'Gold Boots' },
+
+  { result: ITEM.DIAMOND_HELMET, resultCount: 1, pattern: HELMET_PATTERN, key: { M: ITEM.DIAMOND }, name: 'Diamond Helmet' },
+  { result: ITEM.DIAMOND_CHESTPLATE, resultCount: 1, pattern: CHESTPLATE_PATTERN, key: { M: ITEM.DIAMOND }, name: 'Diamond Chestplate' },
+  { result: ITEM.DIAMOND_LEGGINGS, resultCount: 1, pattern: LEGGINGS_PATTERN, key: { M: ITEM.DIAMOND }, name: 'Diamond Leggings' },
+  { result: ITEM.DIAMOND_BOOTS, resultCount: 1, pattern: BOOTS_PATTERN, key: { M: ITEM.DIAMOND }, name: 'Diamond Boots' }
+];
+
+// ==================== SMELTING ====================
+
+const SMELT_TIME = 10;             // Seconds to smelt one item
+
+// Furnace input -> output
+const SMELTING_RECIPES = {
+  [BLOCK.IRON_ORE]: { result: ITEM.IRON_INGOT, count: 1 },
+  [BLOCK.GOLD_ORE]: { result: ITEM.GOLD_INGOT, count: 1 },
+  [BLOCK.SAND]:     { result: BLOCK.GLASS, count: 1 },
+  [BLOCK.COBBLE]:   { result: BLOCK.STONE, count: 1 },
+  [ITEM.RAW_PORKCHOP]: { result: ITEM.COOKED_PORKCHOP, count: 1 },
+  [ITEM.RAW_BEEF]:     { result: ITEM.STEAK, count: 1 },
+  [ITEM.RAW_CHICKEN]:  { result: ITEM.COOKED_CHICKEN, count: 1 }
+};
+
+// Seconds of burning each fuel gives (one smelt takes SMELT_TIME)
+const FUEL_BURN_TIME = {
+  [ITEM.COAL]: 80,
+  [BLOCK.WOOD]: 15,
+  [BLOCK.BIRCH_LOG]: 15,
+  [BLOCK.SPRUCE_LOG]: 15,
+  [BLOCK.PLANKS]: 15,
+  [BLOCK.CRAFTING_TABLE]: 15,
+  [BLOCK.CHEST]: 15,
+  [ITEM.STICK]: 5,
+  [BLOCK.SAPLING]: 5,
+  [ITEM.WOODEN_PICKAXE]: 10,
+  [ITEM.WOODEN_AXE]: 10,
+  [ITEM.WOODEN_SHOVEL]: 10,
+  [ITEM.WOODEN_SWORD]: 10,
+  [ITEM.WOODEN_HOE]: 10
+};
+
+// ==================== WORLD GENERATION ====================
+
+// Caves are carved where cave noise crosses these thresholds. Tunnels follow
+// the lines where two 3D noise fields are both close to zero; caverns are the
+// peaks of a slower field and only open up below CAVERN_MAX_Y.
+const CAVE_TUNNEL_WIDTH = 0.07;
+const CAVERN_THRESHOLD = 0.75;
+const CAVERN_MAX_Y = 32;
+const CAVE_SURFACE_MARGIN = 3;     // Solid blocks kept under water, beaches and ocean floors
+const RAVINE_CHANCE = 0.015;       // Chance of a chunk starting a ravine
+const RAVINE_MAX_LENGTH = 80;      // Blocks; also limits how far a ravine reaches from its chunk
+
+// Each chunk tries `perChunk` veins of up to `size` blocks. Vein heights
+// follow a triangle from minY up to peakY and back down to maxY, so diamonds
+// sit near bedrock and coal is common high in the hills.
+const ORE_VEINS = [
+  { block: BLOCK.COAL_ORE,    perChunk: 20, size: 14, minY: 4, peakY: 24, maxY: 72 },
+  { block: BLOCK.IRON_ORE,    perChunk: 12, size: 9,  minY: 1, peakY: 16, maxY: 48 },
+  { block: BLOCK.GOLD_ORE,    perChunk: 3,  size: 8,  minY: 1, peakY: 8,  maxY: 28 },
+  { block: BLOCK.DIAMOND_ORE, perChunk: 2,  size: 6,  minY: 1, peakY: 4,  maxY: 14 },
+  { block: BLOCK.REDSTONE_ORE, perChunk: 6,  size: 8,  minY: 1, peakY: 8,  maxY: 20 }
 ];
 
+// Biomes are picked from three climate values in about -1..1. `climate` gives
+// each biome a range per value (a missing value matches anything) and the
+// closest biome wins. Columns near a border mix the height, variation and
+// tint of every biome within BIOME_BLEND of them, so there are no seams.
+//
+// `top`/`filler` make up the surface, `shore` replaces `top` at and below the
+// waterline, and `snowLine` caps columns above it with snow. `trees` and
+// `vegetation` chances are per surface column; vegetation with `maxHeight`
+// grows in stacks. Tints multiply the grass and foliage textures.
+const BIOME_BLEND = 0.06;
+const LAND = [-0.2, 0.45];         // Continentalness of everything but oceans and mountains
+
+const BIOMES = {
+  ocean: {
+    name: 'Ocean',
+    climate: { continentalness: [-1, -0.2] },
+    height: 4, variation: 5,
+    top: BLOCK.SAND, filler: BLOCK.SAND, shore: BLOCK.SAND,
+    trees: [],
+    vegetation: [],
+    grassColor: 0xe6f5e6, foliageColor: 0xdcf0dc
+  },
+  plains: {
+    name: 'Plains',
+    climate: { continentalness: LAND, temperature: [-0.15, 0.3], humidity: [-1, 0] },
+    height: 20, variation: 6,
+    top: BLOCK.GRASS, filler: BLOCK.DIRT, shore: BLOCK.SAND,
+    trees: [{ species: 'oak', chance: 0.002 }],
+    vegetation: [
+      { block: BLOCK.TALL_GRASS, chance: 0.15 },
+      { block: BLOCK.FLOWER_RED, chance: 0.01 },
+      { block: BLOCK.FLOWER_YELLOW, chance: 0.01 },
+      { block: BLOCK.FLOWER_BLUE, chance: 0.01 }
+    ],
+    grassColor: 0xffffff, foliageColor: 0xffffff
+  },
+  forest: {
+    name: 'Forest',
+    climate: { continentalness: LAND, temperature: [-0.15, 0.3], humidity: [0, 0.25] },
+    height: 22, variation: 10,
+    top: BLOCK.GRASS, filler: BLOCK.DIRT, shore: BLOCK.SAND,
+    trees: [{ species: 'oak', chance: 0.03 }, { species: 'birch', chance: 0.005 }],
+    vegetation: [
+      { block: BLOCK.TALL_GRASS, chance: 0.08 },
+      { block: BLOCK.FLOWER_RED, chance: 0.005 },
+      { block: BLOCK.FLOWER_YELLOW, chance: 0.005 }
+    ],
+    grassColor: 0xe1f0d2, foliageColor: 0xd7ebc8
+  },
+  birch_forest: {
+    name: 'Birch Forest',
+    climate: { continentalness: LAND, temperature: [-0.15, 0.3], humidity: [0.25, 0.45] },
+    height: 22, variation: 8,
+    top: BLOCK.GRASS, filler: BLOCK.DIRT, shore: BLOCK.SAND,
+    trees: [{ species: 'birch', chance: 0.03 }],
+    vegetation: [
+      { block: BLOCK.TALL_GRASS, chance: 0.1 },
+      { block: BLOCK.FLOWER_BLUE, chance: 0.01 }
+    ],
+    grassColor: 0xf0ffdc, foliageColor: 0xf0ffd2
+  },
+  swamp: {
+    name: 'Swamp',
+    climate: { continentalness: LAND, temperature: [-0.15, 0.3], humidity: [0.45, 1] },
+    height: 14, variation: 2,
+    top: BLOCK.GRASS, filler: BLOCK.DIRT, shore: BLOCK.DIRT,
+    trees: [{ species: 'oak', chance: 0.012 }],
+    vegetation: [{ block: BLOCK.TALL_GRASS, chance: 0.2 }],
+    grassColor: 0xa5aa78, foliageColor: 0x969b6e
+  },
+  taiga: {
+    name: 'Taiga',
+    climate: { continentalness: LAND, temperature: [-0.45, -0.15] },
+    height: 24, variation: 10,
+    top: BLOCK.GRASS, filler: BLOCK.DIRT, shore: BLOCK.SAND,
+    trees: [{ species: 'spruce', chance: 0.035 }],
+    vegetation: [{ block: BLOCK.TALL_GRASS, chance: 0.06 }],
+    grassColor: 0xc3dccd, foliageColor: 0xafcdbe
+  },
+  snow: {
+    name: 'Snowy Tundra',
+    climate: { continentalness: LAND, temperature: [-1, -0.45] },
+    height: 20, variation: 5,
+    top: BLOCK.SNOW, filler: BLOCK.DIRT, shore: BLOCK.GRAVEL,
+    trees: [{ species: 'spruce', chance: 0.003 }],
+    vegetation: [],
+    grassColor: 0xcde1eb, foliageColor: 0xc3d7e1
+  },
+  desert: {
+    name: 'Desert',
+    climate: { continentalness: LAND, temperature: [0.3, 1] },
+    height: 20, variation: 5,
+    top: BLOCK.SAND, filler: BLOCK.SAND, shore: BLOCK.SAND,
+    trees: [],
+    vegetation: [
+      { block: BLOCK.CACTUS, chance: 0.006, maxHeight: 3 },
+      { block: BLOCK.DEAD_BUSH, chance: 0.02 }
+    ],
+    grassColor: 0xfff0a0, foliageColor: 0xf0e6a0
+  },
+  mountains: {
+    name: 'Mountains',
+    climate: { continentalness: [0.45, 1] },
+    height: 48, variation: 28,
+    top: BLOCK.GRASS, filler: BLOCK.DIRT, shore: BLOCK.GRAVEL,
+    snowLine: 62,
+    trees: [{ species: 'spruce', chance: 0.006 }],
+    vegetation: [{ block: BLOCK.TALL_GRASS, chance: 0.05 }],
+    grassColor: 0xcde1d7, foliageColor: 0xc3d7cd
+  }
+};
+
+// Chests placed by structures get between `rolls[0]` and `rolls[1]` picks
+// from `entries`, each chosen by weight with a count from min to max
+const LOOT_TABLES = {
+  dungeon: {
+    rolls: [3, 6],
+    entries: [
+      { item: ITEM.ROTTEN_FLESH, weight: 10, min: 1, max: 5 },
+      { item: ITEM.COAL, weight: 10, min: 2, max: 8 },
+      { item: ITEM.IRON_INGOT, weight: 10, min: 1, max: 4 },
+      { item: ITEM.GOLD_INGOT, weight: 5, min: 1, max: 3 },
+      { item: ITEM.DIAMOND, weight: 2, min: 1, max: 2 },
+      { item: ITEM.IRON_SWORD, weight: 2, min: 1, max: 1 },
+      { item: ITEM.IRON_HELMET, weight: 2, min: 1, max: 1 },
+      { item: ITEM.GOLD_CHESTPLATE, weight: 1, min: 1, max: 1 }
+    ]
+  },
+  mineshaft: {
+    rolls: [2, 5],
+    entries: [
+      { item: BLOCK.TORCH, weight: 10, min: 4, max: 12 },
+      { item: ITEM.COAL, weight: 10, min: 3, max: 8 },
+      { item: ITEM.IRON_INGOT, weight: 8, min: 1, max: 5 },
+      { item: ITEM.GOLD_INGOT, weight: 4, min: 1, max: 3 },
+      { item: ITEM.DIAMOND, weight: 1, min: 1, max: 2 },
+      { item: ITEM.IRON_PICKAXE, weight: 1, min: 1, max: 1 }
+    ]
+  },
+  village: {
+    rolls: [3, 6],
+    entries: [
+      { item: BLOCK.PLANKS, weight: 8, min: 4, max: 12 },
+      { item: ITEM.STICK, weight: 6, min: 2, max: 8 },
+      { item: BLOCK.SAPLING, weight: 5, min: 1, max: 4 },
+      { item: ITEM.LEATHER, weight: 5, min: 1, max: 3 },
+      { item: ITEM.IRON_INGOT, weight: 6, min: 1, max: 4 },
+      { item: ITEM.IRON_SWORD, weight: 2, min: 1, max: 1 },
+      { item: ITEM.LEATHER_CHESTPLATE, weight: 2, min: 1, max: 1 }
+    ]
+  }
+};
+
 // Item data
 const ITEM_DATA = {
   [ITEM.COAL]:       { name: 'Coal',       color: 0x333333, stackable: true },
@@ -532,6 +1562,20 @@ const ITEM_DATA = {
   [ITEM.GOLD_INGOT]: { name: 'Gold Ingot', color: 0xfcee4b, stackable: true },
   [ITEM.DIAMOND]:    { name: 'Diamond',    color: 0x4aedd9, stackable: true },
   [ITEM.STICK]:      { name: 'Stick',      color: 0x8b6914, stackable: true },
+  [ITEM.LEATHER]:      { name: 'Leather',      color: 0x8b4a2b, stackable: true },
+  [ITEM.FEATHER]:      { name: 'Feather',      color: 0xf0f0f0, stackable: true },
+  [ITEM.WHEAT]:        { name: 'Wheat',        color: 0xd8c060, stackable: true },
+
+  // Food: eating restores `hunger` points and up to `saturation` points of saturation
+  [ITEM.RAW_PORKCHOP]:    { name: 'Raw Porkchop',    color: 0xf0a0a0, stackable: true, food: { hunger: 3, saturation: 1.8 } },
+  [ITEM.RAW_BEEF]:        { name: 'Raw Beef',        color: 0xc03030, stackable: true, food: { hunger: 3, saturation: 1.8 } },
+  [ITEM.RAW_CHICKEN]:     { name: 'Raw Chicken',     color: 0xf5c8b0, stackable: true, food: { hunger: 2, saturation: 1.2 } },
+  [ITEM.ROTTEN_FLESH]:    { name: 'Rotten Flesh',    color: 0x7a5030, stackable: true, food: { hunger: 4, saturation: 0.8 } },
+  [ITEM.APPLE]:           { name: 'Apple',           color: 0xe03020, stackable: true, food: { hunger: 4, saturation: 2.4 } },
+  [ITEM.COOKED_PORKCHOP]: { name: 'Cooked Porkchop', color: 0xc89060, stackable: true, food: { hunger: 8, saturation: 12.8 } },
+  [ITEM.STEAK]:           { name: 'Steak',           color: 0x7a4020, stackable: true, food: { hunger: 8, saturation: 12.8 } },
+  [ITEM.COOKED_CHICKEN]:  { name: 'Cooked Chicken',  color: 0xd0a060, stackable: true, food: { hunger: 6, saturation: 7.2 } },
+  [ITEM.BREAD]:           { name: 'Bread',           color: 0xb08030, stackable: true, food: { hunger: 5, saturation: 6 } },
   [ITEM.WOODEN_PICKAXE]:  { name: 'Wooden Pickaxe',  color: 0x8b6914, durability: 60,  miningSpeed: 2, toolType: 'pickaxe', toolTier: 'wooden', isTool: true },
   [ITEM.STONE_PICKAXE]:   { name: 'Stone Pickaxe',   color: 0x7f7f7f, durability: 132, miningSpeed: 4, toolType: 'pickaxe', toolTier: 'stone', isTool: true },
   [ITEM.IRON_PICKAXE]:    { name: 'Iron Pickaxe',    color: 0xd8d8d8, durability: 251, miningSpeed: 6, toolType: 'pickaxe', toolTier: 'iron', isTool: true },
@@ -549,10 +1593,187 @@ const ITEM_DATA = {
   [ITEM.IRON_SHOVEL]:    { name: 'Iron Shovel',    color: 0xd8d8d8, durability: 251, miningSpeed: 6, toolType: 'shovel', toolTier: 'iron', isTool: true },
   [ITEM.DIAMOND_SHOVEL]: { name: 'Diamond Shovel', color: 0x4aedd9, durability: 1562, miningSpeed: 8, toolType: 'shovel', toolTier: 'diamond', isTool: true },
   [ITEM.GOLD_SHOVEL]: { name: 'Gold Shovel', color: 0xfcee4b, durability: 33, miningSpeed: 14, toolType: 'shovel', toolTier: 'gold', isTool: true },
-  /*[ITEM.WOODEN_SWORD]: { name: 'Wooden Sword', color: 0x8b6914, durability: 60,  damage: 4, isTool: true },
-  [ITEM.STONE_SWORD]:  { name: 'Stone Sword',  color: 0x7f7f7f, durability: 132, damage: 5, isTool: true },
-  [ITEM.IRON_SWORD]:   { name: 'Iron Sword',   color: 0xd8d8d8, durability: 251, damage: 6, isTool: true },
-  [ITEM.DIAMOND_SWORD]:{ name: 'Diamond Sword',color: 0x4aedd9, durability: 1562, damage: 7, isTool: true }*/
+
+  [ITEM.WOODEN_SWORD]:  { name: 'Wooden Sword',  color: 0x8b6914, durability: 60,  damage: 4, attackSpeed: 1.6, toolType: 'sword', toolTier: 'wooden', isTool: true },
+  [ITEM.STONE_SWORD]:   { name: 'Stone Sword',   color: 0x7f7f7f, durability: 132, damage: 5, attackSpeed: 1.6, toolType: 'sword', toolTier: 'stone', isTool: true },
+  [ITEM.IRON_SWORD]:    { name: 'Iron Sword',    color: 0xd8d8d8, durability: 251, damage: 6, attackSpeed: 1.6, toolType: 'sword', toolTier: 'iron', isTool: true },
+  [ITEM.DIAMOND_SWORD]: { name: 'Diamond Sword', color: 0x4aedd9, durability: 1562, damage: 7, attackSpeed: 1.6, toolType: 'sword', toolTier: 'diamond', isTool: true },
+  [ITEM.GOLD_SWORD]:    { name: 'Gold Sword',    color: 0xfcee4b, durability: 33,  damage: 4, attackSpeed: 1.6, toolType: 'sword', toolTier: 'gold', isTool: true },
+
+  // Hoes only till soil, see tillBlock()
+  [ITEM.WOODEN_HOE]:  { name: 'Wooden Hoe',  color: 0x8b6914, durability: 60,   toolType: 'hoe', toolTier: 'wooden', isTool: true },
+  [ITEM.STONE_HOE]:   { name: 'Stone Hoe',   color: 0x7f7f7f, durability: 132,  toolType: 'hoe', toolTier: 'stone', isTool: true },
+  [ITEM.IRON_HOE]:    { name: 'Iron Hoe',    color: 0xd8d8d8, durability: 251,  toolType: 'hoe', toolTier: 'iron', isTool: true },
+  [ITEM.DIAMOND_HOE]: { name: 'Diamond Hoe', color: 0x4aedd9, durability: 1562, toolType: 'hoe', toolTier: 'diamond', isTool: true },
+  [ITEM.GOLD_HOE]:    { name: 'Gold Hoe',    color: 0xfcee4b, durability: 33,   toolType: 'hoe', toolTier: 'gold', isTool: true },
+
+  // Armor: `armor` points per piece, each point blocks 4% of incoming damage
+  [ITEM.LEATHER_HELMET]:     { name: 'Leather Helmet',     color: 0x8b4a2b, durability: 55,  armor: 1, armorSlot: 'helmet', isArmor: true, stackable: false },
+  [ITEM.LEATHER_CHESTPLATE]: { name: 'Leather Chestplate', color: 0x8b4a2b, durability: 80,  armor: 3, armorSlot: 'chestplate', isArmor: true, stackable: false },
+  [ITEM.LEATHER_LEGGINGS]:   { name: 'Leather Leggings',   color: 0x8b4a2b, durability: 75,  armor: 2, armorSlot: 'leggings', isArmor: true, stackable: false },
+  [ITEM.LEATHER_BOOTS]:      { name: 'Leather Boots',      color: 0x8b4a2b, durability: 65,  armor: 1, armorSlot: 'boots', isArmor: true, stackable: false },
+  [ITEM.IRON_HELMET]:        { name: 'Iron Helmet',        color: 0xd8d8d8, durability: 165, armor: 2, armorSlot: 'helmet', isArmor: true, stackable: false },
+  [ITEM.IRON_CHESTPLATE]:    { name: 'Iron Chestplate',    color: 0xd8d8d8, durability: 240, armor: 6, armorSlot: 'chestplate', isArmor: true, stackable: false },
+  [ITEM.IRON_LEGGINGS]:      { name: 'Iron Leggings',      color: 0xd8d8d8, durability: 225, armor: 5, armorSlot: 'leggings', isArmor: true, stackable: false },
+  [ITEM.IRON_BOOTS]:         { name: 'Iron Boots',         color: 0xd8d8d8, durability: 195, armor: 2, armorSlot: 'boots', isArmor: true, stackable: false },
+  [ITEM.GOLD_HELMET]:        { name: 'Gold Helmet',        color: 0xfcee4b, durability: 77,  armor: 2, armorSlot: 'helmet', isArmor: true, stackable: false },
+  [ITEM.GOLD_CHESTPLATE]:    { name: 'Gold Chestplate',    color: 0xfcee4b, durability: 112, armor: 5, armorSlot: 'chestplate', isArmor: true, stackable: false },
+  [ITEM.GOLD_LEGGINGS]:      { name: 'Gold Leggings',      color: 0xfcee4b, durability: 105, armor: 3, armorSlot: 'leggings', isArmor: true, stackable: false },
+  [ITEM.GOLD_BOOTS]:         { name: 'Gold Boots',         color: 0xfcee4b, durability: 91,  armor: 1, armorSlot: 'boots', isArmor: true, stackable: false },
+  [ITEM.DIAMOND_HELMET]:     { name: 'Diamond Helmet',     color: 0x4aedd9, durability: 363, armor: 3, armorSlot: 'helmet', isArmor: true, stackable: false },
+  [ITEM.DIAMOND_CHESTPLATE]: { name: 'Diamond Chestplate', color: 0x4aedd9, durability: 528, armor: 8, armorSlot: 'chestplate', isArmor: true, stackable: false },
+  [ITEM.DIAMOND_LEGGINGS]:   { name: 'Diamond Leggings',   color: 0x4aedd9, durability: 495, armor: 6, armorSlot: 'leggings', isArmor: true, stackable: false },
+  [ITEM.DIAMOND_BOOTS]:      { name: 'Diamond Boots',      color: 0x4aedd9, durability: 429, armor: 3, armorSlot: 'boots', isArmor: true, stackable: false },
+
+  // Creative only: left and right click pick the corners of a selection, see build-tool.js
+  [ITEM.WAND]: { name: 'Building Wand', color: 0xb05cff, wand: true, stackable: false }
 };
 
 const TOOL_TIERS = ['wooden', 'stone', 'iron', 'diamond', 'gold'];
+
+// Brightness for each light level (0-15), each level is 80% of the one above
+const LIGHT_CURVE = [];
+for (let level = 0; level <= MAX_LIGHT; level++) {
+  LIGHT_CURVE.push(Math.pow(0.8, MAX_LIGHT - level));
+}
+
+// Whether a block stops light completely
+function isLightOpaque(block) {
+  const data = BLOCK_DATA[block];
+  return !!data && data.solid && !data.transparent;
+}
+
+// Mask of the sections holding any of the rows minY..maxY
+function getSectionMask(minY, maxY) {
+  const first = Math.max(0, Math.floor(minY / SECTION_HEIGHT));
+  const last = Math.min(SECTION_COUNT - 1, Math.floor(maxY / SECTION_HEIGHT));
+  let mask = 0;
+  for (let section = first; section <= last; section++) mask |= 1 << section;
+  return mask;
+}
+
+// Whether a block can hold up blocks that need support (torches etc.)
+function isSupportingBlock(block) {
+  const data = BLOCK_DATA[block];
+  return !!data && data.solid && !data.transparent && data.type === BLOCK_TYPE.CUBE;
+}
+
+// ==================== MOBS ====================
+
+const MOB = {
+  PIG: 'pig',
+  COW: 'cow',
+  CHICKEN: 'chicken',
+  ZOMBIE: 'zombie',
+  HUSK: 'husk'
+};
+
+// Model parts are boxes in block units. `pivot` is the joint position relative to
+// the mob's feet, `offset` moves the box away from its joint (so legs swing at
+// the hip) and `swing` puts the part in one of the two walk-cycle groups.
+const QUADRUPED_LEGS = (size, x, y, z, color) => [
+  { size, pivot: [-x, y, -z], offset: [0, -size[1] / 2, 0], color, swing: 'a' },
+  { size, pivot: [x, y, z], offset: [0, -size[1] / 2, 0], color, swing: 'a' },
+  { size, pivot: [x, y, -z], offset: [0, -size[1] / 2, 0], color, swing: 'b' },
+  { size, pivot: [-x, y, z], offset: [0, -size[1] / 2, 0], color, swing: 'b' }
+];
+
+const BIPED_MODEL = (skin, shirt, pants) => [
+  { size: [0.25, 0.75, 0.25], pivot: [-0.125, 0.75, 0], offset: [0, -0.375, 0], color: pants, swing: 'a' },
+  { size: [0.25, 0.75, 0.25], pivot: [0.125, 0.75, 0], offset: [0, -0.375, 0], color: pants, swing: 'b' },
+  { size: [0.5, 0.75, 0.25], pivot: [0, 1.125, 0], offset: [0, 0, 0], color: shirt },
+  { size: [0.5, 0.5, 0.5], pivot: [0, 1.5, 0], offset: [0, 0.25, 0], color: skin, isHead: true },
+  // Arms held out in front
+  { size: [0.25, 0.75, 0.25], pivot: [-0.375, 1.375, 0], offset: [0, -0.3, 0], color: skin, pose: -Math.PI / 2, swing: 'b' },
+  { size: [0.25, 0.75, 0.25], pivot: [0.375, 1.375, 0], offset: [0, -0.3, 0], color: skin, pose: -Math.PI / 2, swing: 'a' }
+];
+
+// `biomes` come from getBiome(); `drops` are rolled once each on death, and
+// give their `cooked` item instead when the mob dies in lava
+const MOB_DATA = {
+  [MOB.PIG]: {
+    name: 'Pig',
+    hostile: false,
+    health: 10,
+    speed: 1.6,
+    width: 0.9,
+    height: 0.9,
+    biomes: ['plains', 'forest', 'birch_forest', 'mountains'],
+    spawnOn: [BLOCK.GRASS],
+    groupSize: [2, 3],
+    drops: [{ item: ITEM.RAW_PORKCHOP, cooked: ITEM.COOKED_PORKCHOP, min: 1, max: 3 }],
+    model: [
+      { size: [0.6, 0.5, 0.9], pivot: [0, 0.6, 0], offset: [0, 0, 0], color: 0xf0a0a0 },
+      { size: [0.5, 0.5, 0.5], pivot: [0, 0.75, -0.55], offset: [0, 0, -0.1], color: 0xf5b0b0, isHead: true },
+      ...QUADRUPED_LEGS([0.2, 0.35, 0.2], 0.18, 0.35, 0.3, 0xe09090)
+    ]
+  },
+  [MOB.COW]: {
+    name: 'Cow',
+    hostile: false,
+    health: 10,
+    speed: 1.4,
+    width: 0.9,
+    height: 1.4,
+    biomes: ['plains', 'forest', 'birch_forest', 'mountains'],
+    spawnOn: [BLOCK.GRASS],
+    groupSize: [2, 4],
+    drops: [{ item: ITEM.RAW_BEEF, cooked: ITEM.STEAK, min: 1, max: 3 }, { item: ITEM.LEATHER, min: 0, max: 2 }],
+    model: [
+      { size: [0.7, 0.6, 1.1], pivot: [0, 0.95, 0], offset: [0, 0, 0], color: 0x4a3020 },
+      { size: [0.5, 0.5, 0.4], pivot: [0, 1.2, -0.65], offset: [0, 0, -0.1], color: 0xeeeeee, isHead: true },
+      ...QUADRUPED_LEGS([0.25, 0.65, 0.25], 0.22, 0.65, 0.38, 0x3a2418)
+    ]
+  },
+  [MOB.CHICKEN]: {
+    name: 'Chicken',
+    hostile: false,
+    health: 4,
+    speed: 1.5,
+    width: 0.4,
+    height: 0.7,
+    biomes: ['plains', 'forest', 'birch_forest', 'mountains'],
+    spawnOn: [BLOCK.GRASS],
+    groupSize: [1, 3],
+    drops: [{ item: ITEM.RAW_CHICKEN, cooked: ITEM.COOKED_CHICKEN, min: 1, max: 1 }, { item: ITEM.FEATHER, min: 0, max: 2 }],
+    model: [
+      { size: [0.35, 0.35, 0.45], pivot: [0, 0.45, 0], offset: [0, 0, 0], color: 0xf8f8f8 },
+      { size: [0.25, 0.3, 0.2], pivot: [0, 0.6, -0.2], offset: [0, 0.1, -0.05], color: 0xffffff, isHead: true },
+      { size: [0.1, 0.08, 0.1], pivot: [0, 0.7, -0.32], offset: [0, 0, -0.05], color: 0xf0a020, isHead: true },
+      { size: [0.06, 0.3, 0.06], pivot: [-0.08, 0.3, 0], offset: [0, -0.15, 0], color: 0xf0a020, swing: 'a' },
+      { size: [0.06, 0.3, 0.06], pivot: [0.08, 0.3, 0], offset: [0, -0.15, 0], color: 0xf0a020, swing: 'b' }
+    ]
+  },
+  [MOB.ZOMBIE]: {
+    name: 'Zombie',
+    hostile: true,
+    health: 20,
+    speed: 2.3,
+    width: 0.6,
+    height: 1.9,
+    biomes: ['plains', 'forest', 'birch_forest', 'taiga', 'snow', 'swamp', 'mountains'],
+    groupSize: [1, 2],
+    attackDamage: 3,
+    attackCooldown: 1,
+    followRange: 24,
+    burnsInDaylight: true,
+    drops: [{ item: ITEM.ROTTEN_FLESH, min: 0, max: 2 }],
+    model: BIPED_MODEL(0x5a8a4a, 0x2f7a9a, 0x3a3a8a)
+  },
+  [MOB.HUSK]: {
+    name: 'Husk',
+    hostile: true,
+    health: 20,
+    speed: 2.3,
+    width: 0.6,
+    height: 1.9,
+    biomes: ['desert'],
+    groupSize: [1, 2],
+    attackDamage: 3,
+    attackCooldown: 1,
+    followRange: 24,
+    burnsInDaylight: false,
+    drops: [{ item: ITEM.ROTTEN_FLESH, min: 0, max: 2 }],
+    model: BIPED_MODEL(0x9a8a60, 0x6a5a3a, 0x4a4030)
+  }
+};
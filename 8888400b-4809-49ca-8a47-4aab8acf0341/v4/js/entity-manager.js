@@ -0,0 +1,655 @@
+// ==================== ENTITY MANAGER ====================
+// Mobs live here rather than in game.droppedItems: they have health, AI and an
+// animated model, and they query the world through the game's block accessors.
+class EntityManager {
+  constructor(game) {
+    this.game = game;
+    this.entities = [];
+    this.spawnTimer = 0;
+    this.nextId = 1;
+  }
+
+  clear() {
+    this.entities.forEach(entity => this.disposeEntity(entity));
+    this.entities = [];
+    this.spawnTimer = 0;
+  }
+
+  update(dt) {
+    this.spawnTimer -= dt;
+    if (this.spawnTimer <= 0) {
+      this.spawnTimer = MOB_SPAWN_INTERVAL;
+      this.trySpawnMobs();
+    }
+
+    const playerPos = this.game.player.position;
+    for (let i = this.entities.length - 1; i >= 0; i--) {
+      const entity = this.entities[i];
+      const dx = entity.position.x - playerPos.x;
+      const dz = entity.position.z - playerPos.z;
+
+      // Nothing outside loaded chunks is simulated, so far away mobs just vanish
+      if (dx * dx + dz * dz > MOB_DESPAWN_DIST * MOB_DESPAWN_DIST ||
+          !this.game.isChunkLoadedAt(entity.position.x, entity.position.z)) {
+        this.disposeEntity(entity);
+        this.entities.splice(i, 1);
+        continue;
+      }
+
+      this.updateEntity(entity, dt);
+
+      if (entity.health <= 0) {
+        this.killEntity(entity);
+        this.entities.splice(i, 1);
+      }
+    }
+  }
+
+  // ==================== SPAWNING ====================
+
+  countMobs(hostile) {
+    return this.entities.filter(e => e.data.hostile === hostile).length;
+  }
+
+  trySpawnMobs() {
+    if (!this.game.terrain || this.game.player.isDead) return;
+
+    const canSpawnPassive = this.countMobs(false) < MAX_PASSIVE_MOBS;
+    const canSpawnHostile = this.countMobs(true) < MAX_HOSTILE_MOBS;
+    if (!canSpawnPassive && !canSpawnHostile) return;
+
+    for (let attempt = 0; attempt < MOB_SPAWN_ATTEMPTS; attempt++) {
+      const angle = Math.random() * Math.PI * 2;
+      const dist = MOB_SPAWN_MIN_DIST + Math.random() * (MOB_SPAWN_MAX_DIST - MOB_SPAWN_MIN_DIST);
+      const x = Math.floor(this.game.player.position.x + Math.cos(angle) * dist);
+      const z = Math.floor(this.game.player.position.z + Math.sin(angle) * dist);
+      if (!this.game.isChunkLoadedAt(x, z)) continue;
+
+      const hostile = canSpawnHostile && (!canSpawnPassive || Math.random() < 0.5);
+      if (this.trySpawn(x, z, hostile)) return;
+    }
+  }
+
+  trySpawn(x, z, hostile) {
+    const biome = this.game.getBiome(x, z);
+    const types = Object.keys(MOB_DATA).filter(type =>
+      MOB_DATA[type].hostile === hostile && MOB_DATA[type].biomes.includes(biome)
+    );
+    if (types.length === 0) return false;
+
+    const type = types[Math.floor(Math.random() * types.length)];
+    const data = MOB_DATA[type];
+
+    // Passive mobs need open sky and their spawn block; hostile ones need darkness
+    const spots = this.findSpawnSpots(x, z, data.height);
+    const candidates = spots.filter(spot => {
+      const light = this.game.getLightLevel(x, spot.y, z);
+      if (hostile) return light <= MOB_HOSTILE_MAX_LIGHT;
+      return spot.surface && data.spawnOn.includes(this.game.getBlock(x, spot.y - 1, z));
+    });
+    if (candidates.length === 0) return false;
+
+    const spot = candidates[Math.floor(Math.random() * candidates.length)];
+    const [minGroup, maxGroup] = data.groupSize;
+    const room = (hostile ? MAX_HOSTILE_MOBS : MAX_PASSIVE_MOBS) - this.countMobs(hostile);
+    const groupSize = Math.min(room, minGroup + Math.floor(Math.random() * (maxGroup - minGroup + 1)));
+
+    for (let i = 0; i < groupSize; i++) {
+      const gx = x + (i === 0 ? 0 : Math.floor(Math.random() * 5) - 2);
+      const gz = z + (i === 0 ? 0 : Math.floor(Math.random() * 5) - 2);
+      if (i > 0 && !this.isStandable(gx, spot.y, gz, data.height)) continue;
+      this.spawnMob(type, gx + 0.5, spot.y, gz + 0.5);
+    }
+    return true;
+  }
+
+  // Every floor in the column with room for the mob, top down
+  findSpawnSpots(x, z, height) {
+    const spots = [];
+    let surface = true;
+    for (let y = WORLD_HEIGHT - 2; y > 0; y--) {
+      if (this.isStandable(x, y, z, height)) {
+        spots.push({ y, surface });
+      }
+      if (isLightOpaque(this.game.getBlock(x, y, z))) surface = false;
+    }
+    return spots;
+  }
+
+  spawnMob(type, x, y, z) {
+    const data = MOB_DATA[type];
+    if (!data) return null;
+
+    const { group, swingParts } = this.buildModel(data);
+    group.position.set(x, y, z);
+    this.game.scene.add(group);
+
+    const entity = {
+      id: this.nextId++,
+      type,
+      data,
+      position: new THREE.Vector3(x, y, z),
+      velocity: new THREE.Vector3(),
+      knockback: new THREE.Vector3(),
+      yaw: Math.random() * Math.PI * 2,
+      onGround: false,
+      inWater: false,
+      inLava: false,
+      fallStartY: null,
+      health: data.health,
+      hurtTimer: 0,
+      attackTimer: 0,
+      damageTimer: 0,
+      panicTimer: 0,
+      panicFrom: null,
+      wanderTimer: Math.random() * 5,
+      path: null,
+      pathTimer: 0,
+      stuckTimer: 0,
+      walkTime: 0,
+      model: group,
+      swingParts
+    };
+
+    this.entities.push(entity);
+    return entity;
+  }
+
+  buildModel(data) {
+    const group = new THREE.Group();
+    const swingParts = [];
+
+    for (const part of data.model) {
+      const joint = new THREE.Group();
+      joint.position.set(...part.pivot);
+      joint.rotation.x = part.pose || 0;
+
+      const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(...part.size),
+        new THREE.MeshStandardMaterial({ color: part.color })
+      );
+      mesh.position.set(...part.offset);
+      joint.add(mesh);
+      group.add(joint);
+
+      if (part.swing) {
+        swingParts.push({ joint, pose: part.pose || 0, phase: part.swing === 'a' ? 1 : -1 });
+      }
+    }
+
+    return { group, swingParts };
+  }
+
+  disposeEntity(entity) {
+    this.game.scene.remove(entity.model);
+    entity.model.traverse(child => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+
+  killEntity(entity) {
+    const { x, y, z } = entity.position;
+    for (const drop of entity.data.drops) {
+      const count = drop.min + Math.floor(Math.random() * (drop.max - drop.min + 1));
+      const item = entity.inLava && drop.cooked ? drop.cooked : drop.item;
+      if (count > 0) {
+        this.game.spawnDroppedItem(x, y + 0.5, z, item, count);
+      }
+    }
+    this.game.spawnParticles(x, y + entity.data.height / 2, z, 0xdddddd);
+    this.disposeEntity(entity);
+  }
+
+  // ==================== COMBAT ====================
+
+  // Nearest mob whose bounding box the ray hits within maxDist
+  raycast(origin, dir, maxDist) {
+    let closest = null;
+    for (const entity of this.entities) {
+      const hw = entity.data.width / 2;
+      const min = [entity.position.x - hw, entity.position.y, entity.position.z - hw];
+      const max = [entity.position.x + hw, entity.position.y + entity.data.height, entity.position.z + hw];
+      const o = [origin.x, origin.y, origin.z];
+      const d = [dir.x, dir.y, dir.z];
+
+      let tMin = 0, tMax = maxDist;
+      for (let axis = 0; axis < 3; axis++) {
+        if (Math.abs(d[axis]) < 1e-8) {
+          if (o[axis] < min[axis] || o[axis] > max[axis]) { tMin = Infinity; break; }
+          continue;
+        }
+        let t1 = (min[axis] - o[axis]) / d[axis];
+        let t2 = (max[axis] - o[axis]) / d[axis];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) break;
+      }
+
+      if (tMin <= tMax && (!closest || tMin < closest.distance)) {
+        closest = { entity, distance: tMin };
+      }
+    }
+    return closest;
+  }
+
+  // Returns false while the mob is still invulnerable from the previous hit
+  attackEntity(entity, damage, direction, knockback = KNOCKBACK_FORCE) {
+    if (entity.hurtTimer > 0 || entity.health <= 0) return false;
+
+    entity.health -= damage;
+    entity.hurtTimer = MOB_HURT_COOLDOWN;
+
+    if (direction) {
+      const horizontal = new THREE.Vector3(direction.x, 0, direction.z).normalize();
+      entity.knockback.copy(horizontal).multiplyScalar(knockback);
+      entity.velocity.y = Math.max(entity.velocity.y, Math.min(5, knockback));
+      entity.onGround = false;
+    }
+
+    if (!entity.data.hostile) {
+      entity.panicTimer = 5;
+      entity.panicFrom = this.game.player.position.clone();
+      entity.path = null;
+    }
+    return true;
+  }
+
+  // ==================== AI ====================
+
+  updateEntity(entity, dt) {
+    entity.hurtTimer = Math.max(0, entity.hurtTimer - dt);
+    entity.attackTimer = Math.max(0, entity.attackTimer - dt);
+    entity.pathTimer -= dt;
+
+    const moveTarget = entity.data.hostile ? this.updateHostile(entity, dt) : this.updatePassive(entity, dt);
+    this.updateEnvironmentDamage(entity, dt);
+
+    let moveX = 0, moveZ = 0;
+    let speed = entity.data.speed;
+    if (entity.panicTimer > 0) speed *= 1.8;
+
+    if (moveTarget) {
+      const dx = moveTarget.x - entity.position.x;
+      const dz = moveTarget.z - entity.position.z;
+      const len = Math.sqrt(dx * dx + dz * dz);
+      if (len > 0.1) {
+        moveX = dx / len;
+        moveZ = dz / len;
+        entity.yaw = Math.atan2(-moveX, -moveZ);
+      }
+
+      // Step up onto the next path node
+      if (moveTarget.y > entity.position.y + 0.5 && entity.onGround) {
+        entity.velocity.y = MOB_JUMP_FORCE;
+        entity.onGround = false;
+      }
+    }
+
+    entity.velocity.x = moveX * speed + entity.knockback.x;
+    entity.velocity.z = moveZ * speed + entity.knockback.z;
+    entity.knockback.multiplyScalar(Math.max(0, 1 - 8 * dt));
+
+    const before = entity.position.clone();
+    const blocked = this.moveEntity(entity, dt);
+
+    // Bump into a one block ledge: hop over it
+    if (blocked && moveTarget && entity.onGround) {
+      entity.velocity.y = MOB_JUMP_FORCE;
+      entity.onGround = false;
+    }
+
+    // Give up on a path that isn't getting anywhere
+    if (entity.path && before.distanceToSquared(entity.position) < 0.0001 * dt) {
+      entity.stuckTimer += dt;
+      if (entity.stuckTimer > 1.5) {
+        entity.path = null;
+        entity.stuckTimer = 0;
+      }
+    } else {
+      entity.stuckTimer = 0;
+    }
+
+    this.updateModel(entity, dt, moveX !== 0 || moveZ !== 0);
+  }
+
+  updatePassive(entity, dt) {
+    if (entity.panicTimer > 0) {
+      entity.panicTimer -= dt;
+      if (!entity.path || entity.pathTimer <= 0) {
+        // Run roughly away from whoever hit us
+        const away = entity.position.clone().sub(entity.panicFrom).setY(0);
+        if (away.lengthSq() < 0.01) away.set(Math.random() - 0.5, 0, Math.random() - 0.5);
+        away.normalize().multiplyScalar(8);
+        away.x += (Math.random() - 0.5) * 4;
+        away.z += (Math.random() - 0.5) * 4;
+        this.setPathTo(entity, entity.position.x + away.x, entity.position.y, entity.position.z + away.z);
+        entity.pathTimer = 1;
+      }
+      return this.followPath(entity);
+    }
+
+    entity.wanderTimer -= dt;
+    if (entity.wanderTimer <= 0) {
+      entity.wanderTimer = 4 + Math.random() * 8;
+      if (Math.random() < 0.6) {
+        this.setPathTo(
+          entity,
+          entity.position.x + (Math.random() - 0.5) * 16,
+          entity.position.y,
+          entity.position.z + (Math.random() - 0.5) * 16
+        );
+      }
+    }
+    return this.followPath(entity);
+  }
+
+  updateHostile(entity, dt) {
+    const game = this.game;
+    const player = game.player;
+    const data = entity.data;
+
+    const eye = player.position;
+    const feetY = eye.y - PLAYER_HEIGHT;
+    const dx = eye.x - entity.position.x;
+    const dz = eye.z - entity.position.z;
+    const distSq = dx * dx + dz * dz;
+
+    const canTarget = game.gameMode === 'survival' && !player.isDead &&
+      distSq < data.followRange * data.followRange;
+
+    if (!canTarget) {
+      entity.wanderTimer -= dt;
+      if (entity.wanderTimer <= 0) {
+        entity.wanderTimer = 5 + Math.random() * 10;
+        this.setPathTo(
+          entity,
+          entity.position.x + (Math.random() - 0.5) * 12,
+          entity.position.y,
+          entity.position.z + (Math.random() - 0.5) * 12
+        );
+      }
+      return this.followPath(entity);
+    }
+
+    // Melee once the player is within arm's reach
+    const reach = data.width / 2 + PLAYER_WIDTH / 2 + 0.6;
+    const verticalOverlap = feetY < entity.position.y + data.height && eye.y > entity.position.y;
+    if (distSq < reach * reach && verticalOverlap) {
+      if (entity.attackTimer <= 0) {
+        entity.attackTimer = data.attackCooldown;
+        game.knockbackPlayer(dx, dz, KNOCKBACK_FORCE);
+        game.damagePlayer(data.attackDamage, `Was slain by ${data.name}`);
+      }
+      entity.path = null;
+      return { x: eye.x, y: entity.position.y, z: eye.z };
+    }
+
+    if (!entity.path || entity.pathTimer <= 0) {
+      this.setPathTo(entity, eye.x, feetY, eye.z);
+      entity.pathTimer = 0.75 + Math.random() * 0.5;
+    }
+    return this.followPath(entity) || { x: eye.x, y: entity.position.y, z: eye.z };
+  }
+
+  updateEnvironmentDamage(entity, dt) {
+    const game = this.game;
+    const x = Math.floor(entity.position.x), z = Math.floor(entity.position.z);
+    const feetFluid = getFluid(game.getBlock(x, Math.floor(entity.position.y + 0.1), z));
+    const headY = Math.floor(entity.position.y + entity.data.height - 0.1);
+    entity.inWater = feetFluid === 'water';
+    entity.inLava = feetFluid === 'lava';
+
+    let damage = 0;
+    if (feetFluid === 'lava') {
+      damage = LAVA_DAMAGE;
+    } else if (entity.data.burnsInDaylight && game.dayFactor > 0.5 && !entity.inWater &&
+               game.isSkyVisible(x, headY, z)) {
+      damage = 1;
+    }
+
+    if (damage > 0) {
+      entity.damageTimer -= dt;
+      if (entity.damageTimer <= 0) {
+        entity.damageTimer = LAVA_DAMAGE_INTERVAL * 2;
+        entity.health -= damage;
+        entity.hurtTimer = MOB_HURT_COOLDOWN;
+      }
+    } else {
+      entity.damageTimer = 0;
+    }
+  }
+
+  // ==================== PATHFINDING ====================
+
+  setPathTo(entity, x, y, z) {
+    const start = this.getFeetCell(entity);
+    const goal = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+    entity.path = this.findPath(start, goal, entity.data.height);
+    entity.stuckTimer = 0;
+  }
+
+  getFeetCell(entity) {
+    return {
+      x: Math.floor(entity.position.x),
+      y: Math.floor(entity.position.y + 0.01),
+      z: Math.floor(entity.position.z)
+    };
+  }
+
+  // Next waypoint (block centre) on the entity's path, or null when done
+  followPath(entity) {
+    if (!entity.path) return null;
+
+    while (entity.path.length > 0) {
+      const node = entity.path[0];
+      const dx = node.x + 0.5 - entity.position.x;
+      const dz = node.z + 0.5 - entity.position.z;
+      const reached = dx * dx + dz * dz < 0.15 && Math.abs(node.y - entity.position.y) < 1.1;
+      if (!reached) return { x: node.x + 0.5, y: node.y, z: node.z + 0.5 };
+      entity.path.shift();
+    }
+
+    entity.path = null;
+    return null;
+  }
+
+  isPassable(x, y, z) {
+    const block = this.game.getBlock(x, y, z);
+    const data = BLOCK_DATA[block];
+    if (getFluid(block) === 'lava') return false;
+    return !data || !data.solid;
+  }
+
+  // Feet cell (x, y, z) has a floor and enough headroom for a mob of `height`
+  isStandable(x, y, z, height) {
+    if (y <= 0 || y >= WORLD_HEIGHT) return false;
+    const below = this.game.getBlock(x, y - 1, z);
+    const floor = BLOCK_DATA[below];
+    const onFloor = (floor && floor.solid) || getFluid(this.game.getBlock(x, y, z)) === 'water';
+    if (!onFloor || getFluid(below) === 'lava') return false;
+
+    for (let dy = 0; dy < Math.ceil(height); dy++) {
+      if (!this.isPassable(x, y + dy, z)) return false;
+    }
+    return true;
+  }
+
+  // A* over standable cells. Mobs can step up one block or drop up to three.
+  // If the goal can't be reached within MOB_PATH_MAX_NODES expansions the path
+  // to the closest node found is returned, so chasers still head the right way.
+  findPath(start, goal, height) {
+    const key = (x, y, z) => `${x},${y},${z}`;
+    const heuristic = (n) => Math.abs(n.x - goal.x) + Math.abs(n.y - goal.y) + Math.abs(n.z - goal.z);
+    const clearance = Math.ceil(height);
+
+    const startNode = { x: start.x, y: start.y, z: start.z, g: 0, parent: null };
+    startNode.f = heuristic(startNode);
+    const open = [startNode];
+    const nodes = new Map([[key(start.x, start.y, start.z), startNode]]);
+    const closed = new Set();
+    let best = startNode;
+    let expanded = 0;
+
+    while (open.length > 0 && expanded < MOB_PATH_MAX_NODES) {
+      let bestIndex = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (open[i].f < open[bestIndex].f) bestIndex = i;
+      }
+      const current = open[bestIndex];
+      open[bestIndex] = open[open.length - 1];
+      open.pop();
+
+      const currentKey = key(current.x, current.y, current.z);
+      if (closed.has(currentKey)) continue;
+      closed.add(currentKey);
+      expanded++;
+
+      if (current.x === goal.x && current.z === goal.z && Math.abs(current.y - goal.y) <= 1) {
+        best = current;
+        break;
+      }
+      if (heuristic(current) < heuristic(best)) best = current;
+
+      for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = current.x + dx, nz = current.z + dz;
+        for (const dy of [0, 1, -1, -2, -3]) {
+          const ny = current.y + dy;
+          if (!this.isStandable(nx, ny, nz, height)) continue;
+          // Jumping up needs headroom above the current cell
+          if (dy === 1 && !this.isPassable(current.x, current.y + clearance, current.z)) break;
+          // Dropping down needs the column in front to be open
+          if (dy < 0) {
+            let clear = true;
+            for (let y = ny + 1; y <= current.y + clearance - 1 && clear; y++) {
+              clear = this.isPassable(nx, y, nz);
+            }
+            if (!clear) continue;
+          }
+
+          const neighborKey = key(nx, ny, nz);
+          if (closed.has(neighborKey)) break;
+          const g = current.g + 1 + (dy !== 0 ? 0.5 : 0);
+          const existing = nodes.get(neighborKey);
+          if (!existing || g < existing.g) {
+            const node = { x: nx, y: ny, z: nz, g, parent: current };
+            node.f = g + heuristic(node);
+            nodes.set(neighborKey, node);
+            open.push(node);
+          }
+          break;
+        }
+      }
+    }
+
+    if (best === startNode) return null;
+
+    const path = [];
+    for (let node = best; node && node !== startNode; node = node.parent) {
+      path.unshift({ x: node.x, y: node.y, z: node.z });
+    }
+    return path;
+  }
+
+  // ==================== PHYSICS ====================
+
+  // Returns true if horizontal movement was blocked by a wall
+  moveEntity(entity, dt) {
+    const pos = entity.position;
+    const vel = entity.velocity;
+
+    if (entity.inWater) {
+      // Mobs paddle to stay afloat
+      vel.y += GRAVITY * 0.6 * dt;
+      vel.y *= Math.max(0, 1 - 3 * dt);
+      vel.y = Math.min(vel.y, 2);
+    }
+    vel.y -= GRAVITY * dt;
+    vel.y = Math.max(vel.y, -40);
+
+    if (!entity.onGround && !entity.inWater) {
+      if (entity.fallStartY === null && vel.y < 0) entity.fallStartY = pos.y;
+    }
+
+    let blocked = false;
+
+    pos.x += vel.x * dt;
+    if (this.collides(entity, pos)) { pos.x -= vel.x * dt; vel.x = 0; blocked = true; }
+
+    pos.z += vel.z * dt;
+    if (this.collides(entity, pos)) { pos.z -= vel.z * dt; vel.z = 0; blocked = true; }
+
+    const oldY = pos.y;
+    pos.y += vel.y * dt;
+    if (this.collides(entity, pos)) {
+      if (vel.y < 0) {
+        // Land exactly on top of the floor
+        pos.y = Math.floor(pos.y) + 1;
+        if (this.collides(entity, pos)) pos.y = oldY;
+        entity.onGround = true;
+        if (entity.fallStartY !== null) {
+          const damage = Math.floor(entity.fallStartY - pos.y) - 3;
+          if (damage > 0) {
+            entity.health -= damage;
+            entity.hurtTimer = MOB_HURT_COOLDOWN;
+          }
+        }
+      } else {
+        pos.y = oldY;
+      }
+      vel.y = 0;
+    } else {
+      entity.onGround = false;
+    }
+
+    if (entity.onGround || entity.inWater) entity.fallStartY = null;
+    return blocked;
+  }
+
+  collides(entity, pos) {
+    const hw = entity.data.width / 2;
+    const minX = Math.floor(pos.x - hw), maxX = Math.floor(pos.x + hw);
+    const minY = Math.floor(pos.y), maxY = Math.floor(pos.y + entity.data.height - 0.01);
+    const minZ = Math.floor(pos.z - hw), maxZ = Math.floor(pos.z + hw);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          const block = this.game.getBlock(x, y, z);
+          if (block !== BLOCK.AIR && BLOCK_DATA[block] && BLOCK_DATA[block].solid) return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // ==================== RENDERING ====================
+
+  updateModel(entity, dt, moving) {
+    const model = entity.model;
+    model.position.copy(entity.position);
+
+    // Turn smoothly towards the walking direction
+    let diff = entity.yaw - model.rotation.y;
+    diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+    model.rotation.y += diff * Math.min(1, dt * 10);
+
+    if (moving) entity.walkTime += dt * entity.data.speed * 4;
+    const swing = moving ? Math.sin(entity.walkTime) * 0.7 : 0;
+    for (const part of entity.swingParts) {
+      part.joint.rotation.x = part.pose + swing * part.phase;
+    }
+
+    // Red flash while hurt
+    const hurt = entity.hurtTimer > 0;
+    if (hurt !== entity.showingHurt) {
+      entity.showingHurt = hurt;
+      model.traverse(child => {
+        if (child.isMesh) child.material.emissive.setHex(hurt ? 0x990000 : 0x000000);
+      });
+    }
+  }
+}
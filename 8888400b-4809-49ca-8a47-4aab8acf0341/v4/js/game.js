@@ -14,7 +14,10 @@ class MinecraftGame {
       fov: 80,
       sensitivity: 1.0,
       fullscreen: false,
-      autosave: true
+      autosave: true,
+      playerName: '',
+      lanAddress: '',
+      resourcePack: null
     };
     
     this.scene = new THREE.Scene();
@@ -25,21 +28,19 @@ class MinecraftGame {
     this.renderer.setClearColor(0x87ceeb);
     document.getElementById('game-container').prepend(this.renderer.domElement);
 
-    this.noise = null;
-    this.noiseDetail = null;
+    this.terrain = null;
     this.chunks = new Map();
     this.chunkMeshes = new Map();
     this.modifiedBlocks = new Map();
+    this.blockBatch = null;      // See beginBlockBatch
+    this.regionManager = new RegionManager(this);
     this.pendingChunks = new Map();
-    
-    // NEW: Mesh building queue for smooth loading
-    this.meshBuildQueue = [];
-    this.pendingMeshes = new Map();
 
-    // Web Worker for chunk generation
-    this.chunkWorker = null;
-    this.chunkRequestId = 0;
-    this.initChunkWorker();
+    // Web Workers for chunk generation and meshing
+    this.chunkWorkers = new ChunkWorkerPool(this);
+    if (this.chunkWorkers.size === 0) {
+      alert('Web Workers are not available; chunks cannot be generated.');
+    }
 
     this.player = {
       position: new THREE.Vector3(8, 50, 8),
@@ -48,7 +49,15 @@ class MinecraftGame {
       yaw: 0,
       pitch: 0,
       inWater: false,
+      inLava: false,
+      eyeFluid: null,
+      lavaDamageTimer: 0,
+      knockback: new THREE.Vector3(),
       health: MAX_HEALTH,
+      hunger: MAX_HUNGER,
+      saturation: START_SATURATION,
+      exhaustion: 0,
+      foodTimer: 0,               // Seconds towards the next health point healed or starved away
       fallStartY: null,
       isDead: false
     };
@@ -57,6 +66,11 @@ class MinecraftGame {
     this.selectedSlot = 0;
     this.hotbarSlots = new Array(9).fill(null);
     this.inventorySlots = new Array(27).fill(null);
+    this.armorSlots = new Array(ARMOR_SLOTS.length).fill(null);
+    // Always stored as 3x3 (row * 3 + col); only the top-left 2x2 is used
+    // unless the grid was opened from a crafting table
+    this.craftingGrid = new Array(9).fill(null);
+    this.craftingSize = 2;
     this.inventoryOpen = false;
 
     this.isPlaying = false;
@@ -79,6 +93,7 @@ class MinecraftGame {
     
     this.gameMode = 'survival';
     this.isFlying = false;
+    this.spawnPoint = null;        // { x, y, z } set by /spawnpoint
     this.lastSpacePress = 0;
 
     this.autosaveTimer = null;
@@ -86,6 +101,29 @@ class MinecraftGame {
     
     this.droppedItems = [];
     this.heldInventoryItem = null;  // For inventory drag/drop
+    this.entityManager = new EntityManager(this);
+    this.blockEntities = new BlockEntityManager(this);
+    this.redstone = new RedstoneManager(this);
+    this.blockTicks = new BlockTickManager(this);
+    this.openContainer = null;     // { entity } while a furnace/chest UI is open
+    this.multiplayer = new MultiplayerClient(this);
+    this.chat = new ChatConsole(this);
+    this.playerView = new PlayerView(this);
+    this.worldMap = new WorldMap(this);
+    this.buildTool = new BuildTool(this);
+    this.resourcePacks = new ResourcePackManager(this);
+    this.registry = new Registry();
+    this.modsLoaded = this.loadMods();
+
+    // Pending fluid block updates, keyed by "x,y,z"
+    this.fluidUpdates = new Map();
+    this.fluidTime = 0;
+
+    // Seconds since the world was created; the time of day is derived from it
+    this.worldTime = DAY_LENGTH * NEW_WORLD_TIME;
+    // Shared by every chunk material, see applyVoxelLighting
+    this.lightUniforms = { uDaylight: { value: 1 } };
+    this.dayFactor = 1;
     
     this.mouse = {x:0,y:0}
 
@@ -94,60 +132,98 @@ class MinecraftGame {
     this.loadTextureAtlas();
 
     this.breakCooldown = 0; 
+    // Seconds since the last melee swing; attacks before the weapon recharges are weaker
+    this.attackTimer = 0;
+    // { slot, id, time } while right-click is held on food, see updateEating
+    this.eating = null;
 
     this.init();
   }
 
   // ==================== WEB WORKER SETUP ====================
-  
-  initChunkWorker() {
-    try {
-      this.chunkWorker = new Worker('js/workers/chunk-worker.js');
-      
-      this.chunkWorker.onmessage = (e) => {
-        const { type, id, cx, cz, data, chunkData, geometry } = e.data;
-        const key = `${cx},${cz}`;
-        
-        if (type === 'chunk') {
-          // Chunk data only - queue mesh build
-          const chunk = new Uint8Array(data);
-          this.chunks.set(key, chunk);
-          this.applyModificationsToChunk(cx, cz);
-          this.pendingChunks.delete(key);
-          
-          // Queue mesh building
-          this.queueMeshBuild(cx, cz);
-        }
-        else if (type === 'chunkWithMesh') {
-          // Chunk data + mesh geometry together
-          const chunk = new Uint8Array(chunkData);
-          this.chunks.set(key, chunk);
-          this.applyModificationsToChunk(cx, cz);
-          this.pendingChunks.delete(key);
-          this.pendingMeshes.delete(key);
-          
-          // Create mesh from geometry (fast - just creating THREE objects)
-          this.createMeshFromGeometry(cx, cz, geometry);
-        }
-        else if (type === 'mesh') {
-          // Mesh geometry only (for rebuild requests)
-          this.pendingMeshes.delete(key);
-          this.createMeshFromGeometry(cx, cz, geometry);
+
+  handleChunkWorkerMessage(data) {
+    const { type, cx, cz, data: chunkBuffer, chunkData, blockEntities, geometry } = data;
+    const key = `${cx},${cz}`;
+    
+    if (type === 'chunk') {
+      // Chunk data only - queue mesh build
+      this.chunks.set(key, new Uint8Array(chunkBuffer));
+      this.applyModificationsToChunk(cx, cz);
+      this.worldMap.recordChunk(cx, cz);
+      this.blockEntities.addGenerated(blockEntities);
+      this.pendingChunks.delete(key);
+      this.queueMeshBuild(cx, cz);
+    }
+    else if (type === 'chunkWithMesh') {
+      // Chunk data + mesh geometry together
+      this.chunks.set(key, new Uint8Array(chunkData));
+      this.applyModificationsToChunk(cx, cz);
+      this.worldMap.recordChunk(cx, cz);
+      this.blockEntities.addGenerated(blockEntities);
+      this.pendingChunks.delete(key);
+      this.createMeshFromGeometry(cx, cz, geometry);
+    }
+    else if (type === 'mesh') {
+      // Mesh geometry only (for rebuild requests)
+      if (this.chunks.has(key)) this.createMeshFromGeometry(cx, cz, geometry);
+    }
+  }
+
+  // A crashed job is retried by the normal chunk/mesh requests
+  handleChunkWorkerError(job) {
+    if (job.kind === 'generate') this.pendingChunks.delete(`${job.cx},${job.cz}`);
+  }
+
+  // Called by the pool when a worker is free to take a job; returns null to
+  // skip jobs that no longer make sense
+  buildChunkWorkerMessage(job) {
+    const { kind, cx, cz } = job;
+    const key = `${cx},${cz}`;
+
+    if (kind === 'generate') {
+      if (!this.pendingChunks.has(key) || this.chunks.has(key)) return null;
+      const { neighbors, modifiedBlocks, transfer } = this.getMeshInputs(cx, cz);
+
+      // Build the mesh in the same pass once most neighbours exist
+      if (Object.keys(neighbors).length >= 4) {
+        return {
+          data: { type: 'generateAndBuild', cx, cz, seed: this.worldSeed, neighbors, modifiedBlocks },
+          transfer
+        };
+      }
+      return { data: { type: 'generate', cx, cz, seed: this.worldSeed }, transfer: [] };
+    }
+
+    if (!this.chunks.has(key)) return null;
+    const { neighbors, modifiedBlocks, transfer } = this.getMeshInputs(cx, cz);
+    const chunk = this.chunks.get(key).slice().buffer;
+    return {
+      data: { type: 'buildMesh', cx, cz, seed: this.worldSeed, chunk, neighbors, modifiedBlocks, sections: job.sections },
+      transfer: [chunk, ...transfer]
+    };
+  }
+
+  // Copies of the surrounding chunks (for AO and light at the edges) and the
+  // edits in and around the chunk
+  getMeshInputs(cx, cz) {
+    const neighbors = {};
+    const modifiedBlocks = {};
+    const transfer = [];
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        const nkey = `${cx + dx},${cz + dz}`;
+        if ((dx || dz) && this.chunks.has(nkey)) {
+          neighbors[nkey] = this.chunks.get(nkey).slice().buffer;
+          transfer.push(neighbors[nkey]);
         }
-        else if (type === 'ready') {
-          console.log('Chunk worker ready');
+        for (const modKey of this.regionManager.getChunkKeys(cx + dx, cz + dz)) {
+          modifiedBlocks[modKey] = this.modifiedBlocks.get(modKey);
         }
-      };
-      
-      this.chunkWorker.onerror = (e) => {
-        console.error('Chunk worker error:', e);
-        this.chunkWorker = null;
-      };
-    } catch (e) {
-      alert(e.message)
-      console.warn('Web Workers not supported, using main thread for chunk generation');
-      this.chunkWorker = null;
+      }
     }
+    return { neighbors, modifiedBlocks, transfer };
   }
 
   init() {
@@ -158,11 +234,23 @@ class MinecraftGame {
     this.setupHealthBar();
     this.setupEventListeners();
     this.setupSettingsUI(); 
+    this.multiplayer.setupUI();
+    this.chat.setupUI();
+    this.worldMap.setupUI();
+    this.buildTool.setupUI();
+    this.resourcePacks.setupUI();
     this.setupInventoryUI();
     this.setupSaveUI();
     this.updateWorldSlots();
   }
 
+  // Mods register while the game starts; the chunk workers get the same
+  // definitions before they generate anything
+  async loadMods() {
+    await this.registry.loadMods();
+    if (this.registry.definitions.length) this.chunkWorkers.setRegistry(this.registry.definitions);
+  }
+
   // ==================== SAVE/LOAD SYSTEM ====================
   
   /* Put setupSaveUI method here - handles new world button, create/cancel, export/import */
@@ -175,26 +263,18 @@ class MinecraftGame {
       document.getElementById('new-world-form').classList.remove('visible');
     };
 
-    document.getElementById('create-world-btn').onclick = () => {
+    document.getElementById('create-world-btn').onclick = async () => {
       const name = document.getElementById('world-name').value.trim() || 'My World';
       const seedInput = document.getElementById('world-seed').value.trim();
       const seed = seedInput ? this.hashString(seedInput) : Math.floor(Math.random() * 1000000);
       
-      const saves = this.saveManager.getAllSaves();
-      let slotId = null;
-      for (let i = 1; i <= MAX_SAVE_SLOTS; i++) {
-        if (!saves[`slot${i}`]) {
-          slotId = `slot${i}`;
-          break;
-        }
-      }
-      
-      if (!slotId) {
+      const saves = await this.saveManager.getAllSaves();
+      if (Object.keys(saves).length >= MAX_SAVE_SLOTS) {
         alert('All save slots are full! Delete a world first.');
         return;
       }
       
-      this.currentSlot = slotId;
+      this.currentSlot = this.saveManager.createSlotId();
       this.worldName = name;
       this.worldSeed = seed;
       
@@ -237,63 +317,63 @@ class MinecraftGame {
   }
 
   /* Put updateWorldSlots method here - updates the world selection UI */
-  updateWorldSlots() {
+  async updateWorldSlots() {
     const container = document.getElementById('world-slots');
+    const saves = await this.saveManager.getAllSaves();
     container.innerHTML = '';
+
+    // Most recently played first
+    const slotIds = Object.keys(saves).sort((a, b) => (saves[b].savedAt || 0) - (saves[a].savedAt || 0));
     
-    const saves = this.saveManager.getAllSaves();
-    
-    for (let i = 1; i <= MAX_SAVE_SLOTS; i++) {
-      const slotId = `slot${i}`;
+    for (const slotId of slotIds) {
       const save = saves[slotId];
       
       const slot = document.createElement('div');
-      slot.className = 'world-slot' + (save ? '' : ' empty') + 
-                     (this.currentSlot === slotId ? ' selected' : '');
+      slot.className = 'world-slot' + (this.currentSlot === slotId ? ' selected' : '');
       
-      if (save) {
-        const date = new Date(save.savedAt);
-        const timeStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-        const blocksChanged = save.modifiedBlocks ? save.modifiedBlocks.length : 0;
-        
-        slot.innerHTML = `
-          <h3>📁 ${save.worldName || 'World ' + i}</h3>
-          <p>Seed: ${save.seed}</p>
-          <p>Last played: ${timeStr}</p>
-          <p>Blocks modified: ${blocksChanged}</p>
-          <button class="delete-btn" data-slot="${slotId}">🗑️ Delete</button>
-        `;
-        
-        slot.onclick = (e) => {
-          if (e.target.classList.contains('delete-btn')) return;
-          this.currentSlot = slotId;
-          this.updateWorldSlots();
-        };
-        
-        slot.querySelector('.delete-btn').onclick = (e) => {
-          e.stopPropagation();
-          if (confirm(`Delete "${save.worldName}"? This cannot be undone!`)) {
-            this.saveManager.deleteSave(slotId);
-            if (this.currentSlot === slotId) {
-              this.currentSlot = null;
-            }
-            this.updateWorldSlots();
+      const date = new Date(save.savedAt);
+      const timeStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+      
+      slot.innerHTML = `
+        <h3>📁 ${save.worldName || 'World'}</h3>
+        <p>Seed: ${save.seed}</p>
+        <p>Last played: ${timeStr}</p>
+        <p>Blocks modified: ${save.modifiedCount || 0}</p>
+        <button class="delete-btn" data-slot="${slotId}">🗑️ Delete</button>
+      `;
+      
+      slot.onclick = (e) => {
+        if (e.target.classList.contains('delete-btn')) return;
+        this.currentSlot = slotId;
+        this.updateWorldSlots();
+      };
+      
+      slot.querySelector('.delete-btn').onclick = async (e) => {
+        e.stopPropagation();
+        if (confirm(`Delete "${save.worldName}"? This cannot be undone!`)) {
+          await this.saveManager.deleteSave(slotId);
+          if (this.currentSlot === slotId) {
+            this.currentSlot = null;
           }
-        };
-      } else {
-        slot.innerHTML = `
-          <h3>Empty Slot ${i}</h3>
-          <p>Click "New World" to create</p>
-        `;
-        slot.onclick = () => {
-          this.currentSlot = slotId;
           this.updateWorldSlots();
-          document.getElementById('new-world-form').classList.add('visible');
-        };
-      }
+        }
+      };
       
       container.appendChild(slot);
     }
+
+    if (slotIds.length === 0) {
+      const slot = document.createElement('div');
+      slot.className = 'world-slot empty';
+      slot.innerHTML = `
+        <h3>No worlds yet</h3>
+        <p>Click "New World" to create</p>
+      `;
+      slot.onclick = () => {
+        document.getElementById('new-world-form').classList.add('visible');
+      };
+      container.appendChild(slot);
+    }
     
     const startBtn = document.getElementById('start-btn');
     const exportBtn = document.getElementById('export-btn');
@@ -307,6 +387,16 @@ class MinecraftGame {
       startBtn.textContent = 'Select a World';
       exportBtn.disabled = true;
     }
+
+    this.multiplayer.updateMenu();
+    this.updateStorageUsage();
+  }
+
+  async updateStorageUsage() {
+    const usage = await this.saveManager.getStorageUsage();
+    document.getElementById('storage-usage').textContent = usage
+      ? `Storage: ${usage.usage.toFixed(1)} MB used of ${usage.quota.toFixed(0)} MB`
+      : '';
   }
 
   /* Put createSaveData method here */
@@ -324,13 +414,26 @@ class MinecraftGame {
         yaw: this.player.yaw,
         pitch: this.player.pitch,
         health: this.player.health,
+        hunger: this.player.hunger,
+        saturation: this.player.saturation,
+        exhaustion: this.player.exhaustion,
         gameMode: this.gameMode,
-        isFlying: this.isFlying
+        isFlying: this.isFlying,
+        spawnPoint: this.spawnPoint
       },
+      worldTime: this.worldTime,
       hotbar: this.hotbarSlots.map(slot => slot ? {...slot} : null),
       inventory: this.inventorySlots.map(slot => slot ? {...slot} : null),
+      armor: this.armorSlots.map(slot => slot ? {...slot} : null),
+      craftingGrid: this.craftingGrid.map(slot => slot ? {...slot} : null),
       selectedSlot: this.selectedSlot,
-      modifiedBlocks: Array.from(this.modifiedBlocks.entries()),
+      // Edited blocks are stored per region, see RegionManager
+      modifiedCount: this.regionManager.editCount,
+      blockEntities: this.blockEntities.serialize(),
+      redstoneUpdates: this.redstone.serialize(),
+      blockTicks: this.blockTicks.serialize(),
+      // Waypoints and the death marker; explored map tiles are stored per region
+      map: this.worldMap.serialize(),
       // In createSaveData(), change droppedItems to use item.position:
       droppedItems: this.droppedItems.map(item => ({
         x: item.position.x,
@@ -348,11 +451,22 @@ class MinecraftGame {
   /* Put saveGame, loadGame, showAutosaveIndicator, startAutosave, stopAutosave, 
      exportWorld, importWorld, loadSettings, saveSettings methods here */
   
-  saveGame(showIndicator = true) {
+  async saveGame(showIndicator = true) {
     if (!this.currentSlot || !this.isPlaying) return false;
     
-    const saveData = this.createSaveData();
-    const success = this.saveManager.saveGame(this.currentSlot, saveData);
+    // Saves run one after another so region edit counts stay consistent
+    const slotId = this.currentSlot;
+    this.pendingSave = (this.pendingSave || Promise.resolve()).then(async () => {
+      const regions = await this.regionManager.collectDirty();
+      const maps = await this.worldMap.collectDirty();
+      const saved = await this.saveManager.saveGame(slotId, this.createSaveData(), regions, maps);
+      if (!saved) {
+        this.regionManager.markDirty(regions);
+        this.worldMap.markDirty(maps);
+      }
+      return saved;
+    });
+    const success = await this.pendingSave;
     
     if (success && showIndicator) {
       this.showAutosaveIndicator();
@@ -361,12 +475,22 @@ class MinecraftGame {
     return success;
   }
 
-  loadGame(slotId) {
-    const save = this.saveManager.getSave(slotId);
-    if (!save) return false;
+  async loadGame(slotId) {
+    const stored = await this.saveManager.getSave(slotId);
+    if (!stored) return false;
+
+    let save;
+    try {
+      save = migrateSave(stored);
+    } catch (err) {
+      console.error('Load failed:', err);
+      this.showMenuMessage(`Could not open "${stored.worldName}": ${err.message}.`, true);
+      return false;
+    }
     
     this.worldName = save.worldName || 'World';
     this.worldSeed = save.seed;
+    this.worldTime = save.worldTime ?? DAY_LENGTH * NEW_WORLD_TIME;
     
     if (save.player) {
       this.player.position.set(
@@ -377,20 +501,27 @@ class MinecraftGame {
       this.player.yaw = save.player.yaw || 0;
       this.player.pitch = save.player.pitch || 0;
       this.player.health = save.player.health || MAX_HEALTH;
+      this.player.hunger = save.player.hunger ?? MAX_HUNGER;
+      this.player.saturation = save.player.saturation ?? START_SATURATION;
+      this.player.exhaustion = save.player.exhaustion || 0;
       this.gameMode = save.player.gameMode || 'survival';
       this.isFlying = save.player.isFlying || false;
+      this.spawnPoint = save.player.spawnPoint || null;
     }
     
     this.hotbarSlots = save.hotbar ? save.hotbar.map(s => s ? {...s} : null) : new Array(9).fill(null);
     this.inventorySlots = save.inventory ? save.inventory.map(s => s ? {...s} : null) : new Array(27).fill(null);
+    this.armorSlots = save.armor ? save.armor.map(s => s ? {...s} : null) : new Array(ARMOR_SLOTS.length).fill(null);
+    this.craftingGrid = save.craftingGrid ? save.craftingGrid.map(s => s ? {...s} : null) : new Array(9).fill(null);
     this.selectedSlot = save.selectedSlot || 0;
     
+    // Edited blocks are read region by region as chunks load
     this.modifiedBlocks.clear();
-    if (save.modifiedBlocks) {
-      for (const [key, value] of save.modifiedBlocks) {
-        this.modifiedBlocks.set(key, value);
-      }
-    }
+    this.regionManager.reset(slotId, save.modifiedCount || 0);
+    this.blockEntities.load(save.blockEntities || []);
+    this.redstone.load(save.redstoneUpdates || []);
+    this.blockTicks.load(save.blockTicks || {});
+    this.worldMap.load(save.map || {});
     if (save.droppedItems) {
       for (const di of save.droppedItems) {
         const vel = new THREE.Vector3(di.vx || 0, di.vy || 0, di.vz || 0);
@@ -430,23 +561,24 @@ class MinecraftGame {
     }
   }
 
-  exportWorld() {
+  async exportWorld() {
     if (!this.currentSlot) return;
     
     if (this.isPlaying) {
-      this.saveGame(false);
+      await this.saveGame(false);
     }
     
-    const saveData = this.saveManager.getSave(this.currentSlot);
+    const saveData = await this.saveManager.getSave(this.currentSlot);
     if (!saveData) return;
     
-    const json = JSON.stringify(saveData, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
+    // Block entities (chest and furnace contents) travel with the save data
+    const bytes = await this.saveManager.exportSave(this.currentSlot);
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${saveData.worldName || 'world'}_${Date.now()}.json`;
+    a.download = `${saveData.worldName || 'world'}_${Date.now()}.mcw`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -456,41 +588,40 @@ class MinecraftGame {
   importWorld(file) {
     const reader = new FileReader();
     
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
-        const saveData = JSON.parse(e.target.result);
-        
-        if (!saveData.version || !saveData.seed) {
-          throw new Error('Invalid save file');
-        }
-        
-        const saves = this.saveManager.getAllSaves();
-        let slotId = null;
-        for (let i = 1; i <= MAX_SAVE_SLOTS; i++) {
-          if (!saves[`slot${i}`]) {
-            slotId = `slot${i}`;
-            break;
-          }
-        }
-        
-        if (!slotId) {
+        const saves = await this.saveManager.getAllSaves();
+        if (Object.keys(saves).length >= MAX_SAVE_SLOTS) {
           alert('All save slots are full! Delete a world first.');
           return;
         }
         
-        saveData.worldName = saveData.worldName || file.name.replace('.json', '');
-        this.saveManager.saveGame(slotId, saveData);
+        const slotId = this.saveManager.createSlotId();
+        const worldName = file.name.replace(/\.(mcw|json)$/, '');
+        await this.saveManager.importSave(e.target.result, slotId, { worldName });
         this.currentSlot = slotId;
-        this.updateWorldSlots();
+        await this.updateWorldSlots();
         
-        alert(`World "${saveData.worldName}" imported successfully!`);
+        const save = await this.saveManager.getSave(slotId);
+        this.showMenuMessage(`World "${save.worldName}" imported successfully!`);
       } catch (err) {
         console.error('Import failed:', err);
-        alert('Failed to import world. Invalid file format.');
+        this.showMenuMessage(
+          err instanceof SaveFormatError
+            ? `Could not import "${file.name}": ${err.message}.`
+            : `Could not import "${file.name}": the world could not be stored (${err.message || err}).`,
+          true
+        );
       }
     };
     
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
+  }
+
+  showMenuMessage(text, isError = false) {
+    const message = document.getElementById('menu-message');
+    message.textContent = text;
+    message.classList.toggle('error', isError);
   }
 
   loadSettings() {
@@ -517,9 +648,10 @@ class MinecraftGame {
 
   /* Put setupLighting method here */
   setupLighting() {
-    const ambient = new THREE.AmbientLight(0xffffff, 0.7);
-    this.scene.add(ambient);
+    this.ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
+    this.scene.add(this.ambientLight);
   
+    // Directional light follows the sun by day and the moon by night
     this.sun = new THREE.DirectionalLight(0xfff5e0, 1.2);
     this.sun.position.set(100, 200, 50);
     
@@ -527,8 +659,117 @@ class MinecraftGame {
     this.scene.add(this.sunTarget);
     this.sun.target = this.sunTarget;
     this.scene.add(this.sun);
-  
+
+    const skyBodyGeo = new THREE.PlaneGeometry(40, 40);
+    this.sunMesh = new THREE.Mesh(skyBodyGeo, new THREE.MeshBasicMaterial({ color: 0xfff2a0, fog: false }));
+    this.moonMesh = new THREE.Mesh(skyBodyGeo, new THREE.MeshBasicMaterial({ color: 0xdde4f0, fog: false }));
+    this.scene.add(this.sunMesh);
+    this.scene.add(this.moonMesh);
+
+    this.skyColor = new THREE.Color(0x87ceeb);
+    this.updateDayNight(0);
+  }
+
+  // Chunk meshes carry per-vertex [sky, block] light; scale the sky part by
+  // daylight. Their UVs count blocks within the atlas tile at `tile`, which
+  // is repeated across faces the worker merged.
+  applyVoxelLighting(material) {
+    material.onBeforeCompile = (shader) => {
+      shader.uniforms.uDaylight = this.lightUniforms.uDaylight;
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nattribute vec2 light;\nattribute vec2 tile;\nvarying vec2 vLight;\nvarying vec2 vTile;')
+        .replace('#include <begin_vertex>', '#include <begin_vertex>\nvLight = light;\nvTile = tile;');
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', '#include <common>\nuniform float uDaylight;\nvarying vec2 vLight;\nvarying vec2 vTile;')
+        .replace('#include <map_fragment>', [
+          '#ifdef USE_MAP',
+          `diffuseColor *= texture2D(map, vTile + fract(vMapUv) * ${TILE_SIZE.toFixed(6)});`,
+          '#endif'
+        ].join('\n'))
+        .replace('#include <color_fragment>', [
+          '#include <color_fragment>',
+          'vec3 voxelLight = max(vec3(vLight.x * uDaylight), vLight.y * vec3(1.0, 0.88, 0.65));',
+          'diffuseColor.rgb *= max(voxelLight, vec3(0.03));'
+        ].join('\n'));
+    };
+  }
+
+  // Fraction of the day: 0 sunrise, 0.25 noon, 0.5 sunset, 0.75 midnight
+  getTimeOfDay() {
+    return (this.worldTime % DAY_LENGTH) / DAY_LENGTH;
+  }
+
+  updateDayNight(dt) {
+    if (this.isPlaying && !this.isPaused) {
+      this.worldTime += dt;
+    }
+
+    const angle = this.getTimeOfDay() * Math.PI * 2;
+    const sunDir = new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0.25).normalize();
+    const sunHeight = sunDir.y;
+
+    // 0 at night, 1 during the day, with a short dawn/dusk transition
+    const dayFactor = THREE.MathUtils.clamp(sunHeight * 3 + 0.5, 0, 1);
+    this.dayFactor = dayFactor;
+    this.lightUniforms.uDaylight.value = MIN_DAYLIGHT + (1 - MIN_DAYLIGHT) * dayFactor;
+
+    this.skyColor.setHex(0x0b1026).lerp(new THREE.Color(0x87ceeb), dayFactor);
+    const horizonGlow = Math.max(0, 1 - Math.abs(sunHeight) * 4) * 0.45;
+    this.skyColor.lerp(new THREE.Color(0xff9955), horizonGlow);
+    this.renderer.setClearColor(this.skyColor);
+
+    const center = this.camera.position;
+    this.sunMesh.position.copy(center).addScaledVector(sunDir, 300);
+    this.sunMesh.lookAt(center);
+    this.moonMesh.position.copy(center).addScaledVector(sunDir, -300);
+    this.moonMesh.lookAt(center);
+
+    const lightDir = sunHeight > 0 ? sunDir : sunDir.clone().negate();
+    this.sun.position.copy(this.player.position).addScaledVector(lightDir, 220);
+    this.sunTarget.position.copy(this.player.position);
+    if (sunHeight > 0) {
+      this.sun.color.setHex(0xfff5e0);
+      this.sun.intensity = 0.3 + 0.9 * dayFactor;
+    } else {
+      this.sun.color.setHex(0x9fb4ff);
+      this.sun.intensity = 0.3;
+    }
+    this.ambientLight.intensity = 0.45 + 0.25 * dayFactor;
+
     this.updateFog();
+
+    const hours = (this.getTimeOfDay() * 24 + 6) % 24;
+    const hh = String(Math.floor(hours)).padStart(2, '0');
+    const mm = String(Math.floor((hours % 1) * 60)).padStart(2, '0');
+    document.getElementById('time-info').textContent = `Time: ${hh}:${mm}`;
+  }
+
+  // Approximate light level (0-15) for gameplay checks such as mob spawning.
+  // The exact values only exist in the worker while meshing, so sky light is
+  // taken from the column and block light from placed emitters.
+  getLightLevel(x, y, z) {
+    const sky = this.isSkyVisible(x, y, z) ? Math.round(MAX_LIGHT * this.dayFactor) : 0;
+
+    // Placed light sources, from the chunks within reach of their light
+    let block = 0;
+    for (let cx = Math.floor((x - MAX_LIGHT) / CHUNK_SIZE); cx <= Math.floor((x + MAX_LIGHT) / CHUNK_SIZE); cx++) {
+      for (let cz = Math.floor((z - MAX_LIGHT) / CHUNK_SIZE); cz <= Math.floor((z + MAX_LIGHT) / CHUNK_SIZE); cz++) {
+        for (const [key, emission] of this.regionManager.getLightSources(cx, cz)) {
+          const [bx, by, bz] = key.split(',').map(Number);
+          const dist = Math.abs(bx - x) + Math.abs(by - y) + Math.abs(bz - z);
+          block = Math.max(block, emission - dist);
+        }
+      }
+    }
+
+    return Math.max(sky, block);
+  }
+
+  isSkyVisible(x, y, z) {
+    for (let cy = y; cy < WORLD_HEIGHT; cy++) {
+      if (isLightOpaque(this.getBlock(x, cy, z))) return false;
+    }
+    return true;
   }
 
   updateShadows() {
@@ -584,8 +825,27 @@ class MinecraftGame {
     this.scene.fog = new THREE.FogExp2(0x87ceeb, density);
   }*/
   updateFog() {
+    if (!this.scene.fog) {
+      this.scene.fog = new THREE.Fog(0x87ceeb, 1, 2);
+    }
+    const fog = this.scene.fog;
+
+    if (this.player.eyeFluid === 'water') {
+      fog.color.setHex(0x1e4d8c).multiplyScalar(this.lightUniforms.uDaylight.value);
+      fog.near = 0.1;
+      fog.far = 14;
+      return;
+    }
+    if (this.player.eyeFluid === 'lava') {
+      fog.color.setHex(0xc04000);
+      fog.near = 0.1;
+      fog.far = 2;
+      return;
+    }
     const viewDistance = CHUNK_SIZE * this.settings.renderDistance;
-    this.scene.fog = new THREE.Fog(0x87ceeb, viewDistance * 0.5, viewDistance * 0.9);
+    fog.color.copy(this.skyColor);
+    fog.near = viewDistance * 0.5;
+    fog.far = viewDistance * 0.9;
   }
 
   setupHighlight() {
@@ -610,6 +870,31 @@ class MinecraftGame {
       heart.appendChild(fill);
       container.appendChild(heart);
     }
+
+    const hungerBar = document.getElementById('hunger-bar');
+    hungerBar.innerHTML = '';
+    for (let i = 0; i < 10; i++) {
+      const icon = document.createElement('div');
+      icon.className = 'hunger-icon';
+      icon.id = `hunger-icon-${i}`;
+      const fill = document.createElement('div');
+      fill.className = 'hunger-fill';
+      fill.id = `hunger-${i}`;
+      icon.appendChild(fill);
+      hungerBar.appendChild(icon);
+    }
+
+    const armorBar = document.getElementById('armor-bar');
+    armorBar.innerHTML = '';
+    for (let i = 0; i < 10; i++) {
+      const icon = document.createElement('div');
+      icon.className = 'armor-icon';
+      const fill = document.createElement('div');
+      fill.className = 'armor-fill';
+      fill.id = `armor-${i}`;
+      icon.appendChild(fill);
+      armorBar.appendChild(icon);
+    }
     
     this.updateHealthBar();
   }
@@ -631,6 +916,38 @@ class MinecraftGame {
     
     document.getElementById('health-bar').style.display = 
       this.gameMode === 'creative' ? 'none' : 'flex';
+
+    // Icons fill from the right; the outlined ones are covered by saturation
+    const { hunger, saturation } = this.player;
+    for (let i = 0; i < 10; i++) {
+      const fill = document.getElementById(`hunger-${i}`);
+      const hungerValue = (i + 1) * 2;
+      if (hunger >= hungerValue) {
+        fill.className = 'hunger-fill';
+      } else if (hunger >= hungerValue - 1) {
+        fill.className = 'hunger-fill half';
+      } else {
+        fill.className = 'hunger-fill empty';
+      }
+      document.getElementById(`hunger-icon-${i}`).classList.toggle('saturated', saturation >= hungerValue - 1);
+    }
+    document.getElementById('hunger-bar').style.display =
+      this.gameMode === 'creative' ? 'none' : 'flex';
+
+    const armor = this.getArmorPoints();
+    for (let i = 0; i < 10; i++) {
+      const fill = document.getElementById(`armor-${i}`);
+      const armorValue = (i + 1) * 2;
+      if (armor >= armorValue) {
+        fill.className = 'armor-fill';
+      } else if (armor >= armorValue - 1) {
+        fill.className = 'armor-fill half';
+      } else {
+        fill.className = 'armor-fill empty';
+      }
+    }
+    document.getElementById('armor-bar').style.display =
+      this.gameMode === 'creative' || armor === 0 ? 'none' : 'flex';
   }
 
   setupSettingsUI() {
@@ -744,6 +1061,7 @@ class MinecraftGame {
   // ==================== INVENTORY SYSTEM ====================
 
   setupInventoryUI() {
+    document.getElementById('recipe-book-filter').onchange = () => this.updateInventoryUI();
     this.updateInventoryUI();
   }
 
@@ -752,11 +1070,20 @@ class MinecraftGame {
   updateInventoryUI() {
     const mainInv = document.getElementById('main-inventory');
     const hotbarInv = document.getElementById('hotbar-inventory');
+    const armorInv = document.getElementById('armor-inventory');
     const recipeList = document.getElementById('recipe-list');
     
     mainInv.innerHTML = '';
     hotbarInv.innerHTML = '';
+    armorInv.innerHTML = '';
     recipeList.innerHTML = '';
+
+    for (let i = 0; i < ARMOR_SLOTS.length; i++) {
+      const slot = this.createInventorySlot(this.armorSlots[i], 'armor', i);
+      slot.classList.add('armor-slot');
+      slot.dataset.slot = ARMOR_SLOTS[i];
+      armorInv.appendChild(slot);
+    }
     
     for (let i = 0; i < 27; i++) {
       const slot = this.createInventorySlot(this.inventorySlots[i], 'inventory', i);
@@ -767,6 +1094,33 @@ class MinecraftGame {
       const slot = this.createInventorySlot(this.hotbarSlots[i], 'hotbar', i);
       hotbarInv.appendChild(slot);
     }
+
+    // A furnace or chest replaces the armor/crafting area and the recipe book
+    const containerSection = document.getElementById('container-section');
+    const hasContainer = !!this.openContainer;
+    containerSection.style.display = hasContainer ? '' : 'none';
+    document.querySelector('.inventory-top').style.display = hasContainer ? 'none' : '';
+    document.getElementById('crafting-section').style.display = hasContainer ? 'none' : '';
+    if (hasContainer) {
+      this.renderContainer(document.getElementById('container-slots'));
+    }
+
+    const craftGrid = document.getElementById('crafting-grid');
+    craftGrid.innerHTML = '';
+    craftGrid.style.gridTemplateColumns = `repeat(${this.craftingSize}, 50px)`;
+    for (let row = 0; row < this.craftingSize; row++) {
+      for (let col = 0; col < this.craftingSize; col++) {
+        const index = row * 3 + col;
+        craftGrid.appendChild(this.createInventorySlot(this.craftingGrid[index], 'craft', index));
+      }
+    }
+
+    const craftResult = document.getElementById('crafting-result');
+    const match = this.findCraftingRecipe();
+    craftResult.innerHTML = '';
+    craftResult.appendChild(this.createInventorySlot(
+      match ? { id: match.result, count: match.resultCount } : null, 'craftResult', 0
+    ));
     
     const recipes = this.gameMode === 'creative' ? this.getCreativeItems() : RECIPES;
     
@@ -779,25 +1133,30 @@ class MinecraftGame {
         recipeList.appendChild(recipeEl);
       });
     } else {
+      // Recipe book: clicking a recipe moves its ingredients into the grid
+      const craftableOnly = document.getElementById('recipe-book-filter').checked;
       RECIPES.forEach(recipe => {
         const canCraft = this.canCraftRecipe(recipe);
+        if (craftableOnly && !canCraft) return;
+
+        const fits = this.recipeFitsGrid(recipe);
         const recipeEl = document.createElement('div');
-        recipeEl.className = 'recipe-item' + (canCraft ? ' can-craft' : '');
+        recipeEl.className = 'recipe-item' + (canCraft && fits ? ' can-craft' : '');
         
-        const ingredientStr = recipe.ingredients.map(ing => {
-          const name = this.getItemName(ing.item);
-          const has = this.countItem(ing.item);
-          return `${has}/${ing.count} ${name}`;
+        const ingredientStr = Array.from(this.getRecipeIngredients(recipe)).map(([item, count]) => {
+          const name = this.getItemName(item);
+          const has = this.countItem(item) + this.countCraftingGridItem(item);
+          return `${has}/${count} ${name}`;
         }).join(' + ');
         
         recipeEl.innerHTML = `
           <span class="recipe-ingredients">${ingredientStr}</span>
           <span class="recipe-arrow">→</span>
-          <span class="recipe-result">${recipe.resultCount}x ${recipe.name}</span>
+          <span class="recipe-result">${recipe.resultCount}x ${recipe.name}${fits ? '' : ' (Crafting Table)'}</span>
         `;
         
-        if (canCraft) {
-          recipeEl.onclick = () => this.craftRecipe(recipe);
+        if (canCraft && fits) {
+          recipeEl.onclick = () => this.fillCraftingGrid(recipe);
         }
         
         recipeList.appendChild(recipeEl);
@@ -848,6 +1207,7 @@ class MinecraftGame {
   getCreativeItems() {
     const items = [];
     for (const [id, data] of Object.entries(BLOCK_DATA)) {
+      if (data.hidden) continue;
       items.push({ id: parseInt(id), name: data.name });
     }
     for (const [id, data] of Object.entries(ITEM_DATA)) {
@@ -892,7 +1252,11 @@ class MinecraftGame {
       }
     }
     
-    slot.onclick = () => this.handleInventoryClick(type, index);
+    slot.onclick = (e) => this.handleInventoryClick(type, index, e.shiftKey);
+    slot.oncontextmenu = (e) => {
+      e.preventDefault();
+      this.handleInventoryRightClick(type, index);
+    };
     
     return slot;
   }
@@ -903,9 +1267,47 @@ class MinecraftGame {
     return '#ef4444';
   }
 
-  handleInventoryClick(type, index) {
-    const slots = type === 'hotbar' ? this.hotbarSlots : this.inventorySlots;
+  getSlotArray(type) {
+    if (type === 'hotbar') return this.hotbarSlots;
+    if (type === 'armor') return this.armorSlots;
+    if (type === 'craft') return this.craftingGrid;
+    if (type === 'container' || type === 'container2') return this.getContainerEntity(type).slots;
+    return this.inventorySlots;
+  }
+
+  handleInventoryClick(type, index, shift = false) {
+    if (type === 'craftResult') {
+      this.takeCraftingResult(shift);
+      return;
+    }
+
+    const slots = this.getSlotArray(type);
     const clickedSlot = slots[index];
+    const held = this.heldInventoryItem;
+    const container = this.openContainer && this.getContainerEntity(type);
+
+    if (shift && this.openContainer && !held && clickedSlot) {
+      this.quickMoveSlot(type, index);
+      return;
+    }
+
+    // Container slots can refuse items (furnace fuel, output)
+    if (container && held && !this.blockEntities.canPlace(container, index, held.id)) {
+      // ...but a matching held stack can still collect from them
+      if (clickedSlot && clickedSlot.id === held.id && this.isStackable(held.id) &&
+          held.count + clickedSlot.count <= MAX_STACK_SIZE) {
+        held.count += clickedSlot.count;
+        slots[index] = null;
+        this.updateInventoryUI();
+      }
+      return;
+    }
+
+    // Armor slots only accept the matching piece
+    if (type === 'armor' && this.heldInventoryItem &&
+        ITEM_DATA[this.heldInventoryItem.id]?.armorSlot !== ARMOR_SLOTS[index]) {
+      return;
+    }
     
     if (this.heldInventoryItem === null) {
       // Pick up item from slot
@@ -924,7 +1326,7 @@ class MinecraftGame {
         }
         this.heldInventoryItem = null;
       } else if (clickedSlot.id === this.heldInventoryItem.id && 
-                 !ITEM_DATA[clickedSlot.id]?.isTool) {
+                 !ITEM_DATA[clickedSlot.id]?.isTool && ITEM_DATA[clickedSlot.id]?.stackable !== false) {
         // Stack same items
         const canAdd = MAX_STACK_SIZE - clickedSlot.count;
         const toAdd = Math.min(canAdd, this.heldInventoryItem.count);
@@ -945,6 +1347,47 @@ class MinecraftGame {
       this.updateInventoryUI();
       this.updateHotbar();
     }
+    if (type === 'armor') this.updateHealthBar();
+  }
+
+  // Right click picks up half a stack, or puts down a single item
+  handleInventoryRightClick(type, index) {
+    if (type === 'craftResult' || type === 'armor') {
+      this.handleInventoryClick(type, index);
+      return;
+    }
+
+    const slots = this.getSlotArray(type);
+    const clickedSlot = slots[index];
+    const held = this.heldInventoryItem;
+    const container = this.openContainer && this.getContainerEntity(type);
+
+    if (container && held && !this.blockEntities.canPlace(container, index, held.id)) {
+      return;
+    }
+
+    if (!held) {
+      if (!clickedSlot) return;
+      const take = Math.ceil(clickedSlot.count / 2);
+      this.heldInventoryItem = { ...clickedSlot, count: take, sourceType: type, sourceIndex: index };
+      clickedSlot.count -= take;
+      if (clickedSlot.count <= 0) slots[index] = null;
+    } else if (!clickedSlot) {
+      slots[index] = { id: held.id, count: 1 };
+      if (held.durability !== undefined) slots[index].durability = held.durability;
+      held.count--;
+    } else if (clickedSlot.id === held.id && this.isStackable(held.id) && clickedSlot.count < MAX_STACK_SIZE) {
+      clickedSlot.count++;
+      held.count--;
+    } else {
+      return;
+    }
+
+    if (this.heldInventoryItem && this.heldInventoryItem.count <= 0) {
+      this.heldInventoryItem = null;
+    }
+    this.updateInventoryUI();
+    this.updateHotbar();
   }
 
   // ==================== HOTBAR ====================
@@ -1057,10 +1500,38 @@ class MinecraftGame {
     } else if (data.toolType === 'shovel') {
       ctx.fillRect(12, 2, 8, 10);
       ctx.fillRect(14, 12, 4, 16);
-    } else if (data.name?.includes('Sword')) {
+    } else if (data.toolType === 'sword') {
       ctx.fillRect(14, 2, 4, 20);
       ctx.fillRect(10, 22, 12, 4);
       ctx.fillRect(14, 26, 4, 4);
+    } else if (data.toolType === 'hoe') {
+      ctx.fillRect(10, 2, 12, 4);
+      ctx.fillRect(10, 6, 4, 4);
+      ctx.fillRect(18, 6, 4, 22);
+    } else if (data.armorSlot === 'helmet') {
+      ctx.fillRect(6, 6, 20, 6);
+      ctx.fillRect(6, 12, 5, 10);
+      ctx.fillRect(21, 12, 5, 10);
+    } else if (data.armorSlot === 'chestplate') {
+      ctx.fillRect(4, 4, 8, 8);
+      ctx.fillRect(20, 4, 8, 8);
+      ctx.fillRect(8, 8, 16, 20);
+    } else if (data.armorSlot === 'leggings') {
+      ctx.fillRect(8, 4, 16, 8);
+      ctx.fillRect(8, 12, 6, 16);
+      ctx.fillRect(18, 12, 6, 16);
+    } else if (data.armorSlot === 'boots') {
+      ctx.fillRect(4, 14, 8, 12);
+      ctx.fillRect(20, 14, 8, 12);
+      ctx.fillRect(2, 22, 4, 4);
+      ctx.fillRect(26, 22, 4, 4);
+    } else if (data.wand) {
+      ctx.fillRect(20, 4, 8, 8);
+      ctx.fillStyle = '#6b4a2b';
+      ctx.fillRect(16, 12, 4, 4);
+      ctx.fillRect(12, 16, 4, 4);
+      ctx.fillRect(8, 20, 4, 4);
+      ctx.fillRect(4, 24, 4, 4);
     } else {
       ctx.beginPath();
       ctx.arc(16, 16, 10, 0, Math.PI * 2);
@@ -1076,7 +1547,8 @@ class MinecraftGame {
     for (let i = 0; i < 9; i++) {
       const slotData = this.hotbarSlots[i];
       const slot = document.createElement('div');
-      slot.className = 'hotbar-slot' + (i === this.selectedSlot ? ' selected' : '');
+      slot.className = 'hotbar-slot' + (i === this.selectedSlot ? ' selected' : '') +
+        (this.eating && i === this.eating.slot ? ' eating' : '');
 
       if (slotData) {
         const canvas = document.createElement('canvas');
@@ -1138,11 +1610,9 @@ class MinecraftGame {
     return null;
   }
 
-  /* Put addToInventory, removeFromInventory, countItem, giveItem, canCraftRecipe, 
-     craftRecipe, damageTool methods here */
+  /* Put addToInventory, removeFromInventory, countItem, giveItem, damageTool methods here */
   addToInventory(itemId, count = 1, durability = undefined) {
-    const itemData = ITEM_DATA[itemId];
-    const isStackable = itemData?.stackable !== false && !itemData?.isTool;
+    const isStackable = this.isStackable(itemId);
     
     let remaining = count;
     
@@ -1249,70 +1719,522 @@ class MinecraftGame {
 
   giveItem(itemId, count = 1) {
     const itemData = ITEM_DATA[itemId];
-    this.addToInventory(itemId, count, itemData?.durability);
+    return this.addToInventory(itemId, count, itemData?.durability);
   }
 
-  canCraftRecipe(recipe) {
-    for (const ing of recipe.ingredients) {
-      if (this.countItem(ing.item) < ing.count) return false;
+  isStackable(itemId) {
+    const itemData = ITEM_DATA[itemId];
+    return itemData?.stackable !== false && !itemData?.isTool;
+  }
+
+  // Whether `count` of an item would fit without dropping anything
+  canAddToInventory(itemId, count) {
+    let room = 0;
+    for (const slot of [...this.hotbarSlots, ...this.inventorySlots]) {
+      if (!slot) {
+        room += this.isStackable(itemId) ? MAX_STACK_SIZE : 1;
+      } else if (slot.id === itemId && this.isStackable(itemId)) {
+        room += MAX_STACK_SIZE - slot.count;
+      }
+      if (room >= count) return true;
     }
-    return true;
+    return false;
   }
 
-  craftRecipe(recipe) {
-    if (!this.canCraftRecipe(recipe)) return false;
-    
-    for (const ing of recipe.ingredients) {
-      this.removeFromInventory(ing.item, ing.count);
+  // ==================== CRAFTING ====================
+
+  // Map of item id -> count needed for one craft
+  getRecipeIngredients(recipe) {
+    const needed = new Map();
+    const items = recipe.pattern
+      ? recipe.pattern.join('').split('').filter(ch => ch !== ' ').map(ch => recipe.key[ch])
+      : recipe.ingredients;
+    for (const item of items) {
+      needed.set(item, (needed.get(item) || 0) + 1);
     }
-    
-    const resultData = ITEM_DATA[recipe.result];
-    this.addToInventory(recipe.result, recipe.resultCount, resultData?.durability);
-    
-    this.updateInventoryUI();
-    return true;
+    return needed;
   }
 
-  damageTool(slotIndex) {
-    const slot = this.hotbarSlots[slotIndex];
-    if (!slot) return;
-    
-    const itemData = ITEM_DATA[slot.id];
-    if (!itemData?.isTool) return;
-    
-    slot.durability--;
-    
-    if (slot.durability <= 0) {
-      this.hotbarSlots[slotIndex] = null;
+  recipeFitsGrid(recipe) {
+    const size = this.craftingSize;
+    if (recipe.pattern) {
+      return recipe.pattern.length <= size && recipe.pattern.every(row => row.length <= size);
     }
-    
-    this.updateHotbar();
+    return recipe.ingredients.length <= size * size;
   }
 
-  // ==================== GAME MODE ====================
+  countCraftingGridItem(itemId) {
+    let count = 0;
+    for (const slot of this.craftingGrid) {
+      if (slot && slot.id === itemId) count += slot.count;
+    }
+    return count;
+  }
 
-  updateGameModeIndicator() {
-    const indicator = document.getElementById('gamemode-indicator');
-    if (this.gameMode === 'creative') {
-      indicator.textContent = 'Creative' + (this.isFlying ? ' (Flying)' : '');
-      indicator.className = 'creative';
-    } else {
-      indicator.textContent = 'Survival';
-      indicator.className = 'survival';
+  canCraftRecipe(recipe) {
+    for (const [item, count] of this.getRecipeIngredients(recipe)) {
+      if (this.countItem(item) + this.countCraftingGridItem(item) < count) return false;
     }
-    this.updateHealthBar();
-    if (this.inventoryOpen) this.updateInventoryUI();
+    return true;
   }
 
-  toggleGameMode() {
-    this.gameMode = this.gameMode === 'survival' ? 'creative' : 'survival';
-    if (this.gameMode === 'survival') {
-      this.isFlying = false;
+  // Recipe matching the current grid contents, or null
+  findCraftingRecipe() {
+    const cells = this.craftingGrid.map(slot => slot ? slot.id : null);
+
+    // Bounding box of the occupied cells, so patterns can sit anywhere
+    let top = 3, left = 3, bottom = -1, right = -1;
+    for (let i = 0; i < 9; i++) {
+      if (cells[i] === null) continue;
+      const row = Math.floor(i / 3), col = i % 3;
+      top = Math.min(top, row);
+      bottom = Math.max(bottom, row);
+      left = Math.min(left, col);
+      right = Math.max(right, col);
     }
-    if (this.gameMode === 'creative') {
-      this.player.health = MAX_HEALTH;
+    if (bottom < 0) return null;
+
+    const box = { top, left, height: bottom - top + 1, width: right - left + 1 };
+    const items = cells.filter(id => id !== null).sort((a, b) => a - b);
+
+    for (const recipe of RECIPES) {
+      if (recipe.pattern) {
+        if (this.matchesPattern(recipe, cells, box, false) || this.matchesPattern(recipe, cells, box, true)) {
+          return recipe;
+        }
+      } else if (recipe.ingredients.length === items.length) {
+        const needed = [...recipe.ingredients].sort((a, b) => a - b);
+        if (needed.every((id, i) => id === items[i])) return recipe;
+      }
     }
-    this.updateGameModeIndicator();
+    return null;
+  }
+
+  matchesPattern(recipe, cells, box, mirrored) {
+    const pattern = recipe.pattern;
+    const width = Math.max(...pattern.map(row => row.length));
+    if (pattern.length !== box.height || width !== box.width) return false;
+
+    for (let row = 0; row < box.height; row++) {
+      for (let col = 0; col < box.width; col++) {
+        const ch = pattern[row][mirrored ? width - 1 - col : col] || ' ';
+        const expected = ch === ' ' ? null : recipe.key[ch];
+        if (cells[(box.top + row) * 3 + box.left + col] !== expected) return false;
+      }
+    }
+    return true;
+  }
+
+  // Use up one item from every occupied grid cell
+  consumeCraftingGrid() {
+    for (let i = 0; i < this.craftingGrid.length; i++) {
+      const slot = this.craftingGrid[i];
+      if (!slot) continue;
+      slot.count--;
+      if (slot.count <= 0) this.craftingGrid[i] = null;
+    }
+  }
+
+  // Click on the result slot. Shift-click crafts as many as the grid allows
+  // straight into the inventory.
+  takeCraftingResult(shift) {
+    const recipe = this.findCraftingRecipe();
+    if (!recipe) return;
+    const durability = ITEM_DATA[recipe.result]?.durability;
+
+    if (shift) {
+      while (this.findCraftingRecipe() === recipe && this.canAddToInventory(recipe.result, recipe.resultCount)) {
+        this.addToInventory(recipe.result, recipe.resultCount, durability);
+        this.consumeCraftingGrid();
+      }
+    } else {
+      const held = this.heldInventoryItem;
+      if (!held) {
+        this.heldInventoryItem = { id: recipe.result, count: recipe.resultCount, durability };
+      } else if (held.id === recipe.result && this.isStackable(held.id) &&
+                 held.count + recipe.resultCount <= MAX_STACK_SIZE) {
+        held.count += recipe.resultCount;
+      } else {
+        return;
+      }
+      this.consumeCraftingGrid();
+    }
+
+    this.updateInventoryUI();
+    this.updateHotbar();
+  }
+
+  // Put everything in the grid back into the inventory (or drop it if full)
+  returnCraftingGrid() {
+    for (let i = 0; i < this.craftingGrid.length; i++) {
+      const slot = this.craftingGrid[i];
+      if (!slot) continue;
+      if (this.canAddToInventory(slot.id, slot.count)) {
+        this.addToInventory(slot.id, slot.count, slot.durability);
+      } else {
+        const p = this.player.position;
+        this.spawnDroppedItem(p.x, p.y - 0.5, p.z, slot.id, slot.count);
+      }
+      this.craftingGrid[i] = null;
+    }
+  }
+
+  fillCraftingGrid(recipe) {
+    this.returnCraftingGrid();
+
+    // A full inventory drops what the grid held, so check again what is left
+    for (const [item, count] of this.getRecipeIngredients(recipe)) {
+      if (this.countItem(item) < count) {
+        this.updateInventoryUI();
+        return;
+      }
+    }
+
+    const place = (index, item) => {
+      if (this.removeFromInventory(item, 1)) this.craftingGrid[index] = { id: item, count: 1 };
+    };
+    if (recipe.pattern) {
+      recipe.pattern.forEach((row, r) => {
+        row.split('').forEach((ch, c) => {
+          if (ch !== ' ') place(r * 3 + c, recipe.key[ch]);
+        });
+      });
+    } else {
+      recipe.ingredients.forEach((item, i) => {
+        place(Math.floor(i / this.craftingSize) * 3 + i % this.craftingSize, item);
+      });
+    }
+
+    this.updateInventoryUI();
+  }
+
+  openCraftingTable() {
+    this.craftingSize = 3;
+    if (!this.inventoryOpen) this.toggleInventory();
+  }
+
+  // ==================== CONTAINERS ====================
+
+  openContainerAt(x, y, z) {
+    const blockEntity = BLOCK_DATA[this.getBlock(x, y, z)]?.blockEntity;
+    if (!blockEntity) return;
+    const entity = this.blockEntities.getOrCreate(x, y, z, blockEntity);
+    const partner = blockEntity === 'chest' ? this.blockEntities.getChestPartner(entity) : null;
+
+    // The half at the lower coordinate always shows as the top rows
+    if (partner && (partner.x < entity.x || partner.z < entity.z)) {
+      this.openContainer = { entity: partner, partner: entity };
+    } else {
+      this.openContainer = { entity, partner };
+    }
+    if (!this.inventoryOpen) this.toggleInventory();
+  }
+
+  getContainerTitle() {
+    const { entity, partner } = this.openContainer;
+    return partner ? 'Large Chest' : BLOCK_ENTITY_TYPES[entity.type].title;
+  }
+
+  // Entity behind a 'container' (first half) or 'container2' (second half) slot
+  getContainerEntity(type) {
+    if (type === 'container') return this.openContainer.entity;
+    if (type === 'container2') return this.openContainer.partner;
+    return null;
+  }
+
+  // Merges an item into matching stacks, then empty slots, of each slot
+  // array in order. Returns the count that did not fit.
+  moveItemInto(item, targets) {
+    let remaining = item.count;
+    const stackable = this.isStackable(item.id);
+    const fits = (target, i) => !target.canPlace || target.canPlace(i, item.id);
+
+    if (stackable) {
+      for (const target of targets) {
+        target.slots.forEach((slot, i) => {
+          if (remaining > 0 && slot && slot.id === item.id && slot.count < MAX_STACK_SIZE && fits(target, i)) {
+            const add = Math.min(remaining, MAX_STACK_SIZE - slot.count);
+            slot.count += add;
+            remaining -= add;
+          }
+        });
+      }
+    }
+    for (const target of targets) {
+      for (let i = 0; i < target.slots.length && remaining > 0; i++) {
+        if (target.slots[i] || !fits(target, i)) continue;
+        const count = stackable ? remaining : 1;
+        target.slots[i] = { id: item.id, count };
+        if (item.durability !== undefined) target.slots[i].durability = item.durability;
+        remaining -= count;
+      }
+    }
+    return remaining;
+  }
+
+  // Shift-click moves a whole stack between the open container and the player
+  quickMoveSlot(type, index) {
+    const slots = this.getSlotArray(type);
+    const item = slots[index];
+    const { entity, partner } = this.openContainer;
+
+    let targets;
+    if (this.getContainerEntity(type)) {
+      targets = [{ slots: this.hotbarSlots }, { slots: this.inventorySlots }];
+    } else {
+      targets = [entity, partner].filter(Boolean).map(e => ({
+        slots: e.slots,
+        canPlace: (i, id) => this.blockEntities.canPlace(e, i, id)
+      }));
+    }
+
+    const remaining = this.moveItemInto(item, targets);
+    if (remaining > 0) {
+      item.count = remaining;
+    } else {
+      slots[index] = null;
+    }
+    this.updateInventoryUI();
+    this.updateHotbar();
+  }
+
+  closeContainer() {
+    if (this.inventoryOpen) this.toggleInventory();
+    this.openContainer = null;
+  }
+
+  renderContainer(container) {
+    const { entity, partner } = this.openContainer;
+    container.innerHTML = '';
+
+    if (entity.type === 'chest') {
+      container.className = 'inventory-grid';
+      entity.slots.forEach((slot, i) => container.appendChild(this.createInventorySlot(slot, 'container', i)));
+      partner?.slots.forEach((slot, i) => container.appendChild(this.createInventorySlot(slot, 'container2', i)));
+    } else if (entity.type === 'furnace') {
+      const slot = (index) => this.createInventorySlot(entity.slots[index], 'container', index);
+      const inputs = document.createElement('div');
+      inputs.className = 'furnace-inputs';
+      const flame = document.createElement('div');
+      flame.className = 'furnace-flame';
+      flame.innerHTML = '<div id="furnace-flame-fill"></div>';
+      inputs.append(slot(FURNACE_SLOT.INPUT), flame, slot(FURNACE_SLOT.FUEL));
+
+      const arrow = document.createElement('div');
+      arrow.className = 'furnace-arrow';
+      arrow.innerHTML = '<div id="furnace-progress-fill"></div>';
+
+      container.className = 'furnace-ui';
+      container.append(inputs, arrow, slot(FURNACE_SLOT.OUTPUT));
+    }
+    this.updateContainerProgress();
+  }
+
+  // Cheap per-frame refresh of progress bars; slot changes re-render the whole UI
+  updateContainerProgress() {
+    const entity = this.openContainer?.entity;
+    if (!entity || entity.type !== 'furnace') return;
+    const flame = document.getElementById('furnace-flame-fill');
+    const progress = document.getElementById('furnace-progress-fill');
+    if (!flame || !progress) return;
+    flame.style.height = (entity.burnTimeTotal ? entity.burnTime / entity.burnTimeTotal * 100 : 0) + '%';
+    progress.style.width = (entity.cookTime / SMELT_TIME * 100) + '%';
+  }
+
+  damageTool(slotIndex, amount = 1) {
+    const slot = this.hotbarSlots[slotIndex];
+    if (!slot) return;
+    
+    const itemData = ITEM_DATA[slot.id];
+    if (!itemData?.isTool) return;
+    
+    slot.durability -= amount;
+    
+    if (slot.durability <= 0) {
+      this.hotbarSlots[slotIndex] = null;
+    }
+    
+    this.updateHotbar();
+  }
+
+  // ==================== HUNGER ====================
+
+  resetHunger() {
+    this.player.hunger = MAX_HUNGER;
+    this.player.saturation = START_SATURATION;
+    this.player.exhaustion = 0;
+    this.player.foodTimer = 0;
+    this.stopEating();
+  }
+
+  isSprinting() {
+    return !!this.keys['ShiftLeft'] && (this.gameMode === 'creative' || this.player.hunger > SPRINT_MIN_HUNGER);
+  }
+
+  addExhaustion(amount) {
+    if (this.gameMode === 'creative') return;
+    const player = this.player;
+    player.exhaustion += amount;
+    while (player.exhaustion >= EXHAUSTION_PER_POINT) {
+      player.exhaustion -= EXHAUSTION_PER_POINT;
+      if (player.saturation > 0) {
+        player.saturation = Math.max(0, player.saturation - 1);
+      } else {
+        player.hunger = Math.max(0, player.hunger - 1);
+      }
+      this.updateHealthBar();
+    }
+  }
+
+  // Heals while well fed and hurts while starving, a point every REGEN_INTERVAL
+  updateHunger(dt) {
+    const player = this.player;
+    if (this.gameMode === 'creative' || player.isDead) return;
+
+    const healing = player.hunger >= REGEN_HUNGER && player.health < MAX_HEALTH;
+    const starving = player.hunger <= 0 && player.health > STARVE_MIN_HEALTH;
+    if (!healing && !starving) {
+      player.foodTimer = 0;
+      return;
+    }
+
+    player.foodTimer += dt;
+    if (player.foodTimer < REGEN_INTERVAL) return;
+    player.foodTimer -= REGEN_INTERVAL;
+
+    // Starving goes around armor, which only stops hits
+    if (healing) {
+      player.health = Math.min(MAX_HEALTH, player.health + 1);
+      this.addExhaustion(REGEN_EXHAUSTION);
+    } else {
+      player.health = Math.max(STARVE_MIN_HEALTH, player.health - 1);
+    }
+    this.updateHealthBar();
+  }
+
+  // Right-click with food in hand starts eating it, if there is room
+  startEating() {
+    const held = this.getHeldItem();
+    const food = held && ITEM_DATA[held.id]?.food;
+    if (!food || this.gameMode === 'creative' || this.player.hunger >= MAX_HUNGER) return false;
+
+    this.eating = { slot: this.selectedSlot, id: held.id, time: 0 };
+    this.updateHotbar();
+    return true;
+  }
+
+  stopEating() {
+    if (!this.eating) return;
+    this.eating = null;
+    document.getElementById('use-progress-bar').classList.remove('active');
+    this.updateHotbar();
+  }
+
+  // Eating takes EAT_DURATION of holding still on the same stack, scattering
+  // crumbs all the while; keeps going with the next one until full
+  updateEating(dt) {
+    const eating = this.eating;
+    if (!eating) return;
+
+    const held = this.getHeldItem();
+    if (this.selectedSlot !== eating.slot || !held || held.id !== eating.id) {
+      this.stopEating();
+      return;
+    }
+
+    const before = eating.time;
+    eating.time += dt;
+    if (Math.floor(before / 0.25) !== Math.floor(eating.time / 0.25)) {
+      const mouth = this.player.position.clone().addScaledVector(this.playerView.getLookDirection(), 0.6);
+      mouth.y -= 0.18;
+      this.spawnParticles(mouth.x, mouth.y, mouth.z, ITEM_DATA[eating.id].color, 4);
+    }
+
+    const bar = document.getElementById('use-progress-bar');
+    bar.classList.add('active');
+    document.getElementById('use-progress-fill').style.width = Math.min(100, eating.time / EAT_DURATION * 100) + '%';
+
+    if (eating.time < EAT_DURATION) return;
+    this.eat(held);
+    if (this.player.hunger >= MAX_HUNGER || !this.hotbarSlots[eating.slot]) {
+      this.stopEating();
+    } else {
+      eating.time = 0;
+    }
+  }
+
+  eat(slot) {
+    const food = ITEM_DATA[slot.id].food;
+    const player = this.player;
+    player.hunger = Math.min(MAX_HUNGER, player.hunger + food.hunger);
+    player.saturation = Math.min(player.hunger, player.saturation + food.saturation);
+
+    slot.count--;
+    if (slot.count <= 0) this.hotbarSlots[this.selectedSlot] = null;
+    this.updateHotbar();
+    this.updateHealthBar();
+  }
+
+  // ==================== ARMOR ====================
+
+  getArmorPoints() {
+    let points = 0;
+    for (const slot of this.armorSlots) {
+      if (slot) points += ITEM_DATA[slot.id]?.armor || 0;
+    }
+    return Math.min(points, MAX_ARMOR_POINTS);
+  }
+
+  // Each worn piece loses durability for every hit it absorbs
+  damageArmor(damage) {
+    const wear = Math.max(1, Math.floor(damage / 4));
+    for (let i = 0; i < this.armorSlots.length; i++) {
+      const slot = this.armorSlots[i];
+      if (!slot) continue;
+      slot.durability -= wear;
+      if (slot.durability <= 0) this.armorSlots[i] = null;
+    }
+    if (this.inventoryOpen) this.updateInventoryUI();
+  }
+
+  // Right-click with armor in hand puts it on (swapping with what is worn)
+  equipHeldArmor() {
+    const held = this.getHeldItem();
+    const data = held && ITEM_DATA[held.id];
+    if (!data?.isArmor) return false;
+
+    const index = ARMOR_SLOTS.indexOf(data.armorSlot);
+    this.hotbarSlots[this.selectedSlot] = this.armorSlots[index];
+    this.armorSlots[index] = held;
+    this.updateHotbar();
+    this.updateHealthBar();
+    return true;
+  }
+
+  // ==================== GAME MODE ====================
+
+  updateGameModeIndicator() {
+    const indicator = document.getElementById('gamemode-indicator');
+    if (this.gameMode === 'creative') {
+      indicator.textContent = 'Creative' + (this.isFlying ? ' (Flying)' : '');
+      indicator.className = 'creative';
+    } else {
+      indicator.textContent = 'Survival';
+      indicator.className = 'survival';
+    }
+    this.updateHealthBar();
+    if (this.inventoryOpen) this.updateInventoryUI();
+  }
+
+  toggleGameMode() {
+    this.gameMode = this.gameMode === 'survival' ? 'creative' : 'survival';
+    if (this.gameMode === 'survival') {
+      this.isFlying = false;
+    }
+    if (this.gameMode === 'creative') {
+      this.player.health = MAX_HEALTH;
+    }
+    this.updateGameModeIndicator();
   }
 
   toggleInventory() {
@@ -1321,15 +2243,20 @@ class MinecraftGame {
     
     if (this.inventoryOpen) {
       invScreen.classList.add('visible');
+      invScreen.querySelector('h2').textContent = this.openContainer
+        ? this.getContainerTitle()
+        : (this.craftingSize === 3 ? 'Crafting Table' : 'Inventory');
       document.exitPointerLock();
       this.updateInventoryUI();
     } else {
       invScreen.classList.remove('visible');
+      this.returnCraftingGrid();
+      this.craftingSize = 2;
+      this.openContainer = null;
       
       // Drop held item if closing inventory while holding something
       if (this.heldInventoryItem) {
-        const throwDir = new THREE.Vector3(0, 0, -1);
-        throwDir.applyQuaternion(this.camera.quaternion);
+        const throwDir = this.playerView.getLookDirection();
         throwDir.multiplyScalar(3);
         throwDir.y += 2;
         
@@ -1356,12 +2283,15 @@ class MinecraftGame {
 
   /* Put setupEventListeners method here - handles all keyboard, mouse, and other events */
   setupEventListeners() {
-    document.getElementById('start-btn').onclick = (e) => {
+    document.getElementById('start-btn').onclick = async (e) => {
       e.preventDefault();
       e.stopPropagation();
-      if (this.currentSlot) {
-        const saves = this.saveManager.getAllSaves();
-        if (saves[this.currentSlot]) {
+      if (this.isPlaying && this.multiplayer.isGuest) {
+        // LAN guests resume the server's world, which has no save slot
+        this.startGame(false);
+      } else if (this.currentSlot) {
+        // A world being resumed may still be writing its first save
+        if (this.isPlaying || await this.saveManager.getSave(this.currentSlot)) {
           this.startGame(false);
         }
       }
@@ -1380,12 +2310,12 @@ class MinecraftGame {
     })
 
     document.addEventListener('keydown', e => {
+      if (this.chat.isOpen || this.worldMap.isOpen) return;
       if (e.code === 'KeyQ' && this.isPlaying && !this.isPaused && !this.inventoryOpen && !this.player.isDead) {
         const heldItem = this.getHeldItem();
         if (heldItem) {
-          // Calculate throw direction from camera
-          const throwDir = new THREE.Vector3(0, 0, -1);
-          throwDir.applyQuaternion(this.camera.quaternion);
+          // Calculate throw direction from where the player looks
+          const throwDir = this.playerView.getLookDirection();
           throwDir.multiplyScalar(5);  // Throw speed
           throwDir.y += 2;  // Arc upward slightly
           
@@ -1414,12 +2344,18 @@ class MinecraftGame {
           this.updateHotbar();
         }
       }
+      // Quick save, instead of the browser saving the page
+      if (e.code === 'KeyS' && (e.ctrlKey || e.metaKey) && this.isPlaying && !this.isPaused) {
+        e.preventDefault();
+        this.saveGame(true);
+        return;
+      }
       if (this.keys[e.code]) return;
       this.keys[e.code] = true;
       
       if (e.code === 'F5' && this.isPlaying && !this.isPaused) {
         e.preventDefault();
-        this.saveGame(true);
+        this.playerView.cycleMode();
         return;
       }
       
@@ -1476,13 +2412,22 @@ class MinecraftGame {
     });
 
     document.addEventListener('mousedown', e => {
-      if (!this.isPlaying || this.isPaused || this.inventoryOpen || this.player.isDead) return;
+      if (!this.isPlaying || this.isPaused || this.inventoryOpen || this.worldMap.isOpen || this.player.isDead) return;
       if (!document.pointerLockElement) {
         this.renderer.domElement.requestPointerLock();
         return;
       }
-      if (e.button === 0) this.breaking = true;
-      else if (e.button === 2) {
+      if (e.button === 0) {
+        this.playerView.swing();
+        if (this.buildTool.useWand(e.button) || this.attackTargetEntity()) return;
+        this.breaking = true;
+      } else if (e.button === 2) {
+        if (this.buildTool.useWand(e.button) || this.interactWithBlock() || this.tillBlock()) {
+          this.playerView.swing();
+          return;
+        }
+        if (this.equipHeldArmor()) return;
+        if (this.startEating()) return;
         this.placing = true;
         this.placeBlock();
       }
@@ -1497,6 +2442,7 @@ class MinecraftGame {
       }
       if (e.button === 2) {
         this.placing = false;
+        this.stopEating();
       }
     });
 
@@ -1509,10 +2455,10 @@ class MinecraftGame {
     document.addEventListener('contextmenu', e => e.preventDefault());
 
     document.addEventListener('pointerlockchange', () => {
-      if (!document.pointerLockElement && this.isPlaying && !this.isPaused && !this.inventoryOpen) {
+      if (!document.pointerLockElement && this.isPlaying && !this.isPaused && !this.inventoryOpen && !this.chat.isOpen && !this.worldMap.isOpen) {
         if (!document.getElementById('settings-panel').classList.contains('visible')) {
           this.isPaused = true;
-          this.saveGame(false);
+          this.saveGame(false).then(() => this.updateWorldSlots());
           document.getElementById('menu').classList.remove('hidden');
           document.getElementById('menu').querySelector('h1').textContent = '⏸ PAUSED';
           document.getElementById('start-btn').textContent = 'Resume';
@@ -1573,7 +2519,11 @@ class MinecraftGame {
     });
     this.chunkMeshes.clear();
     this.modifiedBlocks.clear();
+    this.regionManager.reset(this.currentSlot);
+    this.worldMap.reset(this.currentSlot);
+    this.buildTool.clear();
     this.pendingChunks.clear();
+    this.chunkWorkers.clear();
     
     this.particleSystem.forEach(p => {
       this.scene.remove(p);
@@ -1587,23 +2537,37 @@ class MinecraftGame {
     this.player.yaw = 0;
     this.player.pitch = 0;
     this.player.health = MAX_HEALTH;
+    this.resetHunger();
     this.player.onGround = false;
     this.player.inWater = false;
+    this.player.inLava = false;
+    this.player.eyeFluid = null;
     this.player.fallStartY = null;
     this.player.isDead = false;
+    this.fluidUpdates.clear();
+    this.worldTime = DAY_LENGTH * NEW_WORLD_TIME;
     
     this.hotbarSlots = new Array(9).fill(null);
     this.inventorySlots = new Array(27).fill(null);
+    this.armorSlots = new Array(ARMOR_SLOTS.length).fill(null);
+    this.craftingGrid = new Array(9).fill(null);
+    this.craftingSize = 2;
     this.selectedSlot = 0;
     
     this.gameMode = 'survival';
     this.isFlying = false;
+    this.spawnPoint = null;
     this.droppedItems.forEach(item => {
       this.scene.remove(item.mesh);
       item.mesh.geometry.dispose();
       item.mesh.material.dispose();
     });
     this.droppedItems = [];
+    this.entityManager.clear();
+    this.blockEntities.clear();
+    this.redstone.clear();
+    this.blockTicks.clear();
+    this.openContainer = null;
   }
 
   async startGame(isNewWorld = false) {
@@ -1617,25 +2581,30 @@ class MinecraftGame {
 
     if (!this.isPlaying || isNewWorld) {
       document.getElementById('loading').classList.add('show');
-      document.getElementById('loading-text').textContent = 
+      document.getElementById('loading-text').textContent = this.multiplayer.pendingWorld ? 'Joining LAN Game...' :
         isNewWorld ? 'Creating New World...' : 'Loading World...';
       await new Promise(r => setTimeout(r, 50));
+      // Saves hold mod block ids, so mods go in before any world
+      await this.modsLoaded;
 
       if (isNewWorld) {
         this.resetWorld();
+        this.multiplayer.installWorld();
       } else {
+        this.multiplayer.disconnect();
         this.resetWorld();
-        this.loadGame(this.currentSlot);
+        if (!await this.loadGame(this.currentSlot)) {
+          document.getElementById('loading').classList.remove('show');
+          menu.classList.remove('hidden');
+          return;
+        }
       }
 
-      // Initialize noise with seed
-      this.noise = new SimplexNoise(this.worldSeed);
-      this.noiseDetail = new SimplexNoise(this.worldSeed + 1000);
+      // Same height map and biomes as the chunk workers
+      this.terrain = new TerrainGenerator(this.worldSeed);
 
-      // Initialize worker with seed
-      if (this.chunkWorker) {
-        this.chunkWorker.postMessage({ type: 'init', seed: this.worldSeed });
-      }
+      // Initialize workers with seed
+      this.chunkWorkers.init(this.worldSeed);
       
       if (isNewWorld) {
         this.findSpawnPoint();
@@ -1669,211 +2638,86 @@ class MinecraftGame {
   // ==================== WORLD GENERATION ====================
 
   getTerrainHeight(x, z) {
-    const scale = 0.008;
-    const detailScale = 0.03;
-
-    let base = this.noise.octave(x * scale, z * scale, 4, 0.5);
-    let detail = this.noiseDetail.octave(x * detailScale, z * detailScale, 2, 0.5);
-
-    let height = 20 + base * 25 + detail * 5;
-
-    let mountain = this.noise.octave(x * 0.004, z * 0.004, 3, 0.4);
-    if (mountain > 0.3) {
-      height += (mountain - 0.3) * 60;
-    }
-
-    return Math.floor(height);
+    return this.terrain.getTerrainHeight(x, z);
   }
 
   getBiome(x, z) {
-    const temp = this.noise.noise2D(x * 0.002, z * 0.002);
-    const moisture = this.noiseDetail.noise2D(x * 0.003, z * 0.003);
-
-    if (temp > 0.4) return 'desert';
-    if (temp < -0.4) return 'snow';
-    if (moisture > 0.3) return 'forest';
-    return 'plains';
+    return this.terrain.getBiome(x, z);
   }
 
-  queueMeshBuild(cx, cz) {
-    const key = `${cx},${cz}`;
-    if (this.pendingMeshes.has(key)) return;
-    if (!this.chunks.has(key)) return;
-    
-    const pcx = Math.floor(this.player.position.x / CHUNK_SIZE);
-    const pcz = Math.floor(this.player.position.z / CHUNK_SIZE);
-    const dist = (cx - pcx) * (cx - pcx) + (cz - pcz) * (cz - pcz);
-    
-    // Check if already in queue
-    const existing = this.meshBuildQueue.findIndex(q => q.cx === cx && q.cz === cz);
-    if (existing !== -1) {
-      this.meshBuildQueue[existing].dist = dist;
-    } else {
-      this.meshBuildQueue.push({ cx, cz, dist });
-    }
-    
-    // Sort by distance (closer chunks first)
-    this.meshBuildQueue.sort((a, b) => a.dist - b.dist);
-  }
-  queueMeshBuildPriority(cx, cz) {
-    const key = `${cx},${cz}`;
-    if (this.pendingMeshes.has(key)) return;
-    if (!this.chunks.has(key)) return;
-    
-    // Remove from queue if already present
-    this.meshBuildQueue = this.meshBuildQueue.filter(q => !(q.cx === cx && q.cz === cz));
-    
-    // Insert at front of queue (highest priority)
-    this.meshBuildQueue.unshift({ cx, cz, dist: -1 });
-  }
-  rebuildChunkMeshNow(cx, cz) {
-    const key = `${cx},${cz}`;
-    
-    if (!this.chunks.has(key)) return;
-    if (!this.chunkWorker) return;
-    
-    // Remove from queue if present
-    this.meshBuildQueue = this.meshBuildQueue.filter(q => !(q.cx === cx && q.cz === cz));
-    
-    this.pendingMeshes.set(key, true);
-    
-    // Gather neighbor chunks
-    const neighbors = {};
-    const neighborOffsets = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]];
-    
-    for (const [dx, dz] of neighborOffsets) {
-      const nkey = `${cx + dx},${cz + dz}`;
-      if (this.chunks.has(nkey)) {
-        neighbors[nkey] = this.chunks.get(nkey).slice().buffer;
-      }
-    }
-    
-    // Get modifications
-    const modifiedBlocks = {};
-    this.modifiedBlocks.forEach((value, modKey) => {
-      const [mx, my, mz] = modKey.split(',').map(Number);
-      const mcx = Math.floor(mx / CHUNK_SIZE);
-      const mcz = Math.floor(mz / CHUNK_SIZE);
-      if (Math.abs(mcx - cx) <= 1 && Math.abs(mcz - cz) <= 1) {
-        modifiedBlocks[modKey] = value;
-      }
-    });
-    
-    const chunk = this.chunks.get(key);
-    const chunkBuffer = chunk.slice().buffer;
-    
-    const transferList = [chunkBuffer];
-    Object.values(neighbors).forEach(buf => transferList.push(buf));
-    
-    this.chunkWorker.postMessage({
-      type: 'buildMesh',
-      id: this.chunkRequestId++,
-      cx, cz,
-      chunk: chunkBuffer,
-      neighbors,
-      modifiedBlocks
-    }, transferList);
+  // `sections` is a mask of the sections to rebuild (see getSectionMask)
+  queueMeshBuild(cx, cz, sections = ALL_SECTIONS) {
+    if (!this.chunks.has(`${cx},${cz}`)) return;
+    this.chunkWorkers.request('mesh', cx, cz, false, sections);
   }
 
-  processMeshBuildQueue() {
-    if (this.meshBuildQueue.length === 0) return;
-    if (!this.chunkWorker) {
-      alert("ERROR: chunk worker not available")
-      return;
-    }
-    
-    // Send up to 2 mesh build requests per frame
-    const maxPerFrame = 8;
-    let processed = 0;
-    
-    while (this.meshBuildQueue.length > 0 && processed < maxPerFrame) {
-      const { cx, cz } = this.meshBuildQueue.shift();
-      const key = `${cx},${cz}`;
-      
-      if (!this.chunks.has(key) || this.pendingMeshes.has(key)) continue;
-      
-      this.pendingMeshes.set(key, true);
-      
-      // Gather neighbor chunks for proper AO at edges
-      const neighbors = {};
-      const neighborOffsets = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]];
-      
-      for (const [dx, dz] of neighborOffsets) {
-        const nkey = `${cx + dx},${cz + dz}`;
-        if (this.chunks.has(nkey)) {
-          // Copy the buffer so we can transfer it
-          const neighborChunk = this.chunks.get(nkey);
-          neighbors[nkey] = neighborChunk.slice().buffer;
-        }
-      }
-      
-      // Get modifications for this chunk area
-      const modifiedBlocks = {};
-      this.modifiedBlocks.forEach((value, modKey) => {
-        const [mx, my, mz] = modKey.split(',').map(Number);
-        const mcx = Math.floor(mx / CHUNK_SIZE);
-        const mcz = Math.floor(mz / CHUNK_SIZE);
-        // Include if in this chunk or adjacent
-        if (Math.abs(mcx - cx) <= 1 && Math.abs(mcz - cz) <= 1) {
-          modifiedBlocks[modKey] = value;
-        }
-      });
-      
-      const chunk = this.chunks.get(key);
-      const chunkBuffer = chunk.slice().buffer;
-      
-      const transferList = [chunkBuffer];
-      Object.values(neighbors).forEach(buf => transferList.push(buf));
-      
-      this.chunkWorker.postMessage({
-        type: 'buildMesh',
-        id: this.chunkRequestId++,
-        cx, cz,
-        chunk: chunkBuffer,
-        neighbors,
-        modifiedBlocks
-      }, transferList);
-      
-      processed++;
-    }
+  // For edits the player is looking at: goes ahead of all queued work
+  queueMeshBuildPriority(cx, cz, sections = ALL_SECTIONS) {
+    if (!this.chunks.has(`${cx},${cz}`)) return;
+    this.chunkWorkers.request('mesh', cx, cz, true, sections);
   }
 
+  // The worker sends { [section]: { opaque, transparent, fluid } } for the
+  // sections it rebuilt. A chunk's meshes share one group and are tagged
+  // with their section, so the rest of the column stays as it is.
   createMeshFromGeometry(cx, cz, geometry) {
     const key = `${cx},${cz}`;
-    
-    if (this.chunkMeshes.has(key)) {
-      const oldGroup = this.chunkMeshes.get(key);
-      this.scene.remove(oldGroup);
-      oldGroup.children.forEach(mesh => {
-        mesh.geometry.dispose();
-        mesh.material.dispose();
-      });
+
+    let group = this.chunkMeshes.get(key);
+    if (!group) {
+      group = new THREE.Group();
+      this.scene.add(group);
+      this.chunkMeshes.set(key, group);
     }
-    
-    const group = new THREE.Group();
-    
-    const createMesh = (data, isTrans) => {
-      if (!data.positions || data.positions.length === 0) return;
+
+    for (const mesh of [...group.children]) {
+      if (geometry[mesh.userData.section] === undefined) continue;
+      group.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    }
+
+    const createMesh = (section, data, isTrans, isFluid = false) => {
+      if (!data || !data.positions || data.positions.length === 0) return;
       
+      // The worker transfers typed arrays, so they are used without copying
       const geo = new THREE.BufferGeometry();
-      geo.setAttribute('position', new THREE.Float32BufferAttribute(data.positions, 3));
-      geo.setAttribute('color', new THREE.Float32BufferAttribute(data.colors, 3));
+      geo.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+      geo.setAttribute('color', new THREE.BufferAttribute(data.colors, 3));
       
       if (data.normals && data.normals.length > 0) {
-        geo.setAttribute('normal', new THREE.Float32BufferAttribute(data.normals, 3));
+        geo.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
       } else {
         geo.computeVertexNormals();
       }
       
-      // Add UV attribute if available
+      // Add UV attribute if available; UVs count blocks from the atlas
+      // corner of the tile in `tile`, so merged faces repeat their texture
       if (data.uvs && data.uvs.length > 0) {
-        geo.setAttribute('uv', new THREE.Float32BufferAttribute(data.uvs, 2));
+        geo.setAttribute('uv', new THREE.BufferAttribute(data.uvs, 2));
+        geo.setAttribute('tile', new THREE.BufferAttribute(data.tiles, 2));
       }
+
+      // Per-vertex [sky, block] light from the worker
+      geo.setAttribute('light', new THREE.BufferAttribute(data.lights, 2));
       
       // Create material based on whether texture is loaded
       let mat;
       
-      if (this.textureLoaded && this.textureAtlas && data.uvs && data.uvs.length > 0) {
+      if (isFluid) {
+        // Blended rather than alpha-tested so the water surface is see-through
+        mat = new THREE.MeshStandardMaterial({
+          map: this.textureLoaded ? this.textureAtlas : null,
+          vertexColors: true,
+          color: this.textureLoaded ? 0xffffff : 0x3080c0,
+          transparent: true,
+          opacity: 0.7,
+          depthWrite: false,
+          roughness: 0.3,
+          metalness: 0.0,
+          side: THREE.DoubleSide
+        });
+      } else if (this.textureLoaded && this.textureAtlas && data.uvs && data.uvs.length > 0) {
         // Textured material
         mat = new THREE.MeshStandardMaterial({
           map: this.textureAtlas,
@@ -1897,7 +2741,9 @@ class MinecraftGame {
         });
       }
       
+      this.applyVoxelLighting(mat);
       const mesh = new THREE.Mesh(geo, mat);
+      mesh.userData.section = section;
       
       if (this.settings.shadowsEnabled && !isTrans) {
         mesh.castShadow = true;
@@ -1907,11 +2753,11 @@ class MinecraftGame {
       group.add(mesh);
     };
     
-    createMesh(geometry.opaque, false);
-    createMesh(geometry.transparent, true);
-    
-    this.scene.add(group);
-    this.chunkMeshes.set(key, group);
+    for (const [section, parts] of Object.entries(geometry)) {
+      createMesh(Number(section), parts.opaque, false);
+      createMesh(Number(section), parts.transparent, true);
+      createMesh(Number(section), parts.fluid, true, true);
+    }
   }
   
   checkBlockSupport(x, y, z) {
@@ -1919,31 +2765,53 @@ class MinecraftGame {
     if (block === BLOCK.AIR) return;
     
     const blockData = BLOCK_DATA[block];
-    if (!blockData || !blockData.placedOn) return;
+    if (!blockData || !(blockData.placedOn || blockData.placedOnSolid)) return;
     
     const blockBelow = this.getBlock(x, y - 1, z);
     
-    // Check if the block below is valid support
-    if (!blockData.placedOn.includes(blockBelow)) {
-      // Block loses support - break it and drop item
-      this.setBlock(x, y, z, BLOCK.AIR);
-      
-      // Handle drops
-      let dropItem = block;
-      if (blockData.drops === null) {
-        // Check for rare drops
-        if (blockData.rareDrops && Math.random() < blockData.rareDrops.chance) {
-          dropItem = blockData.rareDrops.item;
-        } else {
-          dropItem = null;
-        }
-      } else if (blockData.drops !== undefined) {
-        dropItem = blockData.drops;
-      }
+    // Check if the block below is valid support
+    if (!this.hasBlockSupport(blockData, blockBelow)) {
+      // Block loses support - break it and drop item
+      this.setBlock(x, y, z, BLOCK.AIR);
       
+      const dropItem = this.getBlockDrop(block);
       if (dropItem !== null) {
         this.spawnDroppedItem(x + 0.5, y + 0.5, z + 0.5, dropItem, 1);
       }
+      this.spawnExtraDrops(x, y, z, blockData);
+    }
+  }
+
+  hasBlockSupport(blockData, blockBelow) {
+    if (blockData.placedOn) return blockData.placedOn.includes(blockBelow);
+    if (blockData.placedOnSolid) return isSupportingBlock(blockBelow);
+    return true;
+  }
+
+  // Item a block drops when it is destroyed without a tool check, or null
+  getBlockDrop(block) {
+    const blockData = BLOCK_DATA[block];
+    if (!blockData) return null;
+
+    if (blockData.drops === null) return this.rollRareDrop(blockData);
+    if (blockData.drops !== undefined) return blockData.drops;
+    return block;
+  }
+
+  // The first of a block's `rareDrops` whose chance comes up, or null
+  rollRareDrop(blockData) {
+    for (const drop of blockData.rareDrops || []) {
+      if (Math.random() < drop.chance) return drop.item;
+    }
+    return null;
+  }
+
+  // Drops a block gives on top of its usual one, a random count of each of
+  // its `extraDrops` (like the seeds from ripe wheat)
+  spawnExtraDrops(x, y, z, blockData) {
+    for (const drop of blockData?.extraDrops || []) {
+      const count = drop.min + Math.floor(Math.random() * (drop.max - drop.min + 1));
+      if (count > 0) this.spawnDroppedItem(x + 0.5, y + 0.5, z + 0.5, drop.item, count);
     }
   }
 
@@ -1951,81 +2819,60 @@ class MinecraftGame {
     const key = `${cx},${cz}`;
     if (this.chunks.has(key) || this.pendingChunks.has(key)) return;
 
-    if (this.chunkWorker) {
-      this.pendingChunks.set(key, true);
-      
-      // Gather existing neighbor chunks for mesh building
-      const neighbors = {};
-      const neighborOffsets = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]];
-      
-      for (const [dx, dz] of neighborOffsets) {
-        const nkey = `${cx + dx},${cz + dz}`;
-        if (this.chunks.has(nkey)) {
-          neighbors[nkey] = this.chunks.get(nkey).slice().buffer;
-        }
-      }
-      
-      // Get relevant modifications
-      const modifiedBlocks = {};
-      this.modifiedBlocks.forEach((value, modKey) => {
-        const [mx, my, mz] = modKey.split(',').map(Number);
-        const mcx = Math.floor(mx / CHUNK_SIZE);
-        const mcz = Math.floor(mz / CHUNK_SIZE);
-        if (Math.abs(mcx - cx) <= 1 && Math.abs(mcz - cz) <= 1) {
-          modifiedBlocks[modKey] = value;
-        }
-      });
-      
-      const transferList = [];
-      Object.values(neighbors).forEach(buf => transferList.push(buf));
-      
-      // Use generateAndBuild if we have neighbors, otherwise just generate
-      const hasNeighbors = Object.keys(neighbors).length >= 4;
-      
-      if (hasNeighbors) {
-        this.pendingMeshes.set(key, true);
-        this.chunkWorker.postMessage({
-          type: 'generateAndBuild',
-          id: this.chunkRequestId++,
-          cx, cz,
-          seed: this.worldSeed,
-          neighbors,
-          modifiedBlocks
-        }, transferList);
-      } else {
-        this.chunkWorker.postMessage({
-          type: 'generate',
-          id: this.chunkRequestId++,
-          cx, cz,
-          seed: this.worldSeed
-        });
-      }
+    // Stored edits must be in memory before the chunk is built and meshed;
+    // the chunk is requested again once its region has been read
+    if (!this.regionManager.isLoaded(cx, cz)) {
+      this.regionManager.load(cx, cz);
       return;
     }
+
+    this.pendingChunks.set(key, true);
+    this.chunkWorkers.request('generate', cx, cz);
   }
 
   applyModificationsToChunk(cx, cz) {
     const chunk = this.chunks.get(`${cx},${cz}`);
     if (!chunk) return;
-    
-    for (let lx = 0; lx < CHUNK_SIZE; lx++) {
-      for (let lz = 0; lz < CHUNK_SIZE; lz++) {
-        for (let y = 0; y < WORLD_HEIGHT; y++) {
-          const wx = cx * CHUNK_SIZE + lx;
-          const wz = cz * CHUNK_SIZE + lz;
-          const key = `${wx},${y},${wz}`;
-          
-          if (this.modifiedBlocks.has(key)) {
-            const idx = lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
-            chunk[idx] = this.modifiedBlocks.get(key);
-          }
+
+    // Regions are read lazily. generateChunk normally waits for them, so
+    // this only defers when a chunk arrives before its region.
+    if (!this.regionManager.isLoaded(cx, cz)) {
+      this.regionManager.load(cx, cz).then(() => {
+        if (this.chunks.get(`${cx},${cz}`) !== chunk) return;
+        // A failed read would leave the chunk without its edits, so drop it;
+        // generateChunk asks for it again once the region can be read
+        if (!this.regionManager.isLoaded(cx, cz)) {
+          this.unloadChunk(`${cx},${cz}`);
+          return;
         }
-      }
+        this.applyModificationsToChunk(cx, cz);
+        this.queueMeshBuild(cx, cz);
+      });
+      return;
+    }
+    
+    for (const key of this.regionManager.getChunkKeys(cx, cz)) {
+      const [x, y, z] = key.split(',').map(Number);
+      const lx = x - cx * CHUNK_SIZE;
+      const lz = z - cz * CHUNK_SIZE;
+      chunk[lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT] = this.modifiedBlocks.get(key);
     }
   }
 
+  // Walks outwards from the origin until it finds dry land, so new worlds
+  // don't start in the middle of an ocean
   findSpawnPoint() {
     let x = 8, z = 8;
+    for (let radius = 0; radius <= 2048; radius += 32) {
+      const angle = radius * 0.37;
+      const tx = 8 + Math.round(Math.cos(angle) * radius);
+      const tz = 8 + Math.round(Math.sin(angle) * radius);
+      if (this.getTerrainHeight(tx, tz) > WATER_LEVEL + 2) {
+        x = tx;
+        z = tz;
+        break;
+      }
+    }
     let y = this.getTerrainHeight(x, z) + 2;
     this.player.position.set(x + 0.5, y+0.1, z + 0.5);
   }
@@ -2050,30 +2897,329 @@ class MinecraftGame {
   setBlock(x, y, z, type) {
     if (y < 0 || y >= WORLD_HEIGHT) return;
   
+    const oldType = this.getBlock(x, y, z);
     this.modifiedBlocks.set(`${x},${y},${z}`, type);
+    this.regionManager.recordBlock(x, y, z);
   
     const cx = Math.floor(x / CHUNK_SIZE);
     const cz = Math.floor(z / CHUNK_SIZE);
     const chunk = this.chunks.get(`${cx},${cz}`);
-  
-    if (chunk) {
-      const lx = ((x % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-      const lz = ((z % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-      chunk[lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT] = type;
+    const lx = ((x % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const lz = ((z % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    if (chunk) chunk[lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT] = type;
+
+    if (this.blockBatch) {
+      this.addToBlockBatch(x, y, z, !!chunk && this.affectsLight(oldType, type));
+    } else if (chunk) {
+      const lightChanged = this.affectsLight(oldType, type);
+      const sections = this.getEditedSections(x, y, z, lightChanged);
   
       // Priority rebuild for the main chunk (insert at front of queue)
-      this.queueMeshBuildPriority(cx, cz);
+      this.queueMeshBuildPriority(cx, cz, sections);
       
       // Only rebuild adjacent chunks if block is on the edge (for AO correction)
-      if (lx === 0) this.queueMeshBuild(cx - 1, cz);
-      if (lx === CHUNK_SIZE - 1) this.queueMeshBuild(cx + 1, cz);
-      if (lz === 0) this.queueMeshBuild(cx, cz - 1);
-      if (lz === CHUNK_SIZE - 1) this.queueMeshBuild(cx, cz + 1);
+      if (lx === 0) this.queueMeshBuild(cx - 1, cz, sections);
+      if (lx === CHUNK_SIZE - 1) this.queueMeshBuild(cx + 1, cz, sections);
+      if (lz === 0) this.queueMeshBuild(cx, cz - 1, sections);
+      if (lz === CHUNK_SIZE - 1) this.queueMeshBuild(cx, cz + 1, sections);
+
+      // Light changes can reach up to MAX_LIGHT blocks into neighbouring chunks
+      if (lightChanged) {
+        for (let dx = -1; dx <= 1; dx++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            if (dx === 0 && dz === 0) continue;
+            const nearX = dx === 0 || (dx < 0 ? lx < MAX_LIGHT : lx >= CHUNK_SIZE - MAX_LIGHT);
+            const nearZ = dz === 0 || (dz < 0 ? lz < MAX_LIGHT : lz >= CHUNK_SIZE - MAX_LIGHT);
+            if (nearX && nearZ) this.queueMeshBuild(cx + dx, cz + dz, sections);
+          }
+        }
+      }
     }
   
+    this.blockEntities.onBlockChanged(x, y, z, oldType, type);
+    this.redstone.onBlockChanged(x, y, z, oldType, type);
+    this.blockTicks.onBlockChanged(x, y, z, oldType, type);
+    if (!this.blockBatch) this.worldMap.onBlockChanged(x, y, z);
+
     if (type === BLOCK.AIR) {
       this.checkBlockSupport(x, y + 1, z);
     }
+
+    this.scheduleFluidUpdatesAround(x, y, z);
+  }
+
+  // Mask of the sections an edit can change the look of: the block's own,
+  // and the next one when it sits on a section edge (faces and AO). A change
+  // in light reaches MAX_LIGHT blocks further, after sky light (or shadow)
+  // has fallen straight down to the next opaque block.
+  getEditedSections(x, y, z, lightChanged) {
+    if (!lightChanged) return getSectionMask(y - 1, y + 1);
+
+    let floor = y - 1;
+    while (floor > 0 && !isLightOpaque(this.getBlock(x, floor, z))) floor--;
+    return getSectionMask(floor - MAX_LIGHT, y + MAX_LIGHT);
+  }
+
+  // ==================== BLOCK BATCHES ====================
+  // setBlock between beginBlockBatch and endBlockBatch leaves the mesh
+  // rebuilds and map updates to endBlockBatch, which does each once per
+  // chunk and column instead of once per block. For the build tool's edits.
+
+  beginBlockBatch() {
+    this.blockBatch = { chunks: new Map(), columns: new Map() };
+  }
+
+  // Collects what setBlock would rebuild: the rows around each edit, per
+  // chunk, and per column the lowest edit that changes light
+  addToBlockBatch(x, y, z, lightChanged) {
+    const { chunks, columns } = this.blockBatch;
+    const columnKey = `${x},${z}`;
+    const column = columns.get(columnKey);
+    if (!column) {
+      columns.set(columnKey, { x, y, z, lightY: lightChanged ? y : null });
+    } else if (lightChanged && (column.lightY === null || y < column.lightY)) {
+      column.lightY = y;
+    }
+
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    const key = `${cx},${cz}`;
+    if (!this.chunks.has(key)) return;
+    const lx = x - cx * CHUNK_SIZE;
+    const lz = z - cz * CHUNK_SIZE;
+    let edit = chunks.get(key);
+    if (!edit) {
+      edit = { cx, cz, low: y - 1, high: y + 1, minLx: lx, maxLx: lx, minLz: lz, maxLz: lz, lightChanged: false };
+      chunks.set(key, edit);
+    }
+    edit.low = Math.min(edit.low, y - 1);
+    edit.high = Math.max(edit.high, lightChanged ? y + MAX_LIGHT : y + 1);
+    edit.minLx = Math.min(edit.minLx, lx);
+    edit.maxLx = Math.max(edit.maxLx, lx);
+    edit.minLz = Math.min(edit.minLz, lz);
+    edit.maxLz = Math.max(edit.maxLz, lz);
+    edit.lightChanged = edit.lightChanged || lightChanged;
+  }
+
+  // The same rebuilds as getEditedSections and setBlock ask for, merged
+  endBlockBatch() {
+    const { chunks, columns } = this.blockBatch;
+    this.blockBatch = null;
+
+    for (const { x, y, z, lightY } of columns.values()) {
+      this.worldMap.onBlockChanged(x, y, z);
+      if (lightY === null) continue;
+      const edit = chunks.get(`${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`);
+      let floor = lightY - 1;
+      while (floor > 0 && !isLightOpaque(this.getBlock(x, floor, z))) floor--;
+      edit.low = Math.min(edit.low, floor - MAX_LIGHT);
+    }
+
+    for (const edit of chunks.values()) {
+      const { cx, cz } = edit;
+      const sections = getSectionMask(edit.low, edit.high);
+      this.queueMeshBuild(cx, cz, sections);
+      if (edit.minLx === 0) this.queueMeshBuild(cx - 1, cz, sections);
+      if (edit.maxLx === CHUNK_SIZE - 1) this.queueMeshBuild(cx + 1, cz, sections);
+      if (edit.minLz === 0) this.queueMeshBuild(cx, cz - 1, sections);
+      if (edit.maxLz === CHUNK_SIZE - 1) this.queueMeshBuild(cx, cz + 1, sections);
+      if (!edit.lightChanged) continue;
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          if (dx === 0 && dz === 0) continue;
+          const nearX = dx === 0 || (dx < 0 ? edit.minLx < MAX_LIGHT : edit.maxLx >= CHUNK_SIZE - MAX_LIGHT);
+          const nearZ = dz === 0 || (dz < 0 ? edit.minLz < MAX_LIGHT : edit.maxLz >= CHUNK_SIZE - MAX_LIGHT);
+          if (nearX && nearZ) this.queueMeshBuild(cx + dx, cz + dz, sections);
+        }
+      }
+    }
+  }
+
+  affectsLight(oldType, newType) {
+    const oldData = BLOCK_DATA[oldType] || {};
+    const newData = BLOCK_DATA[newType] || {};
+    return isLightOpaque(oldType) !== isLightOpaque(newType) ||
+           (oldData.lightEmission || 0) !== (newData.lightEmission || 0) ||
+           (oldData.lightFilter || 0) !== (newData.lightFilter || 0);
+  }
+
+  isChunkLoadedAt(x, z) {
+    return this.chunks.has(`${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`);
+  }
+
+  // ==================== FLUIDS ====================
+
+  scheduleFluidUpdate(x, y, z) {
+    const fluid = getFluid(this.getBlock(x, y, z));
+    if (!fluid) return;
+
+    const key = `${x},${y},${z}`;
+    if (this.fluidUpdates.has(key)) return;
+
+    const delay = fluid === 'lava' ? LAVA_TICK_RATE : WATER_TICK_RATE;
+    this.fluidUpdates.set(key, { x, y, z, delay, due: this.fluidTime + delay });
+  }
+
+  scheduleFluidUpdatesAround(x, y, z) {
+    this.scheduleFluidUpdate(x, y, z);
+    this.scheduleFluidUpdate(x + 1, y, z);
+    this.scheduleFluidUpdate(x - 1, y, z);
+    this.scheduleFluidUpdate(x, y + 1, z);
+    this.scheduleFluidUpdate(x, y - 1, z);
+    this.scheduleFluidUpdate(x, y, z + 1);
+    this.scheduleFluidUpdate(x, y, z - 1);
+  }
+
+  updateFluids(dt) {
+    this.fluidTime += dt;
+    if (this.fluidUpdates.size === 0) return;
+
+    const due = [];
+    for (const [key, update] of this.fluidUpdates) {
+      if (due.length >= MAX_FLUID_UPDATES_PER_FRAME) break;
+      if (update.due <= this.fluidTime) {
+        due.push([key, update]);
+        this.fluidUpdates.delete(key);
+      }
+    }
+
+    for (const [key, update] of due) {
+      const { x, y, z } = update;
+      // Never let fluid spill into chunks that aren't loaded - it would
+      // land in modifiedBlocks and overwrite terrain when they generate.
+      // The update waits for them instead.
+      if (!this.isChunkLoadedAt(x - 1, z - 1) || !this.isChunkLoadedAt(x + 1, z + 1) ||
+          !this.isChunkLoadedAt(x - 1, z + 1) || !this.isChunkLoadedAt(x + 1, z - 1)) {
+        if (!this.fluidUpdates.has(key)) this.fluidUpdates.set(key, { ...update, due: this.fluidTime + update.delay });
+        continue;
+      }
+      this.updateFluidBlock(x, y, z);
+    }
+  }
+
+  canFluidFlowInto(x, y, z, fluid, level) {
+    if (y < 0 || y >= WORLD_HEIGHT) return false;
+    if (!this.isChunkLoadedAt(x, z)) return false;
+
+    const block = this.getBlock(x, y, z);
+    if (block === BLOCK.AIR) return true;
+
+    const data = BLOCK_DATA[block];
+    if (!data) return false;
+    if (data.fluid) return data.fluid === fluid && !data.isSource && data.fluidLevel < level;
+    // Fluids wash away plants
+    return data.type === BLOCK_TYPE.CROSS;
+  }
+
+  // A fluid block only feeds its horizontal neighbours when it can't fall any further
+  getSupportedFluidLevel(x, y, z, fluid) {
+    if (getFluid(this.getBlock(x, y + 1, z)) === fluid) return FLUID_MAX_LEVEL;
+
+    let best = 0;
+    for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const data = BLOCK_DATA[this.getBlock(x + dx, y, z + dz)];
+      if (data?.fluid !== fluid) continue;
+      if (this.canFluidFlowInto(x + dx, y - 1, z + dz, fluid, FLUID_MAX_LEVEL)) continue;
+      best = Math.max(best, data.fluidLevel - FLUID_SPREAD_DROP[fluid]);
+    }
+    return best;
+  }
+
+  countAdjacentSources(x, y, z, fluid) {
+    let count = 0;
+    for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      if (this.getBlock(x + dx, y, z + dz) === FLUID_SOURCE[fluid]) count++;
+    }
+    return count;
+  }
+
+  isTouchingFluid(x, y, z, fluid) {
+    return getFluid(this.getBlock(x + 1, y, z)) === fluid ||
+           getFluid(this.getBlock(x - 1, y, z)) === fluid ||
+           getFluid(this.getBlock(x, y + 1, z)) === fluid ||
+           getFluid(this.getBlock(x, y, z + 1)) === fluid ||
+           getFluid(this.getBlock(x, y, z - 1)) === fluid;
+  }
+
+  setFluid(x, y, z, fluid, level) {
+    const current = this.getBlock(x, y, z);
+    const currentData = BLOCK_DATA[current];
+    // Every LAN player runs the same fluid updates; the host's drops are shared
+    if (currentData && !currentData.fluid && !this.multiplayer.isGuest) {
+      const dropItem = this.getBlockDrop(current);
+      if (dropItem !== null) {
+        this.spawnDroppedItem(x + 0.5, y + 0.5, z + 0.5, dropItem, 1);
+      }
+    }
+    this.setBlock(x, y, z, getFlowingFluidBlock(fluid, level));
+  }
+
+  updateFluidBlock(x, y, z) {
+    const block = this.getBlock(x, y, z);
+    const data = BLOCK_DATA[block];
+    if (!data?.fluid) return;
+    const fluid = data.fluid;
+
+    // Lava touching water hardens: sources into stone, flowing lava into cobblestone
+    if (fluid === 'lava' && this.isTouchingFluid(x, y, z, 'water')) {
+      this.setBlock(x, y, z, data.isSource ? BLOCK.STONE : BLOCK.COBBLE);
+      this.spawnParticles(x + 0.5, y + 1, z + 0.5, 0x555555);
+      return;
+    }
+
+    if (!data.isSource) {
+      // Water between two sources on a solid floor becomes a source itself
+      if (fluid === 'water' && this.countAdjacentSources(x, y, z, fluid) >= 2) {
+        const below = this.getBlock(x, y - 1, z);
+        if (below === BLOCK.WATER || BLOCK_DATA[below]?.solid) {
+          this.setBlock(x, y, z, BLOCK.WATER);
+          return;
+        }
+      }
+
+      // Flowing fluid recedes when whatever fed it is gone.
+      // setBlock reschedules this block and its neighbours.
+      const supported = this.getSupportedFluidLevel(x, y, z, fluid);
+      if (supported !== data.fluidLevel) {
+        this.setBlock(x, y, z, supported > 0 ? getFlowingFluidBlock(fluid, supported) : BLOCK.AIR);
+        return;
+      }
+    }
+
+    // Falling takes priority over spreading sideways
+    if (this.canFluidFlowInto(x, y - 1, z, fluid, FLUID_MAX_LEVEL)) {
+      this.setFluid(x, y - 1, z, fluid, FLUID_MAX_LEVEL);
+      return;
+    }
+
+    const spreadLevel = data.fluidLevel - FLUID_SPREAD_DROP[fluid];
+    if (spreadLevel <= 0) return;
+
+    for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      if (this.canFluidFlowInto(x + dx, y, z + dz, fluid, spreadLevel)) {
+        this.setFluid(x + dx, y, z + dz, fluid, spreadLevel);
+      }
+    }
+  }
+
+  // Direction flowing fluid pushes entities, pointing towards lower levels
+  getFluidFlow(x, y, z) {
+    const flow = new THREE.Vector3();
+    const data = BLOCK_DATA[this.getBlock(x, y, z)];
+    if (!data?.fluid || data.isSource) return flow;
+
+    for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const nData = BLOCK_DATA[this.getBlock(x + dx, y, z + dz)];
+      let nLevel;
+      if (nData?.fluid === data.fluid) nLevel = nData.fluidLevel;
+      else if (this.canFluidFlowInto(x + dx, y, z + dz, data.fluid, FLUID_MAX_LEVEL)) nLevel = 0;
+      else continue;
+      flow.x += dx * (data.fluidLevel - nLevel);
+      flow.z += dz * (data.fluidLevel - nLevel);
+    }
+    if (flow.lengthSq() > 0) flow.normalize();
+    return flow;
   }
 
   // ==================== PLAYER & PHYSICS ====================
@@ -2108,38 +3254,63 @@ class MinecraftGame {
         this.player.velocity.y = 0;
       }
     } else {
-      const speed = this.keys['ShiftLeft'] ? SPRINT_SPEED : WALK_SPEED;
-      const waterMult = this.player.inWater ? 0.5 : 1;
+      const inFluid = this.player.inWater || this.player.inLava;
+      const sprinting = this.isSprinting();
+      const speed = sprinting ? SPRINT_SPEED : WALK_SPEED;
+      const fluidMult = this.player.inLava ? 0.35 : (this.player.inWater ? 0.5 : 1);
+
+      this.player.velocity.x = moveX * speed * fluidMult + this.player.knockback.x;
+      this.player.velocity.z = moveZ * speed * fluidMult + this.player.knockback.z;
+      this.player.knockback.multiplyScalar(Math.max(0, 1 - 8 * dt));
 
-      this.player.velocity.x = moveX * speed * waterMult;
-      this.player.velocity.z = moveZ * speed * waterMult;
+      // Flowing water carries the player along
+      if (this.player.inWater) {
+        const p = this.player.position;
+        const flow = this.getFluidFlow(
+          Math.floor(p.x), Math.floor(p.y - PLAYER_HEIGHT + 0.1), Math.floor(p.z)
+        );
+        this.player.velocity.x += flow.x * 1.5;
+        this.player.velocity.z += flow.z * 1.5;
+      }
 
       if (this.keys['Space']) {
-        if (this.player.onGround) {
+        if (inFluid) {
+          // Swim up; lava is thicker
+          const swimForce = this.player.inLava ? SWIM_FORCE * 0.5 : SWIM_FORCE;
+          this.player.velocity.y = Math.min(this.player.velocity.y + swimForce * 8 * dt, swimForce);
+        } else if (this.player.onGround) {
           this.player.velocity.y = JUMP_FORCE;
           this.player.onGround = false;
-        } else if (this.player.inWater) {
-          this.player.velocity.y = 3;
+          this.addExhaustion(sprinting && moveDir.lengthSq() > 0 ? SPRINT_JUMP_EXHAUSTION : JUMP_EXHAUSTION);
         }
       }
 
-      const grav = this.player.inWater ? GRAVITY * 0.3 : GRAVITY;
-      this.player.velocity.y -= grav * dt;
-      if (this.player.inWater) {
+      if (inFluid) {
+        // Buoyancy: much weaker gravity plus drag, so the player sinks slowly
+        this.player.velocity.y -= GRAVITY * 0.15 * dt;
+        this.player.velocity.y *= Math.max(0, 1 - 2 * dt);
         this.player.velocity.y = Math.max(-3, this.player.velocity.y);
+      } else {
+        this.player.velocity.y -= GRAVITY * dt;
       }
     }
 
     // Track fall start for fall damage
-    if (!this.player.onGround && !this.isFlying && !this.player.inWater) {
+    if (!this.player.onGround && !this.isFlying && !this.player.inWater && !this.player.inLava) {
       if (this.player.fallStartY === null && this.player.velocity.y < 0) {
         this.player.fallStartY = this.player.position.y;
       }
     }
 
     const wasOnGround = this.player.onGround;
+    const startX = this.player.position.x;
+    const startZ = this.player.position.z;
     this.moveWithCollision(dt);
 
+    if (!this.isFlying && moveDir.lengthSq() > 0 && this.isSprinting()) {
+      this.addExhaustion(SPRINT_EXHAUSTION * Math.hypot(this.player.position.x - startX, this.player.position.z - startZ));
+    }
+
     // Calculate fall damage when landing
     if (this.player.onGround && !wasOnGround && this.player.fallStartY !== null) {
       const fallDistance = this.player.fallStartY - this.player.position.y;
@@ -2147,50 +3318,85 @@ class MinecraftGame {
       this.player.fallStartY = null;
     }
 
-    if (this.player.onGround || this.player.inWater || this.isFlying) {
+    if (this.player.onGround || this.player.inWater || this.player.inLava || this.isFlying) {
       this.player.fallStartY = null;
     }
 
-    const headBlock = this.getBlock(
-      Math.floor(this.player.position.x),
-      Math.floor(this.player.position.y),
-      Math.floor(this.player.position.z)
-    );
-    this.player.inWater = headBlock === BLOCK.WATER;
-
-    this.camera.position.copy(this.player.position);
-    this.camera.rotation.order = 'YXZ';
-    this.camera.rotation.y = this.player.yaw;
-    this.camera.rotation.x = this.player.pitch;
+    this.updatePlayerFluidState(dt);
 
-    this.sun.position.set(
-      this.player.position.x + 100,
-      this.player.position.y + 200,
-      this.player.position.z + 50
-    );
-    this.sunTarget.position.copy(this.player.position);
+    this.playerView.updateCamera();
 
     const p = this.player.position;
     document.getElementById('position').textContent = 
       `XYZ: ${p.x.toFixed(1)} / ${p.y.toFixed(1)} / ${p.z.toFixed(1)}`;
   }
 
+  updatePlayerFluidState(dt) {
+    const p = this.player.position;
+    const x = Math.floor(p.x), z = Math.floor(p.z);
+    const feetFluid = getFluid(this.getBlock(x, Math.floor(p.y - PLAYER_HEIGHT + 0.1), z));
+    const bodyFluid = getFluid(this.getBlock(x, Math.floor(p.y - PLAYER_HEIGHT / 2), z));
+    const eyeFluid = getFluid(this.getBlock(x, Math.floor(p.y), z));
+
+    this.player.inWater = feetFluid === 'water' || bodyFluid === 'water';
+    this.player.inLava = feetFluid === 'lava' || bodyFluid === 'lava';
+
+    if (eyeFluid !== this.player.eyeFluid) {
+      this.player.eyeFluid = eyeFluid;
+      this.updateFog();
+    }
+
+    if (this.player.inLava) {
+      this.player.lavaDamageTimer -= dt;
+      if (this.player.lavaDamageTimer <= 0) {
+        this.player.lavaDamageTimer = LAVA_DAMAGE_INTERVAL;
+        this.damagePlayer(LAVA_DAMAGE, 'Tried to swim in lava');
+      }
+    } else {
+      this.player.lavaDamageTimer = 0;
+    }
+  }
+
   applyFallDamage(fallDistance) {
-    if (this.gameMode === 'creative') return;
     const damage = Math.floor(fallDistance) - 3;
     if (damage > 0) {
-      this.player.health -= damage;
-      this.updateHealthBar();
-      if (this.player.health <= 0) {
-        this.playerDie();
-      }
+      this.damagePlayer(damage, 'Fell from a high place');
+    }
+  }
+
+  knockbackPlayer(dx, dz, force) {
+    const len = Math.sqrt(dx * dx + dz * dz) || 1;
+    this.player.knockback.set(dx / len * force, 0, dz / len * force);
+    if (!this.isFlying) {
+      this.player.velocity.y = Math.max(this.player.velocity.y, force * 0.8);
+      this.player.onGround = false;
+    }
+  }
+
+  // Every damage source goes through here so armor applies to all of them
+  damagePlayer(amount, cause) {
+    if (this.gameMode === 'creative' || this.player.isDead) return;
+
+    const armor = this.getArmorPoints();
+    if (armor > 0) {
+      amount *= 1 - armor * 0.04;
+      this.damageArmor(amount);
+    }
+
+    this.player.health = Math.max(0, this.player.health - amount);
+    this.addExhaustion(DAMAGE_EXHAUSTION);
+    this.updateHealthBar();
+    if (this.player.health <= 0) {
+      this.playerDie(cause);
     }
   }
 
-  playerDie() {
+  playerDie(cause = 'Fell from a high place') {
     this.player.isDead = true;
     this.player.health = 0;
+    this.worldMap.setDeathPoint(this.player.position);
     this.updateHealthBar();
+    document.getElementById('death-message').textContent = cause;
     document.getElementById('death-screen').classList.add('visible');
     document.exitPointerLock();
   }
@@ -2198,11 +3404,21 @@ class MinecraftGame {
   respawn() {
     this.player.isDead = false;
     this.player.health = MAX_HEALTH;
+    this.resetHunger();
     this.player.fallStartY = null;
     this.player.velocity.set(0, 0, 0);
-    this.findSpawnPoint();
+    this.player.knockback.set(0, 0, 0);
+    if (this.spawnPoint) {
+      // Set with /spawnpoint, in block coordinates of the feet
+      const { x, y, z } = this.spawnPoint;
+      this.player.position.set(x + 0.5, y + PLAYER_HEIGHT + 0.1, z + 0.5);
+    } else {
+      this.findSpawnPoint();
+    }
     this.hotbarSlots.fill(null);
     this.inventorySlots.fill(null);
+    this.armorSlots.fill(null);
+    this.craftingGrid.fill(null);
     this.updateHealthBar();
     this.updateHotbar();
     document.getElementById('death-screen').classList.remove('visible');
@@ -2223,11 +3439,18 @@ class MinecraftGame {
       return;
     }
 
+    let hitWall = false;
+
     pos.x += vel.x * dt;
-    if (this.checkCollision(pos)) { pos.x -= vel.x * dt; vel.x = 0; }
+    if (this.checkCollision(pos)) { pos.x -= vel.x * dt; vel.x = 0; hitWall = true; }
 
     pos.z += vel.z * dt;
-    if (this.checkCollision(pos)) { pos.z -= vel.z * dt; vel.z = 0; }
+    if (this.checkCollision(pos)) { pos.z -= vel.z * dt; vel.z = 0; hitWall = true; }
+
+    // Swimming into a ledge lets the player climb out of the fluid
+    if (hitWall && (this.player.inWater || this.player.inLava) && this.keys['Space']) {
+      vel.y = Math.max(vel.y, SWIM_FORCE);
+    }
 
     pos.y += vel.y * dt;
     if (this.checkCollision(pos)) {
@@ -2266,20 +3489,20 @@ class MinecraftGame {
   // ==================== INTERACTION ====================
 
   updateBlockSelection() {
-    const dir = new THREE.Vector3(0, 0, -1);
-    dir.applyQuaternion(this.camera.quaternion);
+    const eyes = this.player.position;
+    const dir = this.playerView.getLookDirection();
 
     this.targetBlock = null;
     this.placementBlock = null;
 
     let prevX, prevY, prevZ;
     for (let t = 0; t < 5; t += 0.05) {
-      const x = Math.floor(this.camera.position.x + dir.x * t);
-      const y = Math.floor(this.camera.position.y + dir.y * t);
-      const z = Math.floor(this.camera.position.z + dir.z * t);
+      const x = Math.floor(eyes.x + dir.x * t);
+      const y = Math.floor(eyes.y + dir.y * t);
+      const z = Math.floor(eyes.z + dir.z * t);
 
       const block = this.getBlock(x, y, z);
-      if (block !== BLOCK.AIR && block !== BLOCK.WATER) {
+      if (block !== BLOCK.AIR && !getFluid(block)) {
         this.targetBlock = { x, y, z };
         if (prevX !== undefined) {
           this.placementBlock = { x: prevX, y: prevY, z: prevZ };
@@ -2301,6 +3524,85 @@ class MinecraftGame {
     }
   }
 
+  // Right-click on blocks with a UI, levers, buttons and doors; sneaking
+  // skips this so blocks can be placed on them
+  interactWithBlock() {
+    if (!this.targetBlock || this.keys['ShiftLeft']) return false;
+    const { x, y, z } = this.targetBlock;
+    const block = this.getBlock(x, y, z);
+    if (!BLOCK_DATA[block]?.interactive) return false;
+
+    if (block === BLOCK.CRAFTING_TABLE) {
+      this.openCraftingTable();
+    } else if (BLOCK_DATA[block].blockEntity) {
+      this.openContainerAt(x, y, z);
+    } else if (BLOCK_DATA[block].redstone) {
+      this.redstone.interact(x, y, z);
+    }
+    return true;
+  }
+
+  // Right-click with a hoe turns grass or dirt with air above into farmland
+  tillBlock() {
+    const tool = this.getHeldTool();
+    if (!this.targetBlock || tool?.toolType !== 'hoe') return false;
+    const { x, y, z } = this.targetBlock;
+    const block = this.getBlock(x, y, z);
+    if ((block !== BLOCK.GRASS && block !== BLOCK.DIRT) || this.getBlock(x, y + 1, z) !== BLOCK.AIR) return false;
+
+    this.setBlock(x, y, z, BLOCK.FARMLAND);
+    this.multiplayer.sendBlock(x, y, z, BLOCK.FARMLAND);
+    this.spawnParticles(x + 0.5, y + 1, z + 0.5, BLOCK_DATA[BLOCK.DIRT].side, 8);
+    if (this.gameMode === 'survival') this.damageTool(tool.slotIndex);
+    return true;
+  }
+
+  // How recharged the held weapon is, from 0 right after a swing to 1
+  getAttackCharge() {
+    const tool = this.getHeldTool();
+    const attackSpeed = tool?.attackSpeed || PLAYER_ATTACK_SPEED;
+    return Math.min(1, this.attackTimer * attackSpeed);
+  }
+
+  // Hit the mob under the crosshair if it is closer than the targeted block
+  attackTargetEntity() {
+    const dir = this.playerView.getLookDirection();
+    const hit = this.entityManager.raycast(this.player.position, dir, PLAYER_REACH);
+    if (!hit) return false;
+
+    if (this.targetBlock) {
+      const { x, y, z } = this.targetBlock;
+      const blockDist = this.player.position.distanceTo(new THREE.Vector3(x + 0.5, y + 0.5, z + 0.5));
+      if (blockDist < hit.distance) return false;
+    }
+
+    const tool = this.getHeldTool();
+    const charge = this.getAttackCharge();
+    const baseDamage = tool?.damage || (tool ? PLAYER_ATTACK_DAMAGE + 1 : PLAYER_ATTACK_DAMAGE);
+    const damage = baseDamage * (0.2 + 0.8 * charge * charge);
+
+    let knockback = KNOCKBACK_FORCE * charge;
+    if (charge > 0.9 && this.isSprinting() && this.player.onGround) {
+      knockback += SPRINT_KNOCKBACK_BONUS;
+    }
+
+    this.attackTimer = 0;
+    this.addExhaustion(ATTACK_EXHAUSTION);
+    if (this.entityManager.attackEntity(hit.entity, damage, dir, knockback) &&
+        tool && this.gameMode === 'survival') {
+      // Swords are made for this; other tools wear twice as fast
+      this.damageTool(tool.slotIndex, tool.toolType === 'sword' ? 1 : 2);
+    }
+    return true;
+  }
+
+  updateAttackIndicator() {
+    const charge = this.getAttackCharge();
+    const indicator = document.getElementById('attack-indicator');
+    indicator.classList.toggle('active', charge < 1);
+    document.getElementById('attack-indicator-fill').style.width = (charge * 100) + '%';
+  }
+
   canMineBlock(blockData, tool) {
     if (!blockData.minTool) return true;
     if (!tool) return false;
@@ -2331,25 +3633,24 @@ class MinecraftGame {
     
     if (!this.canMineBlock(blockData, tool)) {
       this.setBlock(x, y, z, BLOCK.AIR);
+      this.multiplayer.sendBlock(x, y, z, BLOCK.AIR);
       this.spawnParticles(x + 0.5, y + 0.5, z + 0.5, blockData.side);
+      this.registry.emit('break', this, x, y, z, block);
       return;
     }
 
     if (tool && this.gameMode === 'survival') {
       this.damageTool(tool.slotIndex);
     }
+    this.addExhaustion(MINE_EXHAUSTION);
 
     let dropItem = block;
-    let dropCount = 1;
+    let dropCount = blockData.dropCount || 1;
     
     if (blockData.drops !== undefined) {
       if (blockData.drops === null) {
-        // Check for rare drops (like seeds from tall grass)
-        if (blockData.rareDrops && Math.random() < blockData.rareDrops.chance) {
-          dropItem = blockData.rareDrops.item;
-        } else {
-          dropItem = null;
-        }
+        // Check for rare drops (like saplings from leaves)
+        dropItem = this.rollRareDrop(blockData);
       } else {
         dropItem = blockData.drops;
       }
@@ -2359,6 +3660,7 @@ class MinecraftGame {
 
     this.spawnParticles(x + 0.5, y + 0.5, z + 0.5, blockData.side);
     this.setBlock(x, y, z, BLOCK.AIR);
+    this.multiplayer.sendBlock(x, y, z, BLOCK.AIR);
     
     if (dropItem !== null) {
       this.spawnDroppedItem(
@@ -2369,6 +3671,8 @@ class MinecraftGame {
         dropCount
       );
     }
+    this.spawnExtraDrops(x, y, z, blockData);
+    this.registry.emit('break', this, x, y, z, block);
     
     this.breakProgress = 0;
     this.currentBreakingBlock = null;
@@ -2387,14 +3691,20 @@ class MinecraftGame {
     const { x, y, z } = this.placementBlock;
     
     // Check if this block requires specific support
-    if (blockData.placedOn) {
-      const blockBelow = this.getBlock(x, y - 1, z);
-      if (!blockData.placedOn.includes(blockBelow)) {
-        // Can't place here - invalid support
-        return;
-      }
+    if (!this.hasBlockSupport(blockData, this.getBlock(x, y - 1, z))) {
+      // Can't place here - invalid support
+      return;
+    }
+
+    // Chests pair up at most two at a time
+    if (heldItem.id === BLOCK.CHEST && !this.blockEntities.canPlaceChest(x, y, z)) {
+      return;
     }
 
+    // Doors take two blocks, pistons and doors turn to the player
+    const blocks = this.redstone.getPlacedBlocks(heldItem.id, x, y, z);
+    if (!blocks) return;
+
     const px = this.player.position.x;
     const py = this.player.position.y;
     const pz = this.player.position.z;
@@ -2415,12 +3725,17 @@ class MinecraftGame {
       this.updateHotbar();
     }
 
-    this.setBlock(x, y, z, heldItem.id);
+    for (const [bx, by, bz, block] of blocks) {
+      this.setBlock(bx, by, bz, block);
+      this.multiplayer.sendBlock(bx, by, bz, block);
+    }
+    this.registry.emit('place', this, x, y, z, heldItem.id);
+    this.playerView.swing();
     this.placeCooldown = this.gamemode === "creative" ? CREATIVE_PLACE_COOLDOWN : PLACE_COOLDOWN;
   }
 
-  spawnParticles(x, y, z, color) {
-    for (let i = 0; i < 25; i++) {
+  spawnParticles(x, y, z, color, count = 25) {
+    for (let i = 0; i < count; i++) {
       const geo = new THREE.BoxGeometry(0.1, 0.1, 0.1);
       const mat = new THREE.MeshBasicMaterial({ color });
       const particle = new THREE.Mesh(geo, mat);
@@ -2509,41 +3824,40 @@ class MinecraftGame {
       }
     }
 
-    // Sort by distance and limit chunks per frame
-    chunksNeeded.sort((a, b) => a.dist - b.dist);
-    const maxChunksPerFrame = 1;
-    for (let i = 0; i < Math.min(chunksNeeded.length, maxChunksPerFrame); i++) {
-      this.generateChunk(chunksNeeded[i].cx, chunksNeeded[i].cz);
+    // The pool orders the work, so everything missing can be requested at once
+    for (const { cx, cz } of chunksNeeded) {
+      this.generateChunk(cx, cz);
     }
 
-    // Process mesh build queue
-    this.processMeshBuildQueue();
-
-    // Unload distant chunks
+    // Unload distant chunks, including ones still being generated
     const maxDist = loadDistance + 2;
-    this.chunkMeshes.forEach((group, key) => {
+    const isFar = (key) => {
       const [cx, cz] = key.split(',').map(Number);
-      if (Math.abs(cx - pcx) > maxDist || Math.abs(cz - pcz) > maxDist) {
-        this.scene.remove(group);
-        group.children.forEach(child => {
-          if (child.geometry) child.geometry.dispose();
-          if (child.material) child.material.dispose();
-        });
-        this.chunkMeshes.delete(key);
-        this.chunks.delete(key);
-        this.pendingChunks.delete(key);
-        this.pendingMeshes.delete(key);
-      }
-    });
-
-    // Also remove from mesh queue if chunk is unloaded
-    this.meshBuildQueue = this.meshBuildQueue.filter(item => {
-      const key = `${item.cx},${item.cz}`;
-      return this.chunks.has(key);
-    });
+      return Math.abs(cx - pcx) > maxDist || Math.abs(cz - pcz) > maxDist;
+    };
+    for (const key of new Set([...this.chunks.keys(), ...this.pendingChunks.keys()])) {
+      if (isFar(key)) this.unloadChunk(key);
+    }
 
     document.getElementById('chunk-info').textContent = 
-      `Chunks: ${this.chunkMeshes.size} (${this.meshBuildQueue.length} queued)`;
+      `Chunks: ${this.chunkMeshes.size} (${this.chunkWorkers.pendingCount} queued)`;
+  }
+
+  unloadChunk(key) {
+    const group = this.chunkMeshes.get(key);
+    if (group) {
+      this.scene.remove(group);
+      group.children.forEach(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.chunkMeshes.delete(key);
+    }
+    this.chunks.delete(key);
+    this.pendingChunks.delete(key);
+
+    const [cx, cz] = key.split(',').map(Number);
+    this.chunkWorkers.cancel(cx, cz);
   }
 
   // ==================== GAME LOOP ====================
@@ -2565,7 +3879,10 @@ class MinecraftGame {
 
     if (document.pointerLockElement && !this.isPaused && !this.inventoryOpen && !this.player.isDead) {
       this.updatePlayer(dt);
+      this.updateEating(dt);
       this.updateBlockSelection();
+      this.attackTimer += dt;
+      this.updateAttackIndicator();
 
       if (this.breaking && this.targetBlock) {
         const blockKey = `${this.targetBlock.x},${this.targetBlock.y},${this.targetBlock.z}`;
@@ -2628,8 +3945,22 @@ class MinecraftGame {
       this.updateChunks();
     }
 
+    if (!this.isPaused) {
+      this.updateFluids(dt);
+      this.redstone.update(dt);
+      this.blockTicks.update(dt);
+      this.buildTool.update();
+      this.updateHunger(dt);
+      this.entityManager.update(dt);
+      this.blockEntities.update(dt);
+    }
+    this.updateDayNight(dt);
+    this.resourcePacks.update(dt);
+    this.playerView.update(dt);
+    this.worldMap.update();
     this.updateParticles(dt);
     this.updateDroppedItems(dt);
+    this.multiplayer.update(dt);
     this.renderer.render(this.scene, this.camera);
     requestAnimationFrame(() => this.gameLoop());
   }
@@ -2648,10 +3979,7 @@ class MinecraftGame {
       
       // Despawn if too old
       if (item.lifetime <= 0) {
-        this.scene.remove(item.mesh);
-        item.mesh.geometry.dispose();
-        item.mesh.material.dispose();
-        this.droppedItems.splice(i, 1);
+        this.removeDroppedItem(item);
         continue;
       }
       
@@ -2745,17 +4073,28 @@ class MinecraftGame {
         const distSq = dx * dx + dy * dy + dz * dz;
         
         if (distSq < pickupRadius * pickupRadius) {
-          if (this.addToInventory(item.itemId, item.count)) {
-            this.scene.remove(item.mesh);
-            item.mesh.geometry.dispose();
-            item.mesh.material.dispose();
-            this.droppedItems.splice(i, 1);
+          if (item.netId !== undefined) {
+            // Shared items go to whoever the server hands them to
+            this.multiplayer.requestPickup(item);
+          } else if (this.addToInventory(item.itemId, item.count)) {
+            this.removeDroppedItem(item);
           }
         }
       }
     }
   }
   spawnDroppedItem(x, y, z, itemId, count, velocity = null) {
+    velocity = velocity ? velocity.clone() : new THREE.Vector3(
+      (Math.random() - 0.5) * 2,
+      3 + Math.random() * 2,
+      (Math.random() - 0.5) * 2
+    );
+    // In a LAN game the item appears once the server hands it out
+    if (this.multiplayer.shareDroppedItem(x, y, z, itemId, count, velocity)) return null;
+    return this.createDroppedItem(x, y, z, itemId, count, velocity);
+  }
+
+  createDroppedItem(x, y, z, itemId, count, velocity) {
     const geo = new THREE.BoxGeometry(0.25, 0.25, 0.25);
     const data = BLOCK_DATA[itemId] || ITEM_DATA[itemId];
     const color = data ? (data.side || data.top || data.color || 0xffffff) : 0xffffff;
@@ -2771,13 +4110,9 @@ class MinecraftGame {
       count,
       // Separate physics position from visual mesh position
       position: new THREE.Vector3(x, y, z),
-      velocity: velocity ? velocity.clone() : new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        3 + Math.random() * 2,
-        (Math.random() - 0.5) * 2
-      ),
+      velocity,
       pickupDelay: 0.5,
-      lifetime: 300,
+      lifetime: DROPPED_ITEM_LIFETIME,
       onGround: false
     };
     
@@ -2785,27 +4120,31 @@ class MinecraftGame {
     return item;
   }
 
+  removeDroppedItem(item) {
+    const index = this.droppedItems.indexOf(item);
+    if (index !== -1) this.droppedItems.splice(index, 1);
+    this.scene.remove(item.mesh);
+    item.mesh.geometry.dispose();
+    item.mesh.material.dispose();
+  }
+
   loadTextureAtlas() {
     const loader = new THREE.TextureLoader();
     
     loader.load(
       'assets/atlas.png',
       (texture) => {
-        // Configure texture for pixelated look
-        texture.magFilter = THREE.NearestFilter;
-        texture.minFilter = THREE.NearestFilter;
-        texture.wrapS = THREE.RepeatWrapping;
-        texture.wrapT = THREE.RepeatWrapping;
-        texture.colorSpace = THREE.SRGBColorSpace;
-        
+        this.configureAtlasTexture(texture);
+        this.defaultAtlasImage = texture.image;
         this.textureAtlas = texture;
         this.textureLoaded = true;
         console.log('Texture atlas loaded');
         
-        // Rebuild existing meshes with textures if game already started
-        if (this.isPlaying) {
-          this.rebuildAllChunkMeshes();
-        }
+        // A resource pack chosen earlier goes on top and rebuilds the meshes itself;
+        // otherwise rebuild existing meshes with textures if game already started
+        this.modsLoaded.then(() => this.resourcePacks.loadSaved()).then(applied => {
+          if (!applied && this.isPlaying) this.rebuildAllChunkMeshes();
+        });
       },
       undefined,
       (error) => {
@@ -2815,6 +4154,30 @@ class MinecraftGame {
     );
   }
   
+  configureAtlasTexture(texture) {
+    // Configure texture for pixelated look
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.colorSpace = THREE.SRGBColorSpace;
+  }
+
+  // Shows another atlas image (a resource pack's). The texture object stays
+  // the same, so every material using it follows.
+  setAtlasImage(image) {
+    if (this.textureAtlas) {
+      // The new image may be another size, which needs fresh GPU storage
+      this.textureAtlas.dispose();
+      this.textureAtlas.image = image;
+    } else {
+      this.textureAtlas = new THREE.Texture(image);
+      this.configureAtlasTexture(this.textureAtlas);
+    }
+    this.textureAtlas.needsUpdate = true;
+    this.textureLoaded = true;
+  }
+
   rebuildAllChunkMeshes() {
     this.chunkMeshes.forEach((group, key) => {
       const [cx, cz] = key.split(',').map(Number);
@@ -0,0 +1,503 @@
+// ==================== MULTIPLAYER ====================
+// LAN play through server/server.js. The server owns the seed, the time and
+// every edited block; each client still generates and lights terrain itself,
+// so only edits, player positions, dropped items and chat go over the wire.
+//
+// "Join LAN Game" plays the server's world as a guest and saves nothing
+// locally. "Open to LAN" hands the world being played to a server instead:
+// the host keeps playing from its own save slot, and everyone's edits are
+// saved there as they arrive.
+
+const PLAYER_SHIRT_COLORS = [0x3aa0c8, 0xc8503a, 0x4ab04a, 0xc8a03a, 0x8a4ac8, 0x3ac8b0];
+
+function getLanSocketUrl(address) {
+  const host = address.trim() || `localhost:${LAN_PORT}`;
+  return `ws://${/:\d+$/.test(host) ? host : `${host}:${LAN_PORT}`}/ws`;
+}
+
+// Another player in the same LAN game. Positions arrive PLAYER_SYNC_RATE
+// times a second and are drawn REMOTE_PLAYER_DELAY seconds late, so there
+// are usually two of them to interpolate between.
+class RemotePlayer {
+  constructor(game, { id, name, x = 0, y = 0, z = 0, yaw = 0, pitch = 0 }) {
+    this.game = game;
+    this.id = id;
+    this.name = name;
+    this.snapshots = [{ time: performance.now() / 1000, x, y, z, yaw, pitch }];
+    this.walkTime = 0;
+
+    // Biped like the zombie's, arms hanging down
+    const shirt = PLAYER_SHIRT_COLORS[id % PLAYER_SHIRT_COLORS.length];
+    const model = BIPED_MODEL(0xc69c7c, shirt, 0x3a3a8a).map(part => part.pose ? { ...part, pose: 0 } : part);
+    const { group, swingParts } = game.entityManager.buildModel({ model });
+    this.model = group;
+    this.swingParts = swingParts;
+    this.head = group.children[model.findIndex(part => part.isHead)];
+
+    this.nameTag = this.createNameTag(name);
+    this.nameTag.position.y = 2.3;
+    this.model.add(this.nameTag);
+    game.scene.add(this.model);
+  }
+
+  createNameTag(name) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 32px sans-serif';
+    canvas.width = Math.ceil(ctx.measureText(name).width) + 16;
+    canvas.height = 44;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = 'bold 32px sans-serif';
+    ctx.fillStyle = '#fff';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(name, 8, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+    sprite.scale.set(canvas.width / canvas.height * 0.3, 0.3, 1);
+    return sprite;
+  }
+
+  push(state) {
+    this.snapshots.push({ time: performance.now() / 1000, ...state });
+    if (this.snapshots.length > 32) this.snapshots.shift();
+  }
+
+  update(dt) {
+    const time = performance.now() / 1000 - REMOTE_PLAYER_DELAY;
+    const snapshots = this.snapshots;
+
+    // Keep one snapshot at or before the time being drawn
+    while (snapshots.length > 2 && snapshots[1].time <= time) snapshots.shift();
+    const from = snapshots[0];
+    const to = snapshots[1] || from;
+    const t = to.time > from.time ? Math.min(1, Math.max(0, (time - from.time) / (to.time - from.time))) : 1;
+
+    const yawDiff = Math.atan2(Math.sin(to.yaw - from.yaw), Math.cos(to.yaw - from.yaw));
+    const x = from.x + (to.x - from.x) * t;
+    const z = from.z + (to.z - from.z) * t;
+    const moved = Math.hypot(x - this.model.position.x, z - this.model.position.z);
+
+    // Player positions are at eye height, the model stands on its feet
+    this.model.position.set(x, from.y + (to.y - from.y) * t - PLAYER_HEIGHT, z);
+    this.model.rotation.y = from.yaw + yawDiff * t;
+    this.head.rotation.x = from.pitch + (to.pitch - from.pitch) * t;
+
+    const moving = dt > 0 && moved / dt > 0.5;
+    if (moving) this.walkTime += moved * 2.5;
+    const swing = moving ? Math.sin(this.walkTime) * 0.7 : 0;
+    for (const part of this.swingParts) {
+      part.joint.rotation.x = part.pose + swing * part.phase;
+    }
+  }
+
+  dispose() {
+    this.game.scene.remove(this.model);
+    this.model.traverse(child => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    // Sprites share one geometry, only the name tag's texture is ours
+    this.nameTag.material.map.dispose();
+    this.nameTag.material.dispose();
+  }
+}
+
+class MultiplayerClient {
+  constructor(game) {
+    this.game = game;
+    this.socket = null;
+    this.id = null;                 // ours, assigned by the server on welcome
+    this.role = null;               // 'host' or 'guest' while connected
+    this.address = null;
+    this.pendingWorld = null;       // welcome waiting for startGame to install it
+    this.remotePlayers = new Map(); // id -> RemotePlayer
+    // Set while applying changes from the server, so they aren't sent back
+    // and their side effects (like a broken chest spilling) stay local
+    this.applyingRemote = false;
+    this.syncTimer = 0;
+    this.lastSync = null;
+  }
+
+  get connected() {
+    return this.id !== null;
+  }
+
+  get isGuest() {
+    return this.connected && this.role === 'guest';
+  }
+
+  // ==================== UI ====================
+
+  setupUI() {
+    const nameInput = document.getElementById('lan-name');
+    const addressInput = document.getElementById('lan-address');
+    nameInput.value = this.game.settings.playerName || '';
+    addressInput.value = this.game.settings.lanAddress || '';
+    addressInput.placeholder = `${location.hostname || 'localhost'}:${LAN_PORT}`;
+
+    const remember = () => {
+      this.game.settings.playerName = nameInput.value.trim();
+      this.game.settings.lanAddress = addressInput.value.trim();
+      this.game.saveSettings();
+    };
+    nameInput.onchange = remember;
+    addressInput.onchange = remember;
+
+    document.getElementById('join-lan-btn').onclick = () => {
+      if (this.connected) {
+        this.disconnect();
+        this.game.updateWorldSlots();
+      } else {
+        this.join(addressInput.value || addressInput.placeholder);
+      }
+    };
+    document.getElementById('open-lan-btn').onclick = () => {
+      this.openToLan(addressInput.value || addressInput.placeholder);
+    };
+  }
+
+  // Called from updateWorldSlots, which runs whenever the menu changes
+  updateMenu() {
+    const game = this.game;
+    const joinButton = document.getElementById('join-lan-btn');
+    const openButton = document.getElementById('open-lan-btn');
+
+    joinButton.textContent = this.connected ? '🌐 Leave LAN Game' : '🌐 Join LAN Game';
+    openButton.disabled = this.connected || !game.isPlaying || !game.currentSlot;
+    openButton.textContent = this.role === 'host' ? `📡 Open on ${this.address}` : '📡 Open to LAN';
+
+    // A guest's world has no save slot to select
+    if (this.isGuest && game.isPlaying) {
+      const startButton = document.getElementById('start-btn');
+      startButton.disabled = false;
+      startButton.textContent = 'Resume LAN Game';
+    }
+  }
+
+  getPlayerName() {
+    return this.game.settings.playerName || 'Player';
+  }
+
+  // ==================== CONNECTION ====================
+
+  // Resolves with the server's welcome, or rejects with a readable error
+  connect(address, world = null) {
+    this.disconnect();
+
+    return new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new WebSocket(getLanSocketUrl(address));
+      } catch (e) {
+        reject(new Error(`"${address}" is not a valid server address`));
+        return;
+      }
+      this.socket = socket;
+      let refusal = null;
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'hello', version: NETWORK_VERSION, name: this.getPlayerName(), world }));
+      };
+
+      socket.onmessage = (e) => {
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch (err) {
+          return;
+        }
+
+        if (message.type === 'welcome') {
+          this.id = message.id;
+          this.address = address;
+          resolve(message);
+        } else if (message.type === 'error') {
+          refusal = message.message;
+        } else if (this.connected) {
+          this.handleMessage(message);
+        }
+      };
+
+      socket.onclose = () => {
+        if (this.socket !== socket) return;
+        const role = this.role;
+        const wasConnected = this.connected;
+        this.reset();
+        if (wasConnected) {
+          this.handleConnectionLost(role);
+        } else {
+          reject(new Error(refusal || `Could not reach a LAN server at ${address}`));
+        }
+      };
+    });
+  }
+
+  async join(address) {
+    const game = this.game;
+    game.showMenuMessage(`Joining ${address}...`);
+
+    let welcome;
+    try {
+      welcome = await this.connect(address);
+    } catch (err) {
+      game.showMenuMessage(err.message, true);
+      return;
+    }
+    this.role = 'guest';
+    game.showMenuMessage('');
+
+    // Leave the world being played; its progress is saved first
+    if (game.isPlaying) {
+      await game.saveGame(false);
+      game.isPlaying = false;
+    }
+    game.currentSlot = null;
+    game.worldName = welcome.world.name;
+    game.worldSeed = welcome.world.seed;
+    this.pendingWorld = welcome;
+    await game.startGame(true);
+  }
+
+  // Called by startGame right after resetWorld for a new world. A world from
+  // the server is filled in here; any other new world leaves the LAN game.
+  installWorld() {
+    const welcome = this.pendingWorld;
+    this.pendingWorld = null;
+    if (!welcome) {
+      this.disconnect();
+      return;
+    }
+
+    const game = this.game;
+    game.worldTime = welcome.world.worldTime;
+    for (const [key, block] of welcome.world.modifiedBlocks) {
+      const [x, y, z] = key.split(',').map(Number);
+      game.modifiedBlocks.set(key, block);
+      game.regionManager.recordBlock(x, y, z);
+    }
+    this.addWelcomeState(welcome);
+  }
+
+  async openToLan(address) {
+    const game = this.game;
+    if (!game.isPlaying || !game.currentSlot || this.connected) return;
+    game.showMenuMessage(`Opening to LAN on ${address}...`);
+
+    // The server gets every edit, including those in regions not read yet
+    await game.saveGame(false);
+    const world = {
+      id: game.currentSlot,
+      name: game.worldName,
+      seed: game.worldSeed,
+      worldTime: game.worldTime,
+      modifiedBlocks: await game.saveManager.getModifiedBlocks(game.currentSlot),
+      droppedItems: game.droppedItems.map(item => ({
+        x: item.position.x, y: item.position.y, z: item.position.z,
+        itemId: item.itemId, count: item.count,
+        vx: item.velocity.x, vy: item.velocity.y, vz: item.velocity.z
+      }))
+    };
+
+    let welcome;
+    try {
+      welcome = await this.connect(address, world);
+    } catch (err) {
+      game.showMenuMessage(err.message, true);
+      return;
+    }
+    this.role = 'host';
+    game.showMenuMessage(`Open to LAN: others can join at ${address}`);
+
+    // Rejoining a world the server kept running: catch up on what changed
+    if (!welcome.adopted) {
+      this.applyRemote(() => {
+        for (const [key, block] of welcome.world.modifiedBlocks) {
+          const [x, y, z] = key.split(',').map(Number);
+          if (game.getBlock(x, y, z) !== block) game.setBlock(x, y, z, block);
+        }
+      });
+      game.worldTime = welcome.world.worldTime;
+    }
+    this.addWelcomeState(welcome);
+    game.updateWorldSlots();
+  }
+
+  // Dropped items and players already in the world when we joined
+  addWelcomeState(welcome) {
+    const game = this.game;
+    for (const item of game.droppedItems.slice()) game.removeDroppedItem(item);
+    for (const item of welcome.items) this.createNetworkItem(item);
+    for (const player of welcome.players) this.addRemotePlayer(player);
+  }
+
+  disconnect() {
+    const socket = this.socket;
+    this.reset();
+    if (socket) socket.close();
+  }
+
+  reset() {
+    this.socket = null;
+    this.id = null;
+    this.role = null;
+    this.address = null;
+    this.lastSync = null;
+    this.remotePlayers.forEach(player => player.dispose());
+    this.remotePlayers.clear();
+
+    // Items still lying around become ordinary local ones
+    for (const item of this.game.droppedItems) {
+      delete item.netId;
+      delete item.pickupRequested;
+    }
+  }
+
+  handleConnectionLost(role) {
+    const game = this.game;
+    if (role === 'host') {
+      game.chat.addLine(null, 'Lost connection to the LAN server; the world is single-player again');
+      return;
+    }
+
+    // A guest's world only exists on the server
+    game.isPlaying = false;
+    game.isPaused = false;
+    document.exitPointerLock();
+    const menu = document.getElementById('menu');
+    menu.classList.remove('hidden');
+    menu.querySelector('h1').textContent = '⛏ MINECRAFT';
+    game.showMenuMessage('Disconnected from the LAN game.', true);
+    game.updateWorldSlots();
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  applyRemote(fn) {
+    this.applyingRemote = true;
+    try {
+      fn();
+    } finally {
+      this.applyingRemote = false;
+    }
+  }
+
+  // ==================== MESSAGES ====================
+
+  handleMessage(message) {
+    const game = this.game;
+    switch (message.type) {
+      case 'join':
+        this.addRemotePlayer(message.player);
+        break;
+      case 'leave': {
+        const player = this.remotePlayers.get(message.id);
+        if (player) player.dispose();
+        this.remotePlayers.delete(message.id);
+        break;
+      }
+      case 'move':
+        this.remotePlayers.get(message.id)?.push(message);
+        break;
+      case 'block':
+        this.applyRemote(() => game.setBlock(message.x, message.y, message.z, message.block));
+        break;
+      case 'itemSpawn':
+        this.createNetworkItem(message.item);
+        break;
+      case 'itemRemove':
+        this.removeNetworkItem(message);
+        break;
+      case 'chat':
+        game.chat.addLine(message.name, message.text);
+        break;
+      case 'time':
+        game.worldTime = message.worldTime;
+        break;
+    }
+  }
+
+  addRemotePlayer(player) {
+    if (player.id === this.id || this.remotePlayers.has(player.id)) return;
+    this.remotePlayers.set(player.id, new RemotePlayer(this.game, player));
+  }
+
+  // Called by breakBlock and placeBlock for the local player's own edits
+  sendBlock(x, y, z, block) {
+    if (this.connected && !this.applyingRemote) this.send({ type: 'setBlock', x, y, z, block });
+  }
+
+  // Called by spawnDroppedItem. Returns true when the item is the server's
+  // business: it is sent there and appears once the server hands it out.
+  shareDroppedItem(x, y, z, itemId, count, velocity) {
+    if (!this.connected) return false;
+    if (!this.applyingRemote) {
+      this.send({ type: 'dropItem', x, y, z, itemId, count, vx: velocity.x, vy: velocity.y, vz: velocity.z });
+    }
+    return true;
+  }
+
+  createNetworkItem({ netId, x, y, z, itemId, count, vx, vy, vz }) {
+    const item = this.game.createDroppedItem(x, y, z, itemId, count, new THREE.Vector3(vx, vy, vz));
+    item.netId = netId;
+  }
+
+  // Called by updateDroppedItems when a shared item is in reach
+  requestPickup(item) {
+    if (item.pickupRequested || !this.game.canAddToInventory(item.itemId, item.count)) return;
+    item.pickupRequested = true;
+    this.send({ type: 'pickup', netId: item.netId });
+  }
+
+  removeNetworkItem({ netId, by }) {
+    const game = this.game;
+    const item = game.droppedItems.find(other => other.netId === netId);
+    if (!item) return;
+    game.removeDroppedItem(item);
+
+    if (by === this.id && !game.addToInventory(item.itemId, item.count)) {
+      // The inventory filled up since asking; put it back on the ground
+      const { x, y, z } = game.player.position;
+      game.spawnDroppedItem(x, y - 0.5, z, item.itemId, item.count);
+    }
+  }
+
+  // Called by ChatConsole for lines that aren't commands
+  sendChat(text) {
+    this.send({ type: 'chat', text });
+  }
+
+  // ==================== UPDATE ====================
+
+  update(dt) {
+    if (!this.connected) return;
+    this.remotePlayers.forEach(player => player.update(dt));
+
+    this.syncTimer += dt;
+    if (this.syncTimer < 1 / PLAYER_SYNC_RATE) return;
+    this.syncTimer = 0;
+
+    const { position, yaw, pitch } = this.game.player;
+    const round = (value, digits) => Math.round(value * digits) / digits;
+    const state = {
+      type: 'move',
+      x: round(position.x, 100),
+      y: round(position.y, 100),
+      z: round(position.z, 100),
+      yaw: round(yaw, 1000),
+      pitch: round(pitch, 1000)
+    };
+    const key = `${state.x},${state.y},${state.z},${state.yaw},${state.pitch}`;
+    if (key === this.lastSync) return;
+    this.lastSync = key;
+    this.send(state);
+  }
+}
@@ -52,6 +52,47 @@ class SimplexNoise {
     return 70 * (n0 + n1 + n2);
   }
 
+  noise3D(x, y, z) {
+    const F3 = 1 / 3;
+    const G3 = 1 / 6;
+    const grad3 = SimplexNoise.GRAD3;
+    const s = (x + y + z) * F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * G3;
+    const x0 = x - (i - t), y0 = y - (j - t), z0 = z - (k - t);
+
+    // Which of the six tetrahedra of the skewed cube we are in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0)      { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+      else               { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+    } else {
+      if (y0 < z0)       { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+      else if (x0 < z0)  { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+      else               { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    }
+
+    const corners = [
+      [x0, y0, z0, 0, 0, 0],
+      [x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1],
+      [x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i2, j2, k2],
+      [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, 1, 1, 1]
+    ];
+    const ii = i & 255, jj = j & 255, kk = k & 255;
+    let n = 0;
+    for (const [cx, cy, cz, di, dj, dk] of corners) {
+      let t0 = 0.6 - cx * cx - cy * cy - cz * cz;
+      if (t0 < 0) continue;
+      const g = grad3[this.permMod12[ii + di + this.perm[jj + dj + this.perm[kk + dk]]]];
+      t0 *= t0;
+      n += t0 * t0 * (g[0] * cx + g[1] * cy + g[2] * cz);
+    }
+    return 32 * n;
+  }
+
   octave(x, y, octaves, persistence = 0.5, lacunarity = 2) {
     let total = 0, frequency = 1, amplitude = 1, maxValue = 0;
     for (let i = 0; i < octaves; i++) {
@@ -63,3 +104,29 @@ class SimplexNoise {
     return total / maxValue;
   }
 }
+
+SimplexNoise.GRAD3 = [
+  [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
+  [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
+  [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
+];
+
+// Seeded random for deterministic generation
+function seededRandom(x, z, seed) {
+  const n = Math.sin(x * 12.9898 + z * 78.233 + seed) * 43758.5453;
+  return n - Math.floor(n);
+}
+
+// Stream of seeded numbers in [0, 1) for features that need many rolls
+// (ravine paths, ore veins, chest loot). Seeded per chunk, so a feature comes
+// out the same whichever chunk is being generated when it is traced.
+function createRandom(cx, cz, seed) {
+  let state = Math.floor(seededRandom(cx, cz, seed) * 4294967296) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,214 @@
+// ==================== PLAYER VIEW ====================
+// The camera and the player's own body. F5 cycles through first person, a
+// view from behind and one from the front; the third-person camera moves in
+// when a block is between it and the eyes, so it never ends up inside a wall.
+//
+// The body is the biped remote players are drawn with, walking with the
+// player and swinging its right arm to mine, attack and place, with the held
+// item in that hand. First person shows the held item, or the bare arm, at
+// the bottom right of the screen, drawn over the world so it never clips.
+//
+// Aiming always follows the eyes (getLookDirection), not the camera.
+
+const CAMERA_MODES = ['first', 'back', 'front'];
+const PLAYER_SKIN = 0xc69c7c;
+const PLAYER_PANTS = 0x3a3a8a;
+
+class PlayerView {
+  constructor(game) {
+    this.game = game;
+    this.mode = 'first';
+    this.walkTime = 0;
+    this.swingTime = ARM_SWING_TIME;   // Seconds into the arm swing, ARM_SWING_TIME when at rest
+    this.lastPosition = new THREE.Vector3();
+    this.heldId = null;                // Item the hand meshes show
+    this.heldAtlas = null;             // Atlas image they were built with, see resource packs
+
+    // Arms hang down like the remote players'
+    const model = BIPED_MODEL(PLAYER_SKIN, PLAYER_SHIRT_COLORS[0], PLAYER_PANTS).map(part => part.pose ? { ...part, pose: 0 } : part);
+    const { group, swingParts } = game.entityManager.buildModel({ model });
+    this.body = group;
+    this.swingParts = swingParts;
+    this.head = group.children[model.findIndex(part => part.isHead)];
+    this.shirt = group.children[2].children[0];
+    this.rightArm = group.children[5];
+    this.body.visible = false;
+    game.scene.add(this.body);
+
+    // First person, carried by the camera
+    this.hand = new THREE.Group();
+    this.arm = new THREE.Mesh(
+      new THREE.BoxGeometry(0.18, 0.18, 0.6),
+      new THREE.MeshStandardMaterial({ color: PLAYER_SKIN, depthTest: false })
+    );
+    this.arm.position.set(0.1, -0.12, 0.2);
+    this.arm.rotation.set(0.2, -0.25, 0);
+    this.arm.renderOrder = 10;
+    this.hand.add(this.arm);
+    this.handItem = null;
+    this.bodyItem = null;
+    game.camera.add(this.hand);
+    game.scene.add(game.camera);
+  }
+
+  cycleMode() {
+    this.mode = CAMERA_MODES[(CAMERA_MODES.indexOf(this.mode) + 1) % CAMERA_MODES.length];
+  }
+
+  // Restarts the arm swing, unless one is still in its first half
+  swing() {
+    if (this.swingTime >= ARM_SWING_TIME / 2) this.swingTime = 0;
+  }
+
+  // Where the player's eyes point, whatever the camera is doing
+  getLookDirection() {
+    const { yaw, pitch } = this.game.player;
+    return new THREE.Vector3(-Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), -Math.cos(yaw) * Math.cos(pitch));
+  }
+
+  // ==================== CAMERA ====================
+
+  updateCamera() {
+    const { camera, player } = this.game;
+    camera.rotation.order = 'YXZ';
+    camera.position.copy(player.position);
+    if (this.mode === 'first') {
+      camera.rotation.set(player.pitch, player.yaw, 0);
+      return;
+    }
+
+    // Behind the head looking the same way, or in front looking back at it
+    const back = this.mode === 'back';
+    const dir = this.getLookDirection();
+    if (back) dir.negate();
+    camera.position.addScaledVector(dir, this.getClearDistance(player.position, dir, THIRD_PERSON_DISTANCE));
+    camera.rotation.set(back ? player.pitch : -player.pitch, back ? player.yaw : player.yaw + Math.PI, 0);
+  }
+
+  // How far from `from` along `dir` the camera can go before a solid block
+  getClearDistance(from, dir, max) {
+    const game = this.game;
+    for (let t = 0; t < max + CAMERA_WALL_MARGIN; t += 0.05) {
+      const block = game.getBlock(Math.floor(from.x + dir.x * t), Math.floor(from.y + dir.y * t), Math.floor(from.z + dir.z * t));
+      if (BLOCK_DATA[block]?.solid) return Math.max(0, Math.min(max, t - CAMERA_WALL_MARGIN));
+    }
+    return max;
+  }
+
+  // ==================== ANIMATION ====================
+
+  update(dt) {
+    const game = this.game;
+    const player = game.player;
+
+    // Mining keeps the arm going
+    if (game.breaking && game.targetBlock && this.swingTime >= ARM_SWING_TIME) this.swing();
+    this.swingTime = Math.min(ARM_SWING_TIME, this.swingTime + dt);
+    const swing = Math.sin(this.swingTime / ARM_SWING_TIME * Math.PI);
+
+    // Teleports and respawns aren't steps
+    const moved = Math.hypot(player.position.x - this.lastPosition.x, player.position.z - this.lastPosition.z);
+    this.lastPosition.copy(player.position);
+    const walking = dt > 0 && moved / dt > 0.5 && moved < 2 && player.onGround;
+    if (walking) this.walkTime += moved * 2.5;
+
+    this.updateHeldItem();
+    const thirdPerson = this.mode !== 'first';
+    this.body.visible = thirdPerson && !player.isDead;
+    this.hand.visible = !thirdPerson && !player.isDead;
+    if (thirdPerson) {
+      this.poseBody(walking, swing);
+    } else {
+      this.poseHand(walking, swing);
+    }
+  }
+
+  poseBody(walking, swing) {
+    const game = this.game;
+    const player = game.player;
+    this.body.position.set(player.position.x, player.position.y - PLAYER_HEIGHT, player.position.z);
+    this.body.rotation.y = player.yaw;
+    this.head.rotation.x = player.pitch;
+
+    // Others see us in the shirt the server's id gives us
+    const shirt = PLAYER_SHIRT_COLORS[(game.multiplayer.id ?? 0) % PLAYER_SHIRT_COLORS.length];
+    if (this.shirt.material.color.getHex() !== shirt) this.shirt.material.color.setHex(shirt);
+
+    const stride = walking ? Math.sin(this.walkTime) * 0.7 : 0;
+    for (const part of this.swingParts) {
+      part.joint.rotation.x = part.pose + stride * part.phase;
+    }
+    // An item is held a little forward, and a swing brings the arm up in front
+    this.rightArm.rotation.x += (this.heldId !== null ? 0.35 : 0) + swing * 1.4;
+  }
+
+  poseHand(walking, swing) {
+    const bob = walking ? Math.sin(this.walkTime) : 0;
+    this.hand.position.set(0.45 + bob * 0.02 - swing * 0.15, -0.42 - Math.abs(bob) * 0.03 - swing * 0.05, -0.6);
+    this.hand.rotation.set(-swing * 0.8, swing * 0.3, 0);
+  }
+
+  // ==================== HELD ITEM ====================
+
+  updateHeldItem() {
+    const game = this.game;
+    const held = game.player.isDead ? null : game.getHeldItem();
+    const id = held ? held.id : null;
+    const atlas = game.textureAtlas?.image || null;
+    if (id === this.heldId && atlas === this.heldAtlas) return;
+    this.heldId = id;
+    this.heldAtlas = atlas;
+
+    for (const mesh of [this.handItem, this.bodyItem]) {
+      if (!mesh) continue;
+      mesh.parent.remove(mesh);
+      this.disposeItemMesh(mesh);
+    }
+    this.handItem = this.bodyItem = null;
+    this.arm.visible = id === null;
+    if (id === null) return;
+
+    this.handItem = this.createItemMesh(id, 0.4);
+    this.handItem.position.set(-0.05, 0.05, -0.1);
+    this.handItem.rotation.y = 0.7;
+    this.handItem.material.depthTest = false;
+    this.handItem.renderOrder = 10;
+    this.hand.add(this.handItem);
+
+    // At the end of the right arm, seen from the side when it's a flat icon
+    this.bodyItem = this.createItemMesh(id, 0.35);
+    this.bodyItem.position.set(0, -0.7, -0.12);
+    if (this.bodyItem.geometry.type === 'PlaneGeometry') this.bodyItem.rotation.y = Math.PI / 2;
+    this.rightArm.add(this.bodyItem);
+  }
+
+  // A textured cube for full blocks, the inventory icon on a card for the rest
+  createItemMesh(id, size) {
+    const game = this.game;
+    const data = BLOCK_DATA[id];
+    if (data && data.type === BLOCK_TYPE.CUBE && !data.fluid) {
+      const mesh = game.blockTicks.createMesh(id);
+      mesh.scale.setScalar(size);
+      return mesh;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 32;
+    game.drawItemIcon(canvas, id);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.magFilter = THREE.NearestFilter;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return new THREE.Mesh(
+      new THREE.PlaneGeometry(size, size),
+      new THREE.MeshStandardMaterial({ map: texture, transparent: true, alphaTest: 0.1, side: THREE.DoubleSide })
+    );
+  }
+
+  // Blocks share the atlas texture, icons have their own
+  disposeItemMesh(mesh) {
+    const map = mesh.material.map;
+    if (map && map !== this.game.textureAtlas) map.dispose();
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+}
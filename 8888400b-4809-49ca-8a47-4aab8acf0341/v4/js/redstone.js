@@ -0,0 +1,440 @@
+// ==================== REDSTONE ====================
+// Circuits of power sources (levers, buttons, pressure plates), wire and the
+// blocks they switch (lamps, doors, pistons). A part's state lives in its
+// block id, see the ranges in constants.js, so circuits are saved and shared
+// like any other edit. What is left is a queue of block updates that run on
+// REDSTONE_TICK ticks: setBlock schedules the parts around every change, and
+// pressed buttons and plates schedule their own release. The queue is saved
+// with the world so a pressed button still pops back out after a load.
+
+// Parts that react to changes next to them
+const REDSTONE_REACTIONS = ['wire', 'lamp', 'door', 'piston'];
+const REDSTONE_NEIGHBORS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+// Updates in chunks that aren't loaded wait this many ticks and try again
+const UNLOADED_RETRY_TICKS = 10;
+
+class RedstoneManager {
+  constructor(game) {
+    this.game = game;
+    this.updates = new Map();    // "x,y,z" -> { x, y, z, due } with `due` in ticks
+    this.tick = 0;
+    this.time = 0;               // Seconds into the current tick
+    this.doorPower = new Map();  // Whether each door was last seen powered, see updateDoor
+    this.settingWires = false;   // Set while updateWires writes back a whole network
+  }
+
+  clear() {
+    this.updates.clear();
+    this.doorPower.clear();
+    this.tick = 0;
+    this.time = 0;
+  }
+
+  schedule(x, y, z, delay = 1) {
+    const key = `${x},${y},${z}`;
+    const due = this.tick + delay;
+    const pending = this.updates.get(key);
+    if (pending && pending.due <= due) return;
+    this.updates.set(key, { x, y, z, due });
+  }
+
+  scheduleReaction(x, y, z, roles = REDSTONE_REACTIONS) {
+    const role = BLOCK_DATA[this.game.getBlock(x, y, z)]?.redstone;
+    if (!roles.includes(role)) return;
+    // A network being written back is already up to date
+    if (role === 'wire' && this.settingWires) return;
+    this.schedule(x, y, z);
+  }
+
+  // Called by setBlock for every change
+  onBlockChanged(x, y, z, oldType, newType) {
+    const oldRole = BLOCK_DATA[oldType]?.redstone;
+    const newRole = BLOCK_DATA[newType]?.redstone;
+
+    if (oldRole === 'door' && newRole !== 'door') this.removeDoorHalf(x, y, z, oldType);
+    if ((oldRole === 'piston' || oldRole === 'pistonHead') && newType !== oldType) this.removePistonPart(x, y, z, oldType);
+
+    if (newType === BLOCK.BUTTON_ON) {
+      this.schedule(x, y, z, BUTTON_PRESS_TICKS);
+    } else if (newType === BLOCK.PRESSURE_PLATE_ON) {
+      this.schedule(x, y, z, PRESSURE_PLATE_TICKS);
+    } else if (REDSTONE_REACTIONS.includes(newRole) && !(newRole === 'wire' && this.settingWires)) {
+      this.schedule(x, y, z);
+    }
+
+    for (const [dx, dy, dz] of REDSTONE_NEIGHBORS) {
+      this.scheduleReaction(x + dx, y + dy, z + dz);
+    }
+    // Wire also runs up and down the side of a block
+    for (const [dx, dz] of FACING_OFFSETS) {
+      this.scheduleReaction(x + dx, y + 1, z + dz, ['wire']);
+      this.scheduleReaction(x + dx, y - 1, z + dz, ['wire']);
+    }
+  }
+
+  update(dt) {
+    this.time += dt;
+    while (this.time >= REDSTONE_TICK) {
+      this.time -= REDSTONE_TICK;
+      this.tick++;
+      this.pressPlates();
+      this.runUpdates();
+    }
+  }
+
+  runUpdates() {
+    if (this.updates.size === 0) return;
+
+    const due = [];
+    for (const [key, update] of this.updates) {
+      if (due.length >= MAX_REDSTONE_UPDATES_PER_TICK) break;
+      if (update.due <= this.tick) {
+        due.push(update);
+        this.updates.delete(key);
+      }
+    }
+
+    // Wire that one network update has already covered this tick
+    const doneWires = new Set();
+    for (const { x, y, z } of due) {
+      if (!this.game.isChunkLoadedAt(x, z)) {
+        this.schedule(x, y, z, UNLOADED_RETRY_TICKS);
+        continue;
+      }
+      this.updateBlock(x, y, z, doneWires);
+    }
+  }
+
+  updateBlock(x, y, z, doneWires) {
+    const block = this.game.getBlock(x, y, z);
+    switch (BLOCK_DATA[block]?.redstone) {
+      case 'wire':
+        if (!doneWires.has(`${x},${y},${z}`)) this.updateWires(x, y, z, doneWires);
+        break;
+      case 'source':
+        this.releaseSource(x, y, z, block);
+        break;
+      case 'lamp': {
+        const target = this.isPowered(x, y, z) ? BLOCK.LAMP_ON : BLOCK.LAMP;
+        if (block !== target) this.game.setBlock(x, y, z, target);
+        break;
+      }
+      case 'door':
+        this.updateDoor(x, y, z, block);
+        break;
+      case 'piston':
+        this.updatePiston(x, y, z, block);
+        break;
+    }
+  }
+
+  // ==================== POWER ====================
+
+  getPower(block) {
+    const data = BLOCK_DATA[block];
+    if (data?.redstone === 'source') return data.powered ? MAX_REDSTONE_POWER : 0;
+    if (data?.redstone === 'wire') return data.power;
+    return 0;
+  }
+
+  // Powered by any source or live wire touching the block
+  isPowered(x, y, z) {
+    return REDSTONE_NEIGHBORS.some(([dx, dy, dz]) => this.getPower(this.game.getBlock(x + dx, y + dy, z + dz)) > 0);
+  }
+
+  isNextToSource(x, y, z) {
+    return REDSTONE_NEIGHBORS.some(([dx, dy, dz]) => {
+      const data = BLOCK_DATA[this.game.getBlock(x + dx, y + dy, z + dz)];
+      return data?.redstone === 'source' && data.powered;
+    });
+  }
+
+  // Wire connects to wire beside it on the same level or one up or down
+  getWireLinks(x, y, z) {
+    const links = [];
+    for (const [dx, dz] of FACING_OFFSETS) {
+      for (let dy = -1; dy <= 1; dy++) links.push([x + dx, y + dy, z + dz]);
+    }
+    return links;
+  }
+
+  // Recomputes the whole network the wire at x,y,z belongs to at once, so
+  // signals cross any length of wire in one tick. Wire next to a source has
+  // full power and every block further along has one less.
+  updateWires(x, y, z, doneWires) {
+    const game = this.game;
+    const wires = new Map();
+    const stack = [[x, y, z]];
+    while (stack.length > 0 && wires.size < MAX_WIRE_NETWORK) {
+      const [wx, wy, wz] = stack.pop();
+      const key = `${wx},${wy},${wz}`;
+      if (wires.has(key) || BLOCK_DATA[game.getBlock(wx, wy, wz)]?.redstone !== 'wire') continue;
+      wires.set(key, { x: wx, y: wy, z: wz, power: 0 });
+      stack.push(...this.getWireLinks(wx, wy, wz));
+    }
+
+    let frontier = [];
+    for (const wire of wires.values()) {
+      if (this.isNextToSource(wire.x, wire.y, wire.z)) {
+        wire.power = MAX_REDSTONE_POWER;
+        frontier.push(wire);
+      }
+    }
+    while (frontier.length > 0) {
+      const next = [];
+      for (const wire of frontier) {
+        for (const [lx, ly, lz] of this.getWireLinks(wire.x, wire.y, wire.z)) {
+          const other = wires.get(`${lx},${ly},${lz}`);
+          if (other && other.power < wire.power - 1) {
+            other.power = wire.power - 1;
+            next.push(other);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    this.settingWires = true;
+    try {
+      for (const [key, wire] of wires) {
+        doneWires.add(key);
+        const block = REDSTONE_WIRE_START + wire.power;
+        if (game.getBlock(wire.x, wire.y, wire.z) !== block) game.setBlock(wire.x, wire.y, wire.z, block);
+      }
+    } finally {
+      this.settingWires = false;
+    }
+  }
+
+  // ==================== SOURCES ====================
+
+  // Buttons pop back out once their time is up; plates stay down while
+  // something stands on them
+  releaseSource(x, y, z, block) {
+    if (block === BLOCK.BUTTON_ON) {
+      this.game.setBlock(x, y, z, BLOCK.BUTTON);
+    } else if (block === BLOCK.PRESSURE_PLATE_ON) {
+      if (this.isStoodOn(x, y, z)) {
+        this.schedule(x, y, z, PRESSURE_PLATE_TICKS);
+      } else {
+        this.game.setBlock(x, y, z, BLOCK.PRESSURE_PLATE);
+      }
+    }
+  }
+
+  // The blocks the player, other LAN players and mobs have their feet in
+  getFeetBlocks() {
+    const feet = [];
+    const add = position => feet.push({
+      x: Math.floor(position.x),
+      y: Math.floor(position.y + 0.01),
+      z: Math.floor(position.z)
+    });
+
+    const player = this.game.player;
+    if (!player.isDead) {
+      add({ x: player.position.x, y: player.position.y - PLAYER_HEIGHT, z: player.position.z });
+    }
+    this.game.entityManager.entities.forEach(entity => add(entity.position));
+    this.game.multiplayer.remotePlayers.forEach(remote => add(remote.model.position));
+    return feet;
+  }
+
+  isStoodOn(x, y, z) {
+    return this.getFeetBlocks().some(pos => pos.x === x && pos.y === y && pos.z === z);
+  }
+
+  pressPlates() {
+    for (const { x, y, z } of this.getFeetBlocks()) {
+      if (this.game.getBlock(x, y, z) === BLOCK.PRESSURE_PLATE) {
+        this.game.setBlock(x, y, z, BLOCK.PRESSURE_PLATE_ON);
+      }
+    }
+  }
+
+  // ==================== DOORS ====================
+
+  getDoorState(block) {
+    return block - DOOR_START;
+  }
+
+  // Opens or closes both halves of the door at x,y,z
+  setDoorOpen(x, y, z, open, fromPlayer = false) {
+    const game = this.game;
+    const lowerY = this.getDoorState(game.getBlock(x, y, z)) & DOOR_UPPER ? y - 1 : y;
+
+    for (const halfY of [lowerY, lowerY + 1]) {
+      const block = game.getBlock(x, halfY, z);
+      if (BLOCK_DATA[block]?.redstone !== 'door') continue;
+      const state = this.getDoorState(block);
+      const target = DOOR_START + (open ? state | DOOR_OPEN : state & ~DOOR_OPEN);
+      if (target === block) continue;
+      game.setBlock(x, halfY, z, target);
+      if (fromPlayer) game.multiplayer.sendBlock(x, halfY, z, target);
+    }
+  }
+
+  // Doors follow their power only when it changes, so a door opened by hand
+  // stays open until a signal says otherwise
+  updateDoor(x, y, z, block) {
+    const lowerY = this.getDoorState(block) & DOOR_UPPER ? y - 1 : y;
+    const key = `${x},${lowerY},${z}`;
+    const powered = this.isPowered(x, lowerY, z) || this.isPowered(x, lowerY + 1, z);
+    if ((this.doorPower.get(key) ?? false) === powered) return;
+
+    this.doorPower.set(key, powered);
+    this.setDoorOpen(x, lowerY, z, powered);
+  }
+
+  // Breaking one half of a door takes the other with it. Only the lower half
+  // drops the door, so breaking the upper one drops it here instead.
+  removeDoorHalf(x, y, z, oldType) {
+    const game = this.game;
+    if (this.getDoorState(oldType) & DOOR_UPPER) {
+      this.doorPower.delete(`${x},${y - 1},${z}`);
+      if (DOOR_LOWER_BLOCKS.includes(game.getBlock(x, y - 1, z))) {
+        game.setBlock(x, y - 1, z, BLOCK.AIR);
+        game.spawnDroppedItem(x + 0.5, y - 0.5, z + 0.5, BLOCK.DOOR, 1);
+      }
+    } else {
+      this.doorPower.delete(`${x},${y},${z}`);
+      const above = game.getBlock(x, y + 1, z);
+      if (BLOCK_DATA[above]?.redstone === 'door' && this.getDoorState(above) & DOOR_UPPER) {
+        game.setBlock(x, y + 1, z, BLOCK.AIR);
+      }
+    }
+  }
+
+  // ==================== PISTONS ====================
+
+  // Pistons only move full, solid blocks without block entities
+  isPushable(block) {
+    const data = BLOCK_DATA[block];
+    return !!data && data.solid && data.type === BLOCK_TYPE.CUBE && data.hardness >= 0 &&
+           !data.blockEntity && !data.extended;
+  }
+
+  // Air, fluids and plants are pushed out of the way
+  isReplaceable(block) {
+    if (block === BLOCK.AIR) return true;
+    const data = BLOCK_DATA[block];
+    return !!data && (!!data.fluid || data.type === BLOCK_TYPE.CROSS);
+  }
+
+  updatePiston(x, y, z, block) {
+    const data = BLOCK_DATA[block];
+    const powered = this.isPowered(x, y, z);
+    if (powered && !data.extended) {
+      this.extendPiston(x, y, z, data.facing);
+    } else if (!powered && data.extended) {
+      // Removes the head as well, see removePistonPart
+      this.game.setBlock(x, y, z, PISTON_START + data.facing);
+    }
+  }
+
+  extendPiston(x, y, z, facing) {
+    const game = this.game;
+    const [dx, dz] = FACING_OFFSETS[facing];
+
+    const line = [];
+    for (let i = 1; ; i++) {
+      const px = x + dx * i, pz = z + dz * i;
+      if (!game.isChunkLoadedAt(px, pz)) return;
+      const block = game.getBlock(px, y, pz);
+      if (this.isReplaceable(block)) break;
+      if (!this.isPushable(block) || line.length >= PISTON_PUSH_LIMIT) return;
+      line.push(block);
+    }
+
+    // From the far end back, so nothing is overwritten before it moves
+    for (let i = line.length; i >= 1; i--) {
+      game.setBlock(x + dx * (i + 1), y, z + dz * (i + 1), line[i - 1]);
+    }
+    game.setBlock(x + dx, y, z + dz, PISTON_HEAD_START + facing);
+    game.setBlock(x, y, z, PISTON_EXTENDED_START + facing);
+
+    // Torches, wire and plants on top of moved blocks lose their support
+    for (let i = 1; i <= line.length + 1; i++) {
+      game.checkBlockSupport(x + dx * i, y + 1, z + dz * i);
+    }
+  }
+
+  // An extended piston and its head go together: retracting or breaking the
+  // piston removes the head, and breaking the head breaks the piston
+  removePistonPart(x, y, z, oldType) {
+    const game = this.game;
+    const oldData = BLOCK_DATA[oldType];
+    const [dx, dz] = FACING_OFFSETS[oldData.facing];
+
+    if (oldData.redstone === 'pistonHead') {
+      if (game.getBlock(x - dx, y, z - dz) === PISTON_EXTENDED_START + oldData.facing) {
+        game.setBlock(x - dx, y, z - dz, BLOCK.AIR);
+        game.spawnDroppedItem(x - dx + 0.5, y + 0.5, z - dz + 0.5, BLOCK.PISTON, 1);
+      }
+    } else if (oldData.extended) {
+      if (game.getBlock(x + dx, y, z + dz) === PISTON_HEAD_START + oldData.facing) {
+        game.setBlock(x + dx, y, z + dz, BLOCK.AIR);
+      }
+    }
+  }
+
+  // ==================== PLAYER ACTIONS ====================
+
+  // Which way the player looks, as a FACING_OFFSETS index
+  getPlayerFacing() {
+    const yaw = this.game.player.yaw;
+    const dx = -Math.sin(yaw), dz = -Math.cos(yaw);
+    if (Math.abs(dx) > Math.abs(dz)) return dx > 0 ? 1 : 3;
+    return dz > 0 ? 0 : 2;
+  }
+
+  // The blocks placing `itemId` at x,y,z puts down as [x, y, z, block]
+  // entries, or null when it doesn't fit. Pistons push away from the player
+  // and doors stand across the way the player looks.
+  getPlacedBlocks(itemId, x, y, z) {
+    const facing = this.getPlayerFacing();
+    if (itemId === BLOCK.PISTON) {
+      return [[x, y, z, PISTON_START + facing]];
+    }
+    if (itemId === BLOCK.DOOR) {
+      if (y + 1 >= WORLD_HEIGHT || this.game.getBlock(x, y + 1, z) !== BLOCK.AIR) return null;
+      const axis = facing % 2 ? DOOR_AXIS : 0;
+      return [[x, y, z, DOOR_START + axis], [x, y + 1, z, DOOR_START + axis + DOOR_UPPER]];
+    }
+    return [[x, y, z, itemId]];
+  }
+
+  // Right-click on a lever, button or door
+  interact(x, y, z) {
+    const game = this.game;
+    const block = game.getBlock(x, y, z);
+    let target = null;
+
+    if (block === BLOCK.LEVER || block === BLOCK.LEVER_ON) {
+      target = block === BLOCK.LEVER ? BLOCK.LEVER_ON : BLOCK.LEVER;
+    } else if (block === BLOCK.BUTTON) {
+      target = BLOCK.BUTTON_ON;
+    } else if (BLOCK_DATA[block]?.redstone === 'door') {
+      this.setDoorOpen(x, y, z, !(this.getDoorState(block) & DOOR_OPEN), true);
+      return;
+    }
+
+    if (target !== null) {
+      game.setBlock(x, y, z, target);
+      game.multiplayer.sendBlock(x, y, z, target);
+    }
+  }
+
+  // ==================== SAVING ====================
+
+  serialize() {
+    return Array.from(this.updates.values(), ({ x, y, z, due }) => ({ x, y, z, ticks: due - this.tick }));
+  }
+
+  load(data) {
+    this.clear();
+    for (const { x, y, z, ticks } of data) {
+      this.schedule(x, y, z, Math.max(1, ticks));
+    }
+  }
+}
@@ -0,0 +1,149 @@
+// ==================== REGIONS ====================
+// Tracks which region records of the current world have been read and which
+// ones hold edits that still need writing. The edits themselves live in
+// game.modifiedBlocks; this keeps a per-chunk index of their keys so a chunk
+// can be patched, and a region saved, without scanning every edit, and of
+// the edits that give off light for getLightLevel.
+class RegionManager {
+  constructor(game) {
+    this.game = game;
+    this.reset(null);
+  }
+
+  reset(worldId, editCount = 0) {
+    this.worldId = worldId;
+    this.editCount = editCount;   // Edited blocks in the whole world, loaded or not
+    this.loaded = new Map();      // region key -> edits it held when last read/written
+    this.loading = new Map();     // region key -> pending read
+    this.failures = new Map();    // region key -> { count, retryAt } after failed reads
+    this.chunkKeys = new Map();   // chunk key -> Set of "x,y,z" keys
+    this.lightSources = new Map(); // chunk key -> Map of "x,y,z" key -> light emission
+    this.dirty = new Set();       // region keys
+  }
+
+  isLoaded(cx, cz) {
+    return this.loaded.has(getRegionKey(cx, cz));
+  }
+
+  load(cx, cz) {
+    return this.loadRegion(getRegionKey(cx, cz));
+  }
+
+  loadRegion(regionKey) {
+    if (this.loaded.has(regionKey)) return Promise.resolve();
+    if (this.loading.has(regionKey)) return this.loading.get(regionKey);
+
+    // Still backing off from a failed read; callers find it not loaded
+    const failure = this.failures.get(regionKey);
+    if (failure && performance.now() < failure.retryAt) return Promise.resolve();
+
+    // LAN guests have no save; the server sent every edit up front
+    const worldId = this.worldId;
+    if (worldId === null) {
+      this.loaded.set(regionKey, 0);
+      return Promise.resolve();
+    }
+
+    const promise = this.game.saveManager.getRegion(worldId, regionKey).then(region => {
+      if (this.worldId !== worldId) return;
+
+      let count = 0;
+      for (const [chunkKey, blocks] of Object.entries(region ? region.chunks : {})) {
+        for (let i = 0; i < blocks.length; i += 4) {
+          const key = `${blocks[i]},${blocks[i + 1]},${blocks[i + 2]}`;
+          // Anything edited while the region was being read is newer
+          if (!this.game.modifiedBlocks.has(key)) {
+            this.game.modifiedBlocks.set(key, blocks[i + 3]);
+          }
+          this.indexBlock(chunkKey, key);
+          count++;
+        }
+      }
+      this.loaded.set(regionKey, count);
+      this.loading.delete(regionKey);
+      this.failures.delete(regionKey);
+    }).catch(e => {
+      // Left unloaded, since saving it now could overwrite edits, and not
+      // read again until a wait that doubles with each failure has passed.
+      // Its chunks aren't generated in the meantime.
+      if (this.worldId !== worldId) return;
+      const count = (this.failures.get(regionKey)?.count || 0) + 1;
+      const delay = Math.min(REGION_RETRY_MAX, REGION_RETRY_DELAY * 2 ** (count - 1));
+      this.failures.set(regionKey, { count, retryAt: performance.now() + delay });
+      this.loading.delete(regionKey);
+      console.error(`Failed to load region ${regionKey} (retrying in ${delay / 1000}s):`, e);
+    });
+
+    this.loading.set(regionKey, promise);
+    return promise;
+  }
+
+  indexBlock(chunkKey, key) {
+    if (!this.chunkKeys.has(chunkKey)) this.chunkKeys.set(chunkKey, new Set());
+    this.chunkKeys.get(chunkKey).add(key);
+
+    const emission = BLOCK_DATA[this.game.modifiedBlocks.get(key)]?.lightEmission;
+    const sources = this.lightSources.get(chunkKey);
+    if (emission) {
+      if (!sources) this.lightSources.set(chunkKey, new Map([[key, emission]]));
+      else sources.set(key, emission);
+    } else if (sources) {
+      sources.delete(key);
+      if (sources.size === 0) this.lightSources.delete(chunkKey);
+    }
+  }
+
+  // Called by setBlock
+  recordBlock(x, y, z) {
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    this.indexBlock(`${cx},${cz}`, `${x},${y},${z}`);
+    this.dirty.add(getRegionKey(cx, cz));
+  }
+
+  getChunkKeys(cx, cz) {
+    return this.chunkKeys.get(`${cx},${cz}`) || [];
+  }
+
+  getLightSources(cx, cz) {
+    return this.lightSources.get(`${cx},${cz}`) || [];
+  }
+
+  // Region records for everything edited since the last save
+  async collectDirty() {
+    const dirty = Array.from(this.dirty);
+    this.dirty.clear();
+
+    // A region edited before it was read (e.g. by fluid flowing past loaded
+    // terrain) has to be merged with what is stored, not replace it
+    await Promise.all(dirty.map(key => this.loadRegion(key)));
+
+    const regions = [];
+    for (const regionKey of dirty) {
+      if (!this.loaded.has(regionKey)) {
+        this.dirty.add(regionKey);
+        continue;
+      }
+
+      const [rx, rz] = regionKey.split(',').map(Number);
+      const entries = [];
+      for (let cx = rx * REGION_SIZE; cx < (rx + 1) * REGION_SIZE; cx++) {
+        for (let cz = rz * REGION_SIZE; cz < (rz + 1) * REGION_SIZE; cz++) {
+          for (const key of this.getChunkKeys(cx, cz)) {
+            entries.push([key, this.game.modifiedBlocks.get(key)]);
+          }
+        }
+      }
+
+      this.editCount += entries.length - this.loaded.get(regionKey);
+      this.loaded.set(regionKey, entries.length);
+      regions.push(...buildRegions(entries));
+    }
+    return regions;
+  }
+
+  // Puts regions back in the queue after a failed write
+  markDirty(regions) {
+    for (const region of regions) this.dirty.add(region.key);
+  }
+}
@@ -0,0 +1,356 @@
+// ==================== REGISTRY ====================
+// Adds blocks, items and recipes to the tables in constants.js from JSON
+// definitions, without editing the engine. The page, the chunk workers and
+// the LAN server all load this file and apply the same definitions.
+//
+//   {
+//     "blocks": {
+//       "RUBY_ORE": { "name": "Ruby Ore", "hardness": 3, "toolType": "pickaxe", "toolTier": "iron",
+//                     "color": "#9a4050", "tex": { "side": "REDSTONE_ORE" }, "drops": "RUBY" }
+//     },
+//     "items": { "RUBY": { "name": "Ruby", "color": "#e0304a" } },
+//     "recipes": [{ "result": "RUBY_BLOCK", "pattern": ["RRR", "RRR", "RRR"], "key": { "R": "RUBY" } }],
+//     "smelting": { "RUBY_ORE": { "result": "RUBY" } },
+//     "fuel": { "RUBY_BLOCK": 40 }
+//   }
+//
+// Entries take the same fields as BLOCK_DATA, ITEM_DATA and RECIPES, with
+// names where those hold numbers: BLOCK/ITEM names for `drops`, `placedOn`,
+// `growsInto`, drop `item`s and recipe items, TEX names for `tex` faces,
+// "cube"/"cross"/"box" for `type` and "#rrggbb" for colours (`color` fills in
+// `top`, `side` and `bottom`). A name that already exists changes that
+// block or item instead. Resource packs can texture new blocks by name.
+//
+// Mods are listed in mods/mods.json and are either such JSON files or
+// scripts calling registerMod():
+//
+//   registerMod('rubies', (registry) => {
+//     registry.registerBlock('RUBY_BLOCK', { name: 'Block of Ruby', color: '#e0304a',
+//       onBreak(game, x, y, z, block) { game.spawnParticles(x + 0.5, y + 0.5, z + 0.5, 0xe0304a); } });
+//     registry.on('place', (game, x, y, z, block) => console.log('Placed', block));
+//   });
+//
+// Hooks are `onBreak`/`onPlace`/`onTick` on a block, or registry.on() with
+// 'break', 'place' or 'tick' and optionally a block. Break and place run for
+// the player's own edits; ticks are random ticks (see BlockTickManager), so
+// they only run on the LAN host or in single player.
+//
+// New ids are handed out in load order from the ranges constants.js keeps
+// for mods (MOD_BLOCK_FIRST_ID, MOD_ITEM_FIRST_ID) and stored in saves, so
+// new mods go at the end of mods.json (or pin their ids with `id`). LAN
+// players need the server's mods, which they get by playing from the
+// server's page.
+
+const REGISTRY_EVENTS = ['break', 'place', 'tick'];
+const BLOCK_HOOKS = { onBreak: 'break', onPlace: 'place', onTick: 'tick' };
+
+class RegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RegistryError';
+  }
+}
+
+// Mod scripts queue their setup here; Registry.loadMods runs it
+const MOD_SETUPS = [];
+
+function registerMod(name, setup) {
+  MOD_SETUPS.push({ name, setup });
+}
+
+// ==================== DEFINITIONS ====================
+
+function resolveItemId(value, what) {
+  if (typeof value === 'number') return value;
+  const id = BLOCK[value] ?? ITEM[value];
+  if (id === undefined) throw new RegistryError(`${what} names unknown block or item "${value}"`);
+  return id;
+}
+
+function resolveColor(value, what) {
+  if (typeof value !== 'string') return value;
+  if (!/^#[0-9a-f]{6}$/i.test(value)) throw new RegistryError(`${what} should be a "#rrggbb" colour`);
+  return parseInt(value.slice(1), 16);
+}
+
+function resolveDrops(drops, what) {
+  return drops.map(drop => ({ ...drop, item: resolveItemId(drop.item, what) }));
+}
+
+// Converts a JSON block entry to BLOCK_DATA form. New blocks get defaults
+// for what they leave out.
+function toBlockData(name, entry, existing) {
+  const data = { ...entry };
+  delete data.id;
+
+  if (typeof data.type === 'string') {
+    data.type = BLOCK_TYPE[data.type.toUpperCase()];
+    if (data.type === undefined) throw new RegistryError(`${name} has unknown type "${entry.type}"`);
+  }
+  for (const key of ['color', 'top', 'side', 'bottom']) {
+    if (data[key] !== undefined) data[key] = resolveColor(data[key], `${name} ${key}`);
+  }
+  if (data.color !== undefined) {
+    for (const key of ['top', 'side', 'bottom']) data[key] ??= data.color;
+  }
+  if (data.tex) {
+    data.tex = Object.fromEntries(Object.entries(data.tex).map(([face, slot]) => {
+      if (typeof slot !== 'string') return [face, slot];
+      if (!TEX[slot]) throw new RegistryError(`${name} ${face} names unknown texture "${slot}"`);
+      return [face, TEX[slot]];
+    }));
+  }
+  if (typeof data.drops === 'string') data.drops = resolveItemId(data.drops, `${name} drops`);
+  if (typeof data.growsInto === 'string') data.growsInto = resolveItemId(data.growsInto, `${name} growsInto`);
+  if (data.placedOn) data.placedOn = data.placedOn.map(block => resolveItemId(block, `${name} placedOn`));
+  if (data.extraDrops) data.extraDrops = resolveDrops(data.extraDrops, `${name} extraDrops`);
+  if (data.rareDrops) data.rareDrops = resolveDrops(data.rareDrops, `${name} rareDrops`);
+
+  if (existing) return { ...existing, ...data };
+  const type = data.type ?? BLOCK_TYPE.CUBE;
+  const color = data.color ?? 0xff00ff;
+  return {
+    name: toDisplayName(name),
+    type,
+    solid: type !== BLOCK_TYPE.CROSS,
+    transparent: type !== BLOCK_TYPE.CUBE,
+    hardness: 1,
+    top: color,
+    side: color,
+    bottom: color,
+    ...data
+  };
+}
+
+function toItemData(name, entry, existing) {
+  const data = { ...entry };
+  delete data.id;
+  if (data.color !== undefined) data.color = resolveColor(data.color, `${name} color`);
+  if (existing) return { ...existing, ...data };
+  return { name: toDisplayName(name), color: 0xff00ff, stackable: true, ...data };
+}
+
+// `names` has the names of blocks and items not in the tables yet
+function toRecipe(recipe, index, names) {
+  const what = `Recipe ${index + 1}`;
+  if (recipe.result === undefined || (!recipe.pattern && !recipe.ingredients)) {
+    throw new RegistryError(`${what} needs a result and a pattern or ingredients`);
+  }
+  const result = resolveItemId(recipe.result, what);
+  const converted = { resultCount: 1, ...recipe, result };
+  if (recipe.key) {
+    converted.key = Object.fromEntries(Object.entries(recipe.key).map(([char, item]) => [char, resolveItemId(item, what)]));
+  }
+  if (recipe.ingredients) converted.ingredients = recipe.ingredients.map(item => resolveItemId(item, what));
+  converted.name ??= names.get(result) || (BLOCK_DATA[result] || ITEM_DATA[result])?.name || String(result);
+  return converted;
+}
+
+// "RUBY_ORE" -> "Ruby Ore"
+function toDisplayName(name) {
+  return name.toLowerCase().split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Applies definitions resolved by Registry.register: every name already has
+// its id and every value its number. The chunk workers get these as they are.
+function applyDefinitions({ blocks, items, recipes, smelting, fuel }) {
+  for (const { name, id, data } of blocks) {
+    BLOCK[name] = id;
+    BLOCK_DATA[id] = data;
+  }
+  for (const { name, id, data } of items) {
+    ITEM[name] = id;
+    ITEM_DATA[id] = data;
+  }
+  RECIPES.push(...recipes);
+  for (const [id, recipe] of smelting) SMELTING_RECIPES[id] = recipe;
+  for (const [id, seconds] of fuel) FUEL_BURN_TIME[id] = seconds;
+}
+
+// ==================== REGISTRY ====================
+
+class Registry {
+  constructor() {
+    this.definitions = [];      // Everything applied so far, resolved, for the chunk workers
+    this.hooks = {};            // event -> Map of block id (null for any block) -> handlers
+    for (const event of REGISTRY_EVENTS) this.hooks[event] = new Map();
+  }
+
+  // Applies one set of JSON definitions (see the top of this file).
+  // Everything is checked before any table changes.
+  register({ blocks = {}, items = {}, recipes = [], smelting = {}, fuel = {} }) {
+    const resolved = { blocks: [], items: [], recipes: [], smelting: [], fuel: [] };
+    const hooks = [];
+
+    // Ids first, so entries may name each other in any order
+    const ids = new Map();
+    const takeId = (name, entry, table, kind) => {
+      if (table[name] !== undefined) return table[name];
+      if (entry.id !== undefined) {
+        // Ids outside the mod ranges belong to the game, now or later
+        if (kind === 'block' && !(Number.isInteger(entry.id) && entry.id >= MOD_BLOCK_FIRST_ID && entry.id <= MOD_BLOCK_LAST_ID)) {
+          throw new RegistryError(`Block ${name} asks for id ${entry.id}, mod blocks use ${MOD_BLOCK_FIRST_ID} to ${MOD_BLOCK_LAST_ID}`);
+        }
+        if (kind === 'item' && !(Number.isInteger(entry.id) && entry.id >= MOD_ITEM_FIRST_ID)) {
+          throw new RegistryError(`Item ${name} asks for id ${entry.id}, mod items use ${MOD_ITEM_FIRST_ID} and up`);
+        }
+        if (BLOCK_DATA[entry.id] || ITEM_DATA[entry.id] || [...ids.values()].includes(entry.id)) {
+          throw new RegistryError(`${name} asks for id ${entry.id}, which is taken`);
+        }
+        return entry.id;
+      }
+      const isFree = id => !BLOCK_DATA[id] && !ITEM_DATA[id] && ![...ids.values()].includes(id);
+      if (kind === 'block') {
+        for (let id = MOD_BLOCK_FIRST_ID; id <= MOD_BLOCK_LAST_ID; id++) {
+          if (isFree(id)) return id;
+        }
+        throw new RegistryError(`No block ids are left for ${name}`);
+      }
+      let id = MOD_ITEM_FIRST_ID;
+      while (!isFree(id)) id++;
+      return id;
+    };
+    for (const [name, entry] of Object.entries(blocks)) {
+      if (ITEM[name] !== undefined) throw new RegistryError(`${name} is already an item`);
+      const id = takeId(name, entry, BLOCK, 'block');
+      if (!Number.isInteger(id) || id <= BLOCK.AIR || id > 255) throw new RegistryError(`Block ${name} needs an id from 1 to 255`);
+      ids.set(name, id);
+    }
+    for (const [name, entry] of Object.entries(items)) {
+      if (BLOCK[name] !== undefined || ids.has(name)) throw new RegistryError(`${name} is already a block`);
+      const id = takeId(name, entry, ITEM, 'item');
+      if (!Number.isInteger(id) || id <= BLOCK.AIR) throw new RegistryError(`Item ${name} needs a positive id`);
+      ids.set(name, id);
+    }
+
+    // Names resolve against the new ids while converting
+    const previous = new Map();
+    for (const [name, id] of ids) {
+      const table = blocks[name] ? BLOCK : ITEM;
+      previous.set(name, table[name]);
+      table[name] = id;
+    }
+    try {
+      for (const [name, entry] of Object.entries(blocks)) {
+        const id = ids.get(name);
+        const data = toBlockData(name, entry, BLOCK_DATA[id]);
+        for (const [key, event] of Object.entries(BLOCK_HOOKS)) {
+          if (typeof data[key] !== 'function') continue;
+          hooks.push([event, data[key], id]);
+          delete data[key];
+        }
+        resolved.blocks.push({ name, id, data });
+      }
+      for (const [name, entry] of Object.entries(items)) {
+        const id = ids.get(name);
+        resolved.items.push({ name, id, data: toItemData(name, entry, ITEM_DATA[id]) });
+      }
+      const names = new Map([...resolved.blocks, ...resolved.items].map(({ id, data }) => [id, data.name]));
+      resolved.recipes = recipes.map((recipe, index) => toRecipe(recipe, index, names));
+      for (const [input, { result, count = 1 }] of Object.entries(smelting)) {
+        resolved.smelting.push([resolveItemId(input, 'Smelting'), { result: resolveItemId(result, `Smelting ${input}`), count }]);
+      }
+      for (const [item, seconds] of Object.entries(fuel)) {
+        if (!(seconds > 0)) throw new RegistryError(`Fuel ${item} should burn a positive number of seconds`);
+        resolved.fuel.push([resolveItemId(item, 'Fuel'), seconds]);
+      }
+    } finally {
+      for (const [name, id] of previous) {
+        const table = blocks[name] ? BLOCK : ITEM;
+        if (id === undefined) delete table[name];
+        else table[name] = id;
+      }
+    }
+
+    applyDefinitions(resolved);
+    this.definitions.push(resolved);
+    for (const [event, handler, block] of hooks) this.on(event, handler, block);
+  }
+
+  registerBlock(name, entry) {
+    this.register({ blocks: { [name]: entry } });
+    return BLOCK[name];
+  }
+
+  registerItem(name, entry) {
+    this.register({ items: { [name]: entry } });
+    return ITEM[name];
+  }
+
+  registerRecipe(recipe) {
+    this.register({ recipes: [recipe] });
+  }
+
+  // `block` (an id or name) limits the hook to that block. Tick hooks need
+  // one, and make it take random ticks.
+  on(event, handler, block = null) {
+    if (!this.hooks[event]) throw new RegistryError(`Unknown event "${event}", use ${REGISTRY_EVENTS.join(', ')}`);
+    if (block !== null) block = resolveItemId(block, `The ${event} hook`);
+    if (event === 'tick') {
+      if (block === null || !BLOCK_DATA[block]) throw new RegistryError('Tick hooks need a block');
+      BLOCK_DATA[block].randomTick ??= 'mod';
+    }
+    const handlers = this.hooks[event];
+    if (!handlers.has(block)) handlers.set(block, []);
+    handlers.get(block).push(handler);
+  }
+
+  // A throwing hook is logged and skipped, so one broken mod can't stop the game
+  emit(event, game, x, y, z, block) {
+    const handlers = this.hooks[event];
+    if (!handlers.size) return;
+    for (const handler of [...(handlers.get(block) || []), ...(handlers.get(null) || [])]) {
+      try {
+        handler(game, x, y, z, block);
+      } catch (e) {
+        console.error(`Mod ${event} hook failed:`, e);
+      }
+    }
+  }
+
+  // Page only: loads the mods listed in mods/mods.json, in order. A mod that
+  // fails is reported and skipped.
+  async loadMods(base = 'mods/') {
+    let files;
+    try {
+      const response = await fetch(base + 'mods.json');
+      if (!response.ok) return;
+      files = await response.json();
+    } catch (e) {
+      console.warn('No mods loaded:', e);
+      return;
+    }
+
+    for (const file of files) {
+      try {
+        if (file.endsWith('.json')) {
+          const response = await fetch(base + file);
+          if (!response.ok) throw new RegistryError(`${file} could not be fetched`);
+          this.register(await response.json());
+        } else {
+          await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = base + file;
+            script.onload = resolve;
+            script.onerror = () => reject(new RegistryError(`${file} could not be loaded`));
+            document.head.appendChild(script);
+          });
+          this.runModSetups();
+        }
+        console.log(`Loaded mod ${file}`);
+      } catch (e) {
+        console.error(`Mod ${file} failed:`, e);
+      }
+    }
+  }
+
+  runModSetups() {
+    for (const { name, setup } of MOD_SETUPS.splice(0)) {
+      try {
+        setup(this);
+      } catch (e) {
+        console.error(`Mod ${name} failed:`, e);
+      }
+    }
+  }
+}
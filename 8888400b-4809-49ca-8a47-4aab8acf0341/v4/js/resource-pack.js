@@ -0,0 +1,437 @@
+// ==================== RESOURCE PACKS ====================
+// Resource packs are zips of PNGs with a pack.json manifest, stitched over
+// the default atlas at runtime:
+//
+//   {
+//     "name": "Sunny",
+//     "textures": {                          // TEX name -> image
+//       "STONE": "stone.png",
+//       "WATER": { "frames": ["water1.png", "water2.png"], "frameTime": 0.2 }
+//     },
+//     "blocks": {                            // BLOCK name -> face -> TEX name or image
+//       "SPRUCE_LOG": { "top": "log_top.png", "side": "BIRCH_LOG_SIDE" }
+//     }
+//   }
+//
+// Faces are top, bottom and side, or front/back/left/right for one side.
+// An image taller than it is wide is a strip of square frames, top first,
+// shown `frameTime` seconds each. Images under `blocks` get atlas cells no
+// TEX uses. The manifest may sit in a folder inside the zip. Tiles may be
+// any size up to PACK_MAX_TILE_SIZE, all the same as the first one.
+
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+
+const PACK_MANIFEST = 'pack.json';
+const PACK_FRAME_TIME = 0.25;    // Seconds per frame when the pack gives none
+const PACK_MAX_TILE_SIZE = 256;  // Pixels; the atlas is ATLAS_SIZE tiles across
+const PACK_FACES = ['top', 'bottom', 'side', 'front', 'back', 'left', 'right'];
+
+class ResourcePackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResourcePackError';
+  }
+}
+
+// ==================== ZIP ====================
+
+// Entries of a zip by path, as { name, method, data } with the data still
+// compressed; readZipEntry unpacks one
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end record is last, followed by a comment of up to 64K
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === ZIP_END_SIGNATURE) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new ResourcePackError('Not a zip file');
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const entries = new Map();
+  try {
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) throw new ResourcePackError('The zip is damaged');
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      // The local header repeats the name with its own extra field length
+      if (view.getUint32(localOffset, true) !== ZIP_LOCAL_SIGNATURE) throw new ResourcePackError('The zip is damaged');
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      if (dataStart + compressedSize > bytes.length) throw new ResourcePackError('The zip is damaged');
+
+      if (!name.endsWith('/')) {
+        entries.set(name, { name, method, data: bytes.subarray(dataStart, dataStart + compressedSize) });
+      }
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+  } catch (e) {
+    if (e instanceof RangeError) throw new ResourcePackError('The zip is damaged');
+    throw e;
+  }
+  return entries;
+}
+
+async function readZipEntry(entry) {
+  if (entry.method === 0) return entry.data;
+  if (entry.method !== 8) throw new ResourcePackError(`"${entry.name}" uses an unsupported zip compression`);
+  try {
+    return await pipeBytes(entry.data, new DecompressionStream('deflate-raw'));
+  } catch (e) {
+    throw new ResourcePackError(`"${entry.name}" is damaged in the zip`);
+  }
+}
+
+// ==================== PACK FILES ====================
+
+// Reads a pack zip into { name, tileSize, textures, blocks } with every image
+// decoded, so a broken pack is refused before anything changes. Textures are
+// { frames, frameTime } with frames as { image, x, y, width, height } source
+// rectangles. `textures` maps TEX names to one; `blocks` maps block ids to
+// faces, each { slot } for a TEX or { texture } for one of the pack's own.
+async function readResourcePack(bytes) {
+  const entries = readZip(bytes);
+  const manifestPath = [...entries.keys()]
+    .filter(path => path === PACK_MANIFEST || path.endsWith('/' + PACK_MANIFEST))
+    .sort((a, b) => a.length - b.length)[0];
+  if (!manifestPath) throw new ResourcePackError(`The zip has no ${PACK_MANIFEST}`);
+  const root = manifestPath.slice(0, -PACK_MANIFEST.length);
+
+  let manifest;
+  const manifestText = new TextDecoder().decode(await readZipEntry(entries.get(manifestPath)));
+  try {
+    manifest = JSON.parse(manifestText);
+  } catch (e) {
+    throw new ResourcePackError(`${PACK_MANIFEST} is not valid JSON: ${e.message}`);
+  }
+  if (!manifest || typeof manifest !== 'object') throw new ResourcePackError(`${PACK_MANIFEST} should hold an object`);
+
+  let tileSize = null;
+  const images = new Map();    // path -> frames, so shared images are decoded once
+  const readImage = async (path) => {
+    if (images.has(path)) return images.get(path);
+    const entry = entries.get(root + path);
+    if (!entry) throw new ResourcePackError(`"${path}" is named in ${PACK_MANIFEST} but not in the zip`);
+    const data = await readZipEntry(entry);
+    let image;
+    try {
+      image = await createImageBitmap(new Blob([data], { type: 'image/png' }));
+    } catch (e) {
+      throw new ResourcePackError(`"${path}" is not a readable image`);
+    }
+
+    const { width } = image;
+    const count = image.height > width && image.height % width === 0 ? image.height / width : 1;
+    const height = count > 1 ? width : image.height;
+    if (width !== height) throw new ResourcePackError(`"${path}" is ${width}x${image.height}, textures must be square`);
+    if (width > PACK_MAX_TILE_SIZE) throw new ResourcePackError(`"${path}" is ${width} pixels wide, tiles may be at most ${PACK_MAX_TILE_SIZE}`);
+    tileSize ??= width;
+    if (width !== tileSize) throw new ResourcePackError(`"${path}" is ${width} pixels wide, the pack's tiles are ${tileSize}`);
+
+    const frames = [];
+    for (let i = 0; i < count; i++) frames.push({ image, x: 0, y: i * width, width, height });
+    images.set(path, frames);
+    return frames;
+  };
+
+  const textures = new Map();  // JSON of a texture spec -> texture, so shared ones take one cell
+  const readTexture = async (spec, what) => {
+    const key = JSON.stringify(spec);
+    if (textures.has(key)) return textures.get(key);
+    let texture;
+    if (typeof spec === 'string') {
+      texture = { frames: await readImage(spec), frameTime: PACK_FRAME_TIME };
+    } else if (spec && Array.isArray(spec.frames) && spec.frames.length && spec.frames.every(path => typeof path === 'string')) {
+      const frames = [];
+      for (const path of spec.frames) frames.push(...await readImage(path));
+      const frameTime = spec.frameTime ?? PACK_FRAME_TIME;
+      if (!(frameTime > 0)) throw new ResourcePackError(`frameTime of ${what} must be a positive number of seconds`);
+      texture = { frames, frameTime };
+    } else {
+      throw new ResourcePackError(`${what} should be an image path or { "frames": [...] }`);
+    }
+    textures.set(key, texture);
+    return texture;
+  };
+
+  const pack = { name: typeof manifest.name === 'string' ? manifest.name : '', tileSize: null, textures: new Map(), blocks: new Map() };
+
+  for (const [name, spec] of Object.entries(manifest.textures || {})) {
+    // Packs made for other versions may name textures this one lacks
+    if (!TEX[name]) {
+      console.warn(`Resource pack texture ${name} does not exist, skipped`);
+      continue;
+    }
+    pack.textures.set(name, await readTexture(spec, `Texture ${name}`));
+  }
+
+  let cellsNeeded = 0;
+  const placed = new Set();
+  for (const [name, faces] of Object.entries(manifest.blocks || {})) {
+    const id = BLOCK[name];
+    if (id === undefined || !BLOCK_DATA[id]) {
+      console.warn(`Resource pack block ${name} does not exist, skipped`);
+      continue;
+    }
+    if (!faces || typeof faces !== 'object') throw new ResourcePackError(`Block ${name} should map faces to textures`);
+
+    const blockFaces = {};
+    for (const [face, spec] of Object.entries(faces)) {
+      if (!PACK_FACES.includes(face)) throw new ResourcePackError(`Block ${name} has no face "${face}", use ${PACK_FACES.join(', ')}`);
+      if (typeof spec === 'string' && TEX[spec]) {
+        blockFaces[face] = { slot: TEX[spec] };
+        continue;
+      }
+      const texture = await readTexture(spec, `${name} ${face}`);
+      if (!placed.has(texture)) cellsNeeded++;
+      placed.add(texture);
+      blockFaces[face] = { texture };
+    }
+    pack.blocks.set(id, blockFaces);
+  }
+
+  if (cellsNeeded > getFreeAtlasCells().length) {
+    throw new ResourcePackError(`The pack has ${cellsNeeded} block images but the atlas has room for ${getFreeAtlasCells().length}`);
+  }
+  pack.tileSize = tileSize;
+  return pack;
+}
+
+// Atlas cells no TEX entry uses, which packs may fill with block images
+function getFreeAtlasCells() {
+  const used = new Set(Object.values(TEX).map(String));
+  const cells = [];
+  for (let row = 0; row < ATLAS_SIZE; row++) {
+    for (let col = 0; col < ATLAS_SIZE; col++) {
+      if (!used.has(`${col},${row}`)) cells.push([col, row]);
+    }
+  }
+  return cells;
+}
+
+// ==================== RESOURCE PACK MANAGER ====================
+// Keeps the packs added in the settings in the SaveManager's database and
+// puts the chosen one on screen. Blocks the pack re-textures get their `tex`
+// swapped in BLOCK_DATA (here and in the chunk workers) and back again when
+// the pack changes, so switching never needs the world reloaded.
+
+class ResourcePackManager {
+  constructor(game) {
+    this.game = game;
+    this.current = null;             // { id, name } of the pack in use, null for the default textures
+    this.canvas = null;              // The stitched atlas while a pack is in use
+    this.tileSize = 0;
+    this.animations = [];            // { cell, frames, frameTime, time, frame }
+    this.originalTex = new Map();    // Block id -> its own `tex`, for blocks the pack re-textured
+  }
+
+  // Stores a pack zip picked by the player, after checking it reads
+  async add(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const pack = await readResourcePack(bytes);
+    const record = {
+      id: `pack_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+      name: pack.name || file.name.replace(/\.zip$/i, ''),
+      data: bytes
+    };
+    await this.game.saveManager.putResourcePack(record);
+    return { id: record.id, name: record.name };
+  }
+
+  async remove(id) {
+    if (this.current?.id === id) await this.select(null);
+    await this.game.saveManager.deleteResourcePack(id);
+  }
+
+  // Puts back the pack chosen in an earlier session; false if there was none
+  // or it no longer loads
+  async loadSaved() {
+    const id = this.game.settings.resourcePack;
+    if (!id) return false;
+    try {
+      await this.select(id);
+      return true;
+    } catch (e) {
+      console.warn('Failed to load resource pack, using the default textures:', e);
+      this.game.settings.resourcePack = null;
+      this.game.saveSettings();
+      return false;
+    } finally {
+      this.updateUI();
+    }
+  }
+
+  // Switches to a stored pack, or back to the default textures for null.
+  // The choice is remembered in the settings.
+  async select(id) {
+    if (id) {
+      const record = await this.game.saveManager.getResourcePack(id);
+      if (!record) throw new ResourcePackError('That resource pack is no longer stored');
+      this.apply(await readResourcePack(new Uint8Array(record.data)));
+      this.current = { id, name: record.name };
+    } else {
+      this.apply(null);
+      this.current = null;
+    }
+    this.game.settings.resourcePack = id || null;
+    this.game.saveSettings();
+  }
+
+  apply(pack) {
+    const game = this.game;
+    const changed = new Set(this.originalTex.keys());
+    for (const [id, tex] of this.originalTex) BLOCK_DATA[id].tex = tex;
+    this.originalTex.clear();
+    this.animations = [];
+    this.canvas = null;
+
+    if (!pack) {
+      if (game.defaultAtlasImage) game.setAtlasImage(game.defaultAtlasImage);
+      this.refresh(changed);
+      return;
+    }
+
+    const base = game.defaultAtlasImage;
+    this.tileSize = pack.tileSize || (base ? base.width / ATLAS_SIZE : 16);
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.canvas.height = this.tileSize * ATLAS_SIZE;
+    const ctx = this.canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    if (base) ctx.drawImage(base, 0, 0, this.canvas.width, this.canvas.height);
+
+    const place = (cell, texture) => {
+      this.drawFrame(cell, texture.frames[0]);
+      if (texture.frames.length > 1) {
+        this.animations.push({ cell, frames: texture.frames, frameTime: texture.frameTime, time: 0, frame: 0 });
+      }
+    };
+    for (const [name, texture] of pack.textures) place(TEX[name], texture);
+
+    const freeCells = getFreeAtlasCells();
+    const cells = new Map();         // texture -> cell
+    for (const [id, faces] of pack.blocks) {
+      const tex = { ...BLOCK_DATA[id].tex };
+      for (const [face, { slot, texture }] of Object.entries(faces)) {
+        if (texture && !cells.has(texture)) {
+          cells.set(texture, freeCells.shift());
+          place(cells.get(texture), texture);
+        }
+        tex[face] = slot || cells.get(texture);
+      }
+      this.originalTex.set(id, BLOCK_DATA[id].tex);
+      BLOCK_DATA[id].tex = tex;
+      changed.add(id);
+    }
+
+    game.setAtlasImage(this.canvas);
+    this.refresh(changed);
+  }
+
+  // Redraws everything showing block textures
+  refresh(changedIds) {
+    const game = this.game;
+    const textures = {};
+    for (const id of changedIds) textures[id] = BLOCK_DATA[id].tex;
+    if (changedIds.size) game.chunkWorkers.setBlockTextures(textures);
+
+    game.updateHotbar();
+    if (game.inventoryOpen) game.updateInventoryUI();
+    if (game.isPlaying) game.rebuildAllChunkMeshes();
+  }
+
+  // Atlas rows count up from the bottom of the image
+  drawFrame([col, row], frame) {
+    const ctx = this.canvas.getContext('2d');
+    const size = this.tileSize;
+    const x = col * size;
+    const y = this.canvas.height - (row + 1) * size;
+    ctx.clearRect(x, y, size, size);
+    ctx.drawImage(frame.image, frame.x, frame.y, frame.width, frame.height, x, y, size, size);
+  }
+
+  // Steps animated textures; the atlas is only re-uploaded when a frame changes
+  update(dt) {
+    if (!this.animations.length) return;
+    let changed = false;
+    for (const animation of this.animations) {
+      const { frames, frameTime } = animation;
+      animation.time = (animation.time + dt) % (frameTime * frames.length);
+      const frame = Math.floor(animation.time / frameTime) % frames.length;
+      if (frame === animation.frame) continue;
+      animation.frame = frame;
+      this.drawFrame(animation.cell, frames[frame]);
+      changed = true;
+    }
+    if (changed) this.game.textureAtlas.needsUpdate = true;
+  }
+
+  // ==================== UI ====================
+
+  setupUI() {
+    const select = document.getElementById('setting-resource-pack');
+    const fileInput = document.getElementById('pack-import');
+
+    select.onchange = () => this.runFromUI(() => this.select(select.value || null));
+    document.getElementById('add-pack-btn').onclick = () => fileInput.click();
+    fileInput.onchange = () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      this.runFromUI(async () => {
+        const { id, name } = await this.add(file);
+        await this.select(id);
+        return `Added ${name}`;
+      });
+    };
+    document.getElementById('remove-pack-btn').onclick = () => {
+      const id = select.value;
+      if (!id) return;
+      this.runFromUI(async () => {
+        await this.remove(id);
+        return 'Pack removed';
+      });
+    };
+
+    this.updateUI();
+  }
+
+  // Runs a UI action, then shows its message or error and the pack list
+  async runFromUI(action) {
+    const message = document.getElementById('pack-message');
+    message.className = 'menu-message';
+    message.textContent = 'Loading...';
+    try {
+      message.textContent = (await action()) || '';
+    } catch (e) {
+      if (!(e instanceof ResourcePackError)) console.error('Resource pack failed:', e);
+      message.className = 'menu-message error';
+      message.textContent = e instanceof ResourcePackError ? e.message : 'The resource pack could not be loaded';
+    }
+    await this.updateUI();
+  }
+
+  async updateUI() {
+    const select = document.getElementById('setting-resource-pack');
+    const packs = await this.game.saveManager.getResourcePacks();
+    select.innerHTML = '';
+    for (const { id, name } of [{ id: '', name: 'Default' }, ...packs]) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+    select.value = this.current?.id || '';
+    document.getElementById('remove-pack-btn').disabled = !this.current;
+  }
+}
@@ -1,47 +1,195 @@
 // ==================== SAVE MANAGER ====================
+// Worlds are stored in IndexedDB. A world record holds the player, inventory
+// and other small state; edited blocks go into region records covering
+// REGION_SIZE x REGION_SIZE chunks, so a save only rewrites the regions that
+// changed and opening a world only reads the regions around the player.
+//
+// Region records look like { worldId, key: "rx,rz", chunks: { "cx,cz": [x, y, z, id, ...] } }.
+// Resource packs added in the settings are kept alongside as
+// { id, name, data } records, data being the zip's bytes. Map records are
+// keyed like regions and hold the world map's explored tiles as
+// { worldId, key, chunks: { "cx,cz": RGBA bytes } }, see WorldMap.
+
+function getRegionKey(cx, cz) {
+  return `${Math.floor(cx / REGION_SIZE)},${Math.floor(cz / REGION_SIZE)}`;
+}
+
+// Groups ["x,y,z", id] block edits into region records
+function buildRegions(entries) {
+  const regions = new Map();
+  for (const [key, id] of entries) {
+    const [x, y, z] = key.split(',').map(Number);
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    const regionKey = getRegionKey(cx, cz);
+
+    if (!regions.has(regionKey)) regions.set(regionKey, { key: regionKey, chunks: {} });
+    const chunks = regions.get(regionKey).chunks;
+    const chunkKey = `${cx},${cz}`;
+    if (!chunks[chunkKey]) chunks[chunkKey] = [];
+    chunks[chunkKey].push(x, y, z, id);
+  }
+  return Array.from(regions.values());
+}
+
+// Every region of one world: region keys are [worldId, "rx,rz"] and arrays
+// sort after strings, so [worldId, []] is above all of them
+function worldRegionRange(worldId) {
+  return IDBKeyRange.bound([worldId], [worldId, []]);
+}
+
 class SaveManager {
   constructor() {
-    this.storageKey = 'minecraft_saves';
+    this.dbName = 'minecraft_worlds';
+    this.legacyStorageKey = 'minecraft_saves';
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 3);
+        request.onupgradeneeded = (e) => {
+          const db = request.result;
+          if (e.oldVersion < 1) {
+            db.createObjectStore('worlds', { keyPath: 'id' });
+            db.createObjectStore('regions', { keyPath: ['worldId', 'key'] });
+          }
+          if (e.oldVersion < 2) db.createObjectStore('resourcePacks', { keyPath: 'id' });
+          if (e.oldVersion < 3) db.createObjectStore('maps', { keyPath: ['worldId', 'key'] });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).then(db => this.migrateLegacySaves(db).then(() => db));
+
+      // Ask the browser not to evict worlds under storage pressure
+      navigator.storage?.persist?.();
+    }
+    return this.dbPromise;
+  }
+
+  // Runs fn inside one transaction and resolves with the result of the
+  // request it returns (if any) once the transaction has committed
+  async transaction(stores, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      const request = fn(tx);
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // One-time move of the old format, where every slot lived in a single
+  // localStorage key with all edited blocks in one array
+  migrateLegacySaves(db) {
+    let saves = null;
+    try {
+      saves = JSON.parse(localStorage.getItem(this.legacyStorageKey));
+    } catch (e) {
+      console.error('Failed to read old saves:', e);
+    }
+    if (!saves) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const tx = db.transaction(['worlds', 'regions'], 'readwrite');
+      for (const [slotId, save] of Object.entries(saves)) {
+        try {
+          this.putWorld(tx, slotId, migrateSave(save));
+        } catch (e) {
+          console.error(`Skipped unreadable world ${slotId}:`, e);
+        }
+      }
+      tx.oncomplete = () => {
+        localStorage.removeItem(this.legacyStorageKey);
+        console.log(`Migrated ${Object.keys(saves).length} world(s) to IndexedDB`);
+        resolve();
+      };
+      tx.onerror = () => {
+        console.error('Failed to migrate saves:', tx.error);
+        resolve();
+      };
+    });
+  }
+
+  // Writes a save in the flat export format (modifiedBlocks included)
+  putWorld(tx, slotId, save) {
+    const { modifiedBlocks = [], id, ...world } = save;
+    tx.objectStore('worlds').put({ ...world, id: slotId, modifiedCount: modifiedBlocks.length });
+    const regionStore = tx.objectStore('regions');
+    regionStore.delete(worldRegionRange(slotId));
+    for (const region of buildRegions(modifiedBlocks)) {
+      regionStore.put({ ...region, worldId: slotId });
+    }
   }
 
-  getAllSaves() {
+  createSlotId() {
+    return 'world_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  async getAllSaves() {
     try {
-      const data = localStorage.getItem(this.storageKey);
-      return data ? JSON.parse(data) : {};
+      const worlds = await this.transaction('worlds', 'readonly', tx => tx.objectStore('worlds').getAll());
+      const saves = {};
+      for (const world of worlds) saves[world.id] = world;
+      return saves;
     } catch (e) {
       console.error('Failed to load saves:', e);
       return {};
     }
   }
 
-  getSave(slotId) {
-    const saves = this.getAllSaves();
-    return saves[slotId] || null;
+  async getSave(slotId) {
+    try {
+      const save = await this.transaction('worlds', 'readonly', tx => tx.objectStore('worlds').get(slotId));
+      return save || null;
+    } catch (e) {
+      console.error('Failed to load save:', e);
+      return null;
+    }
+  }
+
+  getRegion(slotId, regionKey) {
+    return this.transaction('regions', 'readonly', tx => tx.objectStore('regions').get([slotId, regionKey]));
   }
 
-  saveGame(slotId, saveData) {
+  // Every map record of a world
+  getMapRegions(slotId) {
+    return this.transaction('maps', 'readonly', tx => tx.objectStore('maps').getAll(worldRegionRange(slotId)));
+  }
+
+  // Stores the world record together with any regions and map regions that changed
+  async saveGame(slotId, saveData, regions = [], maps = []) {
     try {
-      const saves = this.getAllSaves();
-      saves[slotId] = {
-        ...saveData,
-        savedAt: Date.now()
-      };
-      localStorage.setItem(this.storageKey, JSON.stringify(saves));
+      await this.transaction(['worlds', 'regions', 'maps'], 'readwrite', tx => {
+        tx.objectStore('worlds').put({ ...saveData, id: slotId, savedAt: Date.now() });
+        const regionStore = tx.objectStore('regions');
+        for (const region of regions) {
+          regionStore.put({ ...region, worldId: slotId });
+        }
+        const mapStore = tx.objectStore('maps');
+        for (const map of maps) {
+          mapStore.put({ ...map, worldId: slotId });
+        }
+      });
       return true;
     } catch (e) {
       console.error('Failed to save game:', e);
-      if (e.name === 'QuotaExceededError') {
+      if (e && e.name === 'QuotaExceededError') {
         alert('Storage full! Consider exporting and deleting old worlds.');
       }
       return false;
     }
   }
 
-  deleteSave(slotId) {
+  async deleteSave(slotId) {
     try {
-      const saves = this.getAllSaves();
-      delete saves[slotId];
-      localStorage.setItem(this.storageKey, JSON.stringify(saves));
+      await this.transaction(['worlds', 'regions', 'maps'], 'readwrite', tx => {
+        tx.objectStore('worlds').delete(slotId);
+        tx.objectStore('regions').delete(worldRegionRange(slotId));
+        tx.objectStore('maps').delete(worldRegionRange(slotId));
+      });
       return true;
     } catch (e) {
       console.error('Failed to delete save:', e);
@@ -49,32 +197,76 @@ class SaveManager {
     }
   }
 
-  exportSave(slotId) {
-    const save = this.getSave(slotId);
+  // Flattens the world back into one save and encodes it as a .mcw file
+  async exportSave(slotId) {
+    const save = await this.getSave(slotId);
     if (!save) return null;
-    return JSON.stringify(save, null, 2);
+    const modifiedBlocks = await this.getModifiedBlocks(slotId);
+
+    const { id, modifiedCount, ...world } = save;
+    return encodeWorldFile({ ...migrateSave(world), modifiedBlocks });
   }
 
-  importSave(jsonString, slotId) {
-    try {
-      const saveData = JSON.parse(jsonString);
-      if (!saveData.version || !saveData.worldName) {
-        throw new Error('Invalid save file format');
+  // Every saved edit of a world as [key, block] pairs, across all regions
+  async getModifiedBlocks(slotId) {
+    const regions = await this.transaction('regions', 'readonly',
+      tx => tx.objectStore('regions').getAll(worldRegionRange(slotId)));
+
+    const modifiedBlocks = [];
+    for (const region of regions) {
+      for (const blocks of Object.values(region.chunks)) {
+        for (let i = 0; i < blocks.length; i += 4) {
+          modifiedBlocks.push([`${blocks[i]},${blocks[i + 1]},${blocks[i + 2]}`, blocks[i + 3]]);
+        }
       }
-      return this.saveGame(slotId, saveData);
+    }
+    return modifiedBlocks;
+  }
+
+  // Accepts .mcw or legacy JSON bytes. Throws SaveFormatError describing what
+  // is wrong with the file; `defaults` fills fields old exports may lack.
+  async importSave(data, slotId, defaults = {}) {
+    const saveData = await readWorldFile(data, defaults);
+    await this.transaction(['worlds', 'regions'], 'readwrite', tx => {
+      this.putWorld(tx, slotId, { ...saveData, savedAt: Date.now() });
+    });
+    return true;
+  }
+
+  // ==================== RESOURCE PACKS ====================
+
+  // { id, name } of every stored pack, without their data
+  async getResourcePacks() {
+    try {
+      const packs = await this.transaction('resourcePacks', 'readonly', tx => tx.objectStore('resourcePacks').getAll());
+      return packs.map(({ id, name }) => ({ id, name }));
     } catch (e) {
-      console.error('Failed to import save:', e);
-      alert('Invalid save file!');
-      return false;
+      console.error('Failed to list resource packs:', e);
+      return [];
     }
   }
 
-  getStorageUsage() {
+  async getResourcePack(id) {
+    const pack = await this.transaction('resourcePacks', 'readonly', tx => tx.objectStore('resourcePacks').get(id));
+    return pack || null;
+  }
+
+  putResourcePack(pack) {
+    return this.transaction('resourcePacks', 'readwrite', tx => { tx.objectStore('resourcePacks').put(pack); });
+  }
+
+  deleteResourcePack(id) {
+    return this.transaction('resourcePacks', 'readwrite', tx => { tx.objectStore('resourcePacks').delete(id); });
+  }
+
+  // Usage and quota in MB as reported by the browser, or null if unknown
+  async getStorageUsage() {
+    if (!navigator.storage?.estimate) return null;
     try {
-      const data = localStorage.getItem(this.storageKey) || '';
-      return (data.length * 2) / 1024 / 1024; // Approximate MB
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage: usage / 1024 / 1024, quota: quota / 1024 / 1024 };
     } catch (e) {
-      return 0;
+      return null;
     }
   }
 }
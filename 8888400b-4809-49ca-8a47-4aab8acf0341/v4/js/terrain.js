@@ -0,0 +1,92 @@
+// ==================== TERRAIN ====================
+// Climate, biomes and the height map. The chunk worker builds blocks from
+// these and the game uses them for spawn points and mob spawning, so both
+// load this file to make sure they always agree.
+class TerrainGenerator {
+  constructor(seed) {
+    this.seed = seed;
+    this.noise = new SimplexNoise(seed);
+    this.noiseDetail = new SimplexNoise(seed + 1000);
+    this.temperatureNoise = new SimplexNoise(seed + 5000);
+    this.humidityNoise = new SimplexNoise(seed + 6000);
+    this.continentalnessNoise = new SimplexNoise(seed + 7000);
+    this.biomeIds = Object.keys(BIOMES);
+  }
+
+  getClimate(x, z) {
+    return {
+      temperature: this.temperatureNoise.octave(x * 0.0007, z * 0.0007, 2, 0.5),
+      humidity: this.humidityNoise.octave(x * 0.0009, z * 0.0009, 2, 0.5),
+      continentalness: this.continentalnessNoise.octave(x * 0.0006, z * 0.0006, 3, 0.5)
+    };
+  }
+
+  // How far a climate lies outside a biome's ranges, 0 when inside all of them
+  getClimateDistance(biome, climate) {
+    let sum = 0;
+    for (const [param, [min, max]] of Object.entries(biome.climate)) {
+      const value = climate[param];
+      const outside = value < min ? min - value : value > max ? value - max : 0;
+      sum += outside * outside;
+    }
+    return Math.sqrt(sum);
+  }
+
+  // Closest biome plus the share every nearby biome has in this column.
+  // Weights fall off with how much further a biome is than the closest one.
+  getBiomeWeights(x, z) {
+    const climate = this.getClimate(x, z);
+    const distances = this.biomeIds.map(id => this.getClimateDistance(BIOMES[id], climate));
+    const closest = Math.min(...distances);
+
+    const weights = [];
+    let biome = null;
+    let total = 0;
+    this.biomeIds.forEach((id, i) => {
+      const d = (distances[i] - closest) / BIOME_BLEND;
+      if (d > 3) return;
+      const weight = Math.exp(-d * d);
+      if (!biome && distances[i] === closest) biome = id;
+      weights.push({ biome: BIOMES[id], weight });
+      total += weight;
+    });
+    for (const entry of weights) entry.weight /= total;
+    return { biome, weights };
+  }
+
+  // { biome, height } for one column, height blended across biome borders
+  getColumn(x, z) {
+    const { biome, weights } = this.getBiomeWeights(x, z);
+    let base = 0, variation = 0;
+    for (const { biome: nearby, weight } of weights) {
+      base += nearby.height * weight;
+      variation += nearby.variation * weight;
+    }
+
+    const hills = this.noise.octave(x * 0.008, z * 0.008, 4, 0.5);
+    const detail = this.noiseDetail.octave(x * 0.03, z * 0.03, 2, 0.5);
+    return { biome, height: Math.floor(base + hills * variation + detail * 3) };
+  }
+
+  getTerrainHeight(x, z) {
+    return this.getColumn(x, z).height;
+  }
+
+  getBiome(x, z) {
+    return this.getBiomeWeights(x, z).biome;
+  }
+
+  // Blended grass and foliage colours as [r, g, b] multipliers
+  getTint(x, z) {
+    const grass = [0, 0, 0];
+    const foliage = [0, 0, 0];
+    for (const { biome, weight } of this.getBiomeWeights(x, z).weights) {
+      for (let i = 0; i < 3; i++) {
+        const shift = 16 - i * 8;
+        grass[i] += ((biome.grassColor >> shift) & 255) / 255 * weight;
+        foliage[i] += ((biome.foliageColor >> shift) & 255) / 255 * weight;
+      }
+    }
+    return { grass, foliage };
+  }
+}
@@ -0,0 +1,56 @@
+// ==================== TREES ====================
+// Tree shapes, shared by the chunk worker, which plants them with the
+// terrain, and the main thread, where saplings grow into them (see
+// block-ticks.js). A species only talks to the writer it is given, so either
+// side decides where the blocks end up.
+
+// Tree shapes by species name (BIOMES[].trees). Each grows from the block
+// above the ground at `y`; leaves only fill air so trunks stay intact.
+const TREE_SPECIES = {
+  oak(writer, x, y, z, seed) {
+    const treeHeight = 4 + Math.floor(seededRandom(x, z, seed + 9999) * 2);
+    for (let ty = 0; ty < treeHeight; ty++) writer.set(x, y + ty, z, BLOCK.WOOD);
+
+    for (let dx = -2; dx <= 2; dx++) {
+      for (let dz = -2; dz <= 2; dz++) {
+        for (let dy = treeHeight - 1; dy <= treeHeight + 1; dy++) {
+          if (Math.abs(dx) === 2 && Math.abs(dz) === 2 && seededRandom(dx + x, dz + z, seed + 3333) > 0.5) continue;
+          writer.place(x + dx, y + dy, z + dz, BLOCK.LEAVES);
+        }
+      }
+    }
+  },
+
+  birch(writer, x, y, z, seed) {
+    const treeHeight = 5 + Math.floor(seededRandom(x, z, seed + 9999) * 3);
+    for (let ty = 0; ty < treeHeight; ty++) writer.set(x, y + ty, z, BLOCK.BIRCH_LOG);
+
+    for (let dy = treeHeight - 3; dy <= treeHeight; dy++) {
+      const radius = dy >= treeHeight - 1 ? 1 : 2;
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dz = -radius; dz <= radius; dz++) {
+          if (radius === 2 && Math.abs(dx) === 2 && Math.abs(dz) === 2) continue;
+          writer.place(x + dx, y + dy, z + dz, BLOCK.LEAVES);
+        }
+      }
+    }
+  },
+
+  // Narrow cone of alternating wide and narrow rings with a single leaf on top
+  spruce(writer, x, y, z, seed) {
+    const treeHeight = 6 + Math.floor(seededRandom(x, z, seed + 9999) * 3);
+    for (let ty = 0; ty < treeHeight; ty++) writer.set(x, y + ty, z, BLOCK.SPRUCE_LOG);
+
+    writer.place(x, y + treeHeight, z, BLOCK.LEAVES);
+    for (let dy = treeHeight - 1; dy >= 2; dy--) {
+      const ring = treeHeight - dy;
+      const radius = ring > 2 && ring % 2 === 0 ? 2 : 1;
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dz = -radius; dz <= radius; dz++) {
+          if (radius > 1 && Math.abs(dx) === radius && Math.abs(dz) === radius) continue;
+          writer.place(x + dx, y + dy, z + dz, BLOCK.LEAVES);
+        }
+      }
+    }
+  }
+};
@@ -3,65 +3,237 @@
 
 importScripts('../noise.js');
 importScripts('../constants.js');
+importScripts('../registry.js');
+importScripts('../terrain.js');
+importScripts('../trees.js');
+importScripts('structures.js');
 
-let noise = null;
-let noiseDetail = null;
+let terrain = null;
+let caveNoiseA = null;
+let caveNoiseB = null;
+let cavernNoise = null;
 let currentSeed = null;
 
-// Seeded random for deterministic generation
-function seededRandom(x, z, seed) {
-  const n = Math.sin(x * 12.9898 + z * 78.233 + seed) * 43758.5453;
-  return n - Math.floor(n);
+function initNoise(seed) {
+  terrain = new TerrainGenerator(seed);
+  caveNoiseA = new SimplexNoise(seed + 2000);
+  caveNoiseB = new SimplexNoise(seed + 3000);
+  cavernNoise = new SimplexNoise(seed + 4000);
+  currentSeed = seed;
+  structureCache.clear();
 }
 
-function seededRandom3D(x, y, z, seed) {
-  const n = Math.sin(x * 12.9898 + y * 4.1414 + z * 78.233 + seed) * 43758.5453;
-  return n - Math.floor(n);
+// ==================== CAVES AND ORES ====================
+// Cave noise is sampled every CAVE_CELL blocks and interpolated in between,
+// which keeps three 3D noise fields affordable for every block of a chunk.
+const CAVE_CELL = 4;
+const CAVE_GRID_XZ = CHUNK_SIZE / CAVE_CELL + 1;
+const CAVE_GRID_Y = WORLD_HEIGHT / CAVE_CELL + 1;
+
+function sampleCaveGrid(cx, cz) {
+  const grid = new Float32Array(CAVE_GRID_XZ * CAVE_GRID_Y * CAVE_GRID_XZ * 3);
+  let i = 0;
+  for (let gz = 0; gz < CAVE_GRID_XZ; gz++) {
+    for (let gy = 0; gy < CAVE_GRID_Y; gy++) {
+      for (let gx = 0; gx < CAVE_GRID_XZ; gx++) {
+        const x = cx * CHUNK_SIZE + gx * CAVE_CELL;
+        const y = gy * CAVE_CELL;
+        const z = cz * CHUNK_SIZE + gz * CAVE_CELL;
+        // Tunnels are squashed vertically so they wind mostly sideways
+        grid[i++] = caveNoiseA.noise3D(x * 0.02, y * 0.035, z * 0.02);
+        grid[i++] = caveNoiseB.noise3D(x * 0.02, y * 0.035, z * 0.02);
+        grid[i++] = cavernNoise.noise3D(x * 0.012, y * 0.025, z * 0.012);
+      }
+    }
+  }
+  return grid;
 }
 
-function getTerrainHeight(x, z) {
-  const scale = 0.008;
-  const detailScale = 0.03;
+// Highest y caves may open at in a column. Low columns (sea floor, beaches)
+// keep a solid crust so caves never break into the water above them.
+function getCaveCeiling(height) {
+  return height <= WATER_LEVEL + CAVE_SURFACE_MARGIN ? height - CAVE_SURFACE_MARGIN - 1 : height - 1;
+}
+
+// Empties a block; anything at or below LAVA_LEVEL floods with lava
+function carveBlock(chunk, idx, y) {
+  const block = chunk[idx];
+  if (block === BLOCK.AIR || block === BLOCK.BEDROCK || block === BLOCK.WATER) return;
+  chunk[idx] = y <= LAVA_LEVEL ? BLOCK.LAVA : BLOCK.AIR;
+}
+
+function carveCaves(chunk, cx, cz, heights) {
+  const grid = sampleCaveGrid(cx, cz);
+  const column = new Float32Array(CAVE_GRID_Y * 3);
+  const at = (gx, gy, gz, field) => grid[((gz * CAVE_GRID_Y + gy) * CAVE_GRID_XZ + gx) * 3 + field];
+
+  for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+    for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+      const ceiling = Math.min(getCaveCeiling(heights[lx + lz * CHUNK_SIZE]), WORLD_HEIGHT - 2);
+      if (ceiling < 1) continue;
+
+      // Interpolate across x and z once per column, leaving only y per block
+      const gx = Math.floor(lx / CAVE_CELL), gz = Math.floor(lz / CAVE_CELL);
+      const fx = lx / CAVE_CELL - gx, fz = lz / CAVE_CELL - gz;
+      const topCell = Math.floor(ceiling / CAVE_CELL) + 1;
+      for (let gy = 0; gy <= topCell; gy++) {
+        for (let field = 0; field < 3; field++) {
+          const near = at(gx, gy, gz, field) + (at(gx + 1, gy, gz, field) - at(gx, gy, gz, field)) * fx;
+          const far = at(gx, gy, gz + 1, field) + (at(gx + 1, gy, gz + 1, field) - at(gx, gy, gz + 1, field)) * fx;
+          column[gy * 3 + field] = near + (far - near) * fz;
+        }
+      }
+      const value = (y, field) => {
+        const gy = Math.floor(y / CAVE_CELL);
+        const low = column[gy * 3 + field];
+        return low + (column[(gy + 1) * 3 + field] - low) * (y / CAVE_CELL - gy);
+      };
+
+      for (let y = 1; y <= ceiling; y++) {
+        let carve = Math.abs(value(y, 0)) < CAVE_TUNNEL_WIDTH && Math.abs(value(y, 1)) < CAVE_TUNNEL_WIDTH;
+
+        if (!carve && y < CAVERN_MAX_Y) {
+          // Caverns shrink away over the ten blocks below CAVERN_MAX_Y
+          const fade = Math.max(0, y - (CAVERN_MAX_Y - 10)) / 10;
+          carve = value(y, 2) > CAVERN_THRESHOLD + fade * 0.5;
+        }
+
+        if (carve) carveBlock(chunk, lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT, y);
+      }
+    }
+  }
+}
+
+// Ravines are long, narrow cuts that start in a few chunks and run for up to
+// RAVINE_MAX_LENGTH blocks, so every chunk in reach traces the ravines of its
+// neighbours and carves the part that falls inside itself.
+function carveRavines(chunk, cx, cz, heights, seed) {
+  const reach = Math.ceil(RAVINE_MAX_LENGTH / CHUNK_SIZE);
+  const minX = cx * CHUNK_SIZE, minZ = cz * CHUNK_SIZE;
+
+  for (let scx = cx - reach; scx <= cx + reach; scx++) {
+    for (let scz = cz - reach; scz <= cz + reach; scz++) {
+      if (seededRandom(scx, scz, seed + 7000) >= RAVINE_CHANCE) continue;
+
+      const rand = createRandom(scx, scz, seed + 7001);
+      let x = scx * CHUNK_SIZE + rand() * CHUNK_SIZE;
+      let z = scz * CHUNK_SIZE + rand() * CHUNK_SIZE;
+      const centerY = 12 + rand() * 12;
+      let yaw = rand() * Math.PI * 2;
+      const length = Math.floor(RAVINE_MAX_LENGTH / 2 + rand() * RAVINE_MAX_LENGTH / 2);
+      const maxWidth = 1.5 + rand() * 1.5;
+      const maxDepth = 12 + rand() * 10;
 
-  let base = noise.octave(x * scale, z * scale, 4, 0.5);
-  let detail = noiseDetail.octave(x * detailScale, z * detailScale, 2, 0.5);
+      for (let step = 0; step < length; step++) {
+        // Widest and deepest in the middle, pinching shut at both ends
+        const swell = Math.sin(Math.PI * step / length);
+        const halfWidth = 0.5 + maxWidth * swell;
+        const halfDepth = 2 + maxDepth * swell;
+        yaw += (rand() - 0.5) * 0.25;
+        x += Math.cos(yaw);
+        z += Math.sin(yaw);
 
-  let height = 20 + base * 25 + detail * 5;
+        if (x + halfWidth < minX || x - halfWidth >= minX + CHUNK_SIZE ||
+            z + halfWidth < minZ || z - halfWidth >= minZ + CHUNK_SIZE) continue;
 
-  let mountain = noise.octave(x * 0.004, z * 0.004, 3, 0.4);
-  if (mountain > 0.3) {
-    height += (mountain - 0.3) * 60;
+        for (let wx = Math.floor(x - halfWidth); wx <= x + halfWidth; wx++) {
+          for (let wz = Math.floor(z - halfWidth); wz <= z + halfWidth; wz++) {
+            const lx = wx - minX, lz = wz - minZ;
+            if (lx < 0 || lx >= CHUNK_SIZE || lz < 0 || lz >= CHUNK_SIZE) continue;
+
+            const dx = (wx + 0.5 - x) / halfWidth;
+            const dz = (wz + 0.5 - z) / halfWidth;
+            const side = dx * dx + dz * dz;
+            if (side >= 1) continue;
+
+            // Walls lean in towards the floor
+            const reachY = halfDepth * Math.sqrt(1 - side);
+            const ceiling = getCaveCeiling(heights[lx + lz * CHUNK_SIZE]);
+            const top = Math.min(ceiling, Math.floor(centerY + reachY));
+            for (let y = Math.max(1, Math.ceil(centerY - reachY)); y <= top; y++) {
+              carveBlock(chunk, lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT, y);
+            }
+          }
+        }
+      }
+    }
   }
+}
 
-  return Math.floor(height);
+// Picks a height from the triangle minY..peakY..maxY of an ORE_VEINS entry
+function getVeinHeight(ore, r) {
+  const { minY, peakY, maxY } = ore;
+  const span = maxY - minY;
+  if (r < (peakY - minY) / span) return Math.floor(minY + Math.sqrt(r * span * (peakY - minY)));
+  return Math.floor(maxY - Math.sqrt((1 - r) * span * (maxY - peakY)));
 }
 
-function getBiome(x, z) {
-  const temp = noise.noise2D(x * 0.002, z * 0.002);
-  const moisture = noiseDetail.noise2D(x * 0.003, z * 0.003);
+// Veins are random walks through stone. A vein can wander over a chunk edge,
+// so the veins of neighbouring chunks are replayed as well.
+function placeOreVeins(chunk, cx, cz, seed) {
+  const minX = cx * CHUNK_SIZE, minZ = cz * CHUNK_SIZE;
+
+  for (let ncx = cx - 1; ncx <= cx + 1; ncx++) {
+    for (let ncz = cz - 1; ncz <= cz + 1; ncz++) {
+      ORE_VEINS.forEach((ore, oreIndex) => {
+        const rand = createRandom(ncx, ncz, seed + 6000 + oreIndex * 17);
+
+        for (let v = 0; v < ore.perChunk; v++) {
+          let x = ncx * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+          let z = ncz * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+          let y = getVeinHeight(ore, rand());
+          const size = 1 + Math.floor(rand() * ore.size);
 
-  if (temp > 0.4) return 'desert';
-  if (temp < -0.4) return 'snow';
-  if (moisture > 0.3) return 'forest';
-  return 'plains';
+          for (let n = 0; n < size; n++) {
+            const lx = x - minX, lz = z - minZ;
+            if (lx >= 0 && lx < CHUNK_SIZE && lz >= 0 && lz < CHUNK_SIZE && y > 0 && y < WORLD_HEIGHT) {
+              const idx = lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
+              if (chunk[idx] === BLOCK.STONE) chunk[idx] = ore.block;
+            }
+
+            const dir = rand() < 0.5 ? -1 : 1;
+            const axis = rand() * 3;
+            if (axis < 1) x += dir;
+            else if (axis < 2) y += dir;
+            else z += dir;
+          }
+        }
+      });
+    }
+  }
 }
 
-function generateChunkData(cx, cz, seed) {
-  if (!noise || currentSeed !== seed) {
-    noise = new SimplexNoise(seed);
-    noiseDetail = new SimplexNoise(seed + 1000);
-    currentSeed = seed;
+// ==================== PLANTS ====================
+
+// Picks from a list of { chance } entries with one roll, or returns null
+function pickByChance(entries, rand) {
+  let total = 0;
+  for (const entry of entries) {
+    total += entry.chance;
+    if (rand < total) return entry;
   }
+  return null;
+}
+
+function generateChunkData(cx, cz, seed) {
+  if (!terrain || currentSeed !== seed) initNoise(seed);
 
   const chunk = new Uint8Array(CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE);
-  const trees = [];
+  const heights = new Int16Array(CHUNK_SIZE * CHUNK_SIZE);
+  const biomes = [];
 
   for (let lx = 0; lx < CHUNK_SIZE; lx++) {
     for (let lz = 0; lz < CHUNK_SIZE; lz++) {
       const wx = cx * CHUNK_SIZE + lx;
       const wz = cz * CHUNK_SIZE + lz;
-      const height = getTerrainHeight(wx, wz);
-      const biome = getBiome(wx, wz);
+      const { height, biome: biomeId } = terrain.getColumn(wx, wz);
+      const biome = BIOMES[biomeId];
+      heights[lx + lz * CHUNK_SIZE] = height;
+      biomes[lx + lz * CHUNK_SIZE] = biome;
+
+      let top = biome.top;
+      if (height <= WATER_LEVEL + 2) top = biome.shore;
+      else if (biome.snowLine && height > biome.snowLine) top = BLOCK.SNOW;
 
       for (let y = 0; y < WORLD_HEIGHT; y++) {
         const idx = lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
@@ -69,116 +241,196 @@ function generateChunkData(cx, cz, seed) {
         if (y === 0) {
           chunk[idx] = BLOCK.BEDROCK;
         } else if (y < height - 4) {
-          const rand = seededRandom3D(wx, y, wz, seed);
-          if (rand < 0.008) chunk[idx] = BLOCK.COAL_ORE;
-          else if (rand < 0.012 && y < 40) chunk[idx] = BLOCK.IRON_ORE;
-          else if (rand < 0.014 && y < 20) chunk[idx] = BLOCK.GOLD_ORE;
-          else if (rand < 0.016 && y < 16) chunk[idx] = BLOCK.DIAMOND_ORE;
-          else chunk[idx] = BLOCK.STONE;
+          chunk[idx] = BLOCK.STONE;
         } else if (y < height - 1) {
-          chunk[idx] = biome === 'desert' ? BLOCK.SAND : BLOCK.DIRT;
+          chunk[idx] = biome.filler;
         } else if (y < height) {
-          if (biome === 'desert') chunk[idx] = BLOCK.SAND;
-          else if (biome === 'snow') chunk[idx] = BLOCK.SNOW;
-          else if (height <= WATER_LEVEL + 2) chunk[idx] = BLOCK.SAND;
-          else chunk[idx] = BLOCK.GRASS;
+          chunk[idx] = top;
         } else if (y <= WATER_LEVEL) {
           chunk[idx] = BLOCK.WATER;
         }
       }
+    }
+  }
 
-      // Tree placement (deterministic)
-      if (height > WATER_LEVEL + 2 && biome !== 'desert') {
-        const treeRand = seededRandom(wx, wz, seed + 5000);
-        if (treeRand < 0.015) {
-          trees.push({ lx, lz, height });
-        }
+  placeOreVeins(chunk, cx, cz, seed);
+  carveCaves(chunk, cx, cz, heights);
+  carveRavines(chunk, cx, cz, heights, seed);
+
+  const writer = new ChunkWriter(chunk, cx, cz);
+  placeTrees(writer, heights, biomes, seed);
+  placeStructures(writer, cx, cz, seed);
+
+  // Plants, on dry ground the caves and structures left in place
+  for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+    for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+      const wx = cx * CHUNK_SIZE + lx;
+      const wz = cz * CHUNK_SIZE + lz;
+      const height = heights[lx + lz * CHUNK_SIZE];
+      const biome = biomes[lx + lz * CHUNK_SIZE];
+      if (height <= WATER_LEVEL || height >= WORLD_HEIGHT - 1) continue;
+
+      const surface = chunk[lx + (height - 1) * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT];
+      const aboveIdx = lx + height * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
+      if (chunk[aboveIdx] !== BLOCK.AIR) continue;
+
+      const plant = pickByChance(biome.vegetation, seededRandom(wx + 1000, wz + 1000, seed));
+      if (!plant || !BLOCK_DATA[plant.block].placedOn.includes(surface)) continue;
+
+      const stack = plant.maxHeight ? 1 + Math.floor(seededRandom(wx, wz, seed + 6000) * plant.maxHeight) : 1;
+      for (let i = 0; i < stack && height + i < WORLD_HEIGHT; i++) {
+        writer.place(wx, height + i, wz, plant.block);
       }
     }
   }
 
-  // Generate trees
-  for (const tree of trees) {
-    const { lx, lz, height } = tree;
-    const wx = cx * CHUNK_SIZE + lx;
-    const wz = cz * CHUNK_SIZE + lz;
-    const treeHeight = 4 + Math.floor(seededRandom(wx, wz, seed + 9999) * 2);
-    
-    // Trunk
-    for (let ty = 0; ty < treeHeight; ty++) {
-      const y = height + ty;
-      if (y < WORLD_HEIGHT) {
-        chunk[lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT] = BLOCK.WOOD;
+  return { blocks: chunk, blockEntities: writer.blockEntities };
+}
+
+// ==================== LIGHTING ====================
+// Sky light and block light are flood-filled over the chunk plus a border of
+// MAX_LIGHT blocks taken from the neighbour chunks, so light crosses chunk edges.
+
+const LIGHT_PAD = MAX_LIGHT;
+const LIGHT_SIZE = CHUNK_SIZE + LIGHT_PAD * 2;
+// Ring buffer for the flood fill, larger than any padded light volume
+const LIGHT_QUEUE_SIZE = 1 << 20;
+const LIGHT_QUEUE_MASK = LIGHT_QUEUE_SIZE - 1;
+const lightQueue = new Int32Array(LIGHT_QUEUE_SIZE);
+
+// Per block-id lookup tables from BLOCK_DATA, built again when the registry
+// adds mod blocks
+const LIGHT_OPAQUE = new Uint8Array(256);
+const LIGHT_FILTER = new Uint8Array(256);
+const LIGHT_EMISSION = new Uint8Array(256);
+
+function buildLightTables() {
+  LIGHT_OPAQUE.fill(0);
+  LIGHT_FILTER.fill(0);
+  LIGHT_EMISSION.fill(0);
+  for (const [id, data] of Object.entries(BLOCK_DATA)) {
+    LIGHT_OPAQUE[id] = isLightOpaque(Number(id)) ? 1 : 0;
+    LIGHT_FILTER[id] = data.lightFilter || 0;
+    LIGHT_EMISSION[id] = data.lightEmission || 0;
+  }
+}
+buildLightTables();
+
+function computeLighting(cx, cz, chunk, neighbors, modifiedBlocks) {
+  const size = LIGHT_SIZE;
+  const layer = size * size;
+  const blocks = new Uint8Array(layer * WORLD_HEIGHT);
+  const originX = cx * CHUNK_SIZE - LIGHT_PAD;
+  const originZ = cz * CHUNK_SIZE - LIGHT_PAD;
+  const index = (i, y, k) => i + k * size + y * layer;
+
+  // Copy block columns from this chunk and its neighbours
+  for (let i = 0; i < size; i++) {
+    for (let k = 0; k < size; k++) {
+      const wx = originX + i;
+      const wz = originZ + k;
+      const tcx = Math.floor(wx / CHUNK_SIZE);
+      const tcz = Math.floor(wz / CHUNK_SIZE);
+      const source = (tcx === cx && tcz === cz) ? chunk : neighbors[`${tcx},${tcz}`];
+      if (!source) continue;
+      const lx = ((wx % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+      const lz = ((wz % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+      for (let y = 0; y < WORLD_HEIGHT; y++) {
+        blocks[index(i, y, k)] = source[lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT];
       }
     }
-    
-    // Leaves
-    for (let dx = -2; dx <= 2; dx++) {
-      for (let dz = -2; dz <= 2; dz++) {
-        for (let dy = treeHeight - 1; dy <= treeHeight + 1; dy++) {
-          if (Math.abs(dx) === 2 && Math.abs(dz) === 2 && seededRandom(dx + wx, dz + wz, seed + 3333) > 0.5) continue;
-          const nx = lx + dx, nz = lz + dz, ny = height + dy;
-          if (nx >= 0 && nx < CHUNK_SIZE && nz >= 0 && nz < CHUNK_SIZE && ny < WORLD_HEIGHT) {
-            const leafIdx = nx + ny * CHUNK_SIZE + nz * CHUNK_SIZE * WORLD_HEIGHT;
-            if (chunk[leafIdx] === BLOCK.AIR) {
-              chunk[leafIdx] = BLOCK.LEAVES;
-            }
-          }
+  }
+
+  for (const [key, value] of Object.entries(modifiedBlocks)) {
+    const [mx, my, mz] = key.split(',').map(Number);
+    const i = mx - originX, k = mz - originZ;
+    if (i < 0 || i >= size || k < 0 || k >= size || my < 0 || my >= WORLD_HEIGHT) continue;
+    blocks[index(i, my, k)] = value;
+  }
+
+  // Everything above the highest block is in full sky light
+  let maxY = 0;
+  for (let idx = blocks.length - 1; idx >= 0; idx--) {
+    if (blocks[idx] !== BLOCK.AIR) { maxY = Math.floor(idx / layer) + 1; break; }
+  }
+  maxY = Math.min(maxY, WORLD_HEIGHT - 1);
+
+  const sky = new Uint8Array(blocks.length);
+  const block = new Uint8Array(blocks.length);
+  const queue = lightQueue;
+
+  const flood = (light, head, tail) => {
+    while (head < tail) {
+      const idx = queue[head++ & LIGHT_QUEUE_MASK];
+      const level = light[idx];
+      const y = Math.floor(idx / layer);
+      const rem = idx - y * layer;
+      const k = Math.floor(rem / size);
+      const i = rem - k * size;
+
+      for (let d = 0; d < 6; d++) {
+        let ni = i, ny = y, nk = k;
+        if (d === 0) ni++; else if (d === 1) ni--;
+        else if (d === 2) nk++; else if (d === 3) nk--;
+        else if (d === 4) ny++; else ny--;
+        if (ni < 0 || ni >= size || nk < 0 || nk >= size || ny < 0 || ny > maxY) continue;
+
+        const nIdx = index(ni, ny, nk);
+        const nBlock = blocks[nIdx];
+        if (LIGHT_OPAQUE[nBlock]) continue;
+        const nLevel = level - 1 - LIGHT_FILTER[nBlock];
+        if (nLevel > light[nIdx]) {
+          light[nIdx] = nLevel;
+          queue[tail++ & LIGHT_QUEUE_MASK] = nIdx;
         }
       }
     }
-  }
-  // Generate grass and flowers
-  for (let lx = 0; lx < CHUNK_SIZE; lx++) {
-    for (let lz = 0; lz < CHUNK_SIZE; lz++) {
-      const wx = cx * CHUNK_SIZE + lx;
-      const wz = cz * CHUNK_SIZE + lz;
-      const height = getTerrainHeight(wx, wz);
-      const biome = getBiome(wx, wz);
-      
-      // Skip if underwater
-      if (height <= WATER_LEVEL) continue;
-      
-      const surfaceIdx = lx + height * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
-      const aboveIdx = lx + (height + 1) * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
-      
-      // Only place on grass or sand, and only if above is air
-      const surfaceBlock = chunk[surfaceIdx];
-      if (chunk[aboveIdx] !== BLOCK.AIR) continue;
-      
-      const rand = seededRandom(wx + 1000, wz + 1000, seed);
-      
-      if (surfaceBlock === BLOCK.GRASS) {
-        // Plains and forest get tall grass and flowers
-        if (biome === 'plains' || biome === 'forest') {
-          if (rand < 0.15) {
-            // 15% chance for tall grass
-            chunk[aboveIdx] = BLOCK.TALL_GRASS;
-          } else if (rand < 0.18) {
-            // 3% chance for flowers
-            const flowerRand = seededRandom(wx + 2000, wz + 2000, seed);
-            if (flowerRand < 0.33) {
-              chunk[aboveIdx] = BLOCK.FLOWER_RED;
-            } else if (flowerRand < 0.66) {
-              chunk[aboveIdx] = BLOCK.FLOWER_YELLOW;
-            } else {
-              chunk[aboveIdx] = BLOCK.FLOWER_BLUE;
-            }
-          }
-        }
-      } else if (surfaceBlock === BLOCK.SAND && biome === 'desert') {
-        // Desert gets dead bushes
-        if (rand < 0.02) {
-          chunk[aboveIdx] = BLOCK.DEAD_BUSH;
-        }
+  };
+
+  // Sky light falls straight down until something blocks it, then spreads sideways
+  let tail = 0;
+  for (let i = 0; i < size; i++) {
+    for (let k = 0; k < size; k++) {
+      let level = MAX_LIGHT;
+      for (let y = maxY; y >= 0; y--) {
+        const idx = index(i, y, k);
+        const b = blocks[idx];
+        if (LIGHT_OPAQUE[b]) break;
+        level -= LIGHT_FILTER[b];
+        if (level <= 0) break;
+        sky[idx] = level;
+        queue[tail++ & LIGHT_QUEUE_MASK] = idx;
       }
     }
   }
+  flood(sky, 0, tail);
+
+  tail = 0;
+  for (let idx = 0; idx < blocks.length; idx++) {
+    const emission = LIGHT_EMISSION[blocks[idx]];
+    if (emission > 0) {
+      block[idx] = emission;
+      queue[tail++ & LIGHT_QUEUE_MASK] = idx;
+    }
+  }
+  flood(block, 0, tail);
 
-  return chunk;
+  // Returns [sky, block] light levels at a world position
+  const result = [0, 0];
+  return (wx, y, wz) => {
+    if (y > maxY) { result[0] = MAX_LIGHT; result[1] = 0; return result; }
+    const i = wx - originX, k = wz - originZ;
+    if (y < 0 || i < 0 || i >= size || k < 0 || k >= size) { result[0] = 0; result[1] = 0; return result; }
+    const idx = index(i, y, k);
+    result[0] = sky[idx];
+    result[1] = block[idx];
+    return result;
+  };
 }
 
 // ==================== MESH GEOMETRY BUILDING ====================
+const NO_TINT = [1, 1, 1];
+
 function addCrossGeometry(wx, y, wz, color, target) {
   const r = ((color >> 16) & 255) / 255;
   const g = ((color >> 8) & 255) / 255;
@@ -240,10 +492,21 @@ function addCrossGeometry(wx, y, wz, color, target) {
   }
 }
 
-function buildMeshGeometry(cx, cz, chunk, neighbors, modifiedBlocks) {
-  // Add uvs array to both opaque and transparent
-  const opaque = { pos: [], col: [], norm: [], uvs: [] };
-  const trans = { pos: [], col: [], norm: [], uvs: [] };
+// Texture axes of each face: which world axis runs along u and which along v
+const FACE_UV_AXES = { top: [0, 2], bottom: [0, 2], front: [0, 1], back: [0, 1], right: [2, 1], left: [2, 1] };
+const SECTION_EXTENT = [CHUNK_SIZE, SECTION_HEIGHT, CHUNK_SIZE];
+
+// Builds the meshes of the sections in the `sections` mask, returned as
+// { [section]: { opaque, transparent, fluid } }.
+//
+// Cube faces whose four corners share the same AO and light are merged with
+// matching neighbours into larger quads (greedy meshing), so flat ground and
+// walls take a handful of quads per section. UVs are given in blocks across
+// the quad, with the atlas corner of the tile in `tiles`; the chunk shader
+// repeats the tile (see Game.applyVoxelLighting).
+function buildMeshGeometry(cx, cz, chunk, neighbors, modifiedBlocks, sections = ALL_SECTIONS) {
+  let opaque, trans, fluid;
+  let sectionBase = 0;
 
   const getBlock = (wx, y, wz) => {
     if (y < 0 || y >= WORLD_HEIGHT) return BLOCK.AIR;
@@ -275,6 +538,25 @@ function buildMeshGeometry(cx, cz, chunk, neighbors, modifiedBlocks) {
     return block !== BLOCK.AIR && BLOCK_DATA[block] && !BLOCK_DATA[block].transparent;
   };
 
+  // Light is stored per vertex as [sky, block] brightness; the shader scales
+  // the sky part by the time of day so chunks don't re-mesh at night
+  const getLight = computeLighting(cx, cz, chunk, neighbors, modifiedBlocks);
+
+  const pushBlockLight = (target, wx, y, wz) => {
+    const [skyLevel, blockLevel] = getLight(wx, y, wz);
+    target.light.push(LIGHT_CURVE[skyLevel], LIGHT_CURVE[blockLevel]);
+  };
+
+  // Biome colour per column for grass and foliage, looked up the first time
+  // a tinted block in that column is drawn
+  const tints = [];
+  const getTint = (wx, wz, kind) => {
+    if (!terrain) return null;
+    const i = (wx - cx * CHUNK_SIZE) + (wz - cz * CHUNK_SIZE) * CHUNK_SIZE;
+    if (!tints[i]) tints[i] = terrain.getTint(wx, wz);
+    return tints[i][kind];
+  };
+
   const vertexAO = (s1, s2, c) => (s1 && s2) ? 0 : 3 - (s1 + s2 + c);
   const aoLevels = [0.5, 0.7, 0.85, 1.0];
 
@@ -298,15 +580,15 @@ function buildMeshGeometry(cx, cz, chunk, neighbors, modifiedBlocks) {
     left:   [[1, 0], [1, 1], [0, 1], [0, 0]]
   };
 
-  const addFace = (wx, y, wz, dir, texSlot, target) => {
-    // Get texture UV coordinates
-    const [texCol, texRow] = texSlot || TEX.MISSING;
-    const texU = texCol * TILE_SIZE;
-    const texV = texRow * TILE_SIZE;
+  // Uniform faces waiting to be merged, one cell per block face of the section
+  const greedy = {};
+  for (const dir of Object.keys(FACE_DATA)) greedy[dir] = new Array(CHUNK_SIZE * SECTION_HEIGHT * CHUNK_SIZE);
+
+  // Averaged light is rounded so corners summed in another order still match
+  const roundLight = value => Math.round(value * 256) / 256;
 
+  const addFace = (wx, y, wz, dir, texSlot, target, tint) => {
     const face = FACE_DATA[dir];
-    const normal = FACE_NORMALS[dir];
-    const faceUVs = FACE_UVS[dir];
 
     // Calculate AO for each corner
     const ao = face.corners.map(c => {
@@ -317,38 +599,121 @@ function buildMeshGeometry(cx, cz, chunk, neighbors, modifiedBlocks) {
       return vertexAO(s1, s2, corner);
     });
 
+    // Smooth lighting: average the open cells in front of each corner
+    const [fdx, fdy, fdz] = face.dir;
+    const faceLight = getLight(wx + fdx, y + fdy, wz + fdz);
+    const faceSky = faceLight[0], faceBlock = faceLight[1];
+    const cornerLight = face.corners.map(c => {
+      let skySum = LIGHT_CURVE[faceSky], blockSum = LIGHT_CURVE[faceBlock], count = 1;
+      for (const [nx, ny, nz] of c.neighbors) {
+        if (isOccluder(wx + nx, y + ny, wz + nz)) continue;
+        const [skyLevel, blockLevel] = getLight(wx + nx, y + ny, wz + nz);
+        skySum += LIGHT_CURVE[skyLevel];
+        blockSum += LIGHT_CURVE[blockLevel];
+        count++;
+      }
+      return [roundLight(skySum / count), roundLight(blockSum / count)];
+    });
+
+    const uniform = ao.every(level => level === ao[0]) &&
+      cornerLight.every(([sky, block]) => sky === cornerLight[0][0] && block === cornerLight[0][1]);
+    if (!uniform) {
+      addQuad(wx, y, wz, dir, 1, 1, texSlot, target, tint, ao, cornerLight);
+      return;
+    }
+
+    const local = [wx - cx * CHUNK_SIZE, y - sectionBase, wz - cz * CHUNK_SIZE];
+    const [uAxis, vAxis] = FACE_UV_AXES[dir];
+    const nAxis = 3 - uAxis - vAxis;
+    const index = local[uAxis] + SECTION_EXTENT[uAxis] * (local[vAxis] + SECTION_EXTENT[vAxis] * local[nAxis]);
+    greedy[dir][index] = {
+      key: `${target === opaque ? 'o' : 't'}|${texSlot || TEX.MISSING}|${tint || ''}|${ao[0]}|${cornerLight[0]}`,
+      wx, y, wz, texSlot, target, tint, ao, cornerLight
+    };
+  };
+
+  // A cube face stretched over width x height blocks along the face's u and v axes
+  const addQuad = (wx, y, wz, dir, width, height, texSlot, target, tint, ao, cornerLight) => {
+    // Get texture UV coordinates
+    const [texCol, texRow] = texSlot || TEX.MISSING;
+    const texU = texCol * TILE_SIZE;
+    const texV = texRow * TILE_SIZE;
+
+    const face = FACE_DATA[dir];
+    const normal = FACE_NORMALS[dir];
+    const faceUVs = FACE_UVS[dir];
+    const [uAxis, vAxis] = FACE_UV_AXES[dir];
+    const size = [1, 1, 1];
+    size[uAxis] = width;
+    size[vAxis] = height;
+
     // Flip quad for better AO
     const flip = ao[0] + ao[2] < ao[1] + ao[3];
     const indices = flip ? [1, 2, 3, 1, 3, 0] : [0, 1, 2, 0, 2, 3];
-
-    // Slight color variation
-    const noise = (Math.sin(wx * 12.9898 + wz * 78.233) * 43758.5453) % 1;
-    const v = 1 - (Math.abs(noise) * 0.05);
+    const [tr, tg, tb] = tint || NO_TINT;
 
     indices.forEach(i => {
       const corner = face.corners[i];
-      
+
       // Position
-      target.pos.push(wx + corner.pos[0], y + corner.pos[1], wz + corner.pos[2]);
-      
+      target.pos.push(wx + corner.pos[0] * size[0], y + corner.pos[1] * size[1], wz + corner.pos[2] * size[2]);
+
       // Color (AO tint - will be multiplied with texture)
-      const aoMult = aoLevels[ao[i]] * face.shade * v;
-      target.col.push(aoMult, aoMult, aoMult);  // Grayscale for AO
-      
+      const aoMult = aoLevels[ao[i]] * face.shade;
+      target.col.push(aoMult * tr, aoMult * tg, aoMult * tb);  // AO, tinted for grass and leaves
+
       // Normal
       target.norm.push(normal[0], normal[1], normal[2]);
-      
-      // UV coordinates
+
+      // UV coordinates, in blocks so the tile repeats along merged quads
       const uv = faceUVs[i];
-      target.uvs.push(
-        texU + uv[0] * TILE_SIZE,
-        texV + uv[1] * TILE_SIZE
-      );
+      target.uvs.push(uv[0] * width, uv[1] * height);
+      target.tiles.push(texU, texV);
+
+      // Sky/block light
+      target.light.push(cornerLight[i][0], cornerLight[i][1]);
     });
   };
 
+  const matchesRow = (cells, start, width, key) => {
+    for (let k = 0; k < width; k++) {
+      if (cells[start + k]?.key !== key) return false;
+    }
+    return true;
+  };
+
+  // Grows each waiting face as far as it can along u, then along v while
+  // whole rows match, and draws the rectangle as one quad
+  const mergeFaces = (dir) => {
+    const cells = greedy[dir];
+    const [uAxis, vAxis] = FACE_UV_AXES[dir];
+    const rowLength = SECTION_EXTENT[uAxis];
+    const rows = SECTION_EXTENT[vAxis];
+    const layer = rowLength * rows;
+
+    for (let slice = 0; slice < SECTION_EXTENT[3 - uAxis - vAxis]; slice++) {
+      for (let v = 0; v < rows; v++) {
+        for (let u = 0; u < rowLength; u++) {
+          const start = slice * layer + v * rowLength + u;
+          const face = cells[start];
+          if (!face) continue;
+
+          let width = 1;
+          while (u + width < rowLength && cells[start + width]?.key === face.key) width++;
+          let height = 1;
+          while (v + height < rows && matchesRow(cells, start + height * rowLength, width, face.key)) height++;
+
+          for (let dv = 0; dv < height; dv++) {
+            cells.fill(undefined, start + dv * rowLength, start + dv * rowLength + width);
+          }
+          addQuad(face.wx, face.y, face.wz, dir, width, height, face.texSlot, face.target, face.tint, face.ao, face.cornerLight);
+        }
+      }
+    }
+  };
+
   // Cross geometry with UVs
-  const addCrossGeometry = (wx, y, wz, texSlot, target) => {
+  const addCrossGeometry = (wx, y, wz, texSlot, target, tint) => {
     const [texCol, texRow] = texSlot || TEX.MISSING;
     const texU = texCol * TILE_SIZE;
     const texV = texRow * TILE_SIZE;
@@ -359,6 +724,7 @@ function buildMeshGeometry(cx, cz, chunk, neighbors, modifiedBlocks) {
     // Color variation
     const variation = (Math.sin(wx * 12.9898 + wz * 78.233) * 43758.5453) % 1;
     const colorMult = 0.85 + Math.abs(variation) * 0.15;
+    const [tr, tg, tb] = tint || NO_TINT;
 
     // Plane 1 vertices with UVs
     const plane1 = [
@@ -400,80 +766,224 @@ function buildMeshGeometry(cx, cz, chunk, neighbors, modifiedBlocks) {
 
     for (const vert of allVerts) {
       target.pos.push(wx + vert.pos[0], y + vert.pos[1], wz + vert.pos[2]);
-      target.col.push(colorMult, colorMult, colorMult);
+      target.col.push(colorMult * tr, colorMult * tg, colorMult * tb);
       target.norm.push(0, 1, 0);  // Simplified normal
-      target.uvs.push(
-        texU + vert.uv[0] * TILE_SIZE,
-        texV + vert.uv[1] * TILE_SIZE
-      );
+      target.uvs.push(vert.uv[0], vert.uv[1]);
+      target.tiles.push(texU, texV);
+      pushBlockLight(target, wx, y, wz);
     }
   };
 
-  // Main loop
-  for (let lx = 0; lx < CHUNK_SIZE; lx++) {
-    for (let y = 0; y < WORLD_HEIGHT; y++) {
-      for (let lz = 0; lz < CHUNK_SIZE; lz++) {
-        const wx = cx * CHUNK_SIZE + lx;
-        const wz = cz * CHUNK_SIZE + lz;
-        
-        const modKey = `${wx},${y},${wz}`;
-        let block;
-        if (modifiedBlocks && modifiedBlocks[modKey] !== undefined) {
-          block = modifiedBlocks[modKey];
-        } else {
-          const idx = lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
-          block = chunk[idx];
-        }
+  // Boxes from BLOCK_DATA `boxes`, in sixteenths of a block. Each face shows
+  // the part of its texture it covers, and faces on the block's edge are
+  // hidden by an occluding neighbour just like cube faces.
+  const addBoxGeometry = (wx, y, wz, data, target, tintOf) => {
+    // Boxes don't fill their block, so they take its light instead of the neighbours'
+    const [skyLevel, blockLevel] = getLight(wx, y, wz);
+    const skyLight = LIGHT_CURVE[skyLevel], blockLight = LIGHT_CURVE[blockLevel];
 
-        if (block === BLOCK.AIR) continue;
+    for (const box of data.boxes) {
+      const from = box.from.map(v => v / 16);
+      const to = box.to.map(v => v / 16);
+      const tex = box.tex || data.tex;
 
-        const data = BLOCK_DATA[block];
-        if (!data) continue;
+      for (const dir of Object.keys(FACE_DATA)) {
+        const face = FACE_DATA[dir];
+        const [dx, dy, dz] = face.dir;
+        const axis = dx ? 0 : dy ? 1 : 2;
+        const onEdge = face.dir[axis] > 0 ? to[axis] >= 1 : from[axis] <= 0;
+        if (onEdge && isOccluder(wx + dx, y + dy, wz + dz)) continue;
 
-        const target = data.transparent ? trans : opaque;
-        const tex = data.tex || {};  // Texture slots
+        const [texCol, texRow] = tex[dir] || tex.side || TEX.MISSING;
+        const [uAxis, vAxis] = FACE_UV_AXES[dir];
+        const [tr, tg, tb] = tintOf(dir === 'top' || dir === 'bottom' ? dir : 'side') || NO_TINT;
+        const normal = FACE_NORMALS[dir];
 
-        // Handle cross-type blocks
-        if (data.type === BLOCK_TYPE.CROSS) {
-          addCrossGeometry(wx, y, wz, tex.side, trans);
-          continue;
-        }
+        [0, 1, 2, 0, 2, 3].forEach(i => {
+          const p = face.corners[i].pos.map((c, a) => c ? to[a] : from[a]);
+          target.pos.push(wx + p[0], y + p[1], wz + p[2]);
+          target.col.push(face.shade * tr, face.shade * tg, face.shade * tb);
+          target.norm.push(normal[0], normal[1], normal[2]);
+          target.uvs.push(Math.min(1, Math.max(0, p[uAxis])), Math.min(1, Math.max(0, p[vAxis])));
+          target.tiles.push(texCol * TILE_SIZE, texRow * TILE_SIZE);
+          target.light.push(skyLight, blockLight);
+        });
+      }
+    }
+  };
+
+  // Surface height of a fluid inside a block (0-1), or -1 if the block holds another fluid/none
+  const getFluidHeight = (wx, y, wz, fluidType) => {
+    const data = BLOCK_DATA[getBlock(wx, y, wz)];
+    if (!data || data.fluid !== fluidType) return -1;
+    if (BLOCK_DATA[getBlock(wx, y + 1, wz)]?.fluid === fluidType) return 1;
+    return data.fluidLevel / (FLUID_MAX_LEVEL + 1);
+  };
+
+  // Corner heights are averaged over the four blocks sharing the corner so flowing fluid slopes
+  const getFluidCornerHeight = (cornerX, y, cornerZ, fluidType) => {
+    let total = 0, count = 0;
+    for (const [dx, dz] of [[-1, -1], [-1, 0], [0, -1], [0, 0]]) {
+      const h = getFluidHeight(cornerX + dx, y, cornerZ + dz, fluidType);
+      if (h >= 1) return 1;
+      if (h >= 0) { total += h; count++; }
+    }
+    return count > 0 ? total / count : 0;
+  };
+
+  const addFluidGeometry = (wx, y, wz, data, target) => {
+    const [texCol, texRow] = data.tex.side || TEX.MISSING;
+    const texU = texCol * TILE_SIZE;
+    const texV = texRow * TILE_SIZE;
+    const fluidType = data.fluid;
+
+    // Fluids absorb light, so light the surface from whichever is brighter: the fluid or above it
+    const own = getLight(wx, y, wz);
+    const ownSky = own[0], ownBlock = own[1];
+    const above = getLight(wx, y + 1, wz);
+    const skyLight = LIGHT_CURVE[Math.max(ownSky, above[0])];
+    const blockLight = LIGHT_CURVE[Math.max(ownBlock, above[1])];
+
+    // Indexed by [x][z] of the corner
+    const heights = [
+      [getFluidCornerHeight(wx, y, wz, fluidType), getFluidCornerHeight(wx, y, wz + 1, fluidType)],
+      [getFluidCornerHeight(wx + 1, y, wz, fluidType), getFluidCornerHeight(wx + 1, y, wz + 1, fluidType)]
+    ];
+
+    for (const dir of Object.keys(FACE_DATA)) {
+      const face = FACE_DATA[dir];
+      const [dx, dy, dz] = face.dir;
+      const neighbor = getBlock(wx + dx, y + dy, wz + dz);
+      if (BLOCK_DATA[neighbor]?.fluid === fluidType) continue;
+      if (dir !== 'top' && isOccluder(wx + dx, y + dy, wz + dz)) continue;
+
+      // Lava glows, so it ignores directional shading
+      const shade = fluidType === 'lava' ? 1.0 : face.shade;
+      const normal = FACE_NORMALS[dir];
+      const faceUVs = FACE_UVS[dir];
+
+      [0, 1, 2, 0, 2, 3].forEach(i => {
+        const [px, py, pz] = face.corners[i].pos;
+        const height = py === 1 ? heights[px][pz] : 0;
+        target.pos.push(wx + px, y + height, wz + pz);
+        target.col.push(shade, shade, shade);
+        target.norm.push(normal[0], normal[1], normal[2]);
+        const uv = faceUVs[i];
+        target.uvs.push(uv[0], uv[1]);
+        target.tiles.push(texU, texV);
+        target.light.push(skyLight, blockLight);
+      });
+    }
+  };
+
+  const toArrays = (part) => ({
+    positions: new Float32Array(part.pos),
+    colors: new Float32Array(part.col),
+    normals: new Float32Array(part.norm),
+    uvs: new Float32Array(part.uvs),
+    tiles: new Float32Array(part.tiles),
+    lights: new Float32Array(part.light)
+  });
+
+  const buildSection = (section) => {
+    opaque = { pos: [], col: [], norm: [], uvs: [], tiles: [], light: [] };
+    trans = { pos: [], col: [], norm: [], uvs: [], tiles: [], light: [] };
+    // Translucent water gets its own mesh so it can be blended instead of alpha-tested
+    fluid = { pos: [], col: [], norm: [], uvs: [], tiles: [], light: [] };
+    sectionBase = section * SECTION_HEIGHT;
+
+    for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+      for (let y = sectionBase; y < sectionBase + SECTION_HEIGHT; y++) {
+        for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+          const wx = cx * CHUNK_SIZE + lx;
+          const wz = cz * CHUNK_SIZE + lz;
+
+          const modKey = `${wx},${y},${wz}`;
+          let block;
+          if (modifiedBlocks && modifiedBlocks[modKey] !== undefined) {
+            block = modifiedBlocks[modKey];
+          } else {
+            const idx = lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
+            block = chunk[idx];
+          }
 
-        // Standard cube faces
-        const shouldRender = (nx, ny, nz) => {
-          const neighbor = getBlock(nx, ny, nz);
-          if (neighbor === BLOCK.AIR) return true;
-          const nData = BLOCK_DATA[neighbor];
-          if (!nData) return true;
-          if (nData.transparent && !data.transparent) return true;
-          if (data.transparent && nData.transparent && neighbor !== block) return true;
-          return false;
-        };
-
-        if (shouldRender(wx, y + 1, wz)) addFace(wx, y, wz, 'top', tex.top, target);
-        if (shouldRender(wx, y - 1, wz)) addFace(wx, y, wz, 'bottom', tex.bottom, target);
-        if (shouldRender(wx, y, wz + 1)) addFace(wx, y, wz, 'front', tex.side, target);
-        if (shouldRender(wx, y, wz - 1)) addFace(wx, y, wz, 'back', tex.side, target);
-        if (shouldRender(wx + 1, y, wz)) addFace(wx, y, wz, 'right', tex.side, target);
-        if (shouldRender(wx - 1, y, wz)) addFace(wx, y, wz, 'left', tex.side, target);
+          if (block === BLOCK.AIR) continue;
+
+          const data = BLOCK_DATA[block];
+          if (!data) continue;
+
+          const target = data.transparent ? trans : opaque;
+          const tex = data.tex || {};  // Texture slots
+
+          // Fluids: water is blended, lava is drawn with the opaque geometry
+          if (data.fluid) {
+            addFluidGeometry(wx, y, wz, data, data.fluid === 'water' ? fluid : opaque);
+            continue;
+          }
+
+          // Tints name a biome colour, or give a fixed [r, g, b] like redstone wire's
+          const tintOf = (face) => {
+            const kind = data.tint && data.tint[face];
+            if (!kind) return null;
+            return Array.isArray(kind) ? kind : getTint(wx, wz, kind);
+          };
+
+          // Handle cross-type blocks
+          if (data.type === BLOCK_TYPE.CROSS) {
+            addCrossGeometry(wx, y, wz, tex.side, trans, tintOf('side'));
+            continue;
+          }
+
+          if (data.type === BLOCK_TYPE.BOX) {
+            addBoxGeometry(wx, y, wz, data, target, tintOf);
+            continue;
+          }
+
+          // Standard cube faces
+          const shouldRender = (nx, ny, nz) => {
+            const neighbor = getBlock(nx, ny, nz);
+            if (neighbor === BLOCK.AIR) return true;
+            const nData = BLOCK_DATA[neighbor];
+            if (!nData) return true;
+            if (nData.transparent && !data.transparent) return true;
+            if (data.transparent && nData.transparent && neighbor !== block) return true;
+            return false;
+          };
+
+          if (shouldRender(wx, y + 1, wz)) addFace(wx, y, wz, 'top', tex.top, target, tintOf('top'));
+          if (shouldRender(wx, y - 1, wz)) addFace(wx, y, wz, 'bottom', tex.bottom, target, tintOf('bottom'));
+          // Blocks with a facing (pistons) can give single sides their own texture
+          if (shouldRender(wx, y, wz + 1)) addFace(wx, y, wz, 'front', tex.front || tex.side, target, tintOf('side'));
+          if (shouldRender(wx, y, wz - 1)) addFace(wx, y, wz, 'back', tex.back || tex.side, target, tintOf('side'));
+          if (shouldRender(wx + 1, y, wz)) addFace(wx, y, wz, 'right', tex.right || tex.side, target, tintOf('side'));
+          if (shouldRender(wx - 1, y, wz)) addFace(wx, y, wz, 'left', tex.left || tex.side, target, tintOf('side'));
+        }
       }
     }
+
+    for (const dir of Object.keys(FACE_DATA)) mergeFaces(dir);
+
+    return { opaque: toArrays(opaque), transparent: toArrays(trans), fluid: toArrays(fluid) };
+  };
+
+  const geometry = {};
+  for (let section = 0; section < SECTION_COUNT; section++) {
+    if (sections & (1 << section)) geometry[section] = buildSection(section);
   }
+  return geometry;
+}
 
-  return {
-    opaque: {
-      positions: new Float32Array(opaque.pos),
-      colors: new Float32Array(opaque.col),
-      normals: new Float32Array(opaque.norm),
-      uvs: new Float32Array(opaque.uvs)
-    },
-    transparent: {
-      positions: new Float32Array(trans.pos),
-      colors: new Float32Array(trans.col),
-      normals: new Float32Array(trans.norm),
-      uvs: new Float32Array(trans.uvs)
+// Every typed array buffer in a built geometry, for zero-copy transfer
+function getGeometryTransferList(geometry) {
+  const buffers = [];
+  for (const section of Object.values(geometry)) {
+    for (const part of Object.values(section)) {
+      for (const array of Object.values(part)) {
+        buffers.push(array.buffer);
+      }
     }
-  };
+  }
+  return buffers;
 }
 
 // Update message handler to transfer normals
@@ -481,18 +991,24 @@ self.onmessage = function(e) {
   const { type, cx, cz, seed, id } = e.data;
 
   if (type === 'init') {
-    noise = new SimplexNoise(seed);
-    noiseDetail = new SimplexNoise(seed + 1000);
-    currentSeed = seed;
+    initNoise(seed);
     self.postMessage({ type: 'ready' });
   }
+  else if (type === 'registry') {
+    for (const definitions of e.data.definitions) applyDefinitions(definitions);
+    buildLightTables();
+  }
+  else if (type === 'blockTextures') {
+    for (const [id, tex] of Object.entries(e.data.textures)) BLOCK_DATA[id].tex = tex;
+  }
   else if (type === 'generate') {
-    const chunkData = generateChunkData(cx, cz, seed);
+    const { blocks, blockEntities } = generateChunkData(cx, cz, seed);
     self.postMessage({
       type: 'chunk',
       id, cx, cz,
-      data: chunkData.buffer
-    }, [chunkData.buffer]);
+      data: blocks.buffer,
+      blockEntities
+    }, [blocks.buffer]);
   }
   else if (type === 'generateAndBuild') {
     const { neighbors, modifiedBlocks } = e.data;
@@ -504,30 +1020,22 @@ self.onmessage = function(e) {
       }
     }
     
-    const chunkData = generateChunkData(cx, cz, seed);
-    const geometry = buildMeshGeometry(cx, cz, chunkData, neighborArrays, modifiedBlocks || {});
+    const { blocks, blockEntities } = generateChunkData(cx, cz, seed);
+    const geometry = buildMeshGeometry(cx, cz, blocks, neighborArrays, modifiedBlocks || {});
     
-    const transferList = [
-      chunkData.buffer,
-      geometry.opaque.positions.buffer,
-      geometry.opaque.colors.buffer,
-      geometry.opaque.normals.buffer,
-      geometry.opaque.uvs.buffer,
-      geometry.transparent.positions.buffer,
-      geometry.transparent.colors.buffer,
-      geometry.transparent.normals.buffer,
-      geometry.transparent.uvs.buffer
-    ];
+    const transferList = [blocks.buffer, ...getGeometryTransferList(geometry)];
     
     self.postMessage({
       type: 'chunkWithMesh',
       id, cx, cz,
-      chunkData: chunkData.buffer,
+      chunkData: blocks.buffer,
+      blockEntities,
       geometry
     }, transferList);
   }
   else if (type === 'buildMesh') {
-    const { chunk, neighbors, modifiedBlocks } = e.data;
+    const { chunk, neighbors, modifiedBlocks, sections } = e.data;
+    if (seed !== undefined && currentSeed !== seed) initNoise(seed);
     
     const chunkArray = new Uint8Array(chunk);
     const neighborArrays = {};
@@ -537,18 +1045,9 @@ self.onmessage = function(e) {
       }
     }
     
-    const geometry = buildMeshGeometry(cx, cz, chunkArray, neighborArrays, modifiedBlocks || {});
+    const geometry = buildMeshGeometry(cx, cz, chunkArray, neighborArrays, modifiedBlocks || {}, sections);
     
-    const transferList = [
-      geometry.opaque.positions.buffer,
-      geometry.opaque.colors.buffer,
-      geometry.opaque.normals.buffer,
-      geometry.opaque.uvs.buffer,
-      geometry.transparent.positions.buffer,
-      geometry.transparent.colors.buffer,
-      geometry.transparent.normals.buffer,
-      geometry.transparent.uvs.buffer
-    ];
+    const transferList = getGeometryTransferList(geometry);
     
     self.postMessage({
       type: 'mesh',
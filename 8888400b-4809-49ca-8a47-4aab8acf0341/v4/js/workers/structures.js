@@ -0,0 +1,499 @@
+// ==================== STRUCTURES ====================
+// Trees, villages, dungeons, desert wells and mineshafts. Loaded by the
+// chunk worker.
+//
+// Anything larger than a single column may cross chunk borders, so none of it
+// is ever decided from another chunk's blocks. Structures grow from start
+// chunks picked by the seed, and their layouts depend only on the seed and
+// the height map. Every chunk replays the starts within reach, keeps the
+// pieces that overlap it, and builds just its own part of them. The result is
+// the same whichever neighbour is generated first.
+
+const STRUCTURE_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const STRUCTURE_CACHE_SIZE = 256;
+const TREE_REACH = 2;  // widest tree canopy, in blocks from the trunk
+
+// Layouts by "type:scx,scz", null for starts that didn't fit. Neighbouring
+// chunks ask for the same starts, so this saves re-planning them every time.
+const structureCache = new Map();
+
+// Writes blocks into the chunk being generated using world coordinates.
+// Anything outside the chunk is dropped: the neighbour that owns it will
+// replay the same structure and place it there.
+class ChunkWriter {
+  constructor(chunk, cx, cz) {
+    this.chunk = chunk;
+    this.minX = cx * CHUNK_SIZE;
+    this.minZ = cz * CHUNK_SIZE;
+    this.blockEntities = [];
+  }
+
+  index(x, y, z) {
+    const lx = x - this.minX;
+    const lz = z - this.minZ;
+    if (lx < 0 || lx >= CHUNK_SIZE || lz < 0 || lz >= CHUNK_SIZE || y < 1 || y >= WORLD_HEIGHT) return -1;
+    return lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT;
+  }
+
+  // Whether a [x0, y0, z0, x1, y1, z1] box (inclusive) reaches into this chunk
+  overlaps(box) {
+    return box[3] >= this.minX && box[0] < this.minX + CHUNK_SIZE &&
+           box[5] >= this.minZ && box[2] < this.minZ + CHUNK_SIZE;
+  }
+
+  set(x, y, z, block) {
+    const idx = this.index(x, y, z);
+    if (idx >= 0) this.chunk[idx] = block;
+  }
+
+  // Only fills air, so leaves and plants never cut into anything else
+  place(x, y, z, block) {
+    const idx = this.index(x, y, z);
+    if (idx >= 0 && this.chunk[idx] === BLOCK.AIR) this.chunk[idx] = block;
+  }
+
+  // Only replaces solid blocks, leaving caves that run through walls open
+  replaceSolid(x, y, z, block) {
+    const idx = this.index(x, y, z);
+    if (idx >= 0 && BLOCK_DATA[this.chunk[idx]]?.solid) this.chunk[idx] = block;
+  }
+
+  isSolid(x, y, z) {
+    const idx = this.index(x, y, z);
+    return idx >= 0 && !!BLOCK_DATA[this.chunk[idx]]?.solid;
+  }
+
+  // Props a floor up with `block` down to solid ground, at most `depth` blocks
+  fillDown(x, y, z, block, depth = 8) {
+    for (let i = 0; i < depth && y - i > 0; i++) {
+      const idx = this.index(x, y - i, z);
+      if (idx < 0 || BLOCK_DATA[this.chunk[idx]]?.solid) return;
+      this.chunk[idx] = block;
+    }
+  }
+
+  // Places a chest whose loot is rolled when it is first opened, see
+  // BlockEntityManager.takeLoot
+  chest(x, y, z, lootTable) {
+    if (this.index(x, y, z) < 0) return;
+    this.set(x, y, z, BLOCK.CHEST);
+    this.blockEntities.push({ x, y, z, type: 'chest', loot: lootTable });
+  }
+}
+
+// ==================== TREES ====================
+
+// Trees rooted in this chunk or close enough for their leaves to reach it.
+// Whether a column grows a tree comes from the height map alone, and columns
+// are visited in the same order everywhere, so overlapping trees resolve the
+// same way on both sides of a border. `heights` and `biomes` are the chunk's
+// own columns; only the border around it is looked up again.
+function placeTrees(writer, heights, biomes, seed) {
+  for (let x = writer.minX - TREE_REACH; x < writer.minX + CHUNK_SIZE + TREE_REACH; x++) {
+    for (let z = writer.minZ - TREE_REACH; z < writer.minZ + CHUNK_SIZE + TREE_REACH; z++) {
+      const lx = x - writer.minX;
+      const lz = z - writer.minZ;
+      let height, biome;
+      if (lx >= 0 && lx < CHUNK_SIZE && lz >= 0 && lz < CHUNK_SIZE) {
+        height = heights[lx + lz * CHUNK_SIZE];
+        biome = biomes[lx + lz * CHUNK_SIZE];
+      } else {
+        const column = terrain.getColumn(x, z);
+        height = column.height;
+        biome = BIOMES[column.biome];
+      }
+      // Only on the biome's own top block, not on beaches or snow caps
+      if (height <= WATER_LEVEL + 2 || height >= WORLD_HEIGHT - 1) continue;
+      if (biome.snowLine && height > biome.snowLine) continue;
+
+      const tree = pickByChance(biome.trees, seededRandom(x, z, seed + 5000));
+      if (tree) TREE_SPECIES[tree.species](writer, x, height, z, seed);
+    }
+  }
+}
+
+// ==================== STRUCTURE TYPES ====================
+// Starts are spread over a grid of `spacing` x `spacing` chunk cells: each
+// cell holds at most one, with probability `chance`, in a random chunk of
+// the cell. `reach` is how many chunks from its start chunk a structure may
+// extend; pieces beyond it are dropped so neighbours never miss one.
+// Underground structures come first so villages sit on top of them.
+const STRUCTURE_TYPES = {
+  mineshaft: { spacing: 8, chance: 0.6, reach: 5, salt: 11000, layout: layoutMineshaft },
+  dungeon: { spacing: 1, chance: 0.1, reach: 1, salt: 12000, layout: layoutDungeon },
+  desert_well: { spacing: 1, chance: 0.03, reach: 1, salt: 13000, layout: layoutDesertWell },
+  village: { spacing: 24, chance: 0.7, reach: 4, salt: 14000, layout: layoutVillage }
+};
+
+function isWithinReach(box, scx, scz, reach) {
+  return box[0] >= (scx - reach) * CHUNK_SIZE && box[3] < (scx + reach + 1) * CHUNK_SIZE &&
+         box[2] >= (scz - reach) * CHUNK_SIZE && box[5] < (scz + reach + 1) * CHUNK_SIZE;
+}
+
+// Start chunks of one type within its reach of chunk (cx, cz)
+function getStructureStarts(type, cx, cz, seed) {
+  const { spacing, chance, reach, salt } = STRUCTURE_TYPES[type];
+  const starts = [];
+  for (let gx = Math.floor((cx - reach) / spacing); gx <= Math.floor((cx + reach) / spacing); gx++) {
+    for (let gz = Math.floor((cz - reach) / spacing); gz <= Math.floor((cz + reach) / spacing); gz++) {
+      const rand = createRandom(gx, gz, seed + salt);
+      if (rand() >= chance) continue;
+      const scx = gx * spacing + Math.floor(rand() * spacing);
+      const scz = gz * spacing + Math.floor(rand() * spacing);
+      if (Math.abs(scx - cx) <= reach && Math.abs(scz - cz) <= reach) starts.push([scx, scz]);
+    }
+  }
+  return starts;
+}
+
+// Pieces ({ box, build(writer) }) of the structure started in chunk
+// (scx, scz), or null when the spot doesn't suit it
+function getStructureLayout(type, scx, scz, seed) {
+  const key = `${type}:${scx},${scz}`;
+  if (structureCache.has(key)) return structureCache.get(key);
+
+  const def = STRUCTURE_TYPES[type];
+  const rand = createRandom(scx, scz, seed + def.salt + 1);
+  let pieces = def.layout(scx, scz, rand, seed);
+  if (pieces) pieces = pieces.filter(piece => isWithinReach(piece.box, scx, scz, def.reach));
+
+  if (structureCache.size >= STRUCTURE_CACHE_SIZE) {
+    structureCache.delete(structureCache.keys().next().value);
+  }
+  structureCache.set(key, pieces);
+  return pieces;
+}
+
+function placeStructures(writer, cx, cz, seed) {
+  for (const type of Object.keys(STRUCTURE_TYPES)) {
+    for (const [scx, scz] of getStructureStarts(type, cx, cz, seed)) {
+      const pieces = getStructureLayout(type, scx, scz, seed);
+      if (!pieces) continue;
+      for (const piece of pieces) {
+        if (writer.overlaps(piece.box)) piece.build(writer);
+      }
+    }
+  }
+  // Drop chests a later piece has built over
+  writer.blockEntities = writer.blockEntities.filter(({ x, y, z }) =>
+    writer.chunk[writer.index(x, y, z)] === BLOCK.CHEST);
+}
+
+// ==================== DUNGEONS ====================
+
+// A cobblestone room buried in stone with one or two chests along its walls
+function layoutDungeon(scx, scz, rand, seed) {
+  const x = scx * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+  const z = scz * CHUNK_SIZE + Math.floor(rand() * CHUNK_SIZE);
+  const y = 6 + Math.floor(rand() * 24);
+  const rx = 2 + Math.floor(rand() * 2);
+  const rz = 2 + Math.floor(rand() * 2);
+  if (y + 8 > terrain.getTerrainHeight(x, z)) return null;
+
+  const chests = [];
+  const chestCount = 1 + Math.floor(rand() * 2);
+  for (let i = 0; i < chestCount; i++) {
+    const along = rand();
+    const side = Math.floor(rand() * 4);
+    const chest = side < 2
+      ? [side === 0 ? x - rx : x + rx, z - rz + Math.floor(along * (rz * 2 + 1))]
+      : [x - rx + Math.floor(along * (rx * 2 + 1)), side === 2 ? z - rz : z + rz];
+    // Chests next to each other would need to be a double chest
+    if (chests.some(([cx, cz]) => Math.abs(cx - chest[0]) + Math.abs(cz - chest[1]) <= 1)) continue;
+    chests.push(chest);
+  }
+
+  const box = [x - rx - 1, y, z - rz - 1, x + rx + 1, y + 4, z + rz + 1];
+  return [{
+    box,
+    build(writer) {
+      for (let bx = box[0]; bx <= box[3]; bx++) {
+        for (let bz = box[2]; bz <= box[5]; bz++) {
+          const wall = bx === box[0] || bx === box[3] || bz === box[2] || bz === box[5];
+          writer.set(bx, y, bz, seededRandom(bx, bz, seed + 12500) < 0.3 ? BLOCK.GRAVEL : BLOCK.COBBLE);
+          writer.replaceSolid(bx, y + 4, bz, BLOCK.COBBLE);
+          for (let by = y + 1; by < y + 4; by++) {
+            if (wall) writer.replaceSolid(bx, by, bz, BLOCK.COBBLE);
+            else writer.set(bx, by, bz, BLOCK.AIR);
+          }
+        }
+      }
+      for (const [cx, cz] of chests) writer.chest(cx, y + 1, cz, 'dungeon');
+    }
+  }];
+}
+
+// ==================== WELLS ====================
+
+// A roofed well on four pillars over a pool of water; ground level is `y`
+function wellPiece(x, y, z, block) {
+  return {
+    box: [x - 2, y - 4, z - 2, x + 2, y + 3, z + 2],
+    build(writer) {
+      for (let dx = -2; dx <= 2; dx++) {
+        for (let dz = -2; dz <= 2; dz++) {
+          for (let dy = 0; dy <= 3; dy++) writer.set(x + dx, y + dy, z + dz, BLOCK.AIR);
+          writer.set(x + dx, y - 1, z + dz, block);
+          writer.fillDown(x + dx, y - 2, z + dz, block);
+
+          const corner = Math.abs(dx) === 1 && Math.abs(dz) === 1;
+          if (Math.abs(dx) <= 1 && Math.abs(dz) <= 1) {
+            if (dx !== 0 || dz !== 0) writer.set(x + dx, y, z + dz, block);
+            if (corner) {
+              writer.set(x + dx, y + 1, z + dz, block);
+              writer.set(x + dx, y + 2, z + dz, block);
+            }
+            writer.set(x + dx, y + 3, z + dz, block);
+          }
+        }
+      }
+      for (let dy = 1; dy <= 3; dy++) writer.set(x, y - dy, z, BLOCK.WATER);
+    }
+  };
+}
+
+function layoutDesertWell(scx, scz, rand) {
+  const x = scx * CHUNK_SIZE + 2 + Math.floor(rand() * (CHUNK_SIZE - 4));
+  const z = scz * CHUNK_SIZE + 2 + Math.floor(rand() * (CHUNK_SIZE - 4));
+  const { height, biome } = terrain.getColumn(x, z);
+  if (biome !== 'desert' || height <= WATER_LEVEL + 2) return null;
+  return [wellPiece(x, height, z, BLOCK.COBBLE)];
+}
+
+// ==================== MINESHAFTS ====================
+// A dirt-floored room with 3x3 corridors branching off it. Corridors are
+// braced with log posts and plank beams and bridge over caves on planks.
+
+const MINESHAFT_MAX_CORRIDORS = 24;
+const MINESHAFT_CHEST_CHANCE = 0.12;  // per corridor
+
+function layoutMineshaft(scx, scz, rand) {
+  const { reach } = STRUCTURE_TYPES.mineshaft;
+  const x = scx * CHUNK_SIZE + 8;
+  const z = scz * CHUNK_SIZE + 8;
+  const y = 10 + Math.floor(rand() * 14);
+  if (y + 8 > terrain.getTerrainHeight(x, z)) return null;
+
+  const pieces = [mineshaftRoomPiece(x, y, z)];
+  const queue = STRUCTURE_DIRECTIONS.map(([dx, dz]) => ({ x: x + dx * 4, z: z + dz * 4, dx, dz, depth: 0 }));
+
+  while (queue.length > 0 && pieces.length <= MINESHAFT_MAX_CORRIDORS) {
+    const { x: sx, z: sz, dx, dz, depth } = queue.shift();
+    const length = 8 + 4 * Math.floor(rand() * 4);
+    const ex = sx + dx * (length - 1);
+    const ez = sz + dz * (length - 1);
+
+    const chestAt = rand() < MINESHAFT_CHEST_CHANCE ? 1 + 4 * Math.floor(rand() * (length / 4)) : -1;
+    const chestSide = rand() < 0.5 ? -1 : 1;
+    const piece = mineshaftCorridorPiece(sx, y, sz, dx, dz, length, chestAt, chestSide);
+
+    // Stop at the edge of reach and wherever the ground above gets thin
+    const midX = (sx + ex) >> 1;
+    const midZ = (sz + ez) >> 1;
+    if (!isWithinReach(piece.box, scx, scz, reach)) continue;
+    if ([[sx, sz], [midX, midZ], [ex, ez]].some(([cx, cz]) => y + 6 > terrain.getTerrainHeight(cx, cz))) continue;
+    pieces.push(piece);
+
+    if (depth >= 4) continue;
+    const branch = rand();
+    if (branch < 0.4) {
+      queue.push({ x: ex + dx, z: ez + dz, dx, dz, depth: depth + 1 });
+    } else if (branch < 0.85) {
+      // Crossing at the end: turn off to one side or both
+      for (const turn of [-1, 1]) {
+        if (rand() < 0.35) continue;
+        const tx = -dz * turn;
+        const tz = dx * turn;
+        queue.push({ x: ex + tx * 2, z: ez + tz * 2, dx: tx, dz: tz, depth: depth + 1 });
+      }
+    }
+  }
+  return pieces;
+}
+
+function mineshaftRoomPiece(x, y, z) {
+  const box = [x - 3, y - 1, z - 3, x + 3, y + 3, z + 3];
+  return {
+    box,
+    build(writer) {
+      for (let bx = box[0]; bx <= box[3]; bx++) {
+        for (let bz = box[2]; bz <= box[5]; bz++) {
+          writer.set(bx, y - 1, bz, BLOCK.DIRT);
+          for (let by = y; by <= y + 3; by++) writer.set(bx, by, bz, BLOCK.AIR);
+        }
+      }
+    }
+  };
+}
+
+// A corridor `length` blocks long from (x, z) in direction (dx, dz). chestAt
+// is the step holding a chest against the wall on `chestSide`, or -1.
+function mineshaftCorridorPiece(x, y, z, dx, dz, length, chestAt, chestSide) {
+  const px = Math.abs(dz);
+  const pz = Math.abs(dx);
+  const ex = x + dx * (length - 1);
+  const ez = z + dz * (length - 1);
+  return {
+    box: [Math.min(x, ex) - px, y - 1, Math.min(z, ez) - pz, Math.max(x, ex) + px, y + 2, Math.max(z, ez) + pz],
+    build(writer) {
+      for (let i = 0; i < length; i++) {
+        const cx = x + dx * i;
+        const cz = z + dz * i;
+        for (let s = -1; s <= 1; s++) {
+          const bx = cx + px * s;
+          const bz = cz + pz * s;
+          for (let h = 0; h < 3; h++) writer.set(bx, y + h, bz, BLOCK.AIR);
+          if (!writer.isSolid(bx, y - 1, bz)) writer.set(bx, y - 1, bz, BLOCK.PLANKS);
+        }
+
+        if (i % 4 === 2) {
+          for (const s of [-1, 1]) {
+            writer.set(cx + px * s, y, cz + pz * s, BLOCK.WOOD);
+            writer.set(cx + px * s, y + 1, cz + pz * s, BLOCK.WOOD);
+          }
+          for (let s = -1; s <= 1; s++) writer.set(cx + px * s, y + 2, cz + pz * s, BLOCK.PLANKS);
+        }
+      }
+      if (chestAt >= 0) {
+        writer.chest(x + dx * chestAt + px * chestSide, y, z + dz * chestAt + pz * chestSide, 'mineshaft');
+      }
+    }
+  };
+}
+
+// ==================== VILLAGES ====================
+// A well in the middle, gravel roads out in all four directions and houses
+// along both sides of them. Blocks come from the biome at the well.
+
+const VILLAGE_PALETTES = {
+  plains: { wall: BLOCK.PLANKS, frame: BLOCK.WOOD, roof: BLOCK.WOOD, floor: BLOCK.COBBLE, path: BLOCK.GRAVEL },
+  taiga: { wall: BLOCK.PLANKS, frame: BLOCK.SPRUCE_LOG, roof: BLOCK.SPRUCE_LOG, floor: BLOCK.COBBLE, path: BLOCK.GRAVEL },
+  snow: { wall: BLOCK.PLANKS, frame: BLOCK.SPRUCE_LOG, roof: BLOCK.SNOW, floor: BLOCK.COBBLE, path: BLOCK.GRAVEL },
+  desert: { wall: BLOCK.COBBLE, frame: BLOCK.PLANKS, roof: BLOCK.PLANKS, floor: BLOCK.COBBLE, path: BLOCK.GRAVEL }
+};
+
+function layoutVillage(scx, scz, rand) {
+  const x = scx * CHUNK_SIZE + 8;
+  const z = scz * CHUNK_SIZE + 8;
+  const { height, biome } = terrain.getColumn(x, z);
+  const palette = VILLAGE_PALETTES[biome];
+  if (!palette || height <= WATER_LEVEL + 2) return null;
+
+  const pieces = [wellPiece(x, height, z, palette.floor)];
+  const houses = [];
+  for (const [dx, dz] of STRUCTURE_DIRECTIONS) {
+    const length = 14 + Math.floor(rand() * 16);
+    const rx = x + dx * 3;
+    const rz = z + dz * 3;
+    pieces.push(villageRoadPiece(rx, rz, dx, dz, length, palette));
+
+    // Houses start far enough out to clear those on the neighbouring roads
+    for (let along = 7; along + 6 < length; along += 8) {
+      for (const side of [-1, 1]) {
+        const width = rand() < 0.5 ? 5 : 7;
+        const depth = 5 + Math.floor(rand() * 2);
+        if (rand() < 0.3) continue;
+        const house = villageHousePiece(rx + dx * along, rz + dz * along, dx, dz, side, width, depth, palette);
+        if (house) houses.push(house);
+      }
+    }
+  }
+
+  // One house keeps a chest of supplies
+  if (houses.length > 0) houses[Math.floor(rand() * houses.length)].hasChest = true;
+  return pieces.concat(houses);
+}
+
+// Roads follow the ground and cross water on planks
+function villageRoadPiece(x, z, dx, dz, length, palette) {
+  const px = Math.abs(dz);
+  const pz = Math.abs(dx);
+  const ex = x + dx * (length - 1);
+  const ez = z + dz * (length - 1);
+  return {
+    box: [Math.min(x, ex) - px, 0, Math.min(z, ez) - pz, Math.max(x, ex) + px, WORLD_HEIGHT - 1, Math.max(z, ez) + pz],
+    build(writer) {
+      for (let i = 0; i < length; i++) {
+        for (let s = -1; s <= 1; s++) {
+          const bx = x + dx * i + px * s;
+          const bz = z + dz * i + pz * s;
+          const ground = terrain.getTerrainHeight(bx, bz);
+          if (ground <= WATER_LEVEL) {
+            writer.set(bx, WATER_LEVEL, bz, BLOCK.PLANKS);
+            continue;
+          }
+          writer.set(bx, ground - 1, bz, palette.path);
+          writer.set(bx, ground, bz, BLOCK.AIR);
+          writer.set(bx, ground + 1, bz, BLOCK.AIR);
+        }
+      }
+    }
+  };
+}
+
+// A house `width` blocks along the road at (x, z) and `depth` blocks deep,
+// on `side` of it, with its door facing the road. Null on ground too steep
+// or wet to build on.
+function villageHousePiece(x, z, dx, dz, side, width, depth, palette) {
+  // Steps along the road and away from it
+  const ix = -dz * side;
+  const iz = dx * side;
+  const ox = x + ix * 3;
+  const oz = z + iz * 3;
+  const cell = (a, d) => [ox + dx * a + ix * d, oz + dz * a + iz * d];
+
+  const corners = [cell(0, 0), cell(width - 1, 0), cell(0, depth - 1), cell(width - 1, depth - 1)];
+  const groundHeights = corners.map(([cx, cz]) => terrain.getTerrainHeight(cx, cz));
+  const [mx, mz] = cell(width >> 1, depth >> 1);
+  const y = terrain.getTerrainHeight(mx, mz);
+  if (y <= WATER_LEVEL + 1 || groundHeights.some(h => Math.abs(h - y) > 2)) return null;
+
+  const xs = corners.map(c => c[0]);
+  const zs = corners.map(c => c[1]);
+  const door = width >> 1;
+  return {
+    hasChest: false,
+    box: [Math.min(...xs, x), y - 8, Math.min(...zs, z), Math.max(...xs, x), y + 6, Math.max(...zs, z)],
+    build(writer) {
+      for (let a = 0; a < width; a++) {
+        for (let d = 0; d < depth; d++) {
+          const [bx, bz] = cell(a, d);
+          const edgeA = a === 0 || a === width - 1;
+          const edgeD = d === 0 || d === depth - 1;
+
+          writer.fillDown(bx, y - 2, bz, palette.floor);
+          writer.set(bx, y - 1, bz, palette.floor);
+          for (let h = 0; h < 3; h++) {
+            let block = BLOCK.AIR;
+            if (edgeA && edgeD) {
+              block = palette.frame;
+            } else if (edgeA || edgeD) {
+              block = palette.wall;
+              const window = h === 1 && (edgeA ? d === depth >> 1 : a === door && d > 0);
+              if (window) block = BLOCK.GLASS;
+              if (d === 0 && a === door && h < 2) block = BLOCK.AIR;
+            }
+            writer.set(bx, y + h, bz, block);
+          }
+          writer.set(bx, y + 3, bz, edgeA || edgeD ? palette.frame : palette.roof);
+          for (let h = 4; h <= 6; h++) writer.set(bx, y + h, bz, BLOCK.AIR);
+        }
+      }
+
+      // Step between the road and the door
+      const [sx, sz] = cell(door, -1);
+      writer.set(sx, y - 1, sz, palette.path);
+      writer.set(sx, y, sz, BLOCK.AIR);
+      writer.set(sx, y + 1, sz, BLOCK.AIR);
+
+      const [tx, tz] = cell(1, 1);
+      writer.set(tx, y, tz, BLOCK.TORCH);
+      if (this.hasChest) {
+        const [kx, kz] = cell(width - 2, depth - 2);
+        writer.chest(kx, y, kz, 'village');
+        const [wx, wz] = cell(1, depth - 2);
+        writer.set(wx, y, wz, BLOCK.CRAFTING_TABLE);
+      }
+    }
+  };
+}
@@ -0,0 +1,444 @@
+// ==================== WORLD FILE FORMAT ====================
+// Exported worlds (.mcw) are a small header followed by a deflate-compressed
+// body of tagged sections:
+//
+//   header:  "MCW" 0x00 | u16 save version | u8 flags (bit 0: deflate)
+//   section: u8 tag | varint byte length | payload   (tag 0 ends the body)
+//
+// Unknown section tags are skipped so newer minor additions stay readable.
+// Saves of any version are brought up to SAVE_VERSION by SAVE_MIGRATIONS,
+// one step at a time, both when importing and when opening a stored world.
+
+const MCW_MAGIC = [0x4d, 0x43, 0x57, 0x00];
+const MCW_FLAG_DEFLATE = 1;
+
+const MCW_SECTION = {
+  END: 0,
+  META: 1,        // JSON: name, seed, player, time, block entities
+  BLOCKS: 2,      // run-length encoded block edits, grouped per chunk
+  INVENTORY: 3,   // hotbar, inventory, armor and crafting grid slots
+  DROPPED: 4      // dropped item entities
+};
+
+// Slot lists in the INVENTORY section, in file order
+const MCW_SLOT_LISTS = ['hotbar', 'inventory', 'armor', 'craftingGrid'];
+
+// Upper bounds on counts read from a file, so a corrupt one fails cleanly
+// instead of allocating an enormous array
+const MCW_MAX_SLOTS = 27;
+const MCW_MAX_DROPPED_ITEMS = 65536;
+
+class SaveFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveFormatError';
+  }
+}
+
+// Each entry upgrades a save from version N to N + 1
+const SAVE_MIGRATIONS = {
+  // 1 -> 2: armor, the 3x3 crafting grid, block entities and the day/night
+  // clock were added after the first format; fill in their defaults
+  1(save) {
+    return {
+      ...save,
+      worldTime: save.worldTime ?? DAY_LENGTH * NEW_WORLD_TIME,
+      armor: save.armor || new Array(ARMOR_SLOTS.length).fill(null),
+      craftingGrid: save.craftingGrid || new Array(9).fill(null),
+      blockEntities: save.blockEntities || [],
+      droppedItems: save.droppedItems || [],
+      version: 2
+    };
+  }
+};
+
+function migrateSave(save) {
+  if (!Number.isInteger(save.version) || save.version < 1) {
+    throw new SaveFormatError(`Unknown save version "${save.version}"`);
+  }
+  if (save.version > SAVE_VERSION) {
+    throw new SaveFormatError(
+      `This world was saved by a newer version of the game (save version ${save.version}, ` +
+      `this game supports up to ${SAVE_VERSION})`
+    );
+  }
+  while (save.version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[save.version];
+    if (!migrate) throw new SaveFormatError(`No upgrade path from save version ${save.version}`);
+    save = migrate(save);
+  }
+  return save;
+}
+
+// Checks the fields the game relies on when loading a world
+function validateSave(save) {
+  const fail = (what) => { throw new SaveFormatError(`Save is missing or has an invalid ${what}`); };
+  if (typeof save.worldName !== 'string' || !save.worldName) fail('world name');
+  if (!Number.isFinite(save.seed)) fail('seed');
+  if (save.player && !Number.isFinite(save.player.position?.x)) fail('player position');
+  for (const list of MCW_SLOT_LISTS) {
+    if (save[list] !== undefined && !Array.isArray(save[list])) fail(list);
+  }
+  if (save.modifiedBlocks !== undefined) {
+    if (!Array.isArray(save.modifiedBlocks)) fail('block list');
+    for (const entry of save.modifiedBlocks) {
+      if (!Array.isArray(entry) || typeof entry[0] !== 'string' || !Number.isInteger(entry[1])) fail('block list entry');
+    }
+  }
+  if (save.blockEntities !== undefined && !Array.isArray(save.blockEntities)) fail('block entity list');
+  return save;
+}
+
+// ==================== BYTE STREAMS ====================
+
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(1024);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  u16(value) {
+    this.u8(value & 0xff);
+    this.u8(value >> 8);
+  }
+
+  // Unsigned LEB128
+  varint(value) {
+    do {
+      let byte = value % 128;
+      value = Math.floor(value / 128);
+      if (value > 0) byte |= 0x80;
+      this.u8(byte);
+    } while (value > 0);
+  }
+
+  // Zigzag so small negative numbers stay short
+  svarint(value) {
+    this.varint(value < 0 ? -value * 2 - 1 : value * 2);
+  }
+
+  f32(value) {
+    this.ensure(4);
+    new DataView(this.bytes.buffer).setFloat32(this.length, value, true);
+    this.length += 4;
+  }
+
+  raw(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  section(tag, writer) {
+    this.u8(tag);
+    this.varint(writer.length);
+    this.raw(writer.result());
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  get done() {
+    return this.pos >= this.bytes.length;
+  }
+
+  need(count) {
+    if (this.pos + count > this.bytes.length) {
+      throw new SaveFormatError('World file is truncated or corrupt');
+    }
+  }
+
+  u8() {
+    this.need(1);
+    return this.bytes[this.pos++];
+  }
+
+  u16() {
+    return this.u8() | (this.u8() << 8);
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = this.u8();
+      value += (byte & 0x7f) * scale;
+      if (!(byte & 0x80)) return value;
+      scale *= 128;
+      if (scale > 2 ** 49) throw new SaveFormatError('World file contains an invalid number');
+    }
+  }
+
+  svarint() {
+    const value = this.varint();
+    return value % 2 ? -(value + 1) / 2 : value / 2;
+  }
+
+  f32() {
+    this.need(4);
+    const value = new DataView(this.bytes.buffer, this.bytes.byteOffset).getFloat32(this.pos, true);
+    this.pos += 4;
+    return value;
+  }
+
+  raw(count) {
+    this.need(count);
+    const bytes = this.bytes.subarray(this.pos, this.pos + count);
+    this.pos += count;
+    return bytes;
+  }
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ==================== ENCODING ====================
+
+// Edits are sorted per chunk by a layer-major index, so a filled floor or
+// wall becomes a handful of (gap, length, block) runs
+function writeBlocks(modifiedBlocks) {
+  const chunks = new Map();
+  for (const [key, id] of modifiedBlocks) {
+    const [x, y, z] = key.split(',').map(Number);
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    const index = (x - cx * CHUNK_SIZE) + (z - cz * CHUNK_SIZE) * CHUNK_SIZE + y * CHUNK_SIZE * CHUNK_SIZE;
+    const chunkKey = `${cx},${cz}`;
+    if (!chunks.has(chunkKey)) chunks.set(chunkKey, []);
+    chunks.get(chunkKey).push([index, id]);
+  }
+
+  const out = new ByteWriter();
+  out.varint(chunks.size);
+  chunks.forEach((blocks, chunkKey) => {
+    const [cx, cz] = chunkKey.split(',').map(Number);
+    blocks.sort((a, b) => a[0] - b[0]);
+
+    const runs = [];
+    for (const [index, id] of blocks) {
+      const last = runs[runs.length - 1];
+      if (last && last.start + last.length === index && last.id === id) {
+        last.length++;
+      } else {
+        runs.push({ start: index, length: 1, id });
+      }
+    }
+
+    out.svarint(cx);
+    out.svarint(cz);
+    out.varint(runs.length);
+    let end = 0;
+    for (const run of runs) {
+      out.varint(run.start - end);
+      out.varint(run.length);
+      out.varint(run.id);
+      end = run.start + run.length;
+    }
+  });
+  return out;
+}
+
+function readBlocks(reader) {
+  const modifiedBlocks = [];
+  const layer = CHUNK_SIZE * CHUNK_SIZE;
+  const chunkVolume = layer * WORLD_HEIGHT;
+  const chunkCount = reader.varint();
+  for (let c = 0; c < chunkCount; c++) {
+    const cx = reader.svarint();
+    const cz = reader.svarint();
+    const runCount = reader.varint();
+    let end = 0;
+    for (let r = 0; r < runCount; r++) {
+      const start = end + reader.varint();
+      const length = reader.varint();
+      const id = reader.varint();
+      // Runs index into one chunk column, so they can never reach past its top
+      if (start + length > chunkVolume) {
+        throw new SaveFormatError('World file is corrupt (a block run leaves its chunk)');
+      }
+      for (let index = start; index < start + length; index++) {
+        const x = cx * CHUNK_SIZE + index % CHUNK_SIZE;
+        const z = cz * CHUNK_SIZE + Math.floor(index / CHUNK_SIZE) % CHUNK_SIZE;
+        const y = Math.floor(index / layer);
+        modifiedBlocks.push([`${x},${y},${z}`, id]);
+      }
+      end = start + length;
+    }
+  }
+  return modifiedBlocks;
+}
+
+// Empty slots are a single 0; durability is stored +1 so 0 means "none"
+function writeInventory(save) {
+  const out = new ByteWriter();
+  for (const name of MCW_SLOT_LISTS) {
+    const slots = save[name] || [];
+    out.varint(slots.length);
+    for (const slot of slots) {
+      if (!slot) {
+        out.varint(0);
+        continue;
+      }
+      out.varint(slot.id + 1);
+      out.varint(slot.count);
+      out.varint(slot.durability === undefined ? 0 : slot.durability + 1);
+    }
+  }
+  return out;
+}
+
+function readInventory(reader, save) {
+  for (const name of MCW_SLOT_LISTS) {
+    const count = reader.varint();
+    if (count > MCW_MAX_SLOTS) throw new SaveFormatError(`World file is corrupt (too many ${name} slots)`);
+    const slots = new Array(count);
+    for (let i = 0; i < slots.length; i++) {
+      const id = reader.varint();
+      if (id === 0) {
+        slots[i] = null;
+        continue;
+      }
+      const slot = { id: id - 1, count: reader.varint() };
+      const durability = reader.varint();
+      if (durability > 0) slot.durability = durability - 1;
+      slots[i] = slot;
+    }
+    save[name] = slots;
+  }
+}
+
+function writeDroppedItems(items) {
+  const out = new ByteWriter();
+  const kept = items.slice(0, MCW_MAX_DROPPED_ITEMS);
+  out.varint(kept.length);
+  for (const item of kept) {
+    for (const value of [item.x, item.y, item.z, item.vx || 0, item.vy || 0, item.vz || 0]) {
+      out.f32(value);
+    }
+    out.varint(item.itemId);
+    out.varint(item.count);
+  }
+  return out;
+}
+
+function readDroppedItems(reader) {
+  const count = reader.varint();
+  if (count > MCW_MAX_DROPPED_ITEMS) throw new SaveFormatError('World file is corrupt (too many dropped items)');
+  const items = new Array(count);
+  for (let i = 0; i < items.length; i++) {
+    const [x, y, z, vx, vy, vz] = [0, 0, 0, 0, 0, 0].map(() => reader.f32());
+    items[i] = { x, y, z, vx, vy, vz, itemId: reader.varint(), count: reader.varint() };
+  }
+  return items;
+}
+
+// Flat save (with a modifiedBlocks array) -> .mcw bytes
+async function encodeWorldFile(save) {
+  const { modifiedBlocks = [], droppedItems = [], ...meta } = save;
+  for (const name of MCW_SLOT_LISTS) delete meta[name];
+
+  const body = new ByteWriter();
+  const metaWriter = new ByteWriter();
+  metaWriter.raw(new TextEncoder().encode(JSON.stringify(meta)));
+  body.section(MCW_SECTION.META, metaWriter);
+  body.section(MCW_SECTION.BLOCKS, writeBlocks(modifiedBlocks));
+  body.section(MCW_SECTION.INVENTORY, writeInventory(save));
+  body.section(MCW_SECTION.DROPPED, writeDroppedItems(droppedItems));
+  body.u8(MCW_SECTION.END);
+
+  const out = new ByteWriter();
+  out.raw(MCW_MAGIC);
+  out.u16(save.version);
+  out.u8(MCW_FLAG_DEFLATE);
+  out.raw(await pipeBytes(body.result(), new CompressionStream('deflate')));
+  return out.result();
+}
+
+function isWorldFile(bytes) {
+  return MCW_MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+// .mcw bytes -> flat save, migrated to SAVE_VERSION and validated
+async function decodeWorldFile(bytes) {
+  const header = new ByteReader(bytes);
+  header.raw(MCW_MAGIC.length);
+  const version = header.u16();
+  const flags = header.u8();
+
+  // Refuse before touching a body whose layout we may not understand
+  migrateSave({ version });
+
+  let body = bytes.subarray(header.pos);
+  if (flags & MCW_FLAG_DEFLATE) {
+    try {
+      body = await pipeBytes(body, new DecompressionStream('deflate'));
+    } catch (e) {
+      throw new SaveFormatError('World file is corrupt (the data could not be decompressed)');
+    }
+  }
+
+  const reader = new ByteReader(body);
+  let save = null;
+  const extra = {};
+  for (;;) {
+    const tag = reader.u8();
+    if (tag === MCW_SECTION.END) break;
+    const section = new ByteReader(reader.raw(reader.varint()));
+
+    if (tag === MCW_SECTION.META) {
+      try {
+        save = JSON.parse(new TextDecoder().decode(section.bytes));
+      } catch (e) {
+        throw new SaveFormatError('World file is corrupt (unreadable world info)');
+      }
+    } else if (tag === MCW_SECTION.BLOCKS) {
+      extra.modifiedBlocks = readBlocks(section);
+    } else if (tag === MCW_SECTION.INVENTORY) {
+      readInventory(section, extra);
+    } else if (tag === MCW_SECTION.DROPPED) {
+      extra.droppedItems = readDroppedItems(section);
+    }
+  }
+  if (!save) throw new SaveFormatError('World file has no world info');
+
+  return validateSave(migrateSave({ ...save, ...extra, version }));
+}
+
+// Accepts .mcw bytes or a JSON export from older versions
+async function readWorldFile(data, defaults = {}) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (isWorldFile(bytes)) return decodeWorldFile(bytes);
+
+  let save;
+  try {
+    save = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    throw new SaveFormatError('Not a world file (expected a .mcw or .json export)');
+  }
+  if (!save || typeof save !== 'object') {
+    throw new SaveFormatError('Not a world file (expected a .mcw or .json export)');
+  }
+  return validateSave(migrateSave({ ...defaults, ...save }));
+}
@@ -0,0 +1,457 @@
+// ==================== WORLD MAP ====================
+// A top-down map of every chunk the player has had loaded. Each chunk is a
+// 16x16 tile holding the `top` colour of the highest block in every column,
+// lighter where the ground rises going south and darker where it falls, so
+// hills read like a paper map. Tiles are kept per region in the save (see
+// SaveManager), so the map survives reloads without regenerating terrain.
+//
+// The minimap in the corner turns with the player, who always faces up; M
+// opens the full map, which zooms with the wheel and pans by dragging.
+// Clicking it adds a waypoint and right-clicking one removes it. Waypoints
+// and the spot of the last death are kept in the world record.
+
+class WorldMap {
+  constructor(game) {
+    this.game = game;
+    this.isOpen = false;
+    this.zoom = MAP_DEFAULT_ZOOM;     // Full map pixels per block
+    this.center = { x: 0, z: 0 };     // Block at the middle of the full map
+    this.drag = null;                 // { x, y, moved } while the mouse is held on the full map
+    this.reset(null);
+  }
+
+  reset(worldId) {
+    this.worldId = worldId;
+    this.tiles = new Map();           // chunk key -> { cx, cz, pixels, canvas, stale }
+    this.dirty = new Set();           // region keys
+    this.waypoints = [];              // { name, x, y, z, color }
+    this.deathPoint = null;
+
+    // Tiles recorded while the stored ones are read are newer and win
+    this.loaded = worldId === null ? Promise.resolve() : this.game.saveManager.getMapRegions(worldId).then(regions => {
+      if (this.worldId !== worldId) return;
+      for (const region of regions) {
+        for (const [key, pixels] of Object.entries(region.chunks)) {
+          if (this.tiles.has(key)) continue;
+          const [cx, cz] = key.split(',').map(Number);
+          this.tiles.set(key, { cx, cz, pixels: new Uint8ClampedArray(pixels), canvas: null, stale: true });
+        }
+      }
+    }).catch(e => {
+      // Not saved this session either, so the stored map isn't overwritten
+      console.error('Failed to load the world map:', e);
+      if (this.worldId === worldId) this.worldId = null;
+    });
+  }
+
+  serialize() {
+    return {
+      waypoints: this.waypoints.map(waypoint => ({ ...waypoint })),
+      deathPoint: this.deathPoint && { ...this.deathPoint }
+    };
+  }
+
+  load(data) {
+    this.waypoints = (data.waypoints || []).map(waypoint => ({ ...waypoint }));
+    this.deathPoint = data.deathPoint || null;
+  }
+
+  // Region records for the tiles changed since the last save
+  async collectDirty() {
+    await this.loaded;
+    if (this.worldId === null) return [];
+
+    const regions = new Map();
+    for (const tile of this.tiles.values()) {
+      const key = getRegionKey(tile.cx, tile.cz);
+      if (!this.dirty.has(key)) continue;
+      if (!regions.has(key)) regions.set(key, { key, chunks: {} });
+      regions.get(key).chunks[`${tile.cx},${tile.cz}`] = tile.pixels.slice();
+    }
+    this.dirty.clear();
+    return Array.from(regions.values());
+  }
+
+  // Puts regions back in the queue after a failed write
+  markDirty(regions) {
+    for (const region of regions) this.dirty.add(region.key);
+  }
+
+  // ==================== TILES ====================
+
+  // Highest block with a map colour in a loaded column, or null
+  getSurface(x, z) {
+    const chunk = this.game.chunks.get(`${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`);
+    if (!chunk) return null;
+
+    const lx = ((x % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const lz = ((z % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    for (let y = WORLD_HEIGHT - 1; y >= 0; y--) {
+      const block = chunk[lx + y * CHUNK_SIZE + lz * CHUNK_SIZE * WORLD_HEIGHT];
+      if (block !== BLOCK.AIR && BLOCK_DATA[block]?.top !== undefined) return { y, block };
+    }
+    return null;
+  }
+
+  recordColumn(x, z) {
+    const surface = this.getSurface(x, z);
+    if (!surface) return;
+
+    const data = BLOCK_DATA[surface.block];
+    const north = this.getSurface(x, z - 1);
+    let shade = 1;
+    if (data.fluid) {
+      shade = 0.9;
+    } else if (north && surface.y > north.y) {
+      shade = 1.12;
+    } else if (north && surface.y < north.y) {
+      shade = 0.8;
+    }
+
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cz = Math.floor(z / CHUNK_SIZE);
+    const key = `${cx},${cz}`;
+    let tile = this.tiles.get(key);
+    if (!tile) {
+      tile = { cx, cz, pixels: new Uint8ClampedArray(CHUNK_SIZE * CHUNK_SIZE * 4), canvas: null, stale: true };
+      this.tiles.set(key, tile);
+    }
+
+    const lx = x - cx * CHUNK_SIZE;
+    const lz = z - cz * CHUNK_SIZE;
+    const i = (lx + lz * CHUNK_SIZE) * 4;
+    tile.pixels[i] = ((data.top >> 16) & 255) * shade;
+    tile.pixels[i + 1] = ((data.top >> 8) & 255) * shade;
+    tile.pixels[i + 2] = (data.top & 255) * shade;
+    tile.pixels[i + 3] = 255;
+    tile.stale = true;
+    this.dirty.add(getRegionKey(cx, cz));
+  }
+
+  // Called once a chunk's blocks (and edits) are in place. The first row of
+  // the chunk to the south is shaded against this one, so it is redone too.
+  recordChunk(cx, cz) {
+    for (let lz = 0; lz <= CHUNK_SIZE; lz++) {
+      for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+        this.recordColumn(cx * CHUNK_SIZE + lx, cz * CHUNK_SIZE + lz);
+      }
+    }
+  }
+
+  // Called by setBlock
+  onBlockChanged(x, y, z) {
+    this.recordColumn(x, z);
+    this.recordColumn(x, z + 1);
+  }
+
+  getTileCanvas(tile) {
+    if (!tile.canvas) {
+      tile.canvas = document.createElement('canvas');
+      tile.canvas.width = tile.canvas.height = CHUNK_SIZE;
+    }
+    if (tile.stale) {
+      tile.canvas.getContext('2d').putImageData(new ImageData(tile.pixels, CHUNK_SIZE, CHUNK_SIZE), 0, 0);
+      tile.stale = false;
+    }
+    return tile.canvas;
+  }
+
+  // Draws the tiles within `radius` blocks of (x, z) in block coordinates;
+  // the caller sets up the transform
+  drawTiles(ctx, x, z, radius) {
+    const minCx = Math.floor((x - radius) / CHUNK_SIZE);
+    const maxCx = Math.floor((x + radius) / CHUNK_SIZE);
+    const minCz = Math.floor((z - radius) / CHUNK_SIZE);
+    const maxCz = Math.floor((z + radius) / CHUNK_SIZE);
+    const draw = (tile) => {
+      ctx.drawImage(this.getTileCanvas(tile), tile.cx * CHUNK_SIZE, tile.cz * CHUNK_SIZE);
+    };
+
+    // Zoomed far out there are more chunks in view than tiles to draw
+    if ((maxCx - minCx + 1) * (maxCz - minCz + 1) > this.tiles.size) {
+      for (const tile of this.tiles.values()) {
+        if (tile.cx >= minCx && tile.cx <= maxCx && tile.cz >= minCz && tile.cz <= maxCz) draw(tile);
+      }
+      return;
+    }
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cz = minCz; cz <= maxCz; cz++) {
+        const tile = this.tiles.get(`${cx},${cz}`);
+        if (tile) draw(tile);
+      }
+    }
+  }
+
+  // ==================== MARKERS ====================
+
+  addWaypoint(name, x, z) {
+    const surface = this.getSurface(x, z);
+    const waypoint = {
+      name: name.slice(0, WAYPOINT_NAME_LENGTH),
+      x,
+      y: surface ? surface.y + 1 : Math.floor(this.game.player.position.y - PLAYER_HEIGHT),
+      z,
+      color: WAYPOINT_COLORS[this.waypoints.length % WAYPOINT_COLORS.length]
+    };
+    this.waypoints.push(waypoint);
+    return waypoint;
+  }
+
+  removeWaypoint(waypoint) {
+    this.waypoints = this.waypoints.filter(other => other !== waypoint);
+  }
+
+  // Called by playerDie
+  setDeathPoint(position) {
+    this.deathPoint = {
+      x: Math.floor(position.x),
+      y: Math.floor(position.y - PLAYER_HEIGHT),
+      z: Math.floor(position.z)
+    };
+  }
+
+  // Every marker as { x, z, color, label, death }
+  getMarkers() {
+    const markers = this.waypoints.map(({ name, x, z, color }) => ({ x: x + 0.5, z: z + 0.5, color, label: name }));
+    if (this.deathPoint) {
+      const { x, z } = this.deathPoint;
+      markers.push({ x: x + 0.5, z: z + 0.5, color: '#ef4444', label: 'Death', death: true });
+    }
+    return markers;
+  }
+
+  drawMarker(ctx, x, y, marker, showLabel) {
+    ctx.fillStyle = marker.color;
+    ctx.strokeStyle = '#000';
+    ctx.beginPath();
+    if (marker.death) {
+      ctx.moveTo(x - 4, y - 4); ctx.lineTo(x + 4, y + 4);
+      ctx.moveTo(x + 4, y - 4); ctx.lineTo(x - 4, y + 4);
+      ctx.lineWidth = 4;
+      ctx.stroke();
+      ctx.strokeStyle = marker.color;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.strokeStyle = '#000';
+    } else {
+      ctx.lineWidth = 2;
+      ctx.moveTo(x, y - 5); ctx.lineTo(x + 5, y); ctx.lineTo(x, y + 5); ctx.lineTo(x - 5, y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
+    if (showLabel) {
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.strokeText(marker.label, x, y - 9);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(marker.label, x, y - 9);
+    }
+  }
+
+  // White arrow pointing `angle` radians clockwise from up
+  drawPlayerArrow(ctx, x, y, angle) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(0, -6); ctx.lineTo(4.5, 5); ctx.lineTo(0, 2.5); ctx.lineTo(-4.5, 5);
+    ctx.closePath();
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1.5;
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // ==================== DRAWING ====================
+
+  update() {
+    if (this.isOpen) {
+      this.drawFullMap();
+    } else {
+      this.drawMinimap();
+    }
+  }
+
+  // Centred on the player and turned so they face up: yaw 0 looks down -z,
+  // which is already up on the canvas
+  drawMinimap() {
+    const canvas = document.getElementById('minimap');
+    const ctx = canvas.getContext('2d');
+    const { position, yaw } = this.game.player;
+    const half = MINIMAP_SIZE / 2;
+    if (canvas.width !== MINIMAP_SIZE) canvas.width = canvas.height = MINIMAP_SIZE;
+
+    ctx.clearRect(0, 0, MINIMAP_SIZE, MINIMAP_SIZE);
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(half, half, half, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, MINIMAP_SIZE, MINIMAP_SIZE);
+    ctx.imageSmoothingEnabled = false;
+    ctx.translate(half, half);
+    ctx.rotate(yaw);
+    ctx.scale(MINIMAP_SCALE, MINIMAP_SCALE);
+    ctx.translate(-position.x, -position.z);
+    this.drawTiles(ctx, position.x, position.z, half * Math.SQRT2 / MINIMAP_SCALE);
+    ctx.restore();
+
+    // Markers out of range sit on the rim, in their direction
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    const rim = half - 6;
+    for (const marker of this.getMarkers()) {
+      const dx = (marker.x - position.x) * MINIMAP_SCALE;
+      const dz = (marker.z - position.z) * MINIMAP_SCALE;
+      let sx = dx * cos - dz * sin;
+      let sy = dx * sin + dz * cos;
+      const dist = Math.hypot(sx, sy);
+      if (dist > rim) {
+        sx *= rim / dist;
+        sy *= rim / dist;
+      }
+      this.drawMarker(ctx, half + sx, half + sy, marker, false);
+    }
+    this.drawPlayerArrow(ctx, half, half, 0);
+  }
+
+  drawFullMap() {
+    const canvas = document.getElementById('world-map-canvas');
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, width, height);
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.translate(width / 2, height / 2);
+    ctx.scale(this.zoom, this.zoom);
+    ctx.translate(-this.center.x, -this.center.z);
+    this.drawTiles(ctx, this.center.x, this.center.z, Math.hypot(width, height) / 2 / this.zoom);
+    ctx.restore();
+
+    for (const marker of this.getMarkers()) {
+      const { x, y } = this.toScreen(marker.x, marker.z);
+      this.drawMarker(ctx, x, y, marker, true);
+    }
+    const { position, yaw } = this.game.player;
+    const player = this.toScreen(position.x, position.z);
+    this.drawPlayerArrow(ctx, player.x, player.y, -yaw);
+  }
+
+  toScreen(x, z) {
+    const canvas = document.getElementById('world-map-canvas');
+    return {
+      x: canvas.width / 2 + (x - this.center.x) * this.zoom,
+      y: canvas.height / 2 + (z - this.center.z) * this.zoom
+    };
+  }
+
+  toWorld(screenX, screenY) {
+    const canvas = document.getElementById('world-map-canvas');
+    return {
+      x: this.center.x + (screenX - canvas.width / 2) / this.zoom,
+      z: this.center.z + (screenY - canvas.height / 2) / this.zoom
+    };
+  }
+
+  // The waypoint drawn under a point of the full map, if any
+  getWaypointAt(screenX, screenY) {
+    return this.waypoints.find(waypoint => {
+      const { x, y } = this.toScreen(waypoint.x + 0.5, waypoint.z + 0.5);
+      return Math.hypot(x - screenX, y - screenY) <= 8;
+    }) || null;
+  }
+
+  // ==================== FULL MAP UI ====================
+
+  setupUI() {
+    document.addEventListener('keydown', e => {
+      if (this.isOpen) {
+        if (e.code === 'KeyM' || e.code === 'Escape') {
+          e.preventDefault();
+          this.close();
+        }
+        return;
+      }
+      if (e.code === 'KeyM' && this.canOpen()) {
+        e.preventDefault();
+        this.open();
+      }
+    });
+
+    const canvas = document.getElementById('world-map-canvas');
+    canvas.addEventListener('wheel', e => {
+      e.preventDefault();
+      // Keep the block under the cursor where it is
+      const before = this.toWorld(e.clientX, e.clientY);
+      this.zoom = Math.max(MAP_MIN_ZOOM, Math.min(MAP_MAX_ZOOM, this.zoom * (e.deltaY < 0 ? 1.25 : 0.8)));
+      const after = this.toWorld(e.clientX, e.clientY);
+      this.center.x += before.x - after.x;
+      this.center.z += before.z - after.z;
+    }, { passive: false });
+
+    canvas.addEventListener('mousedown', e => {
+      if (e.button === 0) this.drag = { x: e.clientX, y: e.clientY, moved: false };
+    });
+    canvas.addEventListener('mousemove', e => {
+      const { x, z } = this.toWorld(e.clientX, e.clientY);
+      document.getElementById('world-map-info').textContent = `X: ${Math.floor(x)}  Z: ${Math.floor(z)}`;
+      if (!this.drag) return;
+      const dx = e.clientX - this.drag.x;
+      const dy = e.clientY - this.drag.y;
+      if (Math.abs(dx) + Math.abs(dy) > 3) this.drag.moved = true;
+      if (!this.drag.moved) return;
+      this.center.x -= dx / this.zoom;
+      this.center.z -= dy / this.zoom;
+      this.drag.x = e.clientX;
+      this.drag.y = e.clientY;
+    });
+    canvas.addEventListener('mouseup', e => {
+      if (e.button !== 0 || !this.drag) return;
+      const clicked = !this.drag.moved;
+      this.drag = null;
+      if (!clicked) return;
+
+      const { x, z } = this.toWorld(e.clientX, e.clientY);
+      const name = prompt('Waypoint name:', `Waypoint ${this.waypoints.length + 1}`);
+      if (name && name.trim()) this.addWaypoint(name.trim(), Math.floor(x), Math.floor(z));
+    });
+    canvas.addEventListener('contextmenu', e => {
+      e.preventDefault();
+      const waypoint = this.getWaypointAt(e.clientX, e.clientY);
+      if (waypoint) this.removeWaypoint(waypoint);
+    });
+  }
+
+  canOpen() {
+    const game = this.game;
+    return game.isPlaying && !game.isPaused && !game.inventoryOpen && !game.chat.isOpen &&
+           !game.player.isDead && !!document.pointerLockElement;
+  }
+
+  open() {
+    this.isOpen = true;
+    this.game.keys = {};
+    this.drag = null;
+    this.center.x = this.game.player.position.x;
+    this.center.z = this.game.player.position.z;
+
+    const canvas = document.getElementById('world-map-canvas');
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
+    document.getElementById('world-map').classList.add('visible');
+    document.getElementById('minimap').classList.add('hidden');
+    document.exitPointerLock();
+  }
+
+  close() {
+    this.isOpen = false;
+    document.getElementById('world-map').classList.remove('visible');
+    document.getElementById('minimap').classList.remove('hidden');
+    if (this.game.isPlaying) this.game.renderer.domElement.requestPointerLock();
+  }
+}
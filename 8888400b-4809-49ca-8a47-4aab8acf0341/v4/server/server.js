@@ -0,0 +1,461 @@
+// ==================== LAN SERVER ====================
+// Reference server for LAN games. Run it with plain Node, no install needed:
+//
+//   node server/server.js [--port 25565] [--seed 1234] [--name World] [--world world.json]
+//
+// It serves the game over HTTP, so other machines on the network can open
+// http://<this machine>:<port>/, and relays play over a WebSocket on /ws.
+// The server owns the world: its seed, time and every edited block. Clients
+// generate terrain from the seed themselves, so only edits, player
+// positions, dropped items and chat travel over the wire.
+//
+// Without --seed or a --world file the server waits for a player to "Open to
+// LAN" and adopts their world. With --world the world is written back to
+// that file every 30 seconds and on shutdown.
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { acceptWebSocket } = require('./websocket');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Block ids, reach and the other limits come from the game's own constants,
+// with the blocks and items of the mods players get from this server
+const scripts = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'js/constants.js'), 'utf8'), scripts);
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'js/registry.js'), 'utf8'), scripts);
+loadMods(scripts);
+
+const {
+  BLOCK, BLOCK_DATA, ITEM_DATA, WORLD_HEIGHT, PLAYER_REACH, MAX_STACK_SIZE, DAY_LENGTH, NEW_WORLD_TIME,
+  DROPPED_ITEM_LIFETIME, LAN_PORT, NETWORK_VERSION, CHAT_MAX_LENGTH
+} = vm.runInContext(
+  `({ BLOCK, BLOCK_DATA, ITEM_DATA, WORLD_HEIGHT, PLAYER_REACH, MAX_STACK_SIZE, DAY_LENGTH, NEW_WORLD_TIME,
+      DROPPED_ITEM_LIFETIME, LAN_PORT, NETWORK_VERSION, CHAT_MAX_LENGTH })`,
+  scripts
+);
+
+// Same order as Registry.loadMods in the page, so the ids match. Hooks are
+// registered but never run here.
+function loadMods(context) {
+  const dir = path.join(ROOT, 'mods');
+  let files;
+  try {
+    files = JSON.parse(fs.readFileSync(path.join(dir, 'mods.json'), 'utf8'));
+  } catch (e) {
+    return;
+  }
+
+  vm.runInContext('var registry = new Registry();', context);
+  for (const file of files) {
+    try {
+      const source = fs.readFileSync(path.join(dir, file), 'utf8');
+      if (file.endsWith('.json')) {
+        context.definitions = JSON.parse(source);
+        vm.runInContext('registry.register(definitions);', context);
+      } else {
+        vm.runInContext(source, context, { filename: file });
+        vm.runInContext('registry.runModSetups();', context);
+      }
+      console.log(`Loaded mod ${file}`);
+    } catch (e) {
+      console.error(`Mod ${file} failed: ${e.message}`);
+    }
+  }
+}
+
+const MAX_MESSAGE_SIZE = 64 * 1024 * 1024;  // a host's whole world arrives in one message
+const REACH_TOLERANCE = 2;        // extra blocks allowed for movement between position updates
+const DROP_DISTANCE = 16;         // how far from a player their dropped items may appear
+const TIME_SYNC_INTERVAL = 10;    // seconds between world time broadcasts
+const SAVE_INTERVAL = 30;         // seconds between writes of the --world file
+const MAX_NAME_LENGTH = 16;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+function isInteger(value) {
+  return Number.isInteger(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+class LanServer {
+  constructor(options) {
+    this.options = options;
+    this.world = null;              // { id, name, seed, worldTime, modifiedBlocks: Map }
+    this.clients = new Map();       // client id -> client, once they said hello
+    this.items = new Map();         // net id -> dropped item
+    this.nextClientId = 1;
+    this.nextItemId = 1;
+    this.dirty = false;
+    // Started with --seed or --world: the first world is the server's and
+    // hosts never replace it with another (a --world file would lose it)
+    this.ownsWorld = options.seed !== null || options.worldFile !== null;
+
+    if (options.worldFile && fs.existsSync(options.worldFile)) {
+      this.loadWorldFile(options.worldFile);
+    } else if (options.seed !== null) {
+      this.setWorld({
+        id: `lan_${options.seed}`,
+        name: options.name,
+        seed: options.seed,
+        worldTime: DAY_LENGTH * NEW_WORLD_TIME,
+        modifiedBlocks: []
+      });
+    }
+  }
+
+  // ==================== WORLD ====================
+
+  setWorld({ id, name, seed, worldTime, modifiedBlocks }) {
+    this.world = {
+      id: String(id),
+      name: String(name || 'LAN World').slice(0, 32),
+      seed,
+      worldTime: isNumber(worldTime) ? worldTime : DAY_LENGTH * NEW_WORLD_TIME,
+      modifiedBlocks: new Map()
+    };
+    for (const entry of Array.isArray(modifiedBlocks) ? modifiedBlocks : []) {
+      if (!Array.isArray(entry)) continue;
+      const [key, block] = entry;
+      if (typeof key === 'string' && this.isValidBlock(block)) this.world.modifiedBlocks.set(key, block);
+    }
+    this.items.clear();
+    this.dirty = true;
+  }
+
+  loadWorldFile(file) {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.setWorld(saved);
+    this.dirty = false;
+    console.log(`Loaded "${this.world.name}" (seed ${this.world.seed}, ${this.world.modifiedBlocks.size} edited blocks) from ${file}`);
+  }
+
+  saveWorldFile() {
+    const file = this.options.worldFile;
+    if (!file || !this.world || !this.dirty) return;
+
+    const { modifiedBlocks, ...world } = this.world;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ ...world, modifiedBlocks: Array.from(modifiedBlocks) }));
+    fs.renameSync(tmp, file);
+    this.dirty = false;
+  }
+
+  isValidBlock(block) {
+    return block === BLOCK.AIR || (isInteger(block) && BLOCK_DATA[block] !== undefined);
+  }
+
+  isValidItem(itemId) {
+    return isInteger(itemId) && (BLOCK_DATA[itemId] !== undefined || ITEM_DATA[itemId] !== undefined);
+  }
+
+  isNear(client, x, y, z, distance) {
+    if (!client.position) return false;
+    const dx = x - client.position.x;
+    const dy = y - client.position.y;
+    const dz = z - client.position.z;
+    return dx * dx + dy * dy + dz * dz <= distance * distance;
+  }
+
+  tick(dt) {
+    if (this.world) this.world.worldTime += dt;
+
+    const now = Date.now();
+    for (const [netId, item] of this.items) {
+      if (item.expires <= now) this.items.delete(netId);
+    }
+  }
+
+  // ==================== CONNECTIONS ====================
+
+  connect(socket) {
+    const client = { id: null, name: null, socket, position: null };
+
+    socket.on('message', text => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (e) {
+        return;
+      }
+      if (!message || typeof message.type !== 'string') return;
+
+      // One bad message must not take the server down for everyone
+      try {
+        if (client.id === null) {
+          if (message.type === 'hello') this.handleHello(client, message);
+          return;
+        }
+        if (Object.hasOwn(this.handlers, message.type)) this.handlers[message.type].call(this, client, message);
+      } catch (e) {
+        console.error(`Dropped a "${message.type}" message from ${client.name || 'a new client'}:`, e);
+      }
+    });
+
+    socket.on('close', () => {
+      if (client.id === null) return;
+      this.clients.delete(client.id);
+      this.broadcast({ type: 'leave', id: client.id });
+      this.systemChat(`${client.name} left the game`);
+    });
+  }
+
+  refuse(client, message) {
+    client.socket.send(JSON.stringify({ type: 'error', message }));
+    client.socket.close(1008, message);
+  }
+
+  // First message from every client. Hosts bring their world along; the
+  // server takes it when it has none yet, or when nobody is playing and the
+  // current one is another host's or this very world. The server's own world
+  // is never swapped for a different one.
+  handleHello(client, { name, version, world }) {
+    if (version !== NETWORK_VERSION) {
+      this.refuse(client, `Server runs network version ${NETWORK_VERSION}, the game ${version}. Update both to the same release.`);
+      return;
+    }
+
+    let adopted = false;
+    const canAdopt = world && (!this.world ||
+      (this.clients.size === 0 && (!this.ownsWorld || String(world.id) === this.world.id)));
+    if (canAdopt) {
+      if (!isInteger(world.seed)) {
+        this.refuse(client, 'The world has no valid seed');
+        return;
+      }
+      this.setWorld(world);
+      this.items.clear();
+      for (const item of Array.isArray(world.droppedItems) ? world.droppedItems : []) {
+        if (!item || typeof item !== 'object' || ![item.x, item.y, item.z].every(isNumber)) continue;
+        if (this.isValidItem(item.itemId) && isInteger(item.count) && item.count > 0) this.addItem(item);
+      }
+      adopted = true;
+      console.log(`Opened "${this.world.name}" (seed ${this.world.seed}) for LAN play`);
+    } else if (world && world.id !== this.world.id) {
+      this.refuse(client, `Another world ("${this.world.name}") is already open on this server`);
+      return;
+    } else if (!this.world) {
+      this.refuse(client, 'No world is open on this server yet');
+      return;
+    }
+
+    client.id = this.nextClientId++;
+    client.name = String(name || `Player${client.id}`).trim().slice(0, MAX_NAME_LENGTH) || `Player${client.id}`;
+
+    const { modifiedBlocks, ...info } = this.world;
+    client.socket.send(JSON.stringify({
+      type: 'welcome',
+      id: client.id,
+      adopted,
+      world: { ...info, modifiedBlocks: Array.from(modifiedBlocks) },
+      players: Array.from(this.clients.values()).map(other => this.describePlayer(other)),
+      items: Array.from(this.items.values())
+    }));
+
+    this.clients.set(client.id, client);
+    this.broadcast({ type: 'join', player: this.describePlayer(client) }, client);
+    this.systemChat(`${client.name} joined the game`);
+    console.log(`${client.name} joined (${this.clients.size} online)`);
+  }
+
+  describePlayer(client) {
+    return { id: client.id, name: client.name, ...(client.position || {}) };
+  }
+
+  broadcast(message, except = null) {
+    const text = JSON.stringify(message);
+    for (const client of this.clients.values()) {
+      if (client !== except) client.socket.send(text);
+    }
+  }
+
+  systemChat(text) {
+    this.broadcast({ type: 'chat', name: null, text });
+  }
+
+  addItem({ x, y, z, itemId, count, vx = 0, vy = 0, vz = 0 }) {
+    const item = {
+      netId: this.nextItemId++,
+      x, y, z, itemId,
+      count: Math.min(count, MAX_STACK_SIZE),
+      vx, vy, vz,
+      expires: Date.now() + DROPPED_ITEM_LIFETIME * 1000
+    };
+    this.items.set(item.netId, item);
+    return item;
+  }
+}
+
+// ==================== MESSAGES ====================
+// Handlers by message type, for clients that have said hello. Anything
+// malformed or out of reach is dropped.
+LanServer.prototype.handlers = {
+  move(client, { x, y, z, yaw, pitch }) {
+    if (![x, y, z, yaw, pitch].every(isNumber)) return;
+    client.position = { x, y, z, yaw, pitch };
+    this.broadcast({ type: 'move', id: client.id, x, y, z, yaw, pitch }, client);
+  },
+
+  setBlock(client, { x, y, z, block }) {
+    if (![x, y, z].every(isInteger) || y < 0 || y >= WORLD_HEIGHT || !this.isValidBlock(block)) return;
+
+    const key = `${x},${y},${z}`;
+    if (!this.isNear(client, x + 0.5, y + 0.5, z + 0.5, PLAYER_REACH + REACH_TOLERANCE)) {
+      // Put the sender back in line when we know what is really there
+      const current = this.world.modifiedBlocks.get(key);
+      if (current !== undefined) client.socket.send(JSON.stringify({ type: 'block', x, y, z, block: current }));
+      return;
+    }
+
+    this.world.modifiedBlocks.set(key, block);
+    this.dirty = true;
+    this.broadcast({ type: 'block', x, y, z, block }, client);
+  },
+
+  dropItem(client, { x, y, z, itemId, count, vx, vy, vz }) {
+    if (![x, y, z, vx, vy, vz].every(isNumber) || !this.isValidItem(itemId)) return;
+    if (!isInteger(count) || count < 1 || !this.isNear(client, x, y, z, DROP_DISTANCE)) return;
+    this.broadcast({ type: 'itemSpawn', item: this.addItem({ x, y, z, itemId, count, vx, vy, vz }) });
+  },
+
+  // First come, first served: whoever asks first gets the item. The server
+  // only knows where an item was dropped, not where it flew, hence the leeway.
+  pickup(client, { netId }) {
+    const item = this.items.get(netId);
+    if (!item) {
+      client.socket.send(JSON.stringify({ type: 'itemRemove', netId, by: null }));
+      return;
+    }
+    if (!this.isNear(client, item.x, item.y, item.z, DROP_DISTANCE)) return;
+    this.items.delete(netId);
+    this.broadcast({ type: 'itemRemove', netId, by: client.id });
+  },
+
+  chat(client, { text }) {
+    if (typeof text !== 'string') return;
+    text = text.trim().slice(0, CHAT_MAX_LENGTH);
+    if (text) this.broadcast({ type: 'chat', name: client.name, text });
+  }
+};
+
+// ==================== HTTP ====================
+
+function serveStatic(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+  } catch (e) {
+    // Malformed escapes such as /%E0
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+  const file = path.join(ROOT, path.normalize(pathname));
+  if (!file.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+function parseArgs(argv) {
+  const options = { port: LAN_PORT, seed: null, name: 'LAN World', worldFile: null };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--port': options.port = parseInt(value, 10); i++; break;
+      case '--seed': options.seed = parseInt(value, 10); i++; break;
+      case '--name': options.name = value; i++; break;
+      case '--world': options.worldFile = path.resolve(value); i++; break;
+      default:
+        console.error(`Unknown option ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+  if (!isInteger(options.port) || (options.seed !== null && !isInteger(options.seed))) {
+    console.error('--port and --seed take whole numbers');
+    process.exit(1);
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const lanServer = new LanServer(options);
+
+  const httpServer = http.createServer(serveStatic);
+  httpServer.on('upgrade', (req, socket) => {
+    if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+      socket.destroy();
+      return;
+    }
+    const connection = acceptWebSocket(req, socket, MAX_MESSAGE_SIZE);
+    if (connection) lanServer.connect(connection);
+  });
+
+  let lastTick = Date.now();
+  let sinceTimeSync = 0;
+  let sinceSave = 0;
+  setInterval(() => {
+    const now = Date.now();
+    const dt = (now - lastTick) / 1000;
+    lastTick = now;
+    lanServer.tick(dt);
+
+    sinceTimeSync += dt;
+    if (sinceTimeSync >= TIME_SYNC_INTERVAL && lanServer.world) {
+      sinceTimeSync = 0;
+      lanServer.broadcast({ type: 'time', worldTime: lanServer.world.worldTime });
+    }
+    sinceSave += dt;
+    if (sinceSave >= SAVE_INTERVAL) {
+      sinceSave = 0;
+      lanServer.saveWorldFile();
+    }
+  }, 1000);
+
+  const shutdown = () => {
+    lanServer.saveWorldFile();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  httpServer.listen(options.port, () => {
+    console.log(`LAN server listening on port ${options.port}. Players can open:`);
+    console.log(`  http://localhost:${options.port}/`);
+    for (const addresses of Object.values(os.networkInterfaces())) {
+      for (const { family, internal, address } of addresses || []) {
+        if ((family === 'IPv4' || family === 4) && !internal) console.log(`  http://${address}:${options.port}/`);
+      }
+    }
+    if (!lanServer.world) console.log('Waiting for a player to open their world to LAN...');
+  });
+}
+
+main();
@@ -0,0 +1,156 @@
+// ==================== WEBSOCKET ====================
+// Just enough of RFC 6455 for the LAN server, so it runs on a plain Node
+// install without any packages: the opening handshake, text frames (masked
+// from clients, fragmented or not), ping/pong and close.
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, maxMessageSize) {
+    super();
+    this.socket = socket;
+    this.maxMessageSize = maxMessageSize;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', data => this.receive(data));
+    socket.on('close', () => this.finish());
+    socket.on('error', () => this.finish());
+  }
+
+  receive(data) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+    let frame;
+    while (!this.closed && (frame = this.readFrame())) this.handleFrame(frame);
+  }
+
+  // Takes one complete frame off the buffer, or returns null to wait for more
+  readFrame() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (length > this.maxMessageSize) {
+      this.close(1009, 'Message too big');
+      return null;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buf.length < offset + length) return null;
+
+    const payload = Buffer.from(buf.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= buf[maskOffset + (i & 3)];
+    }
+    this.buffer = buf.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODE.TEXT:
+      case OPCODE.BINARY:
+      case OPCODE.CONTINUATION:
+        this.fragments.push(payload);
+        this.fragmentsSize += payload.length;
+        if (this.fragmentsSize > this.maxMessageSize) {
+          this.close(1009, 'Message too big');
+        } else if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.fragmentsSize = 0;
+          this.emit('message', message);
+        }
+        break;
+      case OPCODE.PING:
+        this.sendFrame(OPCODE.PONG, payload);
+        break;
+      case OPCODE.CLOSE:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        break;
+    }
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.closed) return;
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  send(text) {
+    this.sendFrame(OPCODE.TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.sendFrame(OPCODE.CLOSE, payload);
+    this.socket.end();
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+// Completes the handshake for an HTTP 'upgrade' request; returns the
+// connection, or null after refusing a request that isn't a WebSocket one
+function acceptWebSocket(req, socket, maxMessageSize) {
+  const key = req.headers['sec-websocket-key'];
+  if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  return new WebSocketConnection(socket, maxMessageSize);
+}
+
+module.exports = { acceptWebSocket };